@@ -11,6 +11,10 @@ import {
   AssetRequest,
   ActionType,
   DiplomaticProposal,
+  TradeGoods,
+  TributeTerms,
+  TreatyType,
+  ChatChannel,
   DiplomaticStatus,
   Garrison,
   DiplomaticRelation,
@@ -194,7 +198,7 @@ const App: React.FC = () => {
   };
 
   // The following functions now just call the server and update state
-  const handleRequestChief = (tribeId: string, chiefName: string, radixAddressSnippet: string) => server.requestChief({ tribeId, chiefName, radixAddressSnippet }).then(setGameState);
+  const handleRequestChief = (tribeId: string, chiefName: string, radixAddressSnippet: string, location?: string) => server.requestChief({ tribeId, chiefName, radixAddressSnippet, location }).then(setGameState);
   const handleApproveChief = (requestId: string) => server.approveChief(requestId).then(setGameState);
   const handleDenyChief = (requestId: string) => server.denyChief(requestId).then(setGameState);
   const handleRequestAsset = (tribeId: string, assetName: string, radixAddressSnippet: string) => server.requestAsset({ tribeId, assetName, radixAddressSnippet }).then(setGameState);
@@ -202,10 +206,17 @@ const App: React.FC = () => {
   const handleDenyAsset = (requestId: string) => server.denyAsset(requestId).then(setGameState);
   const handleAddAITribe = () => server.addAITribe().then(setGameState);
   const handleProposeAlliance = (fromTribeId: string, toTribeId: string) => server.proposeAlliance({ fromTribeId, toTribeId }).then(setGameState);
-  const handleSueForPeace = (fromTribeId: string, toTribeId: string, reparations: { food: number; scrap: number; weapons: number; }) => server.sueForPeace({ fromTribeId, toTribeId, reparations }).then(setGameState);
+  const handleSueForPeace = (fromTribeId: string, toTribeId: string, reparations: { food: number; scrap: number; weapons: number; }, tribute?: TributeTerms) => server.sueForPeace({ fromTribeId, toTribeId, reparations, tribute }).then(setGameState);
   const handleAcceptProposal = (proposalId: string) => server.acceptProposal(proposalId).then(setGameState);
   const handleRejectProposal = (proposalId: string) => server.rejectProposal(proposalId).then(setGameState);
   const handleDeclareWar = (fromTribeId: string, toTribeId: string) => server.declareWar({ fromTribeId, toTribeId }).then(setGameState);
+  const handleProposeTreaty = (fromTribeId: string, toTribeId: string, treatyType: TreatyType, vassalTribeId?: string) => server.proposeTreaty({ fromTribeId, toTribeId, treatyType, vassalTribeId }).then(setGameState);
+  const handleCancelTreaty = (tribeId: string, treatyId: string) => server.cancelTreaty({ tribeId, treatyId }).then(setGameState);
+  const handleProposeTrade = (fromTribeId: string, toTribeId: string, location: string, offer: TradeGoods, request: TradeGoods) => server.proposeTrade({ fromTribeId, toTribeId, location, offer, request }).then(setGameState);
+  const handleAcceptTrade = (tribeId: string, tradeId: string) => server.acceptTrade({ tribeId, tradeId }).then(setGameState);
+  const handleRejectTrade = (tribeId: string, tradeId: string) => server.rejectTrade({ tribeId, tradeId }).then(setGameState);
+  const handleSendMessage = (tribeId: string, channel: ChatChannel, text: string, toTribeId?: string) => server.sendMessage({ tribeId, channel, toTribeId, text }).then(setGameState);
+  const handlePostAnnouncement = (text: string) => server.postAnnouncement(text).then(setGameState);
 
   const renderView = () => {
     if (isLoading || !gameState) {
@@ -244,6 +255,7 @@ const App: React.FC = () => {
             onApproveAsset={handleApproveAsset}
             onDenyAsset={handleDenyAsset}
             onAddAITribe={handleAddAITribe}
+            onPostAnnouncement={handlePostAnnouncement}
         />;
       
       case 'map_editor':
@@ -282,18 +294,29 @@ const App: React.FC = () => {
             allAssetRequests={gameState.assetRequests || []}
             journeys={gameState.journeys || []}
             diplomaticProposals={gameState.diplomaticProposals || []}
+            tradeOffers={gameState.tradeOffers || []}
+            treaties={gameState.treaties || []}
+            chatMessages={gameState.chatMessages || []}
+            chatUnread={gameState.chatUnread || {}}
             onFinalizeTurn={(actions, journeyResponses) => playerTribe && handleFinalizePlayerTurn(playerTribe.id, actions, journeyResponses)}
-            onRequestChief={(chiefName, address) => playerTribe && handleRequestChief(playerTribe.id, chiefName, address)}
+            onRequestChief={(chiefName, address, location) => playerTribe && handleRequestChief(playerTribe.id, chiefName, address, location)}
             onRequestAsset={(assetName, address) => playerTribe && handleRequestAsset(playerTribe.id, assetName, address)}
             onUpdateTribe={handleUpdateTribe}
             onLogout={handleLogout}
             onNavigateToAdmin={() => setView('admin')}
             onNavigateToLeaderboard={() => setView('leaderboard')}
             onProposeAlliance={(toTribeId) => playerTribe && handleProposeAlliance(playerTribe.id, toTribeId)}
-            onSueForPeace={(toTribeId, reparations) => playerTribe && handleSueForPeace(playerTribe.id, toTribeId, reparations)}
+            onSueForPeace={(toTribeId, reparations, tribute) => playerTribe && handleSueForPeace(playerTribe.id, toTribeId, reparations, tribute)}
             onDeclareWar={(toTribeId) => playerTribe && handleDeclareWar(playerTribe.id, toTribeId)}
             onAcceptProposal={handleAcceptProposal}
             onRejectProposal={handleRejectProposal}
+            onProposeTrade={(toTribeId, location, offer, request) => playerTribe && handleProposeTrade(playerTribe.id, toTribeId, location, offer, request)}
+            onProposeTreaty={(toTribeId, treatyType, vassalTribeId) => playerTribe && handleProposeTreaty(playerTribe.id, toTribeId, treatyType, vassalTribeId)}
+            onCancelTreaty={(treatyId) => playerTribe && handleCancelTreaty(playerTribe.id, treatyId)}
+            onSendMessage={(channel, text, toTribeId) => playerTribe && handleSendMessage(playerTribe.id, channel, text, toTribeId)}
+            onMarkChatRead={() => {}}
+            onAcceptTrade={(tradeId) => playerTribe && handleAcceptTrade(playerTribe.id, tradeId)}
+            onRejectTrade={(tradeId) => playerTribe && handleRejectTrade(playerTribe.id, tradeId)}
           />
         );
     }
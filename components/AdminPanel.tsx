@@ -1,5 +1,5 @@
 import React, { useState, useRef } from 'react';
-import { Tribe, User, GameState, FullBackupState, ChiefRequest, AssetRequest } from '../types';
+import { Tribe, User, GameState, FullBackupState, ChiefRequest, AssetRequest, ChatChannel } from '../types';
 import Card from './ui/Card';
 import Button from './ui/Button';
 import ConfirmationModal from './ui/ConfirmationModal';
@@ -17,17 +17,19 @@ interface AdminPanelProps {
   onDenyChief: (requestId: string) => void;
   onApproveAsset: (requestId: string) => void;
   onDenyAsset: (requestId: string) => void;
+  onPostAnnouncement: (text: string) => void;
   onAddAITribe: () => void;
 }
 
 const AdminPanel: React.FC<AdminPanelProps> = (props) => {
-  const { gameState, onBack, onNavigateToEditor, onProcessTurn, onRemovePlayer, onStartNewGame, onLoadBackup, onApproveChief, onDenyChief, onApproveAsset, onDenyAsset, onAddAITribe } = props;
+  const { gameState, onBack, onNavigateToEditor, onProcessTurn, onRemovePlayer, onStartNewGame, onLoadBackup, onApproveChief, onDenyChief, onApproveAsset, onDenyAsset, onAddAITribe, onPostAnnouncement } = props;
   const { tribes: allTribes, chiefRequests, assetRequests } = gameState;
   const allUsers = Auth.getAllUsers();
   const currentUser = Auth.getCurrentUser();
   
   const [userToRemove, setUserToRemove] = useState<User | null>(null);
   const [showNewGameConfirm, setShowNewGameConfirm] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
   const fileInputRef = useRef<HTMLInputElement>(null);
 
   if (!currentUser) return null;
@@ -39,6 +41,16 @@ const AdminPanel: React.FC<AdminPanelProps> = (props) => {
     }
   };
 
+  const handlePostAnnouncement = () => {
+    onPostAnnouncement(announcement.trim());
+    setAnnouncement('');
+  };
+
+  const recentAnnouncements = (gameState.chatMessages || [])
+    .filter(m => m.channel === ChatChannel.Announcement)
+    .slice(-3)
+    .reverse();
+
   const handleConfirmNewGame = () => {
     onStartNewGame();
     setShowNewGameConfirm(false);
@@ -187,6 +199,7 @@ a.click();
                                 <tr className="border-b border-slate-700 sticky top-0 bg-neutral-900">
                                     <th className="p-2">Tribe</th>
                                     <th className="p-2">Chief Name</th>
+                                    <th className="p-2">Garrison</th>
                                     <th className="p-2">Radix Addr.</th>
                                     <th className="p-2">Actions</th>
                                 </tr>
@@ -198,6 +211,7 @@ a.click();
                                         <tr key={req.id} className="border-b border-slate-800 hover:bg-slate-800/50">
                                             <td className="p-2 font-semibold">{tribe?.tribeName || 'Unknown Tribe'}</td>
                                             <td className="p-2">{req.chiefName}</td>
+                                            <td className="p-2 font-mono text-xs">{req.location || tribe?.location || '-'}</td>
                                             <td className="p-2 font-mono text-xs">{req.radixAddressSnippet}</td>
                                             <td className="p-2 space-x-2">
                                                 <Button onClick={() => onApproveChief(req.id)} className="text-xs bg-green-700 hover:bg-green-600 px-2 py-1">Approve</Button>
@@ -265,6 +279,25 @@ a.click();
                 </div>
             </Card>
             
+            <Card title="Announcements">
+                <div className="space-y-3">
+                    <p className="text-sm text-slate-400">Post a message every tribe will see in its Announcements channel.</p>
+                    <textarea
+                        value={announcement}
+                        onChange={e => setAnnouncement(e.target.value)}
+                        maxLength={500}
+                        rows={3}
+                        className="w-full bg-slate-700 border border-slate-600 rounded-md p-2 text-sm"
+                    />
+                    <Button className="w-full" disabled={!announcement.trim()} onClick={handlePostAnnouncement}>
+                      Post Announcement
+                    </Button>
+                    {recentAnnouncements.map(m => (
+                        <p key={m.id} className="text-xs text-slate-400"><span className="text-slate-500">Turn {m.turn}:</span> {m.text}</p>
+                    ))}
+                </div>
+            </Card>
+
             <Card title="AI Management">
               <div className="space-y-4">
                   <p className="text-sm text-slate-400">Add or manage computer-controlled tribes. There are currently {aiTribesCount} AI tribes in the game.</p>
@@ -327,7 +360,7 @@ a.click();
       {showNewGameConfirm && (
         <ConfirmationModal
             title="Start a New Game?"
-            message="This will remove ALL current tribes and requests, and reset the turn to 1. The map will be preserved. Are you sure?"
+            message="This will remove ALL tribes and requests in this game, and reset its turn to 1. The map and any other games are untouched. Are you sure?"
             onConfirm={handleConfirmNewGame}
             onCancel={() => setShowNewGameConfirm(false)}
         />
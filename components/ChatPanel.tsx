@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Tribe, ChatMessage, ChatChannel, DiplomaticStatus } from '../types';
+import Card from './ui/Card';
+import Button from './ui/Button';
+
+interface ChatPanelProps {
+  playerTribe: Tribe;
+  allTribes: Tribe[];
+  messages: ChatMessage[];
+  unread: Record<string, number>;
+  onSendMessage: (channel: ChatChannel, text: string, toTribeId?: string) => void;
+  onMarkRead: (conversation: string) => void;
+}
+
+const MAX_MESSAGE_LENGTH = 500;
+
+// Same keys the server counts unread messages by
+const getConversationKey = (message: ChatMessage, tribeId: string) => {
+  if (message.channel !== ChatChannel.Direct) return message.channel;
+  const otherId = message.fromTribeId === tribeId ? message.recipientTribeIds[0] : message.fromTribeId;
+  return `${ChatChannel.Direct}:${otherId}`;
+};
+
+const ChatPanel: React.FC<ChatPanelProps> = ({ playerTribe, allTribes, messages, unread, onSendMessage, onMarkRead }) => {
+  const [conversation, setConversation] = useState<string>(ChatChannel.Global);
+  const [text, setText] = useState('');
+  const listRef = useRef<HTMLDivElement>(null);
+
+  const otherTribes = allTribes.filter(t => t.id !== playerTribe.id);
+  const hasAllies = Object.values(playerTribe.diplomacy).some(r => r.status === DiplomaticStatus.Alliance);
+  const [channel, toTribeId] = conversation.split(':') as [ChatChannel, string | undefined];
+  const shown = messages.filter(m => getConversationKey(m, playerTribe.id) === conversation);
+  const unreadHere = unread[conversation] || 0;
+
+  useEffect(() => {
+    if (unreadHere > 0) onMarkRead(conversation);
+  }, [conversation, unreadHere]);
+
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [conversation, shown.length]);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onSendMessage(channel, text.trim(), toTribeId);
+    setText('');
+  };
+
+  const badge = (key: string) => unread[key] ? (
+    <span className="ml-1 px-1.5 text-xs font-bold rounded-full bg-amber-600 text-white">{unread[key]}</span>
+  ) : null;
+
+  const tab = (key: string, label: string) => (
+    <button
+      key={key}
+      onClick={() => setConversation(key)}
+      className={`px-2 py-1 text-xs rounded-md ${conversation === key ? 'bg-slate-600 text-white' : 'bg-slate-800 text-slate-400 hover:bg-slate-700'}`}
+    >
+      {label}{badge(key)}
+    </button>
+  );
+
+  const directUnread = otherTribes.reduce((sum, t) => sum + (unread[`${ChatChannel.Direct}:${t.id}`] || 0), 0);
+  const canPost = channel !== ChatChannel.Announcement && (channel !== ChatChannel.Alliance || hasAllies);
+
+  return (
+    <Card title="Messages">
+      <div className="space-y-3">
+        <div className="flex flex-wrap gap-2 items-center">
+          {tab(ChatChannel.Global, 'Global')}
+          {tab(ChatChannel.Alliance, 'Alliance')}
+          {tab(ChatChannel.Announcement, 'Announcements')}
+          <select
+            value={channel === ChatChannel.Direct ? conversation : ''}
+            onChange={e => e.target.value && setConversation(e.target.value)}
+            className="text-xs bg-slate-700 border border-slate-600 rounded-md p-1"
+          >
+            <option value="">Direct message{directUnread > 0 ? ` (${directUnread} unread)` : ''}...</option>
+            {otherTribes.map(t => {
+              const key = `${ChatChannel.Direct}:${t.id}`;
+              return <option key={key} value={key}>{t.tribeName}{unread[key] ? ` (${unread[key]})` : ''}</option>;
+            })}
+          </select>
+        </div>
+
+        <div ref={listRef} className="h-56 overflow-y-auto space-y-2 p-2 bg-slate-900/50 rounded-md">
+          {shown.length === 0 && <p className="text-sm text-slate-500 italic">No messages yet.</p>}
+          {shown.map(m => (
+            <div key={m.id} className="text-sm">
+              <span className={`font-semibold ${m.fromTribeId === playerTribe.id ? 'text-amber-300' : m.fromTribeId ? 'text-slate-200' : 'text-red-300'}`}>
+                {m.fromTribeId === playerTribe.id ? 'You' : m.fromName}
+              </span>
+              <span className="text-xs text-slate-500 ml-2">Turn {m.turn}</span>
+              <p className="text-slate-300 whitespace-pre-wrap break-words">{m.text}</p>
+            </div>
+          ))}
+        </div>
+
+        {canPost ? (
+          <form onSubmit={handleSubmit} className="flex space-x-2">
+            <input
+              type="text"
+              value={text}
+              onChange={e => setText(e.target.value)}
+              maxLength={MAX_MESSAGE_LENGTH}
+              placeholder={channel === ChatChannel.Alliance ? 'Message your allies' : channel === ChatChannel.Direct ? 'Private message' : 'Message every tribe'}
+              className="flex-1 bg-slate-700 border border-slate-600 rounded-md p-2 text-sm"
+            />
+            <Button type="submit" disabled={!text.trim()}>Send</Button>
+          </form>
+        ) : (
+          <p className="text-xs text-slate-500 italic">
+            {channel === ChatChannel.Announcement ? 'Only admins post announcements.' : 'You have no allies to talk to.'}
+          </p>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default ChatPanel;
@@ -12,12 +12,14 @@ interface ChiefsPanelProps {
     tribe: Tribe;
     allChiefRequests: ChiefRequest[];
     allTribes: Tribe[];
-    onRequestChief: (chiefName: string, radixAddressSnippet: string) => void;
+    onRequestChief: (chiefName: string, radixAddressSnippet: string, location?: string) => void;
 }
 
 const ChiefsPanel: React.FC<ChiefsPanelProps> = ({ tribe, allChiefRequests = [], allTribes, onRequestChief }) => {
     const [selectedChief, setSelectedChief] = useState('');
     const [radixAddress, setRadixAddress] = useState('');
+    const [chiefLocation, setChiefLocation] = useState(tribe.location);
+    const garrisonLocations = Object.keys(tribe.garrisons);
 
     const playerChiefs = useMemo(() => {
         return Object.values(tribe.garrisons).flatMap(g => g.chiefs || []);
@@ -64,7 +66,7 @@ const ChiefsPanel: React.FC<ChiefsPanelProps> = ({ tribe, allChiefRequests = [],
             alert('Please select a Chief and enter the last 5 digits of your Radix account address.');
             return;
         }
-        onRequestChief(selectedChief, radixAddress);
+        onRequestChief(selectedChief, radixAddress, garrisonLocations.includes(chiefLocation) ? chiefLocation : tribe.location);
         setRadixAddress('');
     };
 
@@ -96,7 +98,7 @@ const ChiefsPanel: React.FC<ChiefsPanelProps> = ({ tribe, allChiefRequests = [],
                         <ul className="space-y-1">
                             {playerChiefRequests.filter(r => r.status === 'pending').map(req => (
                                 <li key={req.id} className="text-sm text-slate-300 bg-slate-800 p-2 rounded-md">
-                                    Request for <span className="font-bold text-amber-400">{req.chiefName}</span> is pending admin approval.
+                                    Request for <span className="font-bold text-amber-400">{req.chiefName}</span>{req.location ? ` at ${req.location}` : ''} is pending admin approval.
                                 </li>
                             ))}
                         </ul>
@@ -131,6 +133,20 @@ const ChiefsPanel: React.FC<ChiefsPanelProps> = ({ tribe, allChiefRequests = [],
                                 )}
                             </select>
                         </div>
+                        <div>
+                            <label htmlFor="chief-location" className="block text-sm font-medium text-slate-300 mb-1">Assign to Garrison</label>
+                            <select
+                                id="chief-location"
+                                value={chiefLocation}
+                                onChange={e => setChiefLocation(e.target.value)}
+                                className="w-full bg-slate-700 border border-slate-600 rounded-md p-2 text-slate-200"
+                                disabled={availableChiefs.length === 0}
+                            >
+                                {garrisonLocations.map(location => (
+                                    <option key={location} value={location}>{location === tribe.location ? `${location} (Home)` : location}</option>
+                                ))}
+                            </select>
+                        </div>
                         <div>
                             <label htmlFor="radix-address" className="block text-sm font-medium text-slate-300 mb-1">Radix Account (last 5 digits)</label>
                             <input
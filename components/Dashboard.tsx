@@ -1,6 +1,6 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
-import { Tribe, GameAction, HexData, User, GamePhase, Garrison, ChiefRequest, AssetRequest, ActionType, Journey, DiplomaticProposal } from '../types';
+import { Tribe, GameAction, HexData, User, GamePhase, Garrison, ChiefRequest, AssetRequest, ActionType, Journey, JourneyResponse, DiplomaticProposal, TradeOffer, TradeGoods, TributeTerms, Treaty, TreatyType, ChatMessage, ChatChannel } from '../types';
 import Header from './Header';
 import ResourcePanel from './ResourcePanel';
 import TribeStatsComponent from './TribeStats';
@@ -19,6 +19,7 @@ import CodexModal from './CodexModal';
 import PendingTradesPanel from './PendingTradesPanel';
 import JourneysPanel from './JourneysPanel';
 import DiplomacyPanel from './DiplomacyPanel';
+import ChatPanel from './ChatPanel';
 
 interface DashboardProps {
   currentUser: User;
@@ -31,18 +32,31 @@ interface DashboardProps {
   allAssetRequests: AssetRequest[];
   journeys: Journey[];
   diplomaticProposals: DiplomaticProposal[];
+  tradeOffers: TradeOffer[];
+  treaties: Treaty[];
+  chatMessages: ChatMessage[];
+  chatUnread: Record<string, number>;
   onFinalizeTurn: (plannedActions: GameAction[], journeyResponses: Tribe['journeyResponses']) => void;
-  onRequestChief: (chiefName: string, radixAddressSnippet: string) => void;
+  onRequestChief: (chiefName: string, radixAddressSnippet: string, location?: string) => void;
   onRequestAsset: (assetName: string, radixAddressSnippet: string) => void;
   onUpdateTribe: (updatedTribe: Tribe) => void;
   onLogout: () => void;
   onNavigateToAdmin: () => void;
   onNavigateToLeaderboard: () => void;
+  gameName?: string;
+  onNavigateToLobby?: () => void;
   onProposeAlliance: (toTribeId: string) => void;
-  onSueForPeace: (toTribeId: string, reparations: { food: number; scrap: number; weapons: number }) => void;
+  onSueForPeace: (toTribeId: string, reparations: { food: number; scrap: number; weapons: number }, tribute?: TributeTerms) => void;
   onDeclareWar: (toTribeId: string) => void;
   onAcceptProposal: (proposalId: string) => void;
   onRejectProposal: (proposalId: string) => void;
+  onProposeTrade: (toTribeId: string, location: string, offer: TradeGoods, request: TradeGoods) => void;
+  onProposeTreaty: (toTribeId: string, treatyType: TreatyType, vassalTribeId?: string) => void;
+  onCancelTreaty: (treatyId: string) => void;
+  onSendMessage: (channel: ChatChannel, text: string, toTribeId?: string) => void;
+  onMarkChatRead: (conversation: string) => void;
+  onAcceptTrade: (tradeId: string) => void;
+  onRejectTrade: (tradeId: string) => void;
 }
 
 interface MapSelectionMode {
@@ -55,7 +69,7 @@ type DashboardView = 'results' | 'planning' | 'waiting';
 const formatHexCoords = (q: number, r: number) => `${String(50 + q).padStart(3, '0')}.${String(50 + r).padStart(3, '0')}`;
 
 const Dashboard: React.FC<DashboardProps> = (props) => {
-  const { currentUser, playerTribe, allTribes, turn, mapData, startingLocations, allChiefRequests, allAssetRequests, journeys, diplomaticProposals, onFinalizeTurn, onRequestChief, onRequestAsset, onUpdateTribe, onLogout, onNavigateToAdmin, onNavigateToLeaderboard, onProposeAlliance, onSueForPeace, onDeclareWar, onAcceptProposal, onRejectProposal } = props;
+  const { currentUser, playerTribe, allTribes, turn, mapData, startingLocations, allChiefRequests, allAssetRequests, journeys, diplomaticProposals, tradeOffers, treaties, chatMessages, chatUnread, onFinalizeTurn, onRequestChief, onRequestAsset, onUpdateTribe, onLogout, onNavigateToAdmin, onNavigateToLeaderboard, gameName, onNavigateToLobby, onProposeAlliance, onSueForPeace, onDeclareWar, onAcceptProposal, onRejectProposal, onProposeTrade, onProposeTreaty, onCancelTreaty, onSendMessage, onMarkChatRead, onAcceptTrade, onRejectTrade } = props;
   const otherTribes = allTribes.filter(t => t.id !== playerTribe?.id);
 
   const [plannedActions, setPlannedActions] = useState<GameAction[]>([]);
@@ -137,7 +151,7 @@ const Dashboard: React.FC<DashboardProps> = (props) => {
   if (!playerTribe && currentUser.role === 'admin') {
       return (
           <div className="p-8">
-              <Header currentUser={currentUser} onLogout={onLogout} onNavigateToAdmin={onNavigateToAdmin} turn={turn} gamePhase="observing" onOpenHelp={() => setIsHelpModalOpen(true)} onOpenCodex={() => setIsCodexOpen(true)} />
+              <Header currentUser={currentUser} onLogout={onLogout} onNavigateToAdmin={onNavigateToAdmin} onNavigateToLobby={onNavigateToLobby} turn={turn} gameName={gameName} gamePhase="observing" onOpenHelp={() => setIsHelpModalOpen(true)} onOpenCodex={() => setIsCodexOpen(true)} />
               <h2 className="text-2xl font-bold text-center mt-8">Admin Observer Mode</h2>
               <p className="text-center text-slate-400">Select "Admin Panel" from the header to view game details.</p>
               <MapView 
@@ -163,7 +177,7 @@ const Dashboard: React.FC<DashboardProps> = (props) => {
       )
   }
   
-  const handleRespondToJourney = (journeyId: string, response: 'accept' | 'reject') => {
+  const handleRespondToJourney = (journeyId: string, response: JourneyResponse) => {
     setJourneyResponses(prev => {
         const otherResponses = prev.filter(r => r.journeyId !== journeyId);
         return [...otherResponses, { journeyId, response }];
@@ -272,6 +286,9 @@ const Dashboard: React.FC<DashboardProps> = (props) => {
                 turn={turn}
                 onRespond={handleRespondToJourney}
                 responses={journeyResponses}
+                tradeOffers={tradeOffers}
+                onAcceptTrade={onAcceptTrade}
+                onRejectTrade={onRejectTrade}
             />
           </>
       );
@@ -279,7 +296,7 @@ const Dashboard: React.FC<DashboardProps> = (props) => {
 
   return (
     <div className="space-y-6 p-4 sm:p-6 lg:p-8">
-      <Header currentUser={currentUser} playerTribe={playerTribe} onLogout={onLogout} onNavigateToAdmin={onNavigateToAdmin} onNavigateToLeaderboard={onNavigateToLeaderboard} turn={turn} gamePhase={gamePhase} onOpenHelp={() => setIsHelpModalOpen(true)} onOpenCodex={() => setIsCodexOpen(true)} />
+      <Header currentUser={currentUser} playerTribe={playerTribe} onLogout={onLogout} onNavigateToAdmin={onNavigateToAdmin} onNavigateToLeaderboard={onNavigateToLeaderboard} onNavigateToLobby={onNavigateToLobby} turn={turn} gameName={gameName} gamePhase={gamePhase} onOpenHelp={() => setIsHelpModalOpen(true)} onOpenCodex={() => setIsCodexOpen(true)} />
       <main className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         <div className="lg:col-span-2 space-y-6">
            <MapView 
@@ -297,17 +314,35 @@ const Dashboard: React.FC<DashboardProps> = (props) => {
           <ResourcePanel globalResources={playerTribe.globalResources} garrisons={playerTribe.garrisons || {}} rationLevel={playerTribe.rationLevel} />
           <TribeStatsComponent stats={playerTribe.stats} />
           {renderActionArea()}
-          <JourneysPanel allJourneys={journeys} playerTribeId={playerTribe.id} turn={turn} />
+          <JourneysPanel
+            allJourneys={journeys}
+            playerTribeId={playerTribe.id}
+            turn={turn}
+            onRespond={handleRespondToJourney}
+            responses={journeyResponses}
+          />
           <DiplomacyPanel 
             playerTribe={playerTribe}
             allTribes={allTribes}
             diplomaticProposals={diplomaticProposals}
+            treaties={treaties}
             turn={turn}
             onProposeAlliance={onProposeAlliance}
             onSueForPeace={onSueForPeace}
             onDeclareWar={onDeclareWar}
             onAcceptProposal={onAcceptProposal}
             onRejectProposal={onRejectProposal}
+            onProposeTrade={onProposeTrade}
+            onProposeTreaty={onProposeTreaty}
+            onCancelTreaty={onCancelTreaty}
+          />
+          <ChatPanel
+            playerTribe={playerTribe}
+            allTribes={allTribes}
+            messages={chatMessages}
+            unread={chatUnread}
+            onSendMessage={onSendMessage}
+            onMarkRead={onMarkChatRead}
           />
           <TechPanel 
             tribe={playerTribe}
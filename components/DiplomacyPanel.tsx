@@ -6,30 +6,40 @@
 
 
 import React, { useState } from 'react';
-import { Tribe, DiplomaticStatus, DiplomaticProposal, DiplomaticRelation } from '../types';
+import { Tribe, DiplomaticStatus, DiplomaticProposal, DiplomaticRelation, TradeGoods, TributeTerms, Treaty, TreatyType } from '../types';
 import Card from './ui/Card';
 import Button from './ui/Button';
 import { TRIBE_ICONS } from '../constants';
 import ConfirmationModal from './ui/ConfirmationModal';
 import SueForPeaceModal from './SueForPeaceModal';
+import ProposeTradeModal from './ProposeTradeModal';
 
 interface DiplomacyPanelProps {
   playerTribe: Tribe;
   allTribes: Tribe[];
   diplomaticProposals: DiplomaticProposal[];
+  treaties: Treaty[];
   turn: number;
   onProposeAlliance: (toTribeId: string) => void;
-  onSueForPeace: (toTribeId: string, reparations: { food: number, scrap: number, weapons: number }) => void;
+  onSueForPeace: (toTribeId: string, reparations: { food: number, scrap: number, weapons: number }, tribute?: TributeTerms) => void;
   onDeclareWar: (toTribeId: string) => void;
   onAcceptProposal: (proposalId: string) => void;
   onRejectProposal: (proposalId: string) => void;
+  onProposeTrade: (toTribeId: string, location: string, offer: TradeGoods, request: TradeGoods) => void;
+  onProposeTreaty: (toTribeId: string, treatyType: TreatyType, vassalTribeId?: string) => void;
+  onCancelTreaty: (treatyId: string) => void;
 }
 
+// Treaties offered from the "Propose treaty" menu; peace and alliances have their own buttons
+const EXTRA_TREATIES = [TreatyType.NonAggression, TreatyType.SharedVision, TreatyType.MilitaryAccess];
+
 const DiplomacyPanel: React.FC<DiplomacyPanelProps> = (props) => {
-  const { playerTribe, allTribes, diplomaticProposals, turn, onProposeAlliance, onSueForPeace, onDeclareWar, onAcceptProposal, onRejectProposal } = props;
+  const { playerTribe, allTribes, diplomaticProposals, treaties, turn, onProposeAlliance, onSueForPeace, onDeclareWar, onAcceptProposal, onRejectProposal, onProposeTrade, onProposeTreaty, onCancelTreaty } = props;
   
   const [warTarget, setWarTarget] = useState<Tribe | null>(null);
+  const [renounceTarget, setRenounceTarget] = useState<Treaty | null>(null);
   const [peaceTarget, setPeaceTarget] = useState<Tribe | null>(null);
+  const [tradeTarget, setTradeTarget] = useState<Tribe | null>(null);
 
   const otherTribes = allTribes.filter(t => t.id !== playerTribe.id && !t.isAI);
   const aiTribes = allTribes.filter(t => t.id !== playerTribe.id && t.isAI);
@@ -44,13 +54,33 @@ const DiplomacyPanel: React.FC<DiplomacyPanelProps> = (props) => {
     setWarTarget(null);
   };
 
-  const handleSueForPeaceSubmit = (reparations: { food: number, scrap: number, weapons: number }) => {
+  const handleSueForPeaceSubmit = (reparations: { food: number, scrap: number, weapons: number }, tribute?: TributeTerms) => {
     if (peaceTarget) {
-      onSueForPeace(peaceTarget.id, reparations);
+      onSueForPeace(peaceTarget.id, reparations, tribute);
     }
     setPeaceTarget(null);
   };
   
+  const handleConfirmRenounce = () => {
+    if (renounceTarget) {
+      onCancelTreaty(renounceTarget.id);
+    }
+    setRenounceTarget(null);
+  };
+
+  // Menu values are "<treaty type>|<vassal tribe id>"
+  const handleTreatyMenu = (tribe: Tribe, value: string) => {
+    const [treatyType, vassalTribeId] = value.split('|');
+    if (treatyType) onProposeTreaty(tribe.id, treatyType as TreatyType, vassalTribeId || undefined);
+  };
+
+  const handleProposeTradeSubmit = (location: string, offer: TradeGoods, request: TradeGoods) => {
+    if (tradeTarget) {
+      onProposeTrade(tradeTarget.id, location, offer, request);
+    }
+    setTradeTarget(null);
+  };
+  
   const getStatusPill = (relation: DiplomaticRelation) => {
     const status = relation?.status || DiplomaticStatus.Neutral;
     const styles = {
@@ -69,6 +99,49 @@ const DiplomacyPanel: React.FC<DiplomacyPanelProps> = (props) => {
     
     return parts.length > 0 ? `They offer: ${parts.join(', ')}.` : 'no reparations.';
   };
+
+  const formatTribute = (tribute: { food: number, scrap: number, weapons: number }) => {
+    const { food, scrap, weapons } = tribute;
+    return Object.entries({ food, scrap, weapons })
+      .filter(([, value]) => value > 0)
+      .map(([key, value]) => `${value} ${key}`)
+      .join(', ') || 'nothing';
+  };
+
+  const getTreatiesWith = (tribe: Tribe) => treaties.filter(t => t.tribeIds.includes(tribe.id) && t.tribeIds.includes(playerTribe.id));
+
+  const describeTreaty = (treaty: Treaty) => {
+    if (treaty.type === TreatyType.Vassalage) return treaty.vassalTribeId === playerTribe.id ? 'Vassalage (you serve them)' : 'Vassalage (they serve you)';
+    if (treaty.expiresOnTurn) return `${treaty.type} (until turn ${treaty.expiresOnTurn})`;
+    return treaty.type;
+  };
+
+  const describeProposal = (p: DiplomaticProposal) => {
+    const type = p.treatyType || (p.statusChangeTo === DiplomaticStatus.Alliance ? TreatyType.Alliance : TreatyType.Peace);
+    if (type === TreatyType.Vassalage) {
+      return p.vassalTribeId === p.fromTribeId ? `${p.fromTribeName} offers to become your vassal` : `${p.fromTribeName} demands that you become their vassal`;
+    }
+    return `${type} proposal from ${p.fromTribeName}`;
+  };
+
+  const describeReputation = (tribe: Tribe) => {
+    const reputation = tribe.reputation ?? 100;
+    const breaches = tribe.treatyBreaches || [];
+    const record = breaches.map(b => `Turn ${b.turn}: broke a ${b.treatyType} with ${b.againstTribeName}`).join('\n');
+    return (
+      <p className={`text-xs mt-1 ${reputation < 50 ? 'text-red-400' : reputation < 80 ? 'text-yellow-400' : 'text-slate-400'}`} title={record || 'No broken treaties on record.'}>
+        Reputation {reputation}{breaches.length > 0 ? ` · ${breaches.length} broken treat${breaches.length === 1 ? 'y' : 'ies'}` : ''}
+      </p>
+    );
+  };
+
+  const describeTribute = (tribe: Tribe) => {
+    const tribute = getTreatiesWith(tribe).find(t => t.tribute)?.tribute;
+    if (!tribute) return null;
+    return tribute.fromTribeId === playerTribe.id
+      ? `You pay ${formatTribute(tribute)} per turn (${tribute.turnsLeft} turn(s) left)`
+      : `They pay you ${formatTribute(tribute)} per turn (${tribute.turnsLeft} turn(s) left)`;
+  };
   
   const renderTribeList = (tribesToList: Tribe[]) => (
     <ul className="space-y-2">
@@ -77,6 +150,19 @@ const DiplomacyPanel: React.FC<DiplomacyPanelProps> = (props) => {
         const isProposalPending = outgoingProposals.some(p => p.toTribeId === tribe.id);
         const isTruceActive = relation.truceUntilTurn && relation.truceUntilTurn > turn;
         const truceTurnsLeft = isTruceActive ? relation.truceUntilTurn! - turn : 0;
+        const activeTreaties = getTreatiesWith(tribe);
+        const isPending = (type: TreatyType) => diplomaticProposals.some(p => p.treatyType === type && [p.fromTribeId, p.toTribeId].includes(tribe.id) && [p.fromTribeId, p.toTribeId].includes(playerTribe.id));
+        const isAvailable = (type: TreatyType) => !isPending(type) && !activeTreaties.some(t => t.type === type);
+        const hasAlliance = activeTreaties.some(t => t.type === TreatyType.Alliance);
+        const treatyOptions = [
+          ...(relation.status === DiplomaticStatus.War ? [] : EXTRA_TREATIES
+            .filter(type => isAvailable(type) && !(hasAlliance && type !== TreatyType.NonAggression))
+            .map(type => ({ value: `${type}|`, label: type }))),
+          ...(isAvailable(TreatyType.Vassalage) ? [
+            { value: `${TreatyType.Vassalage}|${playerTribe.id}`, label: 'Offer to become their vassal' },
+            { value: `${TreatyType.Vassalage}|${tribe.id}`, label: 'Demand their vassalage' },
+          ] : []),
+        ];
 
         return (
           <li key={tribe.id} className="flex items-center justify-between p-2 bg-slate-900/50 rounded-md">
@@ -89,24 +175,45 @@ const DiplomacyPanel: React.FC<DiplomacyPanelProps> = (props) => {
               <div>
                 <p className="font-semibold text-slate-200">{tribe.tribeName}</p>
                 <div className="text-xs">{getStatusPill(relation)}</div>
+                {describeReputation(tribe)}
+                {describeTribute(tribe) && <p className="text-xs text-amber-300 mt-1">{describeTribute(tribe)}</p>}
+                {activeTreaties.map(treaty => (
+                  <p key={treaty.id} className="text-xs text-blue-300 mt-1">
+                    {describeTreaty(treaty)}
+                    {treaty.type !== TreatyType.Peace && (
+                      <button onClick={() => setRenounceTarget(treaty)} className="ml-2 underline text-slate-400 hover:text-red-400">Renounce</button>
+                    )}
+                  </p>
+                ))}
               </div>
             </div>
             <div className="flex items-center space-x-2">
+              {treatyOptions.length > 0 && (
+                <select value="" onChange={e => handleTreatyMenu(tribe, e.target.value)} className="text-xs bg-slate-700 border border-slate-600 rounded-md p-1">
+                  <option value="">Propose treaty...</option>
+                  {treatyOptions.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+              )}
               {isTruceActive && (
                 <span className="text-xs italic text-green-400 self-center pr-2" title={`Truce active from a recent peace treaty.`}>
                   Truce: {truceTurnsLeft} turn(s)
                 </span>
               )}
-              {relation.status === DiplomaticStatus.Neutral && !isProposalPending && !isTruceActive && (
+              {relation.status === DiplomaticStatus.Neutral && !isPending(TreatyType.Alliance) && !isTruceActive && (
                 <Button onClick={() => onProposeAlliance(tribe.id)} className="text-xs px-2 py-1 bg-green-800 hover:bg-green-700">
                   Propose Alliance
                 </Button>
               )}
-               {relation.status === DiplomaticStatus.War && !isProposalPending && (
+               {relation.status === DiplomaticStatus.War && !isPending(TreatyType.Peace) && (
                 <Button onClick={() => setPeaceTarget(tribe)} className="text-xs px-2 py-1 bg-yellow-600 hover:bg-yellow-700">
                   Sue for Peace
                 </Button>
               )}
+              {relation.status !== DiplomaticStatus.War && (
+                <Button onClick={() => setTradeTarget(tribe)} className="text-xs px-2 py-1 bg-amber-700 hover:bg-amber-600">
+                  Offer Trade
+                </Button>
+              )}
               {isProposalPending && <span className="text-xs italic text-yellow-400 self-center pr-2">Pending</span>}
               {relation.status !== DiplomaticStatus.War && (
                  <Button 
@@ -134,15 +241,18 @@ const DiplomacyPanel: React.FC<DiplomacyPanelProps> = (props) => {
               <h4 className="font-semibold text-slate-300 mb-2">Incoming Proposals</h4>
               {incomingProposals.map(p => {
                 const turnsLeft = p.expiresOnTurn - turn;
-                const isPeaceTreaty = p.statusChangeTo === DiplomaticStatus.Neutral;
+                const isPeaceTreaty = p.treatyType ? p.treatyType === TreatyType.Peace : p.statusChangeTo === DiplomaticStatus.Neutral;
                 return (
                   <div key={p.id} className={`p-3 border rounded-lg space-y-2 ${isPeaceTreaty ? 'bg-yellow-900/50 border-yellow-700' : 'bg-blue-900/50 border-blue-700'}`}>
                     <p className={`font-bold text-sm ${isPeaceTreaty ? 'text-yellow-300' : 'text-blue-300'}`}>
-                      {isPeaceTreaty ? 'Peace' : 'Alliance'} proposal from {p.fromTribeName}
+                      {describeProposal(p)}
                     </p>
                     {isPeaceTreaty && (
                       <p className="text-xs text-slate-300">{formatReparations(p.reparations)}</p>
                     )}
+                    {p.tribute && (
+                      <p className="text-xs text-slate-300">Tribute: {formatTribute(p.tribute)} per turn for {p.tribute.turns} turn(s).</p>
+                    )}
                     <p className={`text-xs ${turnsLeft <= 1 ? 'text-red-400' : 'text-slate-400'}`}>Expires in {turnsLeft} turn(s)</p>
                     <div className="flex justify-end space-x-2">
                        <Button onClick={() => onRejectProposal(p.id)} className="text-xs px-3 py-1 bg-red-800/80 hover:bg-red-700">
@@ -179,6 +289,16 @@ const DiplomacyPanel: React.FC<DiplomacyPanelProps> = (props) => {
           onCancel={() => setWarTarget(null)}
         />
       )}
+      {renounceTarget && (
+        <ConfirmationModal
+          title={`Renounce your ${renounceTarget.type}?`}
+          message={renounceTarget.type === TreatyType.Vassalage && renounceTarget.vassalTribeId !== playerTribe.id
+            ? 'Your vassal will be released from its obligations.'
+            : 'Breaking a treaty costs your tribe reputation and morale, and every tribe will see it on your record.'}
+          onConfirm={handleConfirmRenounce}
+          onCancel={() => setRenounceTarget(null)}
+        />
+      )}
       {peaceTarget && (
         <SueForPeaceModal 
           isOpen={!!peaceTarget}
@@ -188,6 +308,15 @@ const DiplomacyPanel: React.FC<DiplomacyPanelProps> = (props) => {
           targetTribe={peaceTarget}
         />
       )}
+      {tradeTarget && (
+        <ProposeTradeModal
+          isOpen={!!tradeTarget}
+          onClose={() => setTradeTarget(null)}
+          onSubmit={handleProposeTradeSubmit}
+          playerTribe={playerTribe}
+          targetTribe={tradeTarget}
+        />
+      )}
     </>
   );
 };
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { GameSummary, User, TurnSchedule, MapSettings } from '../types';
+import Card from './ui/Card';
+import Button from './ui/Button';
+import ConfirmationModal from './ui/ConfirmationModal';
+
+export interface NewGameOptions {
+  name: string;
+  seed?: number;
+  mapSettings?: Partial<MapSettings>;
+  turnSchedule?: Partial<TurnSchedule> & { enabled: boolean };
+}
+
+interface GameLobbyProps {
+  games: GameSummary[];
+  currentGameId?: string;
+  currentUser: User;
+  onJoinGame: (gameId: string) => void;
+  onCreateGame: (options: NewGameOptions) => void;
+  onArchiveGame: (gameId: string) => void;
+  onBack: () => void;
+}
+
+// The server's own default game; it can't be archived
+const DEFAULT_GAME_ID = 'main';
+const MAX_NAME_LENGTH = 40;
+
+const GameLobby: React.FC<GameLobbyProps> = ({ games, currentGameId, currentUser, onJoinGame, onCreateGame, onArchiveGame, onBack }) => {
+  const [name, setName] = useState('');
+  const [seed, setSeed] = useState('');
+  const [startSpacing, setStartSpacing] = useState('');
+  const [dailyAt, setDailyAt] = useState('');
+  const [archiveCandidate, setArchiveCandidate] = useState<GameSummary | null>(null);
+  const isAdmin = currentUser.role === 'admin';
+
+  const handleCreate = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onCreateGame({
+      name: name.trim(),
+      seed: seed ? parseInt(seed, 10) : undefined,
+      mapSettings: startSpacing ? { startSpacing: parseInt(startSpacing, 10) } : undefined,
+      turnSchedule: dailyAt
+        ? { enabled: true, dailyAt, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone }
+        : undefined,
+    });
+    setName('');
+    setSeed('');
+    setStartSpacing('');
+    setDailyAt('');
+  };
+
+  const handleConfirmArchive = () => {
+    if (archiveCandidate) onArchiveGame(archiveCandidate.id);
+    setArchiveCandidate(null);
+  };
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold text-amber-400">Games</h1>
+          <Button onClick={onBack}>Back to Game</Button>
+        </div>
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2">
+            <Card title="Games on this server">
+              <ul className="space-y-3">
+                {games.map(game => {
+                  const isCurrent = game.id === currentGameId;
+                  const hasTribe = game.playerIds.includes(currentUser.id);
+                  return (
+                    <li key={game.id} className={`p-3 rounded-md flex justify-between items-center ${isCurrent ? 'bg-slate-700 border border-amber-600' : 'bg-slate-900/50'}`}>
+                      <div>
+                        <p className="font-semibold text-white">
+                          {game.name}
+                          {hasTribe && <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-amber-600 text-white">Your tribe</span>}
+                        </p>
+                        <p className="text-xs text-slate-400">
+                          Turn {game.turn} · {game.tribeCount} {game.tribeCount === 1 ? 'tribe' : 'tribes'}
+                          {game.deadline && ` · turn ends ${new Date(game.deadline).toLocaleString()}`}
+                        </p>
+                      </div>
+                      <div className="flex space-x-2">
+                        {isCurrent
+                          ? <span className="text-sm text-amber-400 self-center">Playing</span>
+                          : <Button onClick={() => onJoinGame(game.id)}>{hasTribe || isAdmin ? 'Open' : 'Join'}</Button>}
+                        {isAdmin && game.id !== DEFAULT_GAME_ID && (
+                          <Button variant="secondary" onClick={() => setArchiveCandidate(game)}>Archive</Button>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+              <p className="text-xs text-slate-500 mt-4">You can lead one tribe in each game. Joining a game where you have none takes you to tribe creation.</p>
+            </Card>
+          </div>
+
+          {isAdmin && (
+            <Card title="Create a game">
+              <form onSubmit={handleCreate} className="space-y-3">
+                <label className="block text-sm text-slate-400">
+                  Name
+                  <input type="text" value={name} maxLength={MAX_NAME_LENGTH} onChange={e => setName(e.target.value)}
+                    className="mt-1 w-full bg-slate-700 border border-slate-600 rounded-md p-2 text-sm text-slate-200" />
+                </label>
+                <label className="block text-sm text-slate-400">
+                  Map seed <span className="text-xs text-slate-500">(random if empty)</span>
+                  <input type="number" value={seed} onChange={e => setSeed(e.target.value)}
+                    className="mt-1 w-full bg-slate-700 border border-slate-600 rounded-md p-2 text-sm text-slate-200" />
+                </label>
+                <label className="block text-sm text-slate-400">
+                  Start spacing <span className="text-xs text-slate-500">(hexes between tribes)</span>
+                  <input type="number" min={1} max={30} value={startSpacing} onChange={e => setStartSpacing(e.target.value)}
+                    className="mt-1 w-full bg-slate-700 border border-slate-600 rounded-md p-2 text-sm text-slate-200" />
+                </label>
+                <label className="block text-sm text-slate-400">
+                  Process turns daily at <span className="text-xs text-slate-500">(manual if empty)</span>
+                  <input type="time" value={dailyAt} onChange={e => setDailyAt(e.target.value)}
+                    className="mt-1 w-full bg-slate-700 border border-slate-600 rounded-md p-2 text-sm text-slate-200" />
+                </label>
+                <Button type="submit" className="w-full" disabled={!name.trim()}>Create Game</Button>
+                <p className="text-xs text-slate-500">You are taken to the new game; edit its map and schedule from the Admin Panel as usual.</p>
+              </form>
+            </Card>
+          )}
+        </div>
+      </div>
+
+      {archiveCandidate && (
+        <ConfirmationModal
+            title={`Archive ${archiveCandidate.name}?`}
+            message="The game stops and disappears from the lobby. Its files are kept on the server. Are you sure?"
+            onConfirm={handleConfirmArchive}
+            onCancel={() => setArchiveCandidate(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default GameLobby;
@@ -10,13 +10,15 @@ interface HeaderProps {
   onLogout: () => void;
   onNavigateToAdmin: () => void;
   onNavigateToLeaderboard?: () => void;
+  onNavigateToLobby?: () => void; // Only when the server runs several games
   onOpenHelp: () => void;
   onOpenCodex: () => void;
   turn: number;
+  gameName?: string;
   gamePhase: GamePhase | 'observing' | 'waiting';
 }
 
-const Header: React.FC<HeaderProps> = ({ currentUser, playerTribe, onLogout, onNavigateToAdmin, onNavigateToLeaderboard, onOpenHelp, onOpenCodex, turn, gamePhase }) => {
+const Header: React.FC<HeaderProps> = ({ currentUser, playerTribe, onLogout, onNavigateToAdmin, onNavigateToLeaderboard, onNavigateToLobby, onOpenHelp, onOpenCodex, turn, gameName, gamePhase }) => {
   const phaseText: {[key in typeof gamePhase]: string} = {
       planning: 'Action Planning',
       processing: 'Processing...',
@@ -61,6 +63,7 @@ const Header: React.FC<HeaderProps> = ({ currentUser, playerTribe, onLogout, onN
       </div>
       <div className="text-center sm:text-right mt-4 sm:mt-0 flex items-center space-x-4">
         <div>
+            {gameName && <p className="text-xs text-slate-500">{gameName}</p>}
             <h2 className="text-lg font-semibold text-slate-300">Turn {turn}</h2>
             <p className={`text-sm ${getPhaseColor()}`}>{phaseText[gamePhase]}</p>
         </div>
@@ -72,6 +75,7 @@ const Header: React.FC<HeaderProps> = ({ currentUser, playerTribe, onLogout, onN
                 <span>Leaderboard</span>
             </Button>
          )}
+         {onNavigateToLobby && <Button onClick={onNavigateToLobby} variant="secondary">Games</Button>}
          <Button onClick={onOpenCodex} variant="secondary" className="flex items-center space-x-2">
             <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
               <path strokeLinecap="round" strokeLinejoin="round" d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
@@ -50,35 +50,76 @@ const GameRulesContent: React.FC = () => (
             <p>You can manage your relationships with other tribes via the new Diplomacy panel.</p>
             <ul className="list-disc list-inside space-y-1 pl-4">
                  <li><strong className="text-white">Propose Alliance:</strong> You can send an alliance proposal to a tribe you are Neutral with. They will have a few turns to accept or reject it.</li>
-                 <li><strong className="text-blue-400">Alliances:</strong> Allies share vision, allowing you to see their territory and any enemies they spot. You can also move your forces into an ally's garrisoned hex without starting a fight.</li>
-                 <li><strong className="text-red-400">Declare War:</strong> You can declare war on any tribe. This is a formal action that takes effect at the end of the turn, changing your status to 'War'.</li>
+                 <li><strong className="text-blue-400">Alliances:</strong> Allies share vision, allowing you to see their territory and any enemies they spot. Your forces can march through an ally's garrisoned hexes, and when an ally's garrison is attacked, your garrisons within 2 hexes send half their troops to help defend it.</li>
+                 <li><strong className="text-white">Other Treaties:</strong> From the "Propose treaty" menu you can offer a <em>Non-Aggression Pact</em> (no fighting for 10 turns), <em>Shared Vision</em> or <em>Military Access</em> (the matching parts of an alliance), or vassalage. A <em>vassal</em> pays its overlord a tenth of its food and scrap every turn and shares what it explores; in return the overlord comes to its defense. Surrendering as a vassal is possible even mid-war.</li>
+                 <li><strong className="text-yellow-400">Sue for Peace:</strong> While at war you can offer peace, sweetened with reparations paid in full the moment they accept, and a tribute paid every turn for a number of turns. If you can no longer afford the reparations when they accept, the offer is void.</li>
+                 <li><strong className="text-white">Treaties & Truces:</strong> An accepted proposal becomes a treaty with a minimum truce: 5 turns for peace, 3 for an alliance. Neither side can declare war until it runs out. A tribe that misses a tribute payment defaults: the tribute stops and the truce ends at once.</li>
+                 <li><strong className="text-red-400">Declare War:</strong> You can declare war on any tribe you have no truce with. It takes effect immediately, tears up any treaty between you and cancels open proposals.</li>
+                 <li><strong className="text-red-400">Reputation:</strong> Every tribe starts with 100 reputation and regains 1 per turn. Declaring war on a treaty partner, or renouncing a treaty, costs reputation and morale, and every tribe can see your record of broken treaties. An overlord may release its vassal freely.</li>
+            </ul>
+        </Section>
+        <Section title="Messages">
+            <p>The Messages panel lets you talk to other tribes without leaving the game. Pick a channel at the top; a number next to it counts the messages you haven't read yet.</p>
+            <ul className="list-disc list-inside space-y-1 pl-4">
+                 <li><strong className="text-white">Global:</strong> Every tribe reads it.</li>
+                 <li><strong className="text-blue-400">Alliance:</strong> Your message reaches every tribe you are allied with at the time you send it.</li>
+                 <li><strong className="text-white">Direct message:</strong> A private conversation with one tribe. Only the two of you can read it.</li>
+                 <li><strong className="text-red-300">Announcements:</strong> Messages from the game's admins.</li>
+            </ul>
+        </Section>
+        <Section title="Games">
+            <p>A server can run several games at once, each with its own map, tribes and turn schedule. Open <strong className="text-white">Games</strong> in the header to see them all and switch between them; the one you are playing is shown above the turn counter.</p>
+            <ul className="list-disc list-inside space-y-1 pl-4">
+                 <li><strong className="text-white">Joining:</strong> You can lead one tribe in each game. Opening a game where you have none takes you to tribe creation.</li>
+                 <li><strong className="text-white">Reminders:</strong> Turn reminders reach you from every game you play in, whichever one you are looking at.</li>
+                 <li><strong className="text-white">Admins:</strong> Create new games from the lobby. Admin Panel tools, including Start New Game, only affect the game you are in.</li>
             </ul>
         </Section>
         <Section title="Journeys & Travel Time">
-            <p>Actions involving travel now use the <strong className="text-white">Journey</strong> system, which has two speeds:</p>
+            <p><strong className="text-white">Move</strong>, <strong className="text-white">Attack</strong>, <strong className="text-white">Scout</strong> and <strong className="text-white">Trade</strong> send a force out on a <strong className="text-white">Journey</strong> that travels hex by hex along the cheapest route.</p>
             <ul className="list-disc list-inside space-y-1 pl-4">
-                <li><strong className="text-white">Fast-Track Travel:</strong> Very short, non-aggressive journeys (e.g., Move, Scavenge, Scout to a nearby hex) are now resolved <strong className="text-amber-400">instantly</strong> during turn processing. A quick scavenge run will see your troops return with loot, ready for your next turn, all in one go.</li>
-                <li><strong className="text-white">Standard Journeys:</strong> Longer journeys and all <strong className="text-red-400">Attack</strong> actions will always take at least one turn. These are dispatched as traveling groups that you can see on the map and track in the "Active Journeys" panel. This preserves the strategic warning for attacks.</li>
-                <li>When planning, the game will still show you an <strong className="text-white">Estimated Travel Time</strong>. If the action can be fast-tracked, it will resolve immediately.</li>
+                <li><strong className="text-white">Speed:</strong> Each turn a journey has 5 movement points (more with technology) and spends them on the terrain it enters: 1 for open ground, up to 2.5 for mountains. A journey that arrives within its first turn resolves straight away; longer ones show up on the map and in the "Active Journeys" panel with their ETA. Scouting parties travel at twice the speed.</li>
+                <li><strong className="text-white">Blocked Routes:</strong> Journeys can't pass through other tribes' garrisons, unless that tribe is your ally or has granted you military access. If the way is cut off, the journey halts where it stands.</li>
+                <li><strong className="text-red-400">Interception:</strong> A garrison of a tribe you are at war with sallies out with half its troops against any of your journeys passing next to it. If the raiders win, they seize whatever the journey was carrying. Either way the journey halts.</li>
+                <li><strong className="text-white">Orders:</strong> Halted journeys show <strong className="text-white">Continue</strong> and <strong className="text-white">Retreat</strong> buttons in the "Active Journeys" panel. Your order is sent when you finalize your turn; without one the journey presses on.</li>
+                <li><strong className="text-white">Coming Home:</strong> Scouts head home after surveying their target, and repelled attackers fall back. Returning forces join their original garrison, or the nearest one if it has fallen.</li>
+                <li>Troops on a journey still eat from your food stores.</li>
             </ul>
         </Section>
          <Section title="Trade">
             <p>Trading is handled through the journey system. It's a multi-turn process involving risk and player interaction.</p>
             <ul className="list-disc list-inside space-y-1 pl-4">
-                <li><strong className="text-white">Dispatch:</strong> You send a `Trade` caravan. It will travel to the target, which may take several turns.</li>
+                <li><strong className="text-white">Dispatch:</strong> You send a `Trade` caravan carrying the goods you offer. It will travel to the target, which may take several turns. Tribes at war won't trade.</li>
                 <li><strong className="text-white">Arrival & Decision:</strong> When your caravan arrives, it enters a "waiting" state. The receiving player will see your offer in their "Pending Trade Offers" panel and has two turns to respond.</li>
                 <li><strong className="text-white">The Return Journey:</strong> Once a decision is made (or the offer expires), a return journey is automatically created. This also takes time.</li>
                 <li><strong className="text-white">Arrival Home:</strong> When the caravan returns, the goods and surviving guards are added back to your tribe.</li>
             </ul>
+            <p>You can also make a <strong className="text-white">direct offer</strong> from the Diplomacy panel with "Offer Trade": food, scrap, weapons, troops or assets in exchange for theirs. No caravan travels, but what you offer is held in escrow as soon as you send it. The other tribe can accept or reject it at any time within 3 turns; if they reject it, you withdraw it, it expires, or war breaks out between you, the goods come back to you.</p>
         </Section>
         <Section title="Resources & Stats">
             <ul className="list-disc list-inside space-y-1 pl-4">
                 <li><strong className="text-white">Troops:</strong> Your population. Needed for all actions and for defense. Consume food each turn.</li>
                 <li><strong className="text-white">Weapons:</strong> Boost your combat power in attacks and defense.</li>
-                <li><strong className="text-white">Food:</strong> A global resource used to feed troops and recruit new ones. If you run out, troops will starve and morale will plummet.</li>
+                <li><strong className="text-white">Food:</strong> A global resource used to feed troops and recruit new ones. Each troop eats 1 food per turn on Normal rations. If you run out, unfed troops desert and morale plummets.</li>
                 <li><strong className="text-white">Scrap:</strong> A global resource used for building weapons, outposts, and researching technology.</li>
-                <li><strong className="text-white">Morale:</strong> Your tribe's happiness. Low morale can lead to desertions. Affected by food rations and combat outcomes.</li>
-                <li><strong className="text-white">Rations:</strong> Set the food consumption rate. Generous rations boost morale but use more food, while Hard rations save food at the cost of morale.</li>
+                <li><strong className="text-white">Morale:</strong> Your tribe's happiness. High morale makes troops fight harder and recruits easier to find; low morale does the opposite. Affected by food rations, starvation, battles won and lost, and resting.</li>
+                <li><strong className="text-white">Rations:</strong> Set the food consumption rate. Generous rations (1.5 food per troop) boost morale but use more food, while Hard rations (0.5 food per troop) save food at the cost of morale.</li>
+            </ul>
+        </Section>
+        <Section title="Territory & Outposts">
+            <ul className="list-disc list-inside space-y-1 pl-4">
+                <li><strong className="text-white">Outposts:</strong> <code className="bg-slate-900 p-1 rounded">Build Outpost</code> costs 25 scrap and at least 5 builders, who become the new garrison. You can't build inside another tribe's territory.</li>
+                <li><strong className="text-white">Territory:</strong> Every garrison claims the hexes around it: two hexes for your home base, one for an outpost, and one more for garrisons of 30 troops or more. Where claims overlap, the stronger and closer garrison wins.</li>
+                <li><strong className="text-white">Supply Lines:</strong> <code className="bg-slate-900 p-1 rounded">Supply Outpost</code> sends troops, weapons and chiefs to another of your garrisons at any distance, as long as the route stays inside your territory.</li>
+                <li><strong className="text-white">Chiefs:</strong> When requesting a chief, choose which garrison they join once approved.</li>
+            </ul>
+        </Section>
+        <Section title="Points of Interest">
+            <ul className="list-disc list-inside space-y-1 pl-4">
+                <li><strong className="text-white">Resource Sites:</strong> Scavenging at a POI brings back what that site holds, whatever you went looking for: Scrapyards, Mines, Factories, Ruins and Craters give scrap, Food Sources and Settlements give food, Weapons Caches and Battlefields give weapons.</li>
+                <li><strong className="text-white">Garrisoned Sites:</strong> A garrison standing on a resource site collects a small yield from it every turn.</li>
+                <li><strong className="text-white">Richness:</strong> Every site holds a limited amount. Hover a POI to see what is left; once it runs dry the POI disappears.</li>
+                <li><strong className="text-white">Vaults & Bandit Camps:</strong> Scavenging a Vault opens it for a one-time haul that may include a rare asset. Scavengers at a Bandit Camp must fight the bandits; clearing the camp wins its stash.</li>
             </ul>
         </Section>
          <Section title="Combat">
@@ -118,7 +159,7 @@ const UIGuideContent: React.FC = () => (
                 <li><strong className="text-white">Resource Panel:</strong> An at-a-glance summary of your tribe's total troops, weapons, and global resources like food, scrap, and morale.</li>
                 <li><strong className="text-white">Tribe Attributes:</strong> Displays your tribe's four core stats.</li>
                 <li><strong className="text-white">Turn Actions Panel:</strong> This is where you manage your turn. Add new actions, review planned actions, and finalize your turn when ready.</li>
-                <li><strong className="text-white">Pending Trade Offers:</strong> Appears when you have incoming trade offers to respond to.</li>
+                <li><strong className="text-white">Pending Trade Offers:</strong> Appears when you have incoming trade offers to respond to, or direct offers of your own still awaiting an answer.</li>
                 <li><strong className="text-white">Active Journeys Panel:</strong> A new panel that shows all of your groups currently traveling across the map, including their destination and ETA.</li>
                  <li><strong className="text-white">Diplomacy Panel:</strong> A new panel to manage your relations with other tribes. View current statuses, propose alliances, declare war, and respond to incoming proposals.</li>
                  <li><strong className="text-white">Technology & Chiefs Panels:</strong> Manage your research and chiefs from these panels.</li>
@@ -144,6 +144,9 @@ export const Hexagon: React.FC<HexagonProps> = (props) => {
       className={groupClasses}
     >
       {isPoliticalMode && politicalData && <title>{`${politicalData.tribeName}'s Territory`}</title>}
+      {!isPoliticalMode && poi && !isFogged && (
+        <title>{poi.richness === undefined ? poi.type : `${poi.type} (${poi.richness} left)`}</title>
+      )}
       <polygon
         points={points}
         fill={getFillColor()}
@@ -2,14 +2,17 @@
 import React from 'react';
 import { Journey, Tribe } from '../types';
 import Card from './ui/Card';
+import Button from './ui/Button';
 
 interface JourneysPanelProps {
   allJourneys: Journey[];
   playerTribeId: string;
   turn: number;
+  onRespond: (journeyId: string, response: 'continue' | 'retreat') => void;
+  responses: Tribe['journeyResponses'];
 }
 
-const JourneysPanel: React.FC<JourneysPanelProps> = ({ allJourneys, playerTribeId, turn }) => {
+const JourneysPanel: React.FC<JourneysPanelProps> = ({ allJourneys, playerTribeId, turn, onRespond, responses }) => {
   const playerJourneys = allJourneys.filter(j => j.ownerTribeId === playerTribeId);
 
   if (playerJourneys.length === 0) {
@@ -29,6 +32,8 @@ const JourneysPanel: React.FC<JourneysPanelProps> = ({ allJourneys, playerTribeI
         <ul className="space-y-3 max-h-64 overflow-y-auto pr-2">
             {playerJourneys.map(journey => {
                 const turnsLeft = journey.arrivalTurn;
+                // A halted journey presses on unless told to retreat
+                const order = responses.find(r => r.journeyId === journey.id)?.response ?? 'continue';
                 
                 return (
                     <li key={journey.id} className="text-sm p-3 bg-slate-900/50 rounded-md">
@@ -43,6 +48,25 @@ const JourneysPanel: React.FC<JourneysPanelProps> = ({ allJourneys, playerTribeI
                         <p className="text-xs text-slate-300">Force: {formatForce(journey.force)}</p>
                         {journey.status === 'returning' && <p className="text-xs italic text-green-400">Returning home...</p>}
                         {journey.status === 'awaiting_response' && <p className="text-xs italic text-yellow-400">Awaiting response...</p>}
+                        {journey.status === 'halted' && (
+                            <div className="mt-2 space-y-2">
+                                <p className="text-xs italic text-red-400">Halted at {journey.currentLocation}: {journey.haltReason}</p>
+                                <div className="flex justify-end space-x-2">
+                                    <Button
+                                        onClick={() => onRespond(journey.id, 'retreat')}
+                                        className={`text-xs px-3 py-1 ${order === 'retreat' ? 'bg-red-600 ring-2 ring-red-400' : 'bg-red-800/80 hover:bg-red-700'}`}
+                                    >
+                                        Retreat
+                                    </Button>
+                                    <Button
+                                        onClick={() => onRespond(journey.id, 'continue')}
+                                        className={`text-xs px-3 py-1 ${order === 'continue' ? 'bg-green-600 ring-2 ring-green-400' : 'bg-green-800/80 hover:bg-green-700'}`}
+                                    >
+                                        Continue
+                                    </Button>
+                                </div>
+                            </div>
+                        )}
                     </li>
                 );
             })}
@@ -38,13 +38,20 @@ const Leaderboard: React.FC<LeaderboardProps> = ({ gameState, playerTribe, onBac
 
     const territoryData = useMemo(() => {
         const data = new Map<string, { color: string; tribeName: string }>();
+        if (gameState.territory) {
+            Object.entries(gameState.territory).forEach(([location, tribeId]) => {
+                const tribe = rankedTribes.find(t => t.id === tribeId);
+                if (tribe) data.set(location, { color: tribe.color, tribeName: tribe.tribeName });
+            });
+            return data;
+        }
         rankedTribes.forEach((tribe) => {
             Object.keys(tribe.garrisons).forEach(location => {
                 data.set(location, { color: tribe.color, tribeName: tribe.tribeName });
             });
         });
         return data;
-    }, [rankedTribes]);
+    }, [rankedTribes, gameState.territory]);
 
   return (
     <div className="p-4 sm:p-6 lg:p-8">
@@ -1,7 +1,7 @@
 
 
 import React from 'react';
-import { Journey, Tribe, JourneyType } from '../types';
+import { Journey, Tribe, JourneyType, TradeOffer, TradeGoods } from '../types';
 import Card from './ui/Card';
 import Button from './ui/Button';
 
@@ -11,16 +11,22 @@ interface PendingTradesPanelProps {
   turn: number;
   onRespond: (journeyId: string, response: 'accept' | 'reject') => void;
   responses: Tribe['journeyResponses'];
+  tradeOffers: TradeOffer[];
+  onAcceptTrade: (tradeId: string) => void;
+  onRejectTrade: (tradeId: string) => void;
 }
 
-const PendingTradesPanel: React.FC<PendingTradesPanelProps> = ({ allJourneys, playerTribeId, turn, onRespond, responses }) => {
+const PendingTradesPanel: React.FC<PendingTradesPanelProps> = ({ allJourneys, playerTribeId, turn, onRespond, responses, tradeOffers, onAcceptTrade, onRejectTrade }) => {
   const incomingTradeJourneys = allJourneys.filter(j => 
       j.type === JourneyType.Trade && 
       j.status === 'awaiting_response' && 
       j.ownerTribeId !== playerTribeId
   );
 
-  if (incomingTradeJourneys.length === 0) {
+  const incomingOffers = tradeOffers.filter(t => t.toTribeId === playerTribeId);
+  const outgoingOffers = tradeOffers.filter(t => t.fromTribeId === playerTribeId);
+
+  if (incomingTradeJourneys.length === 0 && incomingOffers.length === 0 && outgoingOffers.length === 0) {
     return null;
   }
   
@@ -31,9 +37,58 @@ const PendingTradesPanel: React.FC<PendingTradesPanelProps> = ({ allJourneys, pl
       .join(', ') || 'nothing';
   };
 
+  const formatGoods = (goods: TradeGoods) => {
+    const { assets, ...amounts } = goods;
+    return [formatResources(amounts), ...assets].filter(part => part !== 'nothing').join(', ') || 'nothing';
+  };
+
+  const renderOffer = (trade: TradeOffer, incoming: boolean) => {
+    const turnsLeft = trade.expiresOnTurn - turn;
+    return (
+      <li key={trade.id} className="text-sm p-3 bg-slate-900/50 rounded-md space-y-2">
+        <div className="flex justify-between items-start">
+          <p className="font-bold text-amber-400">
+            {incoming ? <>Offer from <span className="text-white">{trade.fromTribeName}</span></> : 'Your offer (awaiting answer)'}
+          </p>
+          <p className={`text-xs font-semibold ${turnsLeft <= 1 ? 'text-red-400 animate-pulse' : 'text-slate-400'}`}>
+            {turnsLeft > 0 ? `Expires in ${turnsLeft} turn(s)` : `Expires this turn`}
+          </p>
+        </div>
+        <div className="grid grid-cols-2 gap-2 text-xs">
+          <div className="bg-slate-800 p-2 rounded">
+            <p className="font-semibold text-slate-300">{incoming ? 'They Offer:' : 'You Offer:'}</p>
+            <p className="text-white">{formatGoods(trade.offer)}</p>
+          </div>
+          <div className="bg-slate-800 p-2 rounded">
+            <p className="font-semibold text-slate-300">{incoming ? 'They Request:' : 'You Request:'}</p>
+            <p className="text-white">{formatGoods(trade.request)}</p>
+          </div>
+        </div>
+        <div className="flex justify-end space-x-2 pt-2">
+          {incoming ? (
+            <>
+              <Button onClick={() => onRejectTrade(trade.id)} className="text-xs px-3 py-1 bg-red-800/80 hover:bg-red-700">
+                Reject
+              </Button>
+              <Button onClick={() => onAcceptTrade(trade.id)} className="text-xs px-3 py-1 bg-green-800/80 hover:bg-green-700">
+                Accept
+              </Button>
+            </>
+          ) : (
+            <Button onClick={() => onRejectTrade(trade.id)} className="text-xs px-3 py-1 bg-slate-700 hover:bg-slate-600">
+              Withdraw
+            </Button>
+          )}
+        </div>
+      </li>
+    );
+  };
+
   return (
     <Card title="Pending Trade Offers">
         <ul className="space-y-4 max-h-64 overflow-y-auto pr-2">
+            {incomingOffers.map(trade => renderOffer(trade, true))}
+            {outgoingOffers.map(trade => renderOffer(trade, false))}
             {incomingTradeJourneys.map(journey => {
                 if (!journey.tradeOffer) return null;
                 const currentResponse = responses.find(r => r.journeyId === journey.id)?.response;
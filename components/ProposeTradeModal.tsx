@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Tribe, TradeGoods } from '../types';
+import Card from './ui/Card';
+import Button from './ui/Button';
+
+interface ProposeTradeModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onSubmit: (location: string, offer: TradeGoods, request: TradeGoods) => void;
+  playerTribe: Tribe;
+  targetTribe: Tribe;
+}
+
+type CountField = 'food' | 'scrap' | 'weapons' | 'troops';
+const COUNT_FIELDS: CountField[] = ['food', 'scrap', 'weapons', 'troops'];
+
+const emptyGoods = (): TradeGoods => ({ food: 0, scrap: 0, weapons: 0, troops: 0, assets: [] });
+
+const ProposeTradeModal: React.FC<ProposeTradeModalProps> = ({ isOpen, onClose, onSubmit, playerTribe, targetTribe }) => {
+  const [location, setLocation] = useState(playerTribe.location);
+  const [offer, setOffer] = useState<TradeGoods>(emptyGoods);
+  const [request, setRequest] = useState<TradeGoods>(emptyGoods);
+
+  if (!isOpen) return null;
+
+  const garrison = playerTribe.garrisons[location] || { troops: 0, weapons: 0 };
+  const available: Record<CountField, number> = {
+    food: playerTribe.globalResources.food,
+    scrap: playerTribe.globalResources.scrap,
+    weapons: garrison.weapons,
+    troops: garrison.troops,
+  };
+
+  const setCount = (setGoods: React.Dispatch<React.SetStateAction<TradeGoods>>, field: CountField, value: string) =>
+    setGoods(prev => ({ ...prev, [field]: Math.max(0, parseInt(value) || 0) }));
+
+  const toggleAsset = (setGoods: React.Dispatch<React.SetStateAction<TradeGoods>>, asset: string) =>
+    setGoods(prev => ({ ...prev, assets: prev.assets.includes(asset) ? prev.assets.filter(a => a !== asset) : [...prev.assets, asset] }));
+
+  const isEmpty = (goods: TradeGoods) => COUNT_FIELDS.every(field => goods[field] === 0) && goods.assets.length === 0;
+  const canAfford = COUNT_FIELDS.every(field => offer[field] <= available[field]);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    onSubmit(location, offer, request);
+    onClose();
+  };
+
+  const renderAssets = (assets: string[], selected: string[], setGoods: React.Dispatch<React.SetStateAction<TradeGoods>>) => assets.length > 0 && (
+    <div className="flex flex-wrap gap-2 pt-1">
+      {assets.map(asset => (
+        <label key={asset} className="flex items-center space-x-1 text-xs text-slate-300">
+          <input type="checkbox" checked={selected.includes(asset)} onChange={() => toggleAsset(setGoods, asset)} />
+          <span>{asset}</span>
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="w-full max-w-lg" onClick={e => e.stopPropagation()}>
+        <Card title={`Offer a Trade to ${targetTribe.tribeName}`}>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <p className="text-slate-400">What you offer is held in escrow until {targetTribe.tribeName} answers. You get it back if they reject the offer, or if it expires after 3 turns.</p>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">Troops and weapons trade through</label>
+              <select value={location} onChange={e => setLocation(e.target.value)} className="w-full bg-slate-700 border border-slate-600 rounded-md p-2">
+                {Object.keys(playerTribe.garrisons).map(loc => (
+                  <option key={loc} value={loc}>{loc === playerTribe.location ? `${loc} (Home)` : loc}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <h4 className="font-semibold text-slate-300">You Offer</h4>
+                {COUNT_FIELDS.map(field => (
+                  <div key={field}>
+                    <label className="block text-xs text-slate-400 capitalize">{field} (have {available[field]})</label>
+                    <input type="number" value={offer[field]} onChange={e => setCount(setOffer, field, e.target.value)} min="0" max={available[field]} className="w-full bg-slate-700 border border-slate-600 rounded-md p-1" />
+                  </div>
+                ))}
+                {renderAssets(playerTribe.assets || [], offer.assets, setOffer)}
+              </div>
+              <div className="space-y-2">
+                <h4 className="font-semibold text-slate-300">You Request</h4>
+                {COUNT_FIELDS.map(field => (
+                  <div key={field}>
+                    <label className="block text-xs text-slate-400 capitalize">{field}</label>
+                    <input type="number" value={request[field]} onChange={e => setCount(setRequest, field, e.target.value)} min="0" className="w-full bg-slate-700 border border-slate-600 rounded-md p-1" />
+                  </div>
+                ))}
+                {renderAssets(targetTribe.assets || [], request.assets, setRequest)}
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4 border-t border-slate-700">
+              <Button type="button" variant="secondary" onClick={onClose}>Cancel</Button>
+              <Button type="submit" disabled={!canAfford || (isEmpty(offer) && isEmpty(request))}>Send Trade Offer</Button>
+            </div>
+          </form>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ProposeTradeModal;
@@ -1,19 +1,20 @@
 
 import React, { useState } from 'react';
-import { Tribe } from '../types';
+import { Tribe, TributeTerms } from '../types';
 import Card from './ui/Card';
 import Button from './ui/Button';
 
 interface SueForPeaceModalProps {
   isOpen: boolean;
   onClose: () => void;
-  onSubmit: (reparations: { food: number; scrap: number; weapons: number }) => void;
+  onSubmit: (reparations: { food: number; scrap: number; weapons: number }, tribute?: TributeTerms) => void;
   playerTribe: Tribe;
   targetTribe: Tribe;
 }
 
 const SueForPeaceModal: React.FC<SueForPeaceModalProps> = ({ isOpen, onClose, onSubmit, playerTribe, targetTribe }) => {
   const [reparations, setReparations] = useState({ food: 0, scrap: 0, weapons: 0 });
+  const [tribute, setTribute] = useState<TributeTerms>({ food: 0, scrap: 0, weapons: 0, turns: 0 });
 
   if (!isOpen) return null;
 
@@ -24,9 +25,16 @@ const SueForPeaceModal: React.FC<SueForPeaceModalProps> = ({ isOpen, onClose, on
     setReparations(prev => ({ ...prev, [name]: Math.max(0, parseInt(value) || 0) }));
   };
 
+  const handleTributeChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value } = e.target;
+    setTribute(prev => ({ ...prev, [name]: Math.max(0, parseInt(value) || 0) }));
+  };
+
+  const hasTribute = tribute.turns > 0 && (tribute.food > 0 || tribute.scrap > 0 || tribute.weapons > 0);
+
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
-    onSubmit(reparations);
+    onSubmit(reparations, hasTribute ? tribute : undefined);
     onClose();
   };
 
@@ -50,6 +58,18 @@ const SueForPeaceModal: React.FC<SueForPeaceModalProps> = ({ isOpen, onClose, on
               <input type="number" name="weapons" value={reparations.weapons} onChange={handleChange} min="0" max={totalWeapons} className="w-full bg-slate-700 border border-slate-600 rounded-md p-2" />
             </div>
 
+            <div className="pt-3 border-t border-slate-700 space-y-2">
+              <p className="text-sm text-slate-400">Optionally pledge a tribute, paid every turn. If you can't pay an instalment, the tribute is cancelled and the truce ends.</p>
+              <div className="grid grid-cols-4 gap-2">
+                {(['food', 'scrap', 'weapons', 'turns'] as const).map(field => (
+                  <div key={field}>
+                    <label className="block text-xs text-slate-400 capitalize">{field === 'turns' ? 'For turns' : `${field} / turn`}</label>
+                    <input type="number" name={field} value={tribute[field]} onChange={handleTributeChange} min="0" max={field === 'turns' ? 20 : undefined} className="w-full bg-slate-700 border border-slate-600 rounded-md p-1" />
+                  </div>
+                ))}
+              </div>
+            </div>
+
             <div className="flex justify-end space-x-3 pt-4 border-t border-slate-700">
               <Button type="button" variant="secondary" onClick={onClose}>Cancel</Button>
               <Button type="submit">Send Peace Offer</Button>
@@ -1,5 +1,5 @@
 
-import React, { useMemo, useState, useEffect } from 'react';
+import React, { useMemo } from 'react';
 import { ActionType, GameAction, Tribe, Garrison, Chief, HexData } from '../../types';
 import { ACTION_DEFINITIONS, ActionField } from './actionDefinitions';
 import Card from '../ui/Card';
@@ -20,29 +20,26 @@ interface ActionModalProps {
   onEnterMapSelectionMode: () => void;
 }
 
+const JOURNEY_ACTIONS = [ActionType.Move, ActionType.Attack, ActionType.Scout, ActionType.Trade];
+
 const ActionModal: React.FC<ActionModalProps> = (props) => {
     const { isOpen, onClose, onAddAction, tribe, allTribes, mapData, availableGarrisons, setMapSelectionMode, draftAction, setDraftAction, onEnterMapSelectionMode } = props;
-    const [travelTime, setTravelTime] = useState<number | null>(null);
   
   if (!isOpen) return null;
   
   const selectedActionType = draftAction?.actionType ?? null;
 
-  useEffect(() => {
-    if (draftAction?.actionData?.start_location && draftAction?.actionData?.finish_location) {
-        const start = parseHexCoords(draftAction.actionData.start_location);
-        const end = parseHexCoords(draftAction.actionData.finish_location);
-        const pathInfo = findPath(start, end, mapData);
-        setTravelTime(pathInfo?.cost ?? null);
-    } else if (draftAction?.actionData?.start_location && draftAction?.actionData?.target_location) {
-        const start = parseHexCoords(draftAction.actionData.start_location);
-        const end = parseHexCoords(draftAction.actionData.target_location);
-        const pathInfo = findPath(start, end, mapData);
-        setTravelTime(pathInfo?.cost ?? null);
-    } else {
-        setTravelTime(null);
-    }
-  }, [draftAction, mapData]);
+  // Only these actions send a force on a journey; everything else resolves within the turn
+  const travelTime = (() => {
+    if (!selectedActionType || !JOURNEY_ACTIONS.includes(selectedActionType)) return null;
+    const start = draftAction?.actionData?.start_location;
+    const end = draftAction?.actionData?.finish_location || draftAction?.actionData?.target_location;
+    if (!start || !end) return null;
+    const pathInfo = findPath(parseHexCoords(start), parseHexCoords(end), mapData);
+    if (!pathInfo) return null;
+    // Scouting parties travel light, at twice the speed
+    return Math.max(1, selectedActionType === ActionType.Scout ? Math.ceil(pathInfo.cost / 2) : pathInfo.cost);
+  })();
 
   const otherTribesWithGarrisons = useMemo(() => {
     return allTribes
@@ -116,11 +113,6 @@ const ActionModal: React.FC<ActionModalProps> = (props) => {
           const [location, tribeId] = (value as string).split('|');
           newActionData['target_location'] = location;
           newActionData['target_tribe_id'] = tribeId;
-          const start = newActionData.start_location;
-          if (start) {
-              const pathInfo = findPath(parseHexCoords(start), parseHexCoords(location), mapData);
-              setTravelTime(pathInfo?.cost ?? null);
-          }
       }
       
       return {
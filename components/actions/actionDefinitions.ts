@@ -25,7 +25,7 @@ export interface ActionDefinition {
   isPlaceholder?: boolean;
 }
 
-export const ACTION_DEFINITIONS: { [key in Exclude<ActionType, ActionType.Upkeep | ActionType.Technology | ActionType.StartResearch | ActionType.Explore | ActionType.SupplyOutpost | ActionType.RespondToTrade | ActionType.Return>]: ActionDefinition } = {
+export const ACTION_DEFINITIONS: { [key in Exclude<ActionType, ActionType.Upkeep | ActionType.Technology | ActionType.StartResearch | ActionType.Explore | ActionType.RespondToTrade | ActionType.Return>]: ActionDefinition } = {
   [ActionType.Move]: {
     name: 'Move',
     description: 'Relocate troops, chiefs, and equipment between garrisons.',
@@ -36,7 +36,7 @@ export const ACTION_DEFINITIONS: { [key in Exclude<ActionType, ActionType.Upkeep
       { name: 'troops', label: 'Troops', type: 'number', defaultValue: 1, max: 'troops' },
       { name: 'weapons', label: 'Weapons', type: 'number', defaultValue: 0, max: 'weapons' },
       { name: 'chiefsToMove', label: 'Chiefs', type: 'chief_select' },
-      { name: 'info', label: 'Info', type: 'info', info: 'Attrition: 2% per hex + terrain mods.' }
+      { name: 'info', label: 'Info', type: 'info', info: 'Long marches take several turns. Columns passing next to an enemy garrison may be ambushed.' }
     ],
   },
   [ActionType.Scout]: {
@@ -82,7 +82,7 @@ export const ACTION_DEFINITIONS: { [key in Exclude<ActionType, ActionType.Upkeep
     icon: React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', d: 'M3.75 6.75h16.5M3.75 12h16.5m-16.5 5.25H12' }),
     fields: [
       { name: 'ration_level', label: 'Ration Level', type: 'select', options: ['Hard', 'Normal', 'Generous'], defaultValue: 'Normal' },
-      { name: 'info', label: 'Info', type: 'info', info: 'Hard: 0.5x food/troop, -2 morale/turn. Normal: 1x food/troop. Generous: 1.5x food/troop, +2 morale/turn (if not starving).' }
+      { name: 'info', label: 'Info', type: 'info', info: 'Hard: 0.5x food/troop, -3 morale/turn. Normal: 1x food/troop. Generous: 1.5x food/troop, +3 morale/turn (if not starving). Unfed troops desert.' }
     ],
   },
   [ActionType.Rest]: {
@@ -136,7 +136,20 @@ export const ACTION_DEFINITIONS: { [key in Exclude<ActionType, ActionType.Upkeep
       { name: 'start_location', label: 'Build From', type: 'garrison_select' },
       { name: 'target_location', label: 'Target Hex', type: 'targetLocation' },
       { name: 'troops', label: 'Builders', type: 'number', defaultValue: 5, max: 'troops' },
-      { name: 'info', label: 'Info', type: 'info', info: 'Costs 25 Scrap. Requires at least 5 builders. The builders will garrison the new outpost.' }
+      { name: 'info', label: 'Info', type: 'info', info: "Costs 25 Scrap. Requires at least 5 builders. The builders will garrison the new outpost. Can't be built in another tribe's territory." }
+    ],
+  },
+  [ActionType.SupplyOutpost]: {
+    name: 'Supply Outpost',
+    description: 'Send troops, weapons, and chiefs to another of your garrisons along a supply line.',
+    icon: React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', d: 'M8.25 18.75a1.5 1.5 0 01-3 0m3 0a1.5 1.5 0 00-3 0m3 0h6m-9 0H3.375a1.125 1.125 0 01-1.125-1.125V14.25m17.25 4.5a1.5 1.5 0 01-3 0m3 0a1.5 1.5 0 00-3 0m3 0h1.125c.621 0 1.129-.504 1.09-1.124a17.902 17.902 0 00-3.213-9.193 2.056 2.056 0 00-1.58-.86H14.25M16.5 18.75h-2.25m0-11.177v-.958c0-.568-.422-1.048-.987-1.106a48.554 48.554 0 00-10.026 0 1.106 1.106 0 00-.987 1.106v7.635m12-6.677v6.677m0 4.5v-4.5m0 0h-12' }),
+    fields: [
+      { name: 'start_location', label: 'Supply From', type: 'garrison_select' },
+      { name: 'finish_location', label: 'Destination Garrison', type: 'targetLocation' },
+      { name: 'troops', label: 'Troops', type: 'number', defaultValue: 0, max: 'troops' },
+      { name: 'weapons', label: 'Weapons', type: 'number', defaultValue: 0, max: 'weapons' },
+      { name: 'chiefsToMove', label: 'Chiefs', type: 'chief_select' },
+      { name: 'info', label: 'Info', type: 'info', info: 'No distance limit, but the whole route must stay inside your own territory.' }
     ],
   },
   [ActionType.Trade]: {
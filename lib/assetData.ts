@@ -1,5 +1,6 @@
 import { TechnologyEffect, TechnologyEffectType, TerrainType, GameAsset } from '../types';
 
+// Mirrored for the server in shared/assets.js; keep the two in sync
 export const ALL_ASSETS: GameAsset[] = [
     {
         name: "Dune Buggy",
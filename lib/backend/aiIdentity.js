@@ -0,0 +1,97 @@
+/**
+ * lib/backend/aiIdentity.js
+ *
+ * Who a new AI tribe is: a procedurally generated name no other tribe uses,
+ * a collision-free id, a colour nobody else has (or the least used one once
+ * the palette runs out), and an icon and stat spread that suit its personality.
+ */
+const crypto = require('crypto');
+const { AI_TYPES, TRIBE_COLORS, MIN_STAT_VALUE } = require('../../shared/constants.js');
+const { createRng } = require('./random');
+
+// --- CONFIGURATION ---
+const NAME_PREFIXES = [
+  'Ash', 'Bone', 'Blight', 'Cinder', 'Chrome', 'Dust', 'Ember', 'Feral', 'Gutter', 'Hollow',
+  'Iron', 'Jackal', 'Kill', 'Lead', 'Mire', 'Null', 'Oil', 'Pale', 'Rad', 'Rust',
+  'Salt', 'Scrap', 'Shard', 'Slag', 'Smog', 'Static', 'Storm', 'Tar', 'Toxic', 'Void',
+  'Wire', 'Wreck',
+];
+const NAME_SUFFIXES = [
+  'Raiders', 'Hounds', 'Devils', 'Fists', 'Wolves', 'Walkers', 'Ravagers', 'Drifters', 'Reavers', 'Vultures',
+  'Howlers', 'Stalkers', 'Jackals', 'Scourge', 'Nomads', 'Wardens', 'Runners', 'Crows', 'Maws', 'Saints',
+  'Kings', 'Brood', 'Pack', 'Clan', 'Legion', 'Horde', 'Syndicate', 'Cartel', 'Covenant', 'Brotherhood',
+  'Tide', 'Swarm',
+];
+const NUMERALS = ['II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+
+// Icons and base stats (summing to MAX_STAT_POINTS) for each personality
+const PERSONALITY_PROFILES = {
+  [AI_TYPES.Wanderer]: { icons: ['wolf', 'raven', 'biohazard'], stats: { charisma: 6, intelligence: 8, leadership: 6, strength: 5 } },
+  [AI_TYPES.Aggressor]: { icons: ['skull', 'claw', 'wolf'], stats: { charisma: 4, intelligence: 5, leadership: 6, strength: 10 } },
+  [AI_TYPES.Turtle]: { icons: ['gear', 'spider'], stats: { charisma: 4, intelligence: 7, leadership: 7, strength: 7 } },
+  [AI_TYPES.Trader]: { icons: ['raven', 'serpent'], stats: { charisma: 10, intelligence: 7, leadership: 4, strength: 4 } },
+};
+const STAT_SHUFFLES = 2; // Points moved between stats so tribes of one personality still differ
+
+/**
+ * A name no existing tribe uses. Prefix/suffix pairs are tried in a shuffled
+ * order; once all are taken, numbered successors ("Rust Raiders II") follow.
+ */
+const generateTribeName = (rng, existingNames) => {
+  const taken = new Set(existingNames.map(name => name.toLowerCase()));
+  const combos = NAME_PREFIXES.flatMap(prefix => NAME_SUFFIXES.map(suffix => `${prefix} ${suffix}`));
+  const start = rng.int(0, combos.length - 1);
+  for (let generation = 0; ; generation++) {
+    const numeral = generation === 0 ? '' : ` ${NUMERALS[generation - 1] || generation + 1}`;
+    for (let i = 0; i < combos.length; i++) {
+      const name = `${combos[(start + i) % combos.length]}${numeral}`;
+      if (!taken.has(name.toLowerCase())) return name;
+    }
+  }
+};
+
+// A palette colour nobody has yet, or the least used one once they're all taken
+const pickColor = (rng, usedColors) => {
+  const uses = (color) => usedColors.filter(used => used.toLowerCase() === color.toLowerCase()).length;
+  const fewest = Math.min(...TRIBE_COLORS.map(uses));
+  return rng.pick(TRIBE_COLORS.filter(color => uses(color) === fewest));
+};
+
+const varyStats = (rng, baseStats) => {
+  const stats = { ...baseStats };
+  const names = Object.keys(stats);
+  for (let i = 0; i < STAT_SHUFFLES; i++) {
+    const from = rng.pick(names);
+    const to = rng.pick(names);
+    if (from !== to && stats[from] > MIN_STAT_VALUE) {
+      stats[from] -= 1;
+      stats[to] += 1;
+    }
+  }
+  return stats;
+};
+
+/**
+ * Identity for a new AI tribe joining the game.
+ * @param {object} state   Game state the tribe joins
+ * @param {string} aiType  One of AI_TYPES
+ * @returns {{ id, playerId, tribeName, color, icon, stats }}
+ */
+const createAIIdentity = (state, aiType) => {
+  const rng = createRng(state.mapSeed, state.turn, 'ai-identity', state.tribes.map(t => t.id).join(','));
+  const profile = PERSONALITY_PROFILES[aiType] || PERSONALITY_PROFILES[AI_TYPES.Wanderer];
+  const uuid = crypto.randomUUID();
+  return {
+    id: `ai-tribe-${uuid}`,
+    playerId: `ai-${uuid}`,
+    tribeName: generateTribeName(rng, state.tribes.map(t => t.tribeName)),
+    color: pickColor(rng, state.tribes.map(t => t.color).filter(Boolean)),
+    icon: rng.pick(profile.icons),
+    stats: varyStats(rng, profile.stats),
+  };
+};
+
+module.exports = {
+  generateTribeName,
+  createAIIdentity
+};
@@ -0,0 +1,532 @@
+/**
+ * lib/backend/aiPlanner.js
+ *
+ * Turn planning for AI tribes. Each turn the planner lists what is worth
+ * doing (defend a threatened garrison, attack a weak neighbour, recruit,
+ * scavenge, build weapons or an outpost, supply an outpost, scout, rest),
+ * scores each option by the tribe's personality and needs, and keeps taking
+ * the best one its troops and stockpiles can still cover. It also answers
+ * journeys waiting on the tribe: its own halted columns and trade caravans
+ * arriving at its garrisons.
+ *
+ * AI tribes only react to what their garrisons can see, like players do.
+ * Difficulty sets how many actions they take, how often they blunder and how
+ * carefully they pick fights. Choices are seeded, so a turn replays the same.
+ */
+const {
+  ACTION_TYPES,
+  AI_TYPES,
+  DIPLOMATIC_STATUS,
+  POI_TYPES,
+  TERRAIN_TYPES
+} = require('../../shared/constants.js');
+const { ALL_TECHS } = require('../../shared/technologies.js');
+const logger = require('./logger');
+const { getFoodUpkeep } = require('./upkeep');
+const { getTravellingTroops } = require('./journeys');
+const { getPOISite } = require('./poi');
+const { computeTerritory, isSupplyConnected } = require('./territory');
+const { createRng } = require('./random');
+const {
+  parseHexCoords,
+  indexMapData,
+  hexKeyDistance,
+  getHexesInRange,
+  getVisibleHexes,
+  findPath
+} = require('./mapUtils');
+const { TERRAIN_DEFENSE_BONUS, forcePower } = require('./combat');
+const {
+  getVisibilityRange,
+  getMarchRange,
+  MAX_SCOUT_DISTANCE,
+  OUTPOST_SCRAP_COST,
+  OUTPOST_MIN_BUILDERS
+} = require('./turnProcessor');
+
+// --- CONFIGURATION ---
+
+// Weights scale the base score of each kind of action; attackRatio is the
+// power advantage a tribe wants before it attacks.
+const PERSONALITIES = {
+  [AI_TYPES.Wanderer]: { explore: 1.5, scavenge: 1.3, recruit: 0.8, weapons: 0.6, expand: 0.8, defend: 1.0, attack: 0.6, trade: 0.8, research: 1.0, attackRatio: 1.8 },
+  [AI_TYPES.Aggressor]: { explore: 0.8, scavenge: 0.9, recruit: 1.4, weapons: 1.3, expand: 0.7, defend: 0.7, attack: 1.6, trade: 0.3, research: 0.6, attackRatio: 1.2 },
+  [AI_TYPES.Turtle]: { explore: 0.5, scavenge: 1.0, recruit: 1.1, weapons: 1.4, expand: 0.5, defend: 1.6, attack: 0.3, trade: 0.8, research: 1.3, attackRatio: 2.5 },
+  [AI_TYPES.Trader]: { explore: 1.0, scavenge: 1.4, recruit: 0.9, weapons: 0.6, expand: 1.3, defend: 1.0, attack: 0.2, trade: 1.6, research: 1.1, attackRatio: 3.0 },
+};
+
+const DIFFICULTY_SETTINGS = {
+  Easy: { actionPenalty: 1, blunderChance: 0.3, attackMargin: 0.5, tradeMargin: 0.8 },
+  Normal: { actionPenalty: 0, blunderChance: 0.1, attackMargin: 0, tradeMargin: 1.0 },
+  Hard: { actionPenalty: 0, blunderChance: 0, attackMargin: -0.2, tradeMargin: 1.1 },
+};
+const DEFAULT_AI_DIFFICULTY = 'Normal';
+
+const MIN_GUARD = 5; // Troops every garrison keeps home
+const HOME_GUARD_SHARE = 0.4; // Share of the home garrison that never marches out
+const THREAT_RANGE = 3;
+const FOOD_RESERVE_BASE = 30;
+const FOOD_RESERVE_TURNS = 4; // Turns of upkeep kept in store on top of the base reserve
+const MIN_RECRUIT_SURPLUS = 20;
+const MAX_RECRUIT_FOOD = 80;
+const MIN_WEAPON_SCRAP = 10;
+const MAX_WEAPON_SCRAP = 40;
+const WEAPONS_PER_SCRAP = 0.4;
+const SCAVENGE_SHARE = 0.5; // Share of a garrison's spare troops sent scavenging
+const SCOUT_PARTY = 3;
+const SCOUT_MIN_DISTANCE = 3;
+const SCOUT_MAX_DISTANCE = Math.min(6, MAX_SCOUT_DISTANCE);
+const LOW_MORALE = 40;
+const LEAN_TURNS = 4; // With less than this many turns of food left, go on hard rations and send everyone spare foraging
+const LEAN_FORAGE_SCORE = 40; // Puts foraging ahead of scouting, research and smithing while food runs low
+const PLENTY_TURNS = 6; // Turns of food in store before rations are eased or made generous
+const OUTPOST_GARRISON = 10; // Troops an outpost should hold; home tops it up along supply lines
+const RESEARCH_TROOP_FACTOR = 1.5; // Researchers assigned, as a multiple of the tech's minimum
+const TRADE_VALUES = { food: 1, scrap: 2, weapons: 3 };
+
+const VAULT_VALUE = 4; // How much a one-off Vault haul is worth next to a scavenging multiplier
+
+// Mirrors the POI and terrain multipliers the turn processor applies to scavenging
+const scavengeYield = (hex, resource) => {
+  const site = getPOISite(hex.poi);
+  if (site) return site.resource === resource ? site.scavengeMultiplier : 0;
+  if (hex.poi && hex.poi.type === POI_TYPES.Vault) return VAULT_VALUE;
+  if (hex.poi && hex.poi.type === POI_TYPES.BanditCamp) return 0; // Not worth a fight just to forage
+  if (resource === 'Food') return (hex.terrain === TERRAIN_TYPES.Forest || hex.terrain === TERRAIN_TYPES.Swamp) ? 1.5 : 0.5;
+  return (hex.terrain === TERRAIN_TYPES.Ruins || hex.terrain === TERRAIN_TYPES.Wasteland) ? 2 : 1.2;
+};
+
+/**
+ * Actions a tribe may plan in a turn; the same limit the client enforces.
+ */
+const getMaxActions = (tribe) => {
+  const garrisons = Object.values(tribe.garrisons || {});
+  const troops = garrisons.reduce((sum, g) => sum + g.troops, 0);
+  const chiefs = garrisons.reduce((sum, g) => sum + (g.chiefs || []).length, 0);
+  const troopBonus = troops >= 120 ? 2 : troops >= 60 ? 1 : 0;
+  return 3 + troopBonus + Math.floor(tribe.stats.leadership / 10) + chiefs;
+};
+
+// --- SITUATION ---
+
+// What the tribe knows at the start of its turn, plus the budgets its plan draws down
+const assessSituation = (tribe, state) => {
+  const hexIndex = indexMapData(state.mapData);
+  const visible = new Set();
+  Object.keys(tribe.garrisons).forEach(location => {
+    getVisibleHexes(parseHexCoords(location), getVisibilityRange(tribe), hexIndex).forEach(key => visible.add(key));
+  });
+
+  const foreignGarrisons = state.tribes
+    .filter(other => other.id !== tribe.id)
+    .flatMap(other => Object.entries(other.garrisons || {}).map(([location, garrison]) => ({ tribe: other, location, garrison })));
+  const atWar = (other) => (tribe.diplomacy[other.id] || {}).status === DIPLOMATIC_STATUS.War;
+
+  const explored = new Set(tribe.exploredHexes || []);
+  const enemies = foreignGarrisons.filter(g => atWar(g.tribe) && visible.has(g.location));
+  const foodUpkeep = getFoodUpkeep({ ...tribe, rationLevel: 'Normal' }, getTravellingTroops(state, tribe.id));
+  const turnsOfFood = tribe.globalResources.food / Math.max(1, foodUpkeep);
+  // Once on hard rations, the tribe keeps foraging hard until it can ease them again
+  const lean = turnsOfFood < (tribe.rationLevel === 'Hard' ? PLENTY_TURNS : LEAN_TURNS);
+  const project = tribe.currentResearch;
+  const garrisons = Object.fromEntries(Object.entries(tribe.garrisons).map(([location, garrison]) => {
+    // Running out of food, home keeps only a skeleton guard unless an enemy is close
+    const safe = !enemies.some(enemy => hexKeyDistance(enemy.location, location) <= THREAT_RANGE);
+    const guard = location === tribe.location && !(lean && safe)
+      ? Math.max(MIN_GUARD, Math.ceil(garrison.troops * HOME_GUARD_SHARE))
+      : MIN_GUARD;
+    const researchers = project && project.location === location ? project.assignedTroops : 0;
+    return [location, { spareTroops: Math.max(0, garrison.troops - guard - researchers), weapons: garrison.weapons }];
+  }));
+  const totalTroops = Object.values(tribe.garrisons).reduce((sum, g) => sum + g.troops, 0);
+  // Territory over explored hexes, the same map players are shown
+  const territory = Object.fromEntries(Object.entries(computeTerritory(state.tribes, hexIndex))
+    .filter(([location]) => explored.has(location)));
+
+  return {
+    tribe,
+    state,
+    hexIndex,
+    explored,
+    territory,
+    occupied: new Set(foreignGarrisons.map(g => g.location)),
+    enemies,
+    totalTroops,
+    totalWeapons: Object.values(tribe.garrisons).reduce((sum, g) => sum + g.weapons, 0),
+    foodReserve: FOOD_RESERVE_BASE + foodUpkeep * FOOD_RESERVE_TURNS,
+    turnsOfFood,
+    lean,
+    garrisons,
+    food: tribe.globalResources.food,
+    scrap: tribe.globalResources.scrap,
+    planned: new Set(), // "<actionType>:<start_location>" pairs already in the plan
+    reachCache: new Map(),
+  };
+};
+
+const canMarch = (plan, from, to) =>
+  Boolean(findPath(from, to, plan.hexIndex, { maxCost: getMarchRange(plan.tribe), blocked: plan.occupied }));
+
+// Explored, unoccupied hexes a force from `from` could march to this turn
+const reachableFrom = (plan, from) => {
+  if (!plan.reachCache.has(from)) {
+    plan.reachCache.set(from, getHexesInRange(parseHexCoords(from), Math.floor(getMarchRange(plan.tribe)))
+      .filter(key => key !== from && plan.explored.has(key) && !plan.occupied.has(key))
+      .filter(key => canMarch(plan, from, key)));
+  }
+  return plan.reachCache.get(from);
+};
+
+const threatTo = (plan, location) => plan.enemies
+  .filter(enemy => hexKeyDistance(enemy.location, location) <= THREAT_RANGE)
+  .reduce((sum, enemy) => sum + forcePower(enemy.garrison.troops, enemy.garrison.weapons), 0);
+
+// Where stationary work (recruiting, smithing) happens: home if it still stands, else the biggest garrison
+const baseLocation = (plan) => {
+  if (plan.tribe.garrisons[plan.tribe.location]) return plan.tribe.location;
+  return Object.keys(plan.tribe.garrisons)
+    .sort((a, b) => plan.tribe.garrisons[b].troops - plan.tribe.garrisons[a].troops)[0];
+};
+
+// The highest-scoring item as { item, value }, or null if there are none
+const bestBy = (items, score) => items.reduce((best, item) => {
+  const value = score(item);
+  return !best || value > best.value ? { item, value } : best;
+}, null);
+
+// --- CANDIDATE ACTIONS ---
+// Each returns options shaped { score, actionType, actionData, spend }, where
+// spend is { location, troops, weapons, food, scrap } taken out of the plan's budgets.
+
+const defendOptions = (plan, weights) => Object.keys(plan.garrisons).map(location => {
+  const garrison = plan.tribe.garrisons[location];
+  const threat = threatTo(plan, location);
+  if (threat === 0 || garrison.troops === 0) return null;
+  const danger = Math.min(3, threat / Math.max(1, forcePower(garrison.troops, garrison.weapons)));
+  return {
+    score: weights.defend * 20 * danger,
+    actionType: ACTION_TYPES.Defend,
+    actionData: { start_location: location, troops: garrison.troops },
+    // A garrison bracing for an attack doesn't send anyone out
+    spend: { location, troops: plan.garrisons[location].spareTroops },
+  };
+});
+
+const attackOptions = (plan, weights, difficulty) => {
+  const requiredRatio = weights.attackRatio + difficulty.attackMargin;
+  return Object.entries(plan.garrisons).flatMap(([location, budget]) => {
+    if (budget.spareTroops < MIN_GUARD) return [];
+    const weapons = Math.min(budget.weapons, budget.spareTroops);
+    const ownPower = forcePower(budget.spareTroops, weapons) * (1 + plan.tribe.stats.strength * 0.02);
+    return plan.enemies.map(enemy => {
+      if (!canMarch(plan, location, enemy.location)) return null;
+      const terrainBonus = TERRAIN_DEFENSE_BONUS[plan.hexIndex.get(enemy.location).terrain] || 0;
+      const enemyPower = forcePower(enemy.garrison.troops, enemy.garrison.weapons) * (1 + terrainBonus);
+      const ratio = ownPower / Math.max(1, enemyPower);
+      if (ratio < requiredRatio) return null;
+      // Taking an enemy's home is worth more than picking off an outpost
+      const prize = enemy.location === enemy.tribe.location ? 1.3 : 1;
+      return {
+        score: weights.attack * (20 + 10 * (ratio - requiredRatio)) * prize,
+        actionType: ACTION_TYPES.Attack,
+        actionData: { start_location: location, target_location: enemy.location, troops: budget.spareTroops, weapons, chiefsToMove: [] },
+        spend: { location, troops: budget.spareTroops, weapons },
+      };
+    });
+  });
+};
+
+const recruitOptions = (plan, weights) => {
+  const surplus = plan.food - plan.foodReserve;
+  if (surplus < MIN_RECRUIT_SURPLUS) return [];
+  const location = baseLocation(plan);
+  const food = Math.min(surplus, MAX_RECRUIT_FOOD);
+  const urgency = threatTo(plan, location) > 0 ? 10 : 0;
+  return [{
+    score: weights.recruit * (15 + urgency),
+    actionType: ACTION_TYPES.Recruit,
+    actionData: { start_location: location, food_offered: food },
+    spend: { location, food },
+  }];
+};
+
+const scavengeOptions = (plan, weights) => {
+  const hungry = plan.lean || plan.food < plan.foodReserve;
+  const resource = hungry ? 'Food' : 'Scrap';
+  return Object.entries(plan.garrisons).map(([location, budget]) => {
+    if (budget.spareTroops < MIN_GUARD) return null;
+    const best = bestBy(
+      reachableFrom(plan, location).filter(key => plan.hexIndex.get(key).terrain !== TERRAIN_TYPES.Radiation),
+      key => scavengeYield(plan.hexIndex.get(key), resource)
+    );
+    if (!best || best.value <= 0) return null;
+    // A hungry tribe sends everyone it can spare to forage
+    const troops = hungry ? budget.spareTroops : Math.max(MIN_GUARD, Math.floor(budget.spareTroops * SCAVENGE_SHARE));
+    return {
+      score: weights.scavenge * ((plan.lean ? LEAN_FORAGE_SCORE : 0) + (hungry ? 25 : 12) * best.value),
+      actionType: ACTION_TYPES.Scavenge,
+      actionData: { start_location: location, target_location: best.item, troops, weapons: 0, chiefsToMove: [], resource_type: resource },
+      spend: { location, troops },
+    };
+  });
+};
+
+const weaponsOptions = (plan, weights) => {
+  // Expansion-minded tribes keep enough scrap back for their next outpost
+  const reserved = weights.expand > 1 ? OUTPOST_SCRAP_COST : 0;
+  const unarmed = plan.totalTroops - plan.totalWeapons;
+  const scrap = Math.min(plan.scrap - reserved, MAX_WEAPON_SCRAP, Math.ceil(unarmed / WEAPONS_PER_SCRAP));
+  if (unarmed <= 0 || scrap < MIN_WEAPON_SCRAP) return [];
+  const location = baseLocation(plan);
+  return [{
+    score: weights.weapons * 14,
+    actionType: ACTION_TYPES.BuildWeapons,
+    actionData: { start_location: location, scrap },
+    spend: { location, scrap },
+  }];
+};
+
+const outpostOptions = (plan, weights) => {
+  if (plan.scrap < OUTPOST_SCRAP_COST) return [];
+  const own = Object.keys(plan.tribe.garrisons);
+  return Object.entries(plan.garrisons).map(([location, budget]) => {
+    if (budget.spareTroops < OUTPOST_MIN_BUILDERS) return null;
+    const best = bestBy(
+      reachableFrom(plan, location)
+        .filter(key => own.every(g => hexKeyDistance(g, key) >= 2))
+        .filter(key => plan.hexIndex.get(key).terrain !== TERRAIN_TYPES.Radiation)
+        .filter(key => !plan.territory[key] || plan.territory[key] === plan.tribe.id),
+      key => {
+        const hex = plan.hexIndex.get(key);
+        // Garrisoned resource sites pay out every turn
+        const site = getPOISite(hex.poi);
+        return site ? 2 + site.garrisonYield / 5 : Math.max(scavengeYield(hex, 'Food'), scavengeYield(hex, 'Scrap'));
+      }
+    );
+    if (!best) return null;
+    return {
+      score: weights.expand * 10 * best.value,
+      actionType: ACTION_TYPES.BuildOutpost,
+      actionData: { start_location: location, target_location: best.item, troops: OUTPOST_MIN_BUILDERS, weapons: 0, chiefsToMove: [] },
+      spend: { location, troops: OUTPOST_MIN_BUILDERS, scrap: OUTPOST_SCRAP_COST },
+    };
+  });
+};
+
+// Tops up undermanned outposts from home, along a supply line through the tribe's territory
+const supplyOptions = (plan, weights) => {
+  const home = plan.tribe.location;
+  const budget = plan.garrisons[home];
+  if (!budget) return [];
+  return Object.entries(plan.tribe.garrisons).map(([location, garrison]) => {
+    const troops = Math.min(budget.spareTroops, OUTPOST_GARRISON - garrison.troops);
+    if (location === home || troops < MIN_GUARD) return null;
+    if (!isSupplyConnected(plan.territory, plan.tribe.id, home, location)) return null;
+    return {
+      score: weights.expand * 8 + (threatTo(plan, location) > 0 ? weights.defend * 6 : 0),
+      actionType: ACTION_TYPES.SupplyOutpost,
+      actionData: { start_location: home, finish_location: location, troops, weapons: 0, chiefsToMove: [] },
+      spend: { location: home, troops },
+    };
+  });
+};
+
+const scoutOptions = (plan, weights) => Object.entries(plan.garrisons).map(([location, budget]) => {
+  if (budget.spareTroops < SCOUT_PARTY) return null;
+  const unexploredAround = (key) => getHexesInRange(parseHexCoords(key), 1)
+    .filter(k => plan.hexIndex.has(k) && !plan.explored.has(k)).length;
+  const best = bestBy(
+    getHexesInRange(parseHexCoords(location), SCOUT_MAX_DISTANCE)
+      .filter(key => plan.hexIndex.has(key) && hexKeyDistance(location, key) >= SCOUT_MIN_DISTANCE),
+    // Ties go to the nearer hex, which is safer to scout
+    key => unexploredAround(key) - hexKeyDistance(location, key) * 0.01
+  );
+  if (!best || best.value <= 0) return null;
+  return {
+    score: weights.explore * 10 * (Math.ceil(best.value) / 7),
+    actionType: ACTION_TYPES.Scout,
+    actionData: { start_location: location, target_location: best.item, troops: SCOUT_PARTY, weapons: 0, chiefsToMove: [] },
+    spend: { location, troops: SCOUT_PARTY },
+  };
+});
+
+// The cheapest tech the tribe can start now; cheap techs pay off soonest
+const researchOptions = (plan, weights) => {
+  const { tribe } = plan;
+  if (tribe.currentResearch) return [];
+  const completed = tribe.completedTechs || [];
+  const location = baseLocation(plan);
+  const budget = plan.garrisons[location];
+  const best = bestBy(
+    ALL_TECHS.filter(tech => !completed.includes(tech.id)
+      && tech.prerequisites.every(id => completed.includes(id))
+      && tech.cost.scrap <= plan.scrap
+      && tech.requiredTroops <= budget.spareTroops),
+    tech => -(tech.cost.scrap + tech.researchPoints)
+  );
+  if (!best) return [];
+  const tech = best.item;
+  const assignedTroops = Math.min(budget.spareTroops, Math.ceil(tech.requiredTroops * RESEARCH_TROOP_FACTOR));
+  return [{
+    score: weights.research * 9,
+    actionType: ACTION_TYPES.StartResearch,
+    actionData: { techId: tech.id, location, assignedTroops },
+    spend: { location, troops: assignedTroops, scrap: tech.cost.scrap },
+  }];
+};
+
+// Tighten rations before the stores run out; ease them once food is plentiful again
+const rationOptions = (plan) => {
+  const { rationLevel, globalResources } = plan.tribe;
+  const { turnsOfFood } = plan;
+  let next = null;
+  let score = 0;
+  if (turnsOfFood < LEAN_TURNS && rationLevel !== 'Hard') {
+    [next, score] = ['Hard', 30];
+  } else if (turnsOfFood >= PLENTY_TURNS && (globalResources.morale || 0) < LOW_MORALE && rationLevel !== 'Generous') {
+    [next, score] = ['Generous', 8];
+  } else if ((turnsOfFood >= PLENTY_TURNS && rationLevel === 'Hard') || (turnsOfFood < PLENTY_TURNS && rationLevel === 'Generous')) {
+    [next, score] = ['Normal', 12];
+  }
+  if (!next) return [];
+  return [{
+    score,
+    actionType: ACTION_TYPES.SetRations,
+    actionData: { ration_level: next },
+    spend: { location: baseLocation(plan) },
+  }];
+};
+
+const restOptions = (plan) => {
+  const morale = plan.tribe.globalResources.morale || 0;
+  if (morale >= LOW_MORALE) return [];
+  const location = baseLocation(plan);
+  return [{
+    score: 5 + 20 * (LOW_MORALE - morale) / LOW_MORALE,
+    actionType: ACTION_TYPES.Rest,
+    actionData: { start_location: location },
+    spend: { location },
+  }];
+};
+
+const OPTION_GENERATORS = [
+  defendOptions,
+  attackOptions,
+  recruitOptions,
+  scavengeOptions,
+  weaponsOptions,
+  outpostOptions,
+  supplyOptions,
+  scoutOptions,
+  researchOptions,
+  rationOptions,
+  restOptions
+];
+
+// --- PLANNING ---
+
+const canAfford = (plan, { location, troops = 0, weapons = 0, food = 0, scrap = 0 }) => {
+  const budget = plan.garrisons[location];
+  return Boolean(budget) && troops <= budget.spareTroops && weapons <= budget.weapons && food <= plan.food && scrap <= plan.scrap;
+};
+
+const commitOption = (plan, option) => {
+  const { location, troops = 0, weapons = 0, food = 0, scrap = 0 } = option.spend;
+  plan.garrisons[location].spareTroops -= troops;
+  plan.garrisons[location].weapons -= weapons;
+  plan.food -= food;
+  plan.scrap -= scrap;
+  plan.planned.add(`${option.actionType}:${location}`);
+};
+
+/**
+ * Plans an AI tribe's actions for the current turn.
+ * @param {object} tribe  The AI tribe
+ * @param {object} state  Game state
+ * @returns {object[]} GameAction[]
+ */
+const generateAIActions = (tribe, state) => {
+  try {
+    if (Object.keys(tribe.garrisons || {}).length === 0) return [];
+    const weights = PERSONALITIES[tribe.aiType] || PERSONALITIES[AI_TYPES.Wanderer];
+    const difficulty = DIFFICULTY_SETTINGS[tribe.aiDifficulty] || DIFFICULTY_SETTINGS[DEFAULT_AI_DIFFICULTY];
+    const rng = createRng(state.mapSeed, state.turn, tribe.id, 'ai');
+    const plan = assessSituation(tribe, state);
+
+    const maxActions = Math.max(1, getMaxActions(tribe) - difficulty.actionPenalty);
+    const actions = [];
+    while (actions.length < maxActions) {
+      const options = OPTION_GENERATORS
+        .flatMap(generate => generate(plan, weights, difficulty))
+        .filter(option => option && option.score > 0)
+        .filter(option => !plan.planned.has(`${option.actionType}:${option.spend.location}`))
+        .filter(option => canAfford(plan, option.spend));
+      if (options.length === 0) break;
+
+      const choice = rng.chance(difficulty.blunderChance)
+        ? rng.pick(options)
+        : options.reduce((best, option) => (option.score > best.score ? option : best));
+      commitOption(plan, choice);
+      actions.push({
+        id: `ai-${tribe.id}-${state.turn}-${actions.length}`,
+        actionType: choice.actionType,
+        actionData: choice.actionData,
+      });
+    }
+
+    logger.debug(`AI ${tribe.tribeName} planned ${actions.map(a => a.actionType).join(', ') || 'nothing'} for turn ${state.turn}`);
+    return actions;
+  } catch (err) {
+    logger.error(`Failed to generate AI actions for tribe ${tribe.id}`, err);
+    return []; // Return empty array as fallback
+  }
+};
+
+const tradeValue = (goods) => Object.entries(goods).reduce((sum, [good, amount]) => sum + amount * (TRADE_VALUES[good] || 0), 0);
+
+/**
+ * Answers the journeys waiting on an AI tribe. Halted columns press on if
+ * they're still strong enough to matter and fall back otherwise; caravans at
+ * its garrisons are accepted when the deal is fair and the tribe can pay.
+ * @returns {object[]} journeyResponses for the turn
+ */
+const planJourneyResponses = (tribe, state) => {
+  try {
+    const weights = PERSONALITIES[tribe.aiType] || PERSONALITIES[AI_TYPES.Wanderer];
+    const difficulty = DIFFICULTY_SETTINGS[tribe.aiDifficulty] || DIFFICULTY_SETTINGS[DEFAULT_AI_DIFFICULTY];
+    // Traders settle for slightly worse deals; harder AIs haggle harder
+    const fairness = difficulty.tradeMargin * (weights.trade > 1 ? 0.9 : 1.1);
+    const committed = { food: 0, scrap: 0, weapons: {} };
+
+    return (state.journeys || []).flatMap(journey => {
+      if (journey.ownerTribeId === tribe.id && journey.status === 'halted') {
+        return [{ journeyId: journey.id, response: journey.force.troops >= MIN_GUARD ? 'continue' : 'retreat' }];
+      }
+      if (journey.ownerTribeId === tribe.id || journey.status !== 'awaiting_response' || !journey.tradeOffer) return [];
+      const garrison = tribe.garrisons[journey.destination];
+      if (!garrison) return [];
+
+      const { request } = journey.tradeOffer;
+      const weaponsCommitted = committed.weapons[journey.destination] || 0;
+      const affordable = tribe.globalResources.food - committed.food >= request.food
+        && tribe.globalResources.scrap - committed.scrap >= request.scrap
+        && garrison.weapons - weaponsCommitted >= request.weapons;
+      const accept = affordable && tradeValue(journey.payload) >= tradeValue(request) * fairness;
+      if (accept) {
+        committed.food += request.food;
+        committed.scrap += request.scrap;
+        committed.weapons[journey.destination] = weaponsCommitted + request.weapons;
+      }
+      return [{ journeyId: journey.id, response: accept ? 'accept' : 'reject' }];
+    });
+  } catch (err) {
+    logger.error(`Failed to plan journey responses for tribe ${tribe.id}`, err);
+    return [];
+  }
+};
+
+module.exports = {
+  DEFAULT_AI_DIFFICULTY,
+  generateAIActions,
+  planJourneyResponses
+};
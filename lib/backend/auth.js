@@ -0,0 +1,101 @@
+/**
+ * lib/backend/auth.js
+ *
+ * Password hashing and signed session tokens.
+ *
+ * Secrets are hashed with scrypt and a random per-secret salt, stored as
+ * "scrypt$<salt>$<hash>". Hashes written by the old mockHash scheme still
+ * verify, and are flagged so the caller can re-hash them on the spot.
+ *
+ * Session tokens are "<payload>.<signature>": a base64url JSON payload
+ * signed with HMAC-SHA256 using SESSION_SECRET.
+ */
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// --- CONFIGURATION ---
+const SCRYPT_PREFIX = 'scrypt';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7) * 60 * 60 * 1000;
+
+const SESSION_SECRET = process.env.SESSION_SECRET || (() => {
+  logger.warn('SESSION_SECRET is not set. Using a random secret; sessions will not survive a restart.');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+// The original placeholder scheme, kept only so existing users can still log in once
+const legacyHash = (data) => `hashed_${data}_salted_v1`;
+
+const hashSecret = (secret) => {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const hash = crypto.scryptSync(String(secret), salt, KEY_LENGTH).toString('hex');
+  return `${SCRYPT_PREFIX}$${salt}$${hash}`;
+};
+
+/**
+ * Checks a secret against a stored hash.
+ * @returns {{ valid: boolean, needsRehash: boolean }}
+ */
+const verifySecret = (secret, storedHash) => {
+  try {
+    if (typeof storedHash !== 'string') return { valid: false, needsRehash: false };
+
+    if (!storedHash.startsWith(`${SCRYPT_PREFIX}$`)) {
+      const expected = Buffer.from(legacyHash(secret));
+      const actual = Buffer.from(storedHash);
+      const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+      return { valid, needsRehash: valid };
+    }
+
+    const [, salt, hash] = storedHash.split('$');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(secret), salt, expected.length);
+    return { valid: crypto.timingSafeEqual(expected, actual), needsRehash: false };
+  } catch (err) {
+    logger.error(`Failed to verify secret`, err);
+    return { valid: false, needsRehash: false };
+  }
+};
+
+// --- SESSION TOKENS ---
+
+const sign = (payload) => crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+
+const createSessionToken = (user) => {
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.id,
+    exp: Date.now() + SESSION_TTL_MS,
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Returns the token's payload ({ sub, exp }) if the signature is valid and it
+ * hasn't expired, otherwise null.
+ */
+const verifySessionToken = (token) => {
+  try {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data.sub || !Number.isFinite(data.exp) || data.exp < Date.now()) return null;
+    return data;
+  } catch (err) {
+    logger.warn(`Rejected malformed session token: ${err.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  hashSecret,
+  verifySecret,
+  createSessionToken,
+  verifySessionToken
+};
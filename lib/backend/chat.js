@@ -0,0 +1,152 @@
+/**
+ * lib/backend/chat.js
+ *
+ * In-game messaging. Every message is kept in the game state, so history
+ * survives restarts and goes wherever the game is saved. There are four
+ * channels:
+ *
+ * - Direct messages between two tribes.
+ * - The alliance channel: a message reaches every tribe allied with the
+ *   sender when it is sent. Alliances aren't transitive, so each tribe's
+ *   channel is its own circle of allies.
+ * - The global channel, open to every tribe.
+ * - Announcements, which only admins can post and everyone reads.
+ *
+ * Each tribe keeps a read marker per conversation (see getConversationKey),
+ * from which its unread counts are worked out.
+ */
+const crypto = require('crypto');
+const { DIPLOMATIC_STATUS, CHAT_CHANNELS } = require('../../shared/constants.js');
+
+// --- CONFIGURATION ---
+const MAX_CHAT_HISTORY = 500; // Messages kept per game; the oldest are dropped first
+
+const findTribe = (state, tribeId) => state.tribes.find(t => t.id === tribeId);
+
+const getAllyIds = (tribe) => Object.entries(tribe.diplomacy || {})
+  .filter(([, relation]) => relation.status === DIPLOMATIC_STATUS.Alliance)
+  .map(([tribeId]) => tribeId);
+
+/**
+ * The conversation a message belongs to from a tribe's point of view:
+ * "global", "announcement", "alliance", or "direct:<other tribe id>".
+ */
+const getConversationKey = (message, tribeId) => {
+  if (message.channel !== CHAT_CHANNELS.Direct) return message.channel;
+  const otherId = message.fromTribeId === tribeId ? message.recipientTribeIds[0] : message.fromTribeId;
+  return `${CHAT_CHANNELS.Direct}:${otherId}`;
+};
+
+// Whether a tribe may read a message
+const canRead = (message, tribeId) =>
+  message.channel === CHAT_CHANNELS.Global ||
+  message.channel === CHAT_CHANNELS.Announcement ||
+  message.fromTribeId === tribeId ||
+  (message.recipientTribeIds || []).includes(tribeId);
+
+const getVisibleMessages = (state, tribeId) => (state.chatMessages || []).filter(m => canRead(m, tribeId));
+
+const appendMessage = (state, message) => {
+  state.chatMessages = [...(state.chatMessages || []), message].slice(-MAX_CHAT_HISTORY);
+};
+
+const createMessageId = (state) => `msg-${state.turn}-${crypto.randomUUID()}`;
+
+const markRead = (tribe, conversation, sentAt) => {
+  tribe.chatReadUpTo = { ...(tribe.chatReadUpTo || {}), [conversation]: sentAt };
+};
+
+/**
+ * Posts a tribe's message to a channel. The sender's own conversation counts as read.
+ * @param {object} payload { tribeId, channel, toTribeId, text }; toTribeId only for direct messages
+ * @returns {{ message: object } | { error: string }}
+ */
+const sendMessage = (state, { tribeId, channel, toTribeId, text }) => {
+  const tribe = findTribe(state, tribeId);
+  if (!tribe) return { error: `That tribe could not be found.` };
+
+  let recipientTribeIds = [];
+  if (channel === CHAT_CHANNELS.Direct) {
+    const recipient = findTribe(state, toTribeId);
+    if (!recipient || recipient.id === tribe.id) return { error: `That tribe could not be found.` };
+    recipientTribeIds = [recipient.id];
+  } else if (channel === CHAT_CHANNELS.Alliance) {
+    recipientTribeIds = getAllyIds(tribe).filter(id => findTribe(state, id));
+    if (recipientTribeIds.length === 0) return { error: `You have no allies to talk to.` };
+  } else if (channel !== CHAT_CHANNELS.Global) {
+    return { error: `Only admins can post announcements.` };
+  }
+
+  const message = {
+    id: createMessageId(state),
+    channel,
+    fromTribeId: tribe.id,
+    fromName: tribe.tribeName,
+    recipientTribeIds,
+    text: text.trim(),
+    turn: state.turn,
+    sentAt: Date.now(),
+  };
+  appendMessage(state, message);
+  markRead(tribe, getConversationKey(message, tribe.id), message.sentAt);
+  return { message };
+};
+
+/**
+ * Posts an admin announcement for every tribe.
+ * @param {string} fromName Shown as the sender, usually the admin's username
+ * @returns {{ message: object }}
+ */
+const postAnnouncement = (state, { fromName, text }) => {
+  const message = {
+    id: createMessageId(state),
+    channel: CHAT_CHANNELS.Announcement,
+    fromTribeId: null,
+    fromName,
+    recipientTribeIds: [],
+    text: text.trim(),
+    turn: state.turn,
+    sentAt: Date.now(),
+  };
+  appendMessage(state, message);
+  return { message };
+};
+
+/**
+ * Marks everything in one of a tribe's conversations as read.
+ * @returns {{ conversation: string } | { error: string }}
+ */
+const markConversationRead = (state, { tribeId, conversation }) => {
+  const tribe = findTribe(state, tribeId);
+  if (!tribe) return { error: `That tribe could not be found.` };
+  const latest = getVisibleMessages(state, tribe.id)
+    .filter(m => getConversationKey(m, tribe.id) === conversation)
+    .reduce((max, m) => Math.max(max, m.sentAt), 0);
+  if (latest > 0) markRead(tribe, conversation, latest);
+  return { conversation };
+};
+
+/**
+ * Messages a tribe hasn't read yet, counted per conversation. Its own messages never count.
+ * @returns {Record<string, number>}
+ */
+const getUnreadCounts = (state, tribe) => {
+  const readUpTo = tribe.chatReadUpTo || {};
+  return getVisibleMessages(state, tribe.id)
+    .filter(m => m.fromTribeId !== tribe.id)
+    .reduce((counts, m) => {
+      const key = getConversationKey(m, tribe.id);
+      if (m.sentAt > (readUpTo[key] || 0)) counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    }, {});
+};
+
+module.exports = {
+  MAX_CHAT_HISTORY,
+  getConversationKey,
+  getVisibleMessages,
+  sendMessage,
+  postAnnouncement,
+  markConversationRead,
+  getUnreadCounts
+};
@@ -0,0 +1,146 @@
+/**
+ * lib/backend/combat.js
+ *
+ * Battle resolution between an attacking force and a defending garrison.
+ * This module only does the maths; the turn processor applies the outcome
+ * to game state and hands out the battle reports.
+ */
+const { TERRAIN_TYPES } = require('../../shared/constants.js');
+
+// --- CONFIGURATION ---
+const MAX_ROUNDS = 4;
+const LETHALITY = 0.15; // Share of enemy power converted into casualties per round
+const ARMED_TROOP_POWER = 1.5;
+const UNARMED_TROOP_POWER = 1.0;
+const ATTACKER_BREAK_POINT = 0.4; // Attackers withdraw below 40% of their starting troops
+const DEFENDER_BREAK_POINT = 0.25; // Defenders rout below 25% of their starting troops
+const DEFEND_POSTURE_BONUS = 0.3;
+const MAX_CHIEF_BONUS = 0.5;
+const MIN_CASUALTY_FACTOR = 0.6;
+const CAPTURED_WEAPONS_SHARE = 0.5;
+
+// Bonus the defender gets from the ground they're holding
+const TERRAIN_DEFENSE_BONUS = {
+  [TERRAIN_TYPES.Mountains]: 0.4,
+  [TERRAIN_TYPES.Forest]: 0.25,
+  [TERRAIN_TYPES.Ruins]: 0.2,
+  [TERRAIN_TYPES.Swamp]: 0.15,
+  [TERRAIN_TYPES.Crater]: 0.1,
+  [TERRAIN_TYPES.Plains]: 0,
+  [TERRAIN_TYPES.Wasteland]: 0,
+  [TERRAIN_TYPES.Radiation]: 0,
+  [TERRAIN_TYPES.Desert]: -0.05,
+  [TERRAIN_TYPES.Water]: 0,
+};
+
+const forcePower = (troops, weapons) => {
+  const armed = Math.min(troops, weapons);
+  return armed * ARMED_TROOP_POWER + (troops - armed) * UNARMED_TROOP_POWER;
+};
+
+const chiefBonus = (chiefs) => Math.min(MAX_CHIEF_BONUS,
+  (chiefs || []).reduce((sum, chief) => sum + (chief.stats.strength + chief.stats.leadership) * 0.01, 0));
+
+// Good leadership keeps troops alive: fewer casualties for the same damage taken
+const casualtyFactor = (stats, chiefs) => {
+  const bestChiefLeadership = Math.max(0, ...(chiefs || []).map(c => c.stats.leadership));
+  return Math.max(MIN_CASUALTY_FACTOR, 1 - stats.leadership * 0.01 - bestChiefLeadership * 0.01);
+};
+
+/**
+ * Builds the combat profile for one side of a battle.
+ * @param {object} side { tribe, troops, weapons, chiefs, bonus }
+ */
+const buildCombatant = ({ tribe, troops, weapons, chiefs, bonus = 0 }) => ({
+  tribeId: tribe.id,
+  tribeName: tribe.tribeName,
+  startTroops: troops,
+  startWeapons: weapons,
+  troops,
+  weapons,
+  chiefs: chiefs || [],
+  multiplier: Math.max(0.1, 1 + tribe.stats.strength * 0.02 + chiefBonus(chiefs) + bonus),
+  casualtyFactor: casualtyFactor(tribe.stats, chiefs),
+});
+
+const applyLosses = (combatant, losses) => {
+  const lossShare = combatant.troops > 0 ? losses / combatant.troops : 1;
+  combatant.weapons -= Math.floor(combatant.weapons * lossShare * 0.5);
+  combatant.troops -= losses;
+};
+
+/**
+ * Fights a battle in rounds until one side breaks or the round limit is reached.
+ * If neither side breaks the defenders hold the position.
+ *
+ * @param {object} params
+ * @param {object} params.attacker  { tribe, troops, weapons, chiefs }
+ * @param {object} params.defender  { tribe, troops, weapons, chiefs }
+ * @param {string} params.terrain   Terrain of the contested hex
+ * @param {number} params.defendingTroops Troops that took a Defend action this turn
+ * @param {object} rng Seeded generator from lib/backend/random.js
+ * @returns {object} Battle report
+ */
+const resolveBattle = ({ attacker, defender, terrain, defendingTroops = 0 }, rng) => {
+  const terrainBonus = TERRAIN_DEFENSE_BONUS[terrain] || 0;
+  // The posture bonus only counts for the share of the garrison actually dug in
+  const postureBonus = defender.troops > 0 ? DEFEND_POSTURE_BONUS * Math.min(1, defendingTroops / defender.troops) : 0;
+
+  const atk = buildCombatant(attacker);
+  const def = buildCombatant({ ...defender, bonus: (defender.bonus || 0) + terrainBonus + postureBonus });
+
+  const rounds = [];
+  let outcome = null;
+  for (let round = 1; round <= MAX_ROUNDS && !outcome; round++) {
+    const attackPower = forcePower(atk.troops, atk.weapons) * atk.multiplier * rng.between(0.85, 1.15);
+    const defensePower = forcePower(def.troops, def.weapons) * def.multiplier * rng.between(0.85, 1.15);
+
+    const defenderLosses = Math.min(def.troops, Math.round(attackPower * LETHALITY * def.casualtyFactor));
+    const attackerLosses = Math.min(atk.troops, Math.round(defensePower * LETHALITY * atk.casualtyFactor));
+    applyLosses(def, defenderLosses);
+    applyLosses(atk, attackerLosses);
+    rounds.push({ round, attackerLosses, defenderLosses });
+
+    const defenderBroken = def.troops <= def.startTroops * DEFENDER_BREAK_POINT;
+    const attackerBroken = atk.troops <= atk.startTroops * ATTACKER_BREAK_POINT;
+    if (defenderBroken && attackerBroken) {
+      outcome = forcePower(atk.troops, atk.weapons) * atk.multiplier > forcePower(def.troops, def.weapons) * def.multiplier
+        ? 'attacker_victory'
+        : 'defender_victory';
+    } else if (defenderBroken) {
+      outcome = 'attacker_victory';
+    } else if (attackerBroken) {
+      outcome = 'defender_victory';
+    }
+  }
+  outcome = outcome || 'defender_victory';
+
+  const capturedWeapons = outcome === 'attacker_victory' ? Math.floor(def.weapons * CAPTURED_WEAPONS_SHARE) : 0;
+  const summarize = (c) => ({
+    tribeId: c.tribeId,
+    tribeName: c.tribeName,
+    troops: c.startTroops,
+    weapons: c.startWeapons,
+    chiefs: c.chiefs.map(chief => chief.name),
+    losses: c.startTroops - c.troops,
+    survivors: c.troops,
+    weaponsRemaining: c.weapons,
+  });
+
+  return {
+    terrain,
+    terrainBonus,
+    postureBonus,
+    rounds,
+    outcome,
+    capturedWeapons,
+    attacker: summarize(atk),
+    defender: summarize(def),
+  };
+};
+
+module.exports = {
+  TERRAIN_DEFENSE_BONUS,
+  forcePower,
+  resolveBattle
+};
@@ -0,0 +1,171 @@
+/**
+ * lib/backend/games.js
+ *
+ * The games running on this server. Each game has its own state (map and
+ * settings, turn schedule, tribes, ...) and is saved and snapshotted on its
+ * own; user accounts are shared by all of them, so one user can lead a tribe
+ * in several games.
+ *
+ * The default game ("main") is kept where the single campaign always was, so
+ * an existing save carries on as that game. Games created by admins live under
+ * <data dir>/games/<id>/, each with its own save and snapshots directory.
+ * Archiving a game renames its directory so it is no longer loaded; nothing
+ * is deleted.
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { migrateHexKeys } = require('./mapUtils');
+const { getGameStorageConfig, createStorage } = require('./storage');
+const { createSnapshotStore } = require('./snapshots');
+
+// --- CONFIGURATION ---
+const DEFAULT_GAME_ID = 'main';
+const DEFAULT_GAME_NAME = 'Main campaign';
+const GAMES_DIR_NAME = 'games';
+const GAME_ID_PATTERN = /^game-\d+$/;
+
+// Ids of the games saved under a data directory, apart from the default game
+const listSavedGameIds = (dataDir) => {
+  const gamesDir = path.join(dataDir, GAMES_DIR_NAME);
+  return fs.existsSync(gamesDir) ? fs.readdirSync(gamesDir).filter(id => GAME_ID_PATTERN.test(id)) : [];
+};
+
+// Where a saved game's files are kept
+const getGameDir = (dataDir, id) => path.join(dataDir, GAMES_DIR_NAME, id);
+
+/**
+ * What the lobby shows of a game; no map, resources or orders.
+ * @returns {{ id, name, turn, tribeCount, playerIds, deadline, createdAt }}
+ */
+const summarizeGame = (game) => ({
+  id: game.id,
+  name: game.state.gameName || DEFAULT_GAME_NAME,
+  turn: game.state.turn,
+  tribeCount: game.state.tribes.length,
+  playerIds: game.state.tribes.filter(t => !t.isAI && t.playerId).map(t => t.playerId),
+  deadline: game.state.turnTimer ? game.state.turnTimer.deadline : null,
+  createdAt: game.state.createdAt || null,
+});
+
+/**
+ * @param {object} options
+ * @param {object} options.storageConfig From getStorageConfig(); the default game is saved there
+ * @param {string} options.snapshotDir   Where the default game's snapshots are kept
+ */
+const createGameRegistry = ({ storageConfig, snapshotDir }) => {
+  const games = new Map();
+  const gameDir = (id) => getGameDir(storageConfig.dataDir, id);
+
+  const openGame = (id, state = null) => {
+    const isDefault = id === DEFAULT_GAME_ID;
+    if (!isDefault) fs.mkdirSync(gameDir(id), { recursive: true });
+    const game = {
+      id,
+      state,
+      storage: createStorage(isDefault ? storageConfig : getGameStorageConfig(storageConfig, gameDir(id))),
+      snapshots: createSnapshotStore({ dir: isDefault ? snapshotDir : path.join(gameDir(id), 'snapshots') }),
+    };
+    games.set(id, game);
+    return game;
+  };
+
+  const closeGame = (game) => {
+    games.delete(game.id);
+    try {
+      game.storage.close();
+    } catch (err) {
+      logger.error(`Error closing storage of game ${game.id}`, err);
+    }
+  };
+
+  // The default game's save and snapshots carry the user accounts
+  const toSave = (game, users) => ({ gameState: game.state, users: game.id === DEFAULT_GAME_ID ? users : [] });
+
+  openGame(DEFAULT_GAME_ID);
+
+  const get = (id) => games.get(id);
+  const getDefault = () => games.get(DEFAULT_GAME_ID);
+  const list = () => [...games.values()];
+
+  /**
+   * Loads every saved game. A game that fails to load is logged and left on disk.
+   * @returns {object[]|null} The saved users, or null if the default game has never been saved
+   */
+  const load = () => {
+    listSavedGameIds(storageConfig.dataDir).forEach(id => {
+      let game;
+      try {
+        game = openGame(id);
+        const data = game.storage.load();
+        if (!data) {
+          closeGame(game);
+          return;
+        }
+        game.state = migrateHexKeys(data.gameState);
+        logger.info(`Game ${id} loaded: ${game.state.tribes.length} tribes`);
+      } catch (err) {
+        logger.error(`Failed to load game ${id}, skipping it`, err);
+        if (game) closeGame(game);
+      }
+    });
+
+    const data = getDefault().storage.load();
+    if (!data) return null;
+    getDefault().state = migrateHexKeys(data.gameState);
+    return data.users;
+  };
+
+  /**
+   * Adds a game and saves it straight away.
+   * @param {object} state Its initial game state
+   */
+  const create = (state) => {
+    let stamp = Date.now();
+    while (games.has(`game-${stamp}`)) stamp += 1;
+    const game = openGame(`game-${stamp}`, state);
+    game.storage.save(toSave(game, []));
+    return game;
+  };
+
+  /**
+   * Stops running a game and moves its directory aside. The default game can't be archived.
+   * @returns {string|null} Where the game's files now are, or null if there was no such game
+   */
+  const archive = (id) => {
+    const game = games.get(id);
+    if (!game || id === DEFAULT_GAME_ID) return null;
+    closeGame(game);
+    const archivedDir = `${gameDir(id)}.archived-${Date.now()}`;
+    fs.renameSync(gameDir(id), archivedDir);
+    return archivedDir;
+  };
+
+  /** @returns {boolean} true on success */
+  const save = (game, users) => game.storage.save(toSave(game, users));
+
+  const takeSnapshot = (game, users, reason) => game.snapshots.take(toSave(game, users), reason);
+
+  const close = () => list().forEach(closeGame);
+
+  return {
+    get,
+    getDefault,
+    list,
+    load,
+    create,
+    archive,
+    save,
+    takeSnapshot,
+    close
+  };
+};
+
+module.exports = {
+  DEFAULT_GAME_ID,
+  DEFAULT_GAME_NAME,
+  listSavedGameIds,
+  getGameDir,
+  summarizeGame,
+  createGameRegistry
+};
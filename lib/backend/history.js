@@ -0,0 +1,93 @@
+/**
+ * lib/backend/history.js
+ *
+ * Per-turn history: after each processed turn every tribe gets a record of
+ * where it stands (score, resources, troops, territory, techs, explored hex
+ * count), and the turn gets a diff of what changed for each tribe while it
+ * resolved. Drives the growth chart and the turn-by-turn replay.
+ */
+
+const sumGarrisons = (tribe, read) =>
+  Object.values(tribe.garrisons || {}).reduce((sum, garrison) => sum + (read(garrison) || 0), 0);
+
+// Same formula as lib/statsUtils.ts, so the chart matches the leaderboard
+const calculateTribeScore = (tribe) => {
+  const resources = tribe.globalResources || {};
+  const militaryScore = sumGarrisons(tribe, g => g.troops) + sumGarrisons(tribe, g => g.weapons) * 2;
+  const economicScore = (resources.food || 0) * 0.2 + (resources.scrap || 0) * 0.5;
+  const territoryScore = Object.keys(tribe.garrisons || {}).length * 25;
+  const techScore = (tribe.completedTechs || []).length * 50;
+  const chiefScore = sumGarrisons(tribe, g => (g.chiefs || []).length) * 40;
+  return Math.round(militaryScore + economicScore + territoryScore + techScore + chiefScore + (resources.morale || 0));
+};
+
+/**
+ * Where a tribe stands right now.
+ * @returns {object} TribeHistoryRecord
+ */
+const summarizeTribe = (tribe) => {
+  const resources = tribe.globalResources || {};
+  const territory = Object.keys(tribe.garrisons || {}).sort();
+  return {
+    tribeId: tribe.id,
+    score: calculateTribeScore(tribe),
+    troops: sumGarrisons(tribe, g => g.troops),
+    weapons: sumGarrisons(tribe, g => g.weapons),
+    garrisons: territory.length,
+    food: resources.food || 0,
+    scrap: resources.scrap || 0,
+    morale: resources.morale || 0,
+    territory,
+    techs: [...(tribe.completedTechs || [])],
+    hexCount: (tribe.exploredHexes || []).length,
+  };
+};
+
+const NUMERIC_FIELDS = ['score', 'troops', 'weapons', 'food', 'scrap', 'morale', 'hexCount'];
+
+// What changed for one tribe between two records; either side may be missing
+const diffTribe = (before, after) => {
+  const changes = { tribeId: (after || before).tribeId };
+  if (!before) changes.joined = true;
+  if (!after) changes.eliminated = true;
+
+  NUMERIC_FIELDS.forEach(field => {
+    const delta = ((after && after[field]) || 0) - ((before && before[field]) || 0);
+    if (delta !== 0) changes[field] = delta;
+  });
+
+  const gained = (from, to) => (to || []).filter(item => !(from || []).includes(item));
+  const territoryGained = gained(before && before.territory, after && after.territory);
+  const territoryLost = gained(after && after.territory, before && before.territory);
+  const techsGained = gained(before && before.techs, after && after.techs);
+  if (territoryGained.length > 0) changes.territoryGained = territoryGained;
+  if (territoryLost.length > 0) changes.territoryLost = territoryLost;
+  if (techsGained.length > 0) changes.techsGained = techsGained;
+  return changes;
+};
+
+/**
+ * The history entry for a turn that just resolved.
+ * @param {number} turn             The turn that was processed
+ * @param {object[]} recordsBefore  summarizeTribe() of every tribe before it resolved
+ * @param {object[]} tribesAfter    Tribes once it resolved
+ * @returns {object} TurnHistoryRecord
+ */
+const buildTurnRecord = (turn, recordsBefore, tribesAfter) => {
+  const tribeRecords = tribesAfter.map(summarizeTribe);
+  const beforeById = new Map(recordsBefore.map(record => [record.tribeId, record]));
+  const afterIds = new Set(tribeRecords.map(record => record.tribeId));
+
+  const diff = [
+    ...tribeRecords.map(record => diffTribe(beforeById.get(record.tribeId), record)),
+    ...recordsBefore.filter(record => !afterIds.has(record.tribeId)).map(record => diffTribe(record, null)),
+  ].filter(changes => Object.keys(changes).length > 1);
+
+  return { turn, tribeRecords, diff };
+};
+
+module.exports = {
+  calculateTribeScore,
+  summarizeTribe,
+  buildTurnRecord
+};
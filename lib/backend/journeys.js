@@ -0,0 +1,171 @@
+/**
+ * lib/backend/journeys.js
+ *
+ * Forces on the road. Moves, attacks, scouting parties and trade caravans
+ * travel hex by hex along a route, spending movement points on the terrain
+ * they enter, and may need several turns to arrive. A journey can be halted
+ * on the way (intercepted, or its route cut off); it then waits for its owner
+ * to order it onwards or home.
+ *
+ * This module only knows about routes and marching. What happens on arrival,
+ * and the fighting when a journey is intercepted, is up to the turn processor.
+ */
+const { JOURNEY_TYPES } = require('../../shared/constants.js');
+const { MOVEMENT_POINTS_PER_TURN, hexKeyDistance, getMovementCost, findPath } = require('./mapUtils');
+const { getTechEffects } = require('./research');
+const { grantsPassage } = require('./treaties');
+
+// --- CONFIGURATION ---
+const SCOUT_SPEED_FACTOR = 2; // Scouting parties travel light
+
+// Movement points a tribe's forces have each turn, including tech bonuses
+const getMarchRange = (tribe) => MOVEMENT_POINTS_PER_TURN * (1 + getTechEffects(tribe).movementBonus);
+
+const getJourneySpeed = (tribe, journey) =>
+  getMarchRange(tribe) * (journey.type === JOURNEY_TYPES.Scout ? SCOUT_SPEED_FACTOR : 1);
+
+// Hexes a tribe's forces can't pass through: other tribes' garrisons, unless their owners grant passage
+const getBlockedHexes = (state, tribeId) => new Set(state.tribes
+  .filter(t => t.id !== tribeId && !grantsPassage(state, t.id, tribeId))
+  .flatMap(t => Object.keys(t.garrisons || {})));
+
+/**
+ * Cheapest route between two hexes. Forces can't pass through hexes held by
+ * other tribes, though they may end their journey on one.
+ * @returns {{ path: string[], cost: number } | null}
+ */
+const planRoute = (state, hexIndex, tribeId, from, to, maxCost = Infinity) =>
+  findPath(from, to, hexIndex, { maxCost, blocked: getBlockedHexes(state, tribeId) });
+
+// Turns left until a journey reaches the end of its route
+const estimateTurns = (hexIndex, tribe, journey) => {
+  const cost = journey.path.slice(1).reduce((sum, key) => sum + getMovementCost(hexIndex.get(key)), 0);
+  return Math.ceil(cost / getJourneySpeed(tribe, journey));
+};
+
+/**
+ * A new journey setting out from `origin` along `route`.
+ * @param {object} fields { id, tribe, type, origin, destination, route, force, payload, ...extra }
+ */
+const createJourney = ({ id, tribe, type, origin, destination, route, force, payload, ...extra }) => ({
+  id,
+  ownerTribeId: tribe.id,
+  type,
+  origin,
+  destination,
+  path: route.path,
+  currentLocation: origin,
+  force,
+  payload: payload || { food: 0, scrap: 0, weapons: 0 },
+  arrivalTurn: 0,
+  status: 'en_route',
+  interceptedBy: [],
+  ...extra,
+});
+
+// Stops a journey where it stands until its owner says whether to continue or retreat
+const haltJourney = (journey, reason) => {
+  journey.resumeStatus = journey.status;
+  journey.status = 'halted';
+  journey.haltReason = reason;
+};
+
+const resumeJourney = (journey) => {
+  journey.status = journey.resumeStatus || 'en_route';
+  delete journey.resumeStatus;
+  delete journey.haltReason;
+};
+
+/**
+ * Points a journey back towards one of its tribe's garrisons: its origin if it
+ * still stands, otherwise the nearest one it can reach, and failing that the
+ * empty hex it set out from.
+ * @returns {boolean} False if there is nowhere to go
+ */
+const sendHome = (state, hexIndex, tribe, journey) => {
+  const originStands = Boolean(tribe.garrisons[journey.origin]);
+  const originTaken = state.tribes.some(t => t.id !== tribe.id && t.garrisons && t.garrisons[journey.origin]);
+  const candidates = [
+    ...(originStands ? [journey.origin] : []),
+    ...Object.keys(tribe.garrisons || {})
+      .filter(location => location !== journey.origin)
+      .sort((a, b) => hexKeyDistance(journey.currentLocation, a) - hexKeyDistance(journey.currentLocation, b)),
+    ...(!originStands && !originTaken ? [journey.origin] : []),
+  ];
+  for (const home of candidates) {
+    const route = planRoute(state, hexIndex, tribe.id, journey.currentLocation, home);
+    if (route) {
+      journey.destination = home;
+      journey.path = route.path;
+      journey.status = 'returning';
+      delete journey.resumeStatus;
+      delete journey.haltReason;
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Marches a journey along its route with the given movement points. It always
+ * manages at least one hex a turn, however rough the ground.
+ *
+ * @param {object} ctx Turn context (state, hexIndex)
+ * @param {function} onEnterHex Called after each step; returning true stops the march
+ * @param {boolean} [freshStart] False when continuing with movement left over from an earlier leg this turn,
+ *   which doesn't earn the guaranteed step
+ * @returns {{ arrived: boolean, movementLeft: number }}
+ */
+const marchJourney = (ctx, tribe, journey, movementPoints, onEnterHex, freshStart = true) => {
+  let points = movementPoints;
+  let steps = 0;
+  while (journey.currentLocation !== journey.destination) {
+    let next = journey.path[1];
+    const occupied = next && next !== journey.destination && getBlockedHexes(ctx.state, tribe.id).has(next);
+    if (!next || occupied) {
+      // Someone has dug in across the route since it was planned; look for a way around
+      const route = planRoute(ctx.state, ctx.hexIndex, tribe.id, journey.currentLocation, journey.destination);
+      if (!route) {
+        haltJourney(journey, `The way to ${journey.destination} is blocked.`);
+        return { arrived: false, movementLeft: 0 };
+      }
+      journey.path = route.path;
+      next = route.path[1];
+    }
+
+    const cost = getMovementCost(ctx.hexIndex.get(next));
+    if (cost > points && (steps > 0 || !freshStart)) break;
+    points -= cost;
+    steps += 1;
+    journey.path = journey.path.slice(1);
+    journey.currentLocation = next;
+    if (onEnterHex(journey)) {
+      points = 0;
+      break;
+    }
+  }
+
+  // A journey halted or destroyed on the way hasn't arrived, even if it stopped on its destination
+  const onTheMove = journey.status === 'en_route' || journey.status === 'returning';
+  const arrived = onTheMove && journey.currentLocation === journey.destination;
+  journey.arrivalTurn = arrived ? 0 : estimateTurns(ctx.hexIndex, tribe, journey);
+  return { arrived, movementLeft: Math.max(0, points) };
+};
+
+// Troops a tribe has out on journeys; they still need feeding
+const getTravellingTroops = (state, tribeId) => (state.journeys || [])
+  .filter(journey => journey.ownerTribeId === tribeId)
+  .reduce((sum, journey) => sum + journey.force.troops, 0);
+
+module.exports = {
+  getMarchRange,
+  getJourneySpeed,
+  planRoute,
+  estimateTurns,
+  createJourney,
+  haltJourney,
+  resumeJourney,
+  sendHome,
+  marchJourney,
+  getTravellingTroops
+};
@@ -0,0 +1,32 @@
+/**
+ * lib/backend/logger.js
+ *
+ * Timestamped console logger shared by server.js and the backend modules.
+ */
+
+// Custom logger with timestamps
+const logger = {
+  info: (message) => {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [INFO] ${message}`);
+  },
+  warn: (message) => {
+    const timestamp = new Date().toISOString();
+    console.warn(`[${timestamp}] [WARN] ${message}`);
+  },
+  error: (message, error) => {
+    const timestamp = new Date().toISOString();
+    console.error(`[${timestamp}] [ERROR] ${message}`);
+    if (error && error.stack) {
+      console.error(`[${timestamp}] [STACK] ${error.stack}`);
+    }
+  },
+  debug: (message) => {
+    if (process.env.NODE_ENV === 'development') {
+      const timestamp = new Date().toISOString();
+      console.debug(`[${timestamp}] [DEBUG] ${message}`);
+    }
+  }
+};
+
+module.exports = logger;
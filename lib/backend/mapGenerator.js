@@ -0,0 +1,188 @@
+/**
+ * lib/backend/mapGenerator.js
+ *
+ * Deterministic, noise-based map generation for the server. The same seed and
+ * settings always produce the same map, so admins can share and reproduce maps.
+ */
+const {
+  TERRAIN_TYPES,
+  POI_TYPES,
+  POI_RARITY_MAP,
+  DEFAULT_MAP_SETTINGS
+} = require('../../shared/constants.js');
+const logger = require('./logger');
+const { createRng } = require('./random');
+const { createNoise2D } = require('./noise');
+const { formatHexCoords, hexDistance, isWithinMapRadius } = require('./mapUtils');
+const { pickStartingLocations } = require('./startPlacement');
+const { getInitialRichness } = require('./poi');
+
+// --- CONFIGURATION ---
+const DEFAULT_MAP_RADIUS = 40;
+const NOISE_SCALE = 0.05; // Lower numbers = larger features
+const POI_SPAWN_CHANCE = 0.04;
+const BASE_WATER_LEVEL = 0.2; // Scaled by the Water bias
+const ISLAND_PLATEAU = 0.5; // Share of the radius that is never pushed under water
+const ISLAND_FALLOFF = 0.8;
+
+const RARITY_WEIGHTS = {
+  'Common': 1,
+  'Uncommon': 0.6,
+  'Rare': 0.3,
+  'Very Rare': 0.1,
+};
+
+// Ideal noise values for each land terrain. `range` is the ideal value and
+// `falloff` controls how quickly the score drops away from it. Water is
+// decided separately from the island shape.
+const TERRAIN_PROFILES = {
+  [TERRAIN_TYPES.Mountains]: { elevation: { range: 0.8, falloff: 5 } },
+  [TERRAIN_TYPES.Plains]: { elevation: { range: 0.4, falloff: 4 }, moisture: { range: 0.5, falloff: 3 } },
+  [TERRAIN_TYPES.Forest]: { elevation: { range: 0.5, falloff: 5 }, moisture: { range: 0.7, falloff: 4 } },
+  [TERRAIN_TYPES.Swamp]: { elevation: { range: 0.3, falloff: 8 }, moisture: { range: 0.85, falloff: 4 } },
+  [TERRAIN_TYPES.Desert]: { elevation: { range: 0.4, falloff: 4 }, moisture: { range: 0.15, falloff: 5 } },
+  [TERRAIN_TYPES.Wasteland]: { elevation: { range: 0.6, falloff: 3 }, moisture: { range: 0.3, falloff: 4 } },
+  [TERRAIN_TYPES.Ruins]: { elevation: { range: 0.5, falloff: 2 }, special: { range: 0.85, falloff: 8 } },
+  [TERRAIN_TYPES.Crater]: { elevation: { range: 0.7, falloff: 6 }, special: { range: 0.5, falloff: 10 } },
+  [TERRAIN_TYPES.Radiation]: { elevation: { range: 0.5, falloff: 3 }, special: { range: 0.1, falloff: 8 } },
+};
+
+// Which POIs can appear on which terrain
+const TERRAIN_POI_MAP = {
+  [TERRAIN_TYPES.Ruins]: [POI_TYPES.Ruins, POI_TYPES.Scrapyard, POI_TYPES.WeaponsCache, POI_TYPES.Factory],
+  [TERRAIN_TYPES.Mountains]: [POI_TYPES.Mine, POI_TYPES.Outpost, POI_TYPES.Vault, POI_TYPES.ResearchLab],
+  [TERRAIN_TYPES.Plains]: [POI_TYPES.Settlement, POI_TYPES.FoodSource, POI_TYPES.Battlefield],
+  [TERRAIN_TYPES.Forest]: [POI_TYPES.FoodSource, POI_TYPES.BanditCamp, POI_TYPES.Outpost],
+  [TERRAIN_TYPES.Wasteland]: [POI_TYPES.Scrapyard, POI_TYPES.BanditCamp, POI_TYPES.Factory, POI_TYPES.Crater],
+  [TERRAIN_TYPES.Desert]: [POI_TYPES.ResearchLab, POI_TYPES.Scrapyard, POI_TYPES.Mine],
+  [TERRAIN_TYPES.Swamp]: [POI_TYPES.FoodSource, POI_TYPES.BanditCamp],
+  [TERRAIN_TYPES.Crater]: [POI_TYPES.Scrapyard, POI_TYPES.WeaponsCache, POI_TYPES.Radiation],
+  [TERRAIN_TYPES.Radiation]: [POI_TYPES.Scrapyard, POI_TYPES.ResearchLab, POI_TYPES.WeaponsCache, POI_TYPES.Radiation],
+};
+
+// Fill in any terrain missing from the admin's settings with the default bias
+const resolveBiases = (settings) => ({
+  ...DEFAULT_MAP_SETTINGS.biases,
+  ...((settings && settings.biases) || {}),
+});
+
+// Bell curve around the ideal value; a higher falloff narrows the band the terrain likes
+const profileScore = (value, profile) =>
+  Math.exp(-Math.pow((value - profile.range) * profile.falloff, 2));
+
+// Two octaves of noise, stretched so the field actually reaches the 0-1 extremes
+const sampleNoise = (noise, x, y) => {
+  const value = noise(x, y) + 0.5 * noise(x * 2, y * 2);
+  return Math.min(1, Math.max(0, 0.5 + value * 0.75));
+};
+
+// Picks the land terrain whose profile best fits the noise values, weighted by bias
+const getLandTerrain = (elevation, moisture, special, biases) => {
+  let bestScore = -1;
+  let bestTerrain = TERRAIN_TYPES.Wasteland; // Default to wasteland if no match
+
+  Object.entries(TERRAIN_PROFILES).forEach(([terrain, profile]) => {
+    let score = profileScore(elevation, profile.elevation);
+    if (profile.moisture) score *= profileScore(moisture, profile.moisture);
+    if (profile.special) score *= profileScore(special, profile.special);
+    score *= biases[terrain] ?? 1.0;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestTerrain = terrain;
+    }
+  });
+  return bestTerrain;
+};
+
+const placePOI = (terrain, q, r, rng) => {
+  if (terrain === TERRAIN_TYPES.Water || !rng.chance(POI_SPAWN_CHANCE)) {
+    return undefined;
+  }
+  const candidates = TERRAIN_POI_MAP[terrain] || [];
+  if (candidates.length === 0) {
+    return undefined;
+  }
+
+  // Weighted pick so rare POIs stay rare
+  const weights = candidates.map(type => RARITY_WEIGHTS[POI_RARITY_MAP[type]] || 1);
+  let roll = rng.next() * weights.reduce((sum, w) => sum + w, 0);
+  let type = candidates[candidates.length - 1];
+  for (let i = 0; i < candidates.length; i++) {
+    if (roll < weights[i]) {
+      type = candidates[i];
+      break;
+    }
+    roll -= weights[i];
+  }
+
+  const difficulty = rng.int(1, 10);
+  return {
+    id: `poi-${q}-${r}`,
+    type,
+    difficulty,
+    rarity: POI_RARITY_MAP[type] || 'Common',
+    richness: getInitialRichness(type, difficulty),
+  };
+};
+
+/**
+ * Generates terrain, POIs and starting locations for a map.
+ * @param {number} radius   Map radius in hexes
+ * @param {number} seed     Map seed; identical seed + settings = identical map
+ * @param {object} settings Map settings ({ biases, startSpacing, startBalanceRadius }) as stored in game state
+ */
+const generateMapData = (radius, seed, settings) => {
+  try {
+    logger.info(`Generating map with radius ${radius}, seed ${seed}`);
+
+    const biases = resolveBiases(settings);
+    const elevationNoise = createNoise2D(seed, 'elevation');
+    const moistureNoise = createNoise2D(seed, 'moisture');
+    const specialNoise = createNoise2D(seed, 'special');
+    const poiRng = createRng(seed, 'poi');
+    const waterLevel = BASE_WATER_LEVEL * Math.max(0, biases[TERRAIN_TYPES.Water] ?? 1);
+
+    const map = [];
+    for (let q = -radius; q <= radius; q++) {
+      for (let r = -radius; r <= radius; r++) {
+        if (!isWithinMapRadius({ q, r }, radius)) continue;
+
+        const nx = q * NOISE_SCALE;
+        const ny = r * NOISE_SCALE;
+        const elevation = sampleNoise(elevationNoise, nx, ny);
+        const moisture = sampleNoise(moistureNoise, nx, ny);
+        const special = sampleNoise(specialNoise, nx * 2, ny * 2);
+
+        // Island shape: land falls away towards the edge of the map
+        const dist = hexDistance({ q: 0, r: 0 }, { q, r }) / radius;
+        const islandElevation = elevation - Math.max(0, dist - ISLAND_PLATEAU) * ISLAND_FALLOFF;
+
+        const terrain = islandElevation < waterLevel
+          ? TERRAIN_TYPES.Water
+          : getLandTerrain(elevation, moisture, special, biases);
+
+        const hex = { q, r, terrain };
+        const poi = placePOI(terrain, q, r, poiRng);
+        if (poi) hex.poi = poi;
+        map.push(hex);
+      }
+    }
+
+    const startingLocations = pickStartingLocations(map, radius, settings, createRng(seed, 'starts'));
+    logger.debug(`Map generated with ${map.length} hexes and ${startingLocations.length} starting locations`);
+    return { map, startingLocations };
+  } catch (err) {
+    logger.error(`Failed to generate map data`, err);
+    // Return minimal valid data as fallback
+    return {
+      map: [{ q: 0, r: 0, terrain: TERRAIN_TYPES.Plains }],
+      startingLocations: [formatHexCoords(0, 0)]
+    };
+  }
+};
+
+module.exports = {
+  DEFAULT_MAP_RADIUS,
+  generateMapData
+};
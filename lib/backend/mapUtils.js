@@ -0,0 +1,305 @@
+/**
+ * lib/backend/mapUtils.js
+ *
+ * Hex grid geometry for the server: coordinate keys, cube distance,
+ * neighbours, rings, line of sight and A* pathfinding.
+ *
+ * Hexes use axial coordinates (q, r). Keys are offset by 50 so they stay
+ * positive and match the client (lib/mapUtils.ts), e.g. (0, 0) -> "050.050".
+ */
+const { TERRAIN_TYPES } = require('../../shared/constants.js');
+const logger = require('./logger');
+
+const HEX_KEY_OFFSET = 50;
+// Bumped when the key format changes so saved games can be migrated on load
+const HEX_KEY_VERSION = 2;
+
+// Movement points a force has per turn, and what each terrain costs to enter
+const MOVEMENT_POINTS_PER_TURN = 5;
+const TERRAIN_MOVEMENT_COSTS = {
+  [TERRAIN_TYPES.Plains]: 1,
+  [TERRAIN_TYPES.Wasteland]: 1,
+  [TERRAIN_TYPES.Radiation]: 1,
+  [TERRAIN_TYPES.Ruins]: 1.2,
+  [TERRAIN_TYPES.Forest]: 1.5,
+  [TERRAIN_TYPES.Desert]: 1.5,
+  [TERRAIN_TYPES.Crater]: 1.8,
+  [TERRAIN_TYPES.Swamp]: 2,
+  [TERRAIN_TYPES.Mountains]: 2.5,
+  [TERRAIN_TYPES.Water]: Infinity,
+};
+
+// Terrain that can be seen but not seen past
+const SIGHT_BLOCKING_TERRAIN = [TERRAIN_TYPES.Mountains];
+
+const HEX_DIRECTIONS = [
+  { q: 1, r: 0 }, { q: 1, r: -1 }, { q: 0, r: -1 },
+  { q: -1, r: 0 }, { q: -1, r: 1 }, { q: 0, r: 1 },
+];
+
+// --- COORDINATE KEYS ---
+
+// Format axial coordinates as a hex key like "050.050"
+const formatHexCoords = (q, r) =>
+  `${String(HEX_KEY_OFFSET + q).padStart(3, '0')}.${String(HEX_KEY_OFFSET + r).padStart(3, '0')}`;
+
+// Parse hex coordinates from a string like "050.050"
+const parseHexCoords = (hexString) => {
+  try {
+    const [q, r] = hexString.split('.').map(Number);
+    if (!Number.isFinite(q) || !Number.isFinite(r)) throw new Error('Malformed hex key');
+    return { q: q - HEX_KEY_OFFSET, r: r - HEX_KEY_OFFSET };
+  } catch (err) {
+    logger.error(`Failed to parse hex coordinates: ${hexString}`, err);
+    return { q: 0, r: 0 }; // Default fallback
+  }
+};
+
+// Index map hexes by their coordinate key for O(1) lookups
+const indexMapData = (mapData) => new Map((mapData || []).map(hex => [formatHexCoords(hex.q, hex.r), hex]));
+
+// --- DISTANCE, NEIGHBOURS & RINGS ---
+
+/**
+ * Grid distance between two axial coordinates, via cube coordinates (s = -q - r).
+ */
+const hexDistance = (a, b) => {
+  const dq = a.q - b.q;
+  const dr = a.r - b.r;
+  const ds = (-a.q - a.r) - (-b.q - b.r);
+  return (Math.abs(dq) + Math.abs(dr) + Math.abs(ds)) / 2;
+};
+
+const hexKeyDistance = (keyA, keyB) => hexDistance(parseHexCoords(keyA), parseHexCoords(keyB));
+
+const getNeighbors = (hex) => HEX_DIRECTIONS.map(dir => ({ q: hex.q + dir.q, r: hex.r + dir.r }));
+
+/**
+ * All hexes exactly `radius` steps from the center, as axial coordinates.
+ */
+const getHexRing = (center, radius) => {
+  if (radius === 0) return [{ q: center.q, r: center.r }];
+  const results = [];
+  // Start at the hex `radius` steps in direction 4 and walk around the six sides
+  let hex = { q: center.q + HEX_DIRECTIONS[4].q * radius, r: center.r + HEX_DIRECTIONS[4].r * radius };
+  for (let side = 0; side < 6; side++) {
+    for (let step = 0; step < radius; step++) {
+      results.push(hex);
+      hex = { q: hex.q + HEX_DIRECTIONS[side].q, r: hex.r + HEX_DIRECTIONS[side].r };
+    }
+  }
+  return results;
+};
+
+// Get the keys of all hexes within range of a center point
+const getHexesInRange = (center, range) => {
+  const results = [];
+  for (let dq = -range; dq <= range; dq++) {
+    for (let dr = Math.max(-range, -dq - range); dr <= Math.min(range, -dq + range); dr++) {
+      results.push(formatHexCoords(center.q + dq, center.r + dr));
+    }
+  }
+  return results;
+};
+
+// Whether a hex lies inside a hexagonal map of the given radius centred on (0, 0)
+const isWithinMapRadius = (hex, radius) => hexDistance({ q: 0, r: 0 }, hex) <= radius;
+
+// --- LINE OF SIGHT ---
+
+const cubeRound = (q, r) => {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const qDiff = Math.abs(rq - q);
+  const rDiff = Math.abs(rr - r);
+  const sDiff = Math.abs(rs - s);
+  if (qDiff > rDiff && qDiff > sDiff) rq = -rr - rs;
+  else if (rDiff > sDiff) rr = -rq - rs;
+  return { q: rq, r: rr };
+};
+
+/**
+ * Hexes on the straight line between two hexes, both ends included.
+ */
+const getHexLine = (a, b) => {
+  const distance = hexDistance(a, b);
+  if (distance === 0) return [{ q: a.q, r: a.r }];
+  // Nudge the start slightly so lines along hex edges round consistently
+  const aq = a.q + 1e-6;
+  const ar = a.r + 1e-6;
+  const line = [];
+  for (let i = 0; i <= distance; i++) {
+    const t = i / distance;
+    line.push(cubeRound(aq + (b.q - aq) * t, ar + (b.r - ar) * t));
+  }
+  return line;
+};
+
+/**
+ * True if nothing between the two hexes blocks sight. The end hexes themselves
+ * never block, so a mountain can be seen even though it can't be seen past.
+ */
+const hasLineOfSight = (from, to, hexIndex) => getHexLine(from, to)
+  .slice(1, -1)
+  .every(hex => {
+    const mapHex = hexIndex.get(formatHexCoords(hex.q, hex.r));
+    return !mapHex || !SIGHT_BLOCKING_TERRAIN.includes(mapHex.terrain);
+  });
+
+/**
+ * Keys of the map hexes visible from a point within the given range.
+ */
+const getVisibleHexes = (center, range, hexIndex) => getHexesInRange(center, range)
+  .filter(key => hexIndex.has(key) && hasLineOfSight(center, parseHexCoords(key), hexIndex));
+
+// --- PATHFINDING ---
+
+const getMovementCost = (hex) => (hex ? TERRAIN_MOVEMENT_COSTS[hex.terrain] ?? Infinity : Infinity);
+
+// Minimal binary heap keyed on `priority`, used as the A* open set
+const createPriorityQueue = () => {
+  const heap = [];
+  const swap = (i, j) => { [heap[i], heap[j]] = [heap[j], heap[i]]; };
+  return {
+    get size() { return heap.length; },
+    push: (item, priority) => {
+      heap.push({ item, priority });
+      let i = heap.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].priority <= heap[i].priority) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop: () => {
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < heap.length && heap[left].priority < heap[smallest].priority) smallest = left;
+          if (right < heap.length && heap[right].priority < heap[smallest].priority) smallest = right;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top.item;
+    },
+  };
+};
+
+/**
+ * A* search between two hex keys over passable terrain.
+ * The cost of a step is the movement cost of the hex being entered.
+ *
+ * @param {string} startKey
+ * @param {string} endKey
+ * @param {Map} hexIndex  Result of indexMapData()
+ * @param {object} [options]
+ * @param {number} [options.maxCost]  Give up on paths more expensive than this
+ * @param {Set<string>} [options.blocked]  Hex keys that may not be entered (except the destination)
+ * @returns {{ path: string[], cost: number } | null}
+ */
+const findPath = (startKey, endKey, hexIndex, { maxCost = Infinity, blocked = new Set() } = {}) => {
+  if (!hexIndex.has(startKey) || getMovementCost(hexIndex.get(endKey)) === Infinity) return null;
+  if (startKey === endKey) return { path: [startKey], cost: 0 };
+
+  const end = parseHexCoords(endKey);
+  const open = createPriorityQueue();
+  const cameFrom = new Map();
+  const gScore = new Map([[startKey, 0]]);
+  open.push(startKey, hexDistance(parseHexCoords(startKey), end));
+
+  while (open.size > 0) {
+    const currentKey = open.pop();
+    if (currentKey === endKey) {
+      const path = [currentKey];
+      while (cameFrom.has(path[0])) path.unshift(cameFrom.get(path[0]));
+      return { path, cost: gScore.get(endKey) };
+    }
+
+    const current = parseHexCoords(currentKey);
+    getNeighbors(current).forEach(neighbor => {
+      const neighborKey = formatHexCoords(neighbor.q, neighbor.r);
+      if (blocked.has(neighborKey) && neighborKey !== endKey) return;
+      const stepCost = getMovementCost(hexIndex.get(neighborKey));
+      if (stepCost === Infinity) return;
+
+      const tentative = gScore.get(currentKey) + stepCost;
+      if (tentative > maxCost || tentative >= (gScore.get(neighborKey) ?? Infinity)) return;
+      cameFrom.set(neighborKey, currentKey);
+      gScore.set(neighborKey, tentative);
+      // Every passable hex costs at least 1, so plain distance never overestimates
+      open.push(neighborKey, tentative + hexDistance(neighbor, end));
+    });
+  }
+
+  return null; // No path found
+};
+
+// --- LEGACY KEYS ---
+
+// Keys written before HEX_KEY_VERSION 2 had no offset and padded each field to three
+// characters, minus sign included: (5, 12) -> "005.012", (-5, 12) -> "0-5.012", (-12, -3) -> "-12.0-3"
+const LEGACY_KEY_FIELD = '(\\d{3}|0-\\d|-\\d{2,})';
+const LEGACY_KEY_PATTERN = new RegExp(`^${LEGACY_KEY_FIELD}\\.${LEGACY_KEY_FIELD}$`);
+
+// The padding zero ahead of a minus sign ("0-5") has to go before the field reads as a number
+const parseLegacyField = (field) => Number(field.replace(/^0(?=-)/, ''));
+
+const convertLegacyKey = (key) => {
+  const match = typeof key === 'string' && key.match(LEGACY_KEY_PATTERN);
+  if (!match) return key;
+  return formatHexCoords(parseLegacyField(match[1]), parseLegacyField(match[2]));
+};
+
+/**
+ * Rewrites hex keys in a game state saved with the old key format.
+ * Returns the state unchanged if it's already up to date.
+ */
+const migrateHexKeys = (state) => {
+  if (!state || state.hexKeyVersion === HEX_KEY_VERSION) return state;
+  logger.info(`Migrating hex keys to version ${HEX_KEY_VERSION}`);
+
+  const remapKeys = (record) => Object.fromEntries(
+    Object.entries(record || {}).map(([key, value]) => [convertLegacyKey(key), value]));
+
+  state.startingLocations = (state.startingLocations || []).map(convertLegacyKey);
+  (state.tribes || []).forEach(tribe => {
+    tribe.location = convertLegacyKey(tribe.location);
+    tribe.garrisons = remapKeys(tribe.garrisons);
+    tribe.exploredHexes = (tribe.exploredHexes || []).map(convertLegacyKey);
+    if (tribe.currentResearch) tribe.currentResearch.location = convertLegacyKey(tribe.currentResearch.location);
+  });
+  state.hexKeyVersion = HEX_KEY_VERSION;
+  return state;
+};
+
+module.exports = {
+  HEX_KEY_VERSION,
+  MOVEMENT_POINTS_PER_TURN,
+  TERRAIN_MOVEMENT_COSTS,
+  formatHexCoords,
+  parseHexCoords,
+  indexMapData,
+  hexDistance,
+  hexKeyDistance,
+  getNeighbors,
+  getHexRing,
+  getHexesInRange,
+  isWithinMapRadius,
+  getHexLine,
+  hasLineOfSight,
+  getVisibleHexes,
+  getMovementCost,
+  findPath,
+  migrateHexKeys
+};
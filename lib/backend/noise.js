@@ -0,0 +1,56 @@
+/**
+ * lib/backend/noise.js
+ *
+ * Seeded 2D Perlin noise, used to generate natural-looking terrain regions.
+ * Server-side counterpart of lib/noise.ts, driven by lib/backend/random.js so
+ * the same seed always produces the same field.
+ */
+const { createRng } = require('./random');
+
+const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+
+const lerp = (t, a, b) => a + t * (b - a);
+
+const grad = (hash, x, y) => {
+  const h = hash & 15;
+  const u = h < 8 ? x : y;
+  const v = h < 4 ? y : h === 12 || h === 14 ? x : 0;
+  return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+};
+
+/**
+ * Creates a noise function noise(x, y) -> [-1, 1] for the given seed parts.
+ */
+const createNoise2D = (...seedParts) => {
+  const rng = createRng('perlin', ...seedParts);
+  const permutation = [...Array(256).keys()];
+
+  // Shuffle the permutation array
+  for (let i = permutation.length - 1; i > 0; i--) {
+    const j = Math.floor(rng.next() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+
+  // Duplicate the permutation array to avoid buffer overflows
+  const p = permutation.concat(permutation);
+
+  return (x, y) => {
+    const X = Math.floor(x) & 255;
+    const Y = Math.floor(y) & 255;
+    const xf = x - Math.floor(x);
+    const yf = y - Math.floor(y);
+    const u = fade(xf);
+    const v = fade(yf);
+    const A = p[X] + Y;
+    const B = p[X + 1] + Y;
+
+    return lerp(v,
+      lerp(u, grad(p[A], xf, yf), grad(p[B], xf - 1, yf)),
+      lerp(u, grad(p[A + 1], xf, yf - 1), grad(p[B + 1], xf - 1, yf - 1))
+    );
+  };
+};
+
+module.exports = {
+  createNoise2D
+};
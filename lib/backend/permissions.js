@@ -0,0 +1,93 @@
+/**
+ * lib/backend/permissions.js
+ *
+ * Who may trigger which socket event. Events not listed here are open to
+ * every socket, including ones that haven't logged in (login, register, ...).
+ */
+
+const ROLE_ADMIN = 'admin';
+
+// Access levels
+const USER = 'user'; // Any logged-in user
+const ADMIN = 'admin'; // Admins only
+// Tribe-scoped events name the tribe they act for; only its owner (or an admin) may send them.
+// getTribeId(payload, state) may return several tribes, in which case leading any of them will do.
+const ownerOf = (getTribeId) => ({ getTribeId });
+
+const findProposal = (state, proposalId) => (state.diplomaticProposals || []).find(p => p.id === proposalId) || {};
+
+const EVENT_PERMISSIONS = {
+  // Admin tools
+  process_turn: ADMIN,
+  start_new_game: ADMIN,
+  load_backup: ADMIN,
+  update_map: ADMIN,
+  regenerate_map: ADMIN,
+  get_start_balance_report: ADMIN,
+  remove_player: ADMIN,
+  add_ai_tribe: ADMIN,
+  set_turn_schedule: ADMIN,
+  list_snapshots: ADMIN,
+  restore_snapshot: ADMIN,
+  approve_chief: ADMIN,
+  deny_chief: ADMIN,
+  approve_asset: ADMIN,
+  deny_asset: ADMIN,
+  send_announcement: ADMIN,
+  create_game: ADMIN,
+  archive_game: ADMIN,
+
+  // Player actions
+  create_tribe: USER,
+  get_history: USER,
+  submit_turn: ownerOf(payload => payload && payload.tribeId),
+  update_tribe: ownerOf(payload => payload && payload.id),
+  request_chief: ownerOf(payload => payload && payload.tribeId),
+  request_asset: ownerOf(payload => payload && payload.tribeId),
+  propose_alliance: ownerOf(payload => payload && payload.fromTribeId),
+  sue_for_peace: ownerOf(payload => payload && payload.fromTribeId),
+  declare_war: ownerOf(payload => payload && payload.fromTribeId),
+  propose_treaty: ownerOf(payload => payload && payload.fromTribeId),
+  cancel_treaty: ownerOf(payload => payload && payload.tribeId),
+  accept_proposal: ownerOf((proposalId, state) => findProposal(state, proposalId).toTribeId),
+  // The recipient turns a proposal down, or its proposer withdraws it
+  reject_proposal: ownerOf((proposalId, state) => {
+    const proposal = findProposal(state, proposalId);
+    return [proposal.toTribeId, proposal.fromTribeId];
+  }),
+  propose_trade: ownerOf(payload => payload && payload.fromTribeId),
+  accept_trade: ownerOf(payload => payload && payload.tribeId),
+  reject_trade: ownerOf(payload => payload && payload.tribeId),
+  send_message: ownerOf(payload => payload && payload.tribeId),
+  mark_chat_read: ownerOf(payload => payload && payload.tribeId),
+};
+
+const isAdmin = (user) => Boolean(user && user.role === ROLE_ADMIN);
+
+/**
+ * Checks whether a user may send an event.
+ * @param {object|undefined} user  The socket's user, if logged in
+ * @param {string} event
+ * @param {*} payload
+ * @param {object} state  Current game state, used to look up tribe owners
+ * @returns {{ code: string, message: string } | null} null if allowed
+ */
+const authorizeEvent = (user, event, payload, state) => {
+  const rule = EVENT_PERMISSIONS[event];
+  if (!rule) return null;
+
+  if (!user) return { code: 'unauthenticated', message: 'You must be logged in to do that.' };
+  if (isAdmin(user) || rule === USER) return null;
+  if (rule === ADMIN) return { code: 'forbidden', message: 'Only an admin can do that.' };
+
+  const tribeIds = [].concat(rule.getTribeId(payload, state));
+  const tribes = state.tribes.filter(t => tribeIds.includes(t.id));
+  if (tribes.length === 0) return { code: 'not_found', message: 'That tribe does not exist.' };
+  if (!tribes.some(tribe => tribe.playerId === user.id)) return { code: 'forbidden', message: `You don't lead ${tribes[0].tribeName}.` };
+  return null;
+};
+
+module.exports = {
+  isAdmin,
+  authorizeEvent
+};
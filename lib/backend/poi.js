@@ -0,0 +1,141 @@
+/**
+ * lib/backend/poi.js
+ *
+ * What points of interest are worth. Each resource site gives up one kind of
+ * resource: scavengers multiply their haul there, and a garrison holding the
+ * hex collects a steady yield every turn. Both draw down the site's richness
+ * until it is exhausted and disappears from the map.
+ *
+ * Vaults and Bandit Camps are one-off encounters rather than resource sites;
+ * the turn processor handles them, using the helpers here.
+ */
+const { POI_TYPES, ACTION_TYPES } = require('../../shared/constants.js');
+const { ALL_ASSETS } = require('../../shared/assets.js');
+
+// --- CONFIGURATION ---
+
+// resource: what the site yields. scavengeMultiplier replaces the terrain multiplier
+// for scavengers; garrisonYield is collected each turn by a garrison on the hex;
+// richness is the total the site holds at difficulty 0.
+const POI_SITES = {
+  [POI_TYPES.Scrapyard]: { resource: 'Scrap', scavengeMultiplier: 3.5, garrisonYield: 5, richness: 150 },
+  [POI_TYPES.Factory]: { resource: 'Scrap', scavengeMultiplier: 3.5, garrisonYield: 15, richness: 400 },
+  [POI_TYPES.Mine]: { resource: 'Scrap', scavengeMultiplier: 2.5, garrisonYield: 10, richness: 400 },
+  [POI_TYPES.Ruins]: { resource: 'Scrap', scavengeMultiplier: 2.5, garrisonYield: 2, richness: 80 },
+  [POI_TYPES.Crater]: { resource: 'Scrap', scavengeMultiplier: 3, garrisonYield: 3, richness: 100 },
+  [POI_TYPES.ResearchLab]: { resource: 'Scrap', scavengeMultiplier: 2, garrisonYield: 4, richness: 120 },
+  [POI_TYPES.FoodSource]: { resource: 'Food', scavengeMultiplier: 3, garrisonYield: 8, richness: 200 },
+  [POI_TYPES.Settlement]: { resource: 'Food', scavengeMultiplier: 2, garrisonYield: 6, richness: 300 },
+  [POI_TYPES.WeaponsCache]: { resource: 'Weapons', scavengeMultiplier: 3, garrisonYield: 1, richness: 40 },
+  [POI_TYPES.Battlefield]: { resource: 'Weapons', scavengeMultiplier: 4, garrisonYield: 0, richness: 50 },
+};
+const RICHNESS_PER_DIFFICULTY = 0.1; // Harder sites hold more
+
+const BANDIT_BASE_TROOPS = 5;
+const BANDIT_TROOPS_PER_DIFFICULTY = 3;
+const BANDIT_WEAPONS_PER_DIFFICULTY = 2;
+const BANDIT_STASH_PER_DIFFICULTY = 15; // Scrap hidden in a cleared camp
+
+const VAULT_SCRAP = { min: 60, max: 120 };
+const VAULT_WEAPONS = { min: 10, max: 20 };
+const VAULT_RUINS_DIFFICULTY = 3;
+
+// The resource site a POI is, or null for encounters and landmarks
+const getPOISite = (poi) => (poi && POI_SITES[poi.type]) || null;
+
+// Full richness for a new POI; undefined for POIs that aren't resource sites
+const getInitialRichness = (type, difficulty = 1) => {
+  const site = POI_SITES[type];
+  return site ? Math.round(site.richness * (1 + difficulty * RICHNESS_PER_DIFFICULTY)) : undefined;
+};
+
+// POIs from older saves and the map editor have no richness yet and count as untouched
+const getRichness = (poi) => (typeof poi.richness === 'number' ? poi.richness : getInitialRichness(poi.type, poi.difficulty));
+
+/**
+ * Takes up to `amount` from the site on a hex, removing the POI once it runs dry.
+ * @returns {{ taken: number, exhausted: boolean }}
+ */
+const harvestPOI = (hex, amount) => {
+  const richness = getRichness(hex.poi);
+  const taken = Math.max(0, Math.min(amount, richness));
+  hex.poi.richness = richness - taken;
+  const exhausted = hex.poi.richness <= 0;
+  if (exhausted) delete hex.poi;
+  return { taken, exhausted };
+};
+
+// The defenders of a Bandit Camp, in the shape resolveBattle expects
+const createBanditForce = (poi) => {
+  const difficulty = poi.difficulty || 1;
+  return {
+    tribe: {
+      id: `bandits-${poi.id}`,
+      tribeName: 'Bandits',
+      stats: { charisma: 1, intelligence: 1, leadership: difficulty, strength: difficulty },
+    },
+    troops: BANDIT_BASE_TROOPS + difficulty * BANDIT_TROOPS_PER_DIFFICULTY,
+    weapons: difficulty * BANDIT_WEAPONS_PER_DIFFICULTY,
+    chiefs: [],
+  };
+};
+
+const getBanditStash = (poi) => (poi.difficulty || 1) * BANDIT_STASH_PER_DIFFICULTY;
+
+/**
+ * Opens a Vault: a cache of scrap and weapons, plus an asset no tribe owns yet
+ * if any are left. The Vault is left as common Ruins.
+ * @returns {{ scrap: number, weapons: number, asset: string|null }}
+ */
+const lootVault = (state, hex, rng) => {
+  const owned = new Set(state.tribes.flatMap(tribe => tribe.assets || []));
+  const unclaimed = ALL_ASSETS.filter(asset => !owned.has(asset.name));
+  const loot = {
+    scrap: rng.int(VAULT_SCRAP.min, VAULT_SCRAP.max),
+    weapons: rng.int(VAULT_WEAPONS.min, VAULT_WEAPONS.max),
+    asset: unclaimed.length > 0 ? rng.pick(unclaimed).name : null,
+  };
+  hex.poi = {
+    id: hex.poi.id,
+    type: POI_TYPES.Ruins,
+    difficulty: VAULT_RUINS_DIFFICULTY,
+    rarity: 'Common',
+    richness: getInitialRichness(POI_TYPES.Ruins, VAULT_RUINS_DIFFICULTY),
+  };
+  return loot;
+};
+
+/**
+ * Collects the per-turn yield of every resource site the tribe garrisons.
+ * @returns {object|null} An Upkeep result for lastTurnResults, or null if nothing was collected
+ */
+const collectGarrisonYields = (tribe, hexIndex, turn) => {
+  const lines = [];
+  Object.entries(tribe.garrisons || {}).forEach(([location, garrison]) => {
+    const hex = hexIndex.get(location);
+    const site = hex && getPOISite(hex.poi);
+    if (!site || site.garrisonYield <= 0 || garrison.troops <= 0) return;
+
+    const poiType = hex.poi.type;
+    const { taken, exhausted } = harvestPOI(hex, site.garrisonYield);
+    if (taken === 0) return;
+    if (site.resource === 'Food') tribe.globalResources.food += taken;
+    if (site.resource === 'Scrap') tribe.globalResources.scrap += taken;
+    if (site.resource === 'Weapons') garrison.weapons += taken;
+    lines.push(`Your garrison at ${location} collected ${taken} ${site.resource.toLowerCase()} from the ${poiType}.` +
+      (exhausted ? ` The ${poiType} is now exhausted.` : ''));
+  });
+  if (lines.length === 0) return null;
+  return { id: `poi-yield-${turn}`, actionType: ACTION_TYPES.Upkeep, actionData: {}, result: lines.join(' ') };
+};
+
+module.exports = {
+  getPOISite,
+  getInitialRichness,
+  getRichness,
+  harvestPOI,
+  createBanditForce,
+  getBanditStash,
+  lootVault,
+  collectGarrisonYields
+};
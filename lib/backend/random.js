@@ -0,0 +1,52 @@
+/**
+ * lib/backend/random.js
+ *
+ * Seeded pseudo-random number generation. Anything on the server that needs a
+ * dice roll goes through here so the same inputs always resolve the same way.
+ */
+
+// 32-bit string hash (cyrb53 mixing steps), used to turn seed parts into a number
+const hashString = (str) => {
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+// Mulberry32: small, fast generator with a full 32-bit state
+const mulberry32 = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Creates a deterministic generator from any number of seed parts,
+ * e.g. createRng(mapSeed, turn, tribeId, actionId).
+ */
+const createRng = (...seedParts) => {
+  const next = mulberry32(hashString(seedParts.join(':')));
+  return {
+    next,
+    // Float in [min, max)
+    between: (min, max) => min + next() * (max - min),
+    // Integer in [min, max]
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: (probability) => next() < probability,
+    pick: (items) => items[Math.floor(next() * items.length)],
+  };
+};
+
+module.exports = {
+  hashString,
+  createRng
+};
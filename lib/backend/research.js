@@ -0,0 +1,194 @@
+/**
+ * lib/backend/research.js
+ *
+ * Technology on the server: starting a research project, advancing it each
+ * turn, and adding up what a tribe's completed techs and owned assets do for
+ * it (passive income, scavenging yields, combat bonuses, marching range, sight).
+ *
+ * Researchers are troops assigned at one garrison. Each turn they add points
+ * according to how many of them are still there and the tribe's intelligence;
+ * the scrap cost is paid up front when the project starts.
+ */
+const { ACTION_TYPES } = require('../../shared/constants.js');
+const { TECHNOLOGY_EFFECT_TYPES, getTechnology } = require('../../shared/technologies.js');
+const { getAsset } = require('../../shared/assets.js');
+
+// --- CONFIGURATION ---
+const POINTS_PER_RESEARCHER = 1;
+const INTELLIGENCE_RESEARCH_BONUS = 0.05; // +5% research speed per point of intelligence
+
+/**
+ * What a tribe's completed techs and owned assets add up to. Bonuses are fractions (0.1 = +10%),
+ * except passive income (per turn) and visibility (hexes).
+ */
+const getTechEffects = (tribe) => {
+  const effects = {
+    passiveFood: 0,
+    passiveScrap: 0,
+    scavengeBonuses: { Food: 0, Scrap: 0, Weapons: 0 },
+    attackBonus: 0,
+    defenseBonus: 0,
+    terrainAttackBonuses: {},
+    terrainDefenseBonuses: {},
+    movementBonus: 0,
+    visibilityBonus: 0,
+  };
+
+  const sources = [...(tribe.completedTechs || []).map(getTechnology), ...(tribe.assets || []).map(getAsset)];
+  sources.filter(Boolean).forEach(source => {
+    source.effects.forEach(effect => {
+      switch (effect.type) {
+        case TECHNOLOGY_EFFECT_TYPES.PassiveFoodGeneration:
+          effects.passiveFood += effect.value;
+          break;
+        case TECHNOLOGY_EFFECT_TYPES.PassiveScrapGeneration:
+          effects.passiveScrap += effect.value;
+          break;
+        case TECHNOLOGY_EFFECT_TYPES.ScavengeYieldBonus:
+          if (effect.resource) effects.scavengeBonuses[effect.resource] += effect.value;
+          break;
+        case TECHNOLOGY_EFFECT_TYPES.CombatBonusAttack:
+          if (effect.terrain) {
+            effects.terrainAttackBonuses[effect.terrain] = (effects.terrainAttackBonuses[effect.terrain] || 0) + effect.value;
+          } else {
+            effects.attackBonus += effect.value;
+          }
+          break;
+        case TECHNOLOGY_EFFECT_TYPES.CombatBonusDefense:
+          if (effect.terrain) {
+            effects.terrainDefenseBonuses[effect.terrain] = (effects.terrainDefenseBonuses[effect.terrain] || 0) + effect.value;
+          } else {
+            effects.defenseBonus += effect.value;
+          }
+          break;
+        case TECHNOLOGY_EFFECT_TYPES.MovementSpeedBonus:
+          effects.movementBonus += effect.value;
+          break;
+        case TECHNOLOGY_EFFECT_TYPES.VisibilityRangeBonus:
+          effects.visibilityBonus += effect.value;
+          break;
+      }
+    });
+  });
+  return effects;
+};
+
+// Combat bonus a tribe's techs give it when attacking or defending on a terrain
+const getCombatBonus = (tribe, role, terrain) => {
+  const effects = getTechEffects(tribe);
+  return role === 'attack'
+    ? effects.attackBonus + (effects.terrainAttackBonuses[terrain] || 0)
+    : effects.defenseBonus + (effects.terrainDefenseBonuses[terrain] || 0);
+};
+
+const describeEffect = (effect) => {
+  const percent = `${Math.round(effect.value * 100)}%`;
+  switch (effect.type) {
+    case TECHNOLOGY_EFFECT_TYPES.PassiveFoodGeneration: return `+${effect.value} food/turn`;
+    case TECHNOLOGY_EFFECT_TYPES.PassiveScrapGeneration: return `+${effect.value} scrap/turn`;
+    case TECHNOLOGY_EFFECT_TYPES.ScavengeYieldBonus: return `+${percent} ${effect.resource} scavenging`;
+    case TECHNOLOGY_EFFECT_TYPES.CombatBonusAttack: return `+${percent} attack${effect.terrain ? ` in ${effect.terrain}` : ''}`;
+    case TECHNOLOGY_EFFECT_TYPES.CombatBonusDefense: return `+${percent} defense${effect.terrain ? ` in ${effect.terrain}` : ''}`;
+    case TECHNOLOGY_EFFECT_TYPES.MovementSpeedBonus: return `+${percent} marching range`;
+    case TECHNOLOGY_EFFECT_TYPES.VisibilityRangeBonus: return `+${effect.value} sight range`;
+    default: return null;
+  }
+};
+
+/**
+ * Checks whether a tribe may start researching a tech with the given researchers.
+ * @returns {string|null} Why it can't, or null if it can
+ */
+const getResearchBlocker = (tribe, tech, location, assignedTroops) => {
+  if (!tech) return `That technology does not exist.`;
+  if ((tribe.completedTechs || []).includes(tech.id)) return `${tech.name} has already been researched.`;
+  if (tribe.currentResearch) return `Your researchers are already busy with another project.`;
+  const missing = tech.prerequisites.filter(id => !(tribe.completedTechs || []).includes(id));
+  if (missing.length > 0) {
+    return `${tech.name} requires ${missing.map(id => (getTechnology(id) || { name: id }).name).join(', ')} first.`;
+  }
+  if (tribe.globalResources.scrap < tech.cost.scrap) {
+    return `${tech.name} costs ${tech.cost.scrap} scrap. You have ${tribe.globalResources.scrap}.`;
+  }
+  const garrison = tribe.garrisons[location];
+  if (!garrison) return `You have no garrison at ${location || 'the chosen location'}.`;
+  if (assignedTroops < tech.requiredTroops) return `${tech.name} needs at least ${tech.requiredTroops} researchers.`;
+  if (assignedTroops > garrison.troops) return `Only ${garrison.troops} troops are stationed at ${location}.`;
+  return null;
+};
+
+/**
+ * Starts a research project: pays the scrap cost and sets tribe.currentResearch.
+ * @returns {string} Narrative for the action's result, explaining why if the project couldn't start
+ */
+const startResearch = (tribe, { techId, location, assignedTroops }) => {
+  const tech = getTechnology(techId);
+  const blocker = getResearchBlocker(tribe, tech, location, assignedTroops);
+  if (blocker) return blocker;
+
+  tribe.globalResources.scrap -= tech.cost.scrap;
+  tribe.currentResearch = { techId, progress: 0, assignedTroops, location };
+  return `Researchers at ${location} assigned ${assignedTroops} troops to begin working on ${tech.name} for ${tech.cost.scrap} scrap.`;
+};
+
+// Researchers still at their post; losing the garrison or troops there slows or stalls the project
+const getActiveResearchers = (tribe, project) => {
+  const garrison = tribe.garrisons[project.location];
+  return garrison ? Math.min(project.assignedTroops, garrison.troops) : 0;
+};
+
+/**
+ * Adds this turn's progress to the tribe's research project, completing it
+ * once it has enough points.
+ * @returns {object|null} A Technology result for lastTurnResults, or null if nothing is being researched
+ */
+const advanceResearch = (tribe, turn) => {
+  const project = tribe.currentResearch;
+  if (!project) return null;
+  const report = (result) => ({ id: `tech-${turn}-${project.techId}`, actionType: ACTION_TYPES.Technology, actionData: { techId: project.techId }, result });
+
+  const tech = getTechnology(project.techId);
+  if (!tech) {
+    tribe.currentResearch = null;
+    return report(`Research on an unknown technology was abandoned.`);
+  }
+
+  const researchers = getActiveResearchers(tribe, project);
+  if (researchers === 0) {
+    return report(`Research on ${tech.name} stalled: no researchers remain at ${project.location}.`);
+  }
+  const points = Math.max(1, Math.floor(researchers * POINTS_PER_RESEARCHER * (1 + tribe.stats.intelligence * INTELLIGENCE_RESEARCH_BONUS)));
+  project.progress = Math.min(tech.researchPoints, project.progress + points);
+
+  if (project.progress < tech.researchPoints) {
+    return report(`Research on ${tech.name} continues (${project.progress}/${tech.researchPoints} points).`);
+  }
+  tribe.completedTechs = [...(tribe.completedTechs || []), tech.id];
+  tribe.currentResearch = null;
+  const effects = tech.effects.map(describeEffect).filter(Boolean);
+  return report(`Breakthrough! Research on ${tech.name} is complete.${effects.length > 0 ? ` Effects: ${effects.join(', ')}.` : ''}`);
+};
+
+/**
+ * Adds the per-turn food and scrap a tribe's techs produce.
+ * @returns {object|null} An Upkeep result for lastTurnResults, or null if it produced nothing
+ */
+const applyPassiveIncome = (tribe, turn) => {
+  const { passiveFood, passiveScrap } = getTechEffects(tribe);
+  if (passiveFood <= 0 && passiveScrap <= 0) return null;
+  tribe.globalResources.food += passiveFood;
+  tribe.globalResources.scrap += passiveScrap;
+  const produced = [[passiveFood, 'food'], [passiveScrap, 'scrap']]
+    .filter(([amount]) => amount > 0)
+    .map(([amount, label]) => `${amount} ${label}`);
+  return { id: `tech-income-${turn}`, actionType: ACTION_TYPES.Upkeep, actionData: {}, result: `Your technology produced ${produced.join(' and ')} this turn.` };
+};
+
+module.exports = {
+  getTechEffects,
+  getCombatBonus,
+  getActiveResearchers,
+  startResearch,
+  advanceResearch,
+  applyPassiveIncome
+};
@@ -0,0 +1,132 @@
+/**
+ * lib/backend/snapshots.js
+ *
+ * Timestamped copies of the whole save, taken before anything that could
+ * wreck a game (turn processing, a new game, map edits, loading a backup,
+ * restoring another snapshot). Each one is a gzipped JSON file named after
+ * when it was taken, the turn it captured and why.
+ *
+ * Retention: every snapshot from the most recent SNAPSHOT_KEEP_TURNS turns is
+ * kept, plus the newest snapshot of each of the last SNAPSHOT_KEEP_DAYS days.
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const logger = require('./logger');
+
+// --- CONFIGURATION ---
+const KEEP_TURNS = parseInt(process.env.SNAPSHOT_KEEP_TURNS, 10) || 10;
+const KEEP_DAYS = parseInt(process.env.SNAPSHOT_KEEP_DAYS, 10) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FILE_EXTENSION = '.json.gz';
+// e.g. 2026-10-18T21-34-17-665Z_t12_process_turn
+const SNAPSHOT_ID_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)_t(\d+)_([a-z_]+)(?:_\d+)?$/;
+
+const toIdTimestamp = (date) => date.toISOString().replace(/[:.]/g, '-');
+const fromIdTimestamp = (stamp) => stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+
+const parseSnapshotId = (id) => {
+  const match = SNAPSHOT_ID_PATTERN.exec(id);
+  if (!match) return null;
+  return { id, takenAt: fromIdTimestamp(match[1]), turn: parseInt(match[2], 10), reason: match[3] };
+};
+
+// Which snapshots the retention policy keeps, given the list newest first
+const selectRetained = (snapshots, now) => {
+  const keep = new Set();
+
+  const recentTurns = new Set();
+  for (const snapshot of snapshots) {
+    if (!recentTurns.has(snapshot.turn) && recentTurns.size >= KEEP_TURNS) break;
+    recentTurns.add(snapshot.turn);
+    keep.add(snapshot.id);
+  }
+
+  const days = new Set();
+  snapshots.forEach(snapshot => {
+    const day = snapshot.takenAt.slice(0, 10);
+    if (days.has(day) || now - Date.parse(snapshot.takenAt) > KEEP_DAYS * DAY_MS) return;
+    days.add(day);
+    keep.add(snapshot.id);
+  });
+  return keep;
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.dir Directory the snapshot files live in
+ */
+const createSnapshotStore = ({ dir }) => {
+  const fileFor = (id) => path.join(dir, `${id}${FILE_EXTENSION}`);
+
+  /**
+   * Snapshots on disk, newest first.
+   * @returns {{ id, takenAt, turn, reason, size }[]}
+   */
+  const list = () => {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith(FILE_EXTENSION))
+      .map(file => parseSnapshotId(file.slice(0, -FILE_EXTENSION.length)))
+      .filter(Boolean)
+      .map(snapshot => ({ ...snapshot, size: fs.statSync(fileFor(snapshot.id)).size }))
+      .sort((a, b) => (a.id < b.id ? 1 : -1));
+  };
+
+  const prune = () => {
+    const snapshots = list();
+    const keep = selectRetained(snapshots, Date.now());
+    snapshots
+      .filter(snapshot => !keep.has(snapshot.id))
+      .forEach(snapshot => {
+        try {
+          fs.unlinkSync(fileFor(snapshot.id));
+          logger.debug(`Pruned snapshot ${snapshot.id}`);
+        } catch (err) {
+          logger.error(`Failed to prune snapshot ${snapshot.id}`, err);
+        }
+      });
+  };
+
+  /**
+   * Writes a snapshot of the save and applies the retention policy.
+   * @param {{ gameState: object, users: object[] }} data
+   * @param {string} reason Event that triggered it, e.g. "process_turn"
+   * @returns {object|null} The new snapshot's listing entry, or null if it couldn't be written
+   */
+  const take = (data, reason) => {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const baseId = `${toIdTimestamp(new Date())}_t${data.gameState.turn}_${reason}`;
+      let id = baseId;
+      for (let n = 1; fs.existsSync(fileFor(id)); n++) id = `${baseId}_${n}`;
+
+      fs.writeFileSync(fileFor(id), zlib.gzipSync(JSON.stringify({ gameState: data.gameState, users: data.users })));
+      logger.info(`Snapshot ${id} taken`);
+      prune();
+      return list().find(snapshot => snapshot.id === id) || null;
+    } catch (err) {
+      logger.error(`Failed to take ${reason} snapshot`, err);
+      return null;
+    }
+  };
+
+  /**
+   * Reads a snapshot back, chosen by id or as the newest one of a turn.
+   * @param {{ snapshotId?: string, turn?: number }} which
+   * @returns {{ snapshot: object, data: { gameState, users } } | null}
+   */
+  const read = ({ snapshotId, turn }) => {
+    const snapshot = list().find(s => (snapshotId !== undefined ? s.id === snapshotId : s.turn === turn));
+    if (!snapshot) return null;
+    const data = JSON.parse(zlib.gunzipSync(fs.readFileSync(fileFor(snapshot.id))).toString('utf8'));
+    return { snapshot, data };
+  };
+
+  return { list, take, read };
+};
+
+module.exports = {
+  createSnapshotStore
+};
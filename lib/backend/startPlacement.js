@@ -0,0 +1,203 @@
+/**
+ * lib/backend/startPlacement.js
+ *
+ * Picks fair starting locations: passable, spaced apart, and with a similar
+ * number of food and scrap POIs nearby. Starts that come up short get a small
+ * POI placed nearby. Also produces the balance report admins see after
+ * generating or editing a map.
+ */
+const {
+  TERRAIN_TYPES,
+  POI_TYPES,
+  DEFAULT_MAP_SETTINGS
+} = require('../../shared/constants.js');
+const {
+  formatHexCoords,
+  parseHexCoords,
+  indexMapData,
+  hexDistance,
+  hexKeyDistance,
+  getHexesInRange,
+  getMovementCost
+} = require('./mapUtils');
+const { getInitialRichness } = require('./poi');
+
+// --- CONFIGURATION ---
+const STARTING_LOCATION_COUNT = 30;
+const START_AREA_SHARE = 0.75; // Starts are placed within this share of the map radius
+const VALID_START_TERRAINS = [TERRAIN_TYPES.Plains, TERRAIN_TYPES.Forest, TERRAIN_TYPES.Wasteland];
+const MIN_LAND_SHARE = 0.6; // Share of the surrounding hexes that should be passable
+const MAX_RESOURCE_SPREAD = 1; // Largest acceptable gap in nearby POIs between two starts
+
+const MIN_TOP_UP_DISTANCE = 2; // POIs added for balance are kept off the start's doorstep
+const TOP_UP_DIFFICULTY = 2;
+
+const FOOD_POI_TYPES = [POI_TYPES.FoodSource, POI_TYPES.Settlement];
+const SCRAP_POI_TYPES = [POI_TYPES.Scrapyard, POI_TYPES.Mine, POI_TYPES.Factory, POI_TYPES.Ruins];
+
+const resolveStartSettings = (settings) => ({
+  startSpacing: (settings && settings.startSpacing) || DEFAULT_MAP_SETTINGS.startSpacing,
+  startBalanceRadius: (settings && settings.startBalanceRadius) || DEFAULT_MAP_SETTINGS.startBalanceRadius,
+});
+
+const isPassableHex = (hex) => getMovementCost(hex) !== Infinity;
+
+// What a tribe starting on this hex would have within reach
+const surveyStart = (hex, hexIndex, balanceRadius) => {
+  const nearby = getHexesInRange(hex, balanceRadius)
+    .map(key => hexIndex.get(key))
+    .filter(Boolean);
+  const countPOIs = (types) => nearby.filter(h => h.poi && types.includes(h.poi.type)).length;
+  return {
+    food: countPOIs(FOOD_POI_TYPES),
+    scrap: countPOIs(SCRAP_POI_TYPES),
+    landShare: nearby.length > 0 ? nearby.filter(isPassableHex).length / nearby.length : 0,
+  };
+};
+
+// Adds a common POI of the given type on a free passable hex near the start, if there is room
+const addNearbyPOI = (start, hexIndex, balanceRadius, type, rng) => {
+  const spots = getHexesInRange(start, balanceRadius)
+    .map(key => hexIndex.get(key))
+    .filter(hex => hex && !hex.poi && isPassableHex(hex) && hexDistance(start, hex) >= MIN_TOP_UP_DISTANCE);
+  if (spots.length === 0) return false;
+  const hex = rng.pick(spots);
+  hex.poi = {
+    id: `poi-${hex.q}-${hex.r}`,
+    type,
+    difficulty: TOP_UP_DIFFICULTY,
+    rarity: 'Common',
+    richness: getInitialRichness(type, TOP_UP_DIFFICULTY),
+  };
+  return true;
+};
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Chooses starting locations on a freshly generated map.
+ * Candidates closest to the typical resource profile are taken first, and each
+ * new start must be at least `startSpacing` hexes from those already chosen.
+ * Chosen starts still short of food or scrap get POIs added to `map` in place.
+ *
+ * @param {object[]} map      Generated hexes
+ * @param {number} radius     Map radius
+ * @param {object} settings   Map settings ({ startSpacing, startBalanceRadius })
+ * @param {object} rng        Seeded generator for tie-breaks and added POIs
+ * @returns {string[]} Hex keys
+ */
+const pickStartingLocations = (map, radius, settings, rng) => {
+  const { startSpacing, startBalanceRadius } = resolveStartSettings(settings);
+  const hexIndex = indexMapData(map);
+
+  const candidates = map
+    .filter(hex =>
+      VALID_START_TERRAINS.includes(hex.terrain) &&
+      !hex.poi &&
+      hexDistance({ q: 0, r: 0 }, hex) <= radius * START_AREA_SHARE)
+    .map(hex => ({ hex, ...surveyStart(hex, hexIndex, startBalanceRadius) }))
+    .filter(candidate => candidate.landShare >= MIN_LAND_SHARE);
+
+  // Shuffle first so that equally good candidates are ordered by the seed
+  for (let i = candidates.length - 1; i > 0; i--) {
+    const j = Math.floor(rng.next() * (i + 1));
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+  }
+
+  // Aim for at least one of each resource, or whatever is typical on this map if that's more
+  const targetFood = Math.max(1, median(candidates.map(c => c.food)));
+  const targetScrap = Math.max(1, median(candidates.map(c => c.scrap)));
+  const deviation = (c) => Math.abs(c.food - targetFood) + Math.abs(c.scrap - targetScrap);
+  candidates.sort((a, b) => deviation(a) - deviation(b));
+
+  const picked = [];
+  for (const candidate of candidates) {
+    if (picked.length >= STARTING_LOCATION_COUNT) break;
+    if (picked.every(other => hexDistance(candidate.hex, other.hex) >= startSpacing)) picked.push(candidate);
+  }
+
+  picked.forEach(candidate => {
+    for (let food = candidate.food; food < targetFood; food++) {
+      addNearbyPOI(candidate.hex, hexIndex, startBalanceRadius, POI_TYPES.FoodSource, rng);
+    }
+    for (let scrap = candidate.scrap; scrap < targetScrap; scrap++) {
+      addNearbyPOI(candidate.hex, hexIndex, startBalanceRadius, POI_TYPES.Scrapyard, rng);
+    }
+  });
+  return picked.map(({ hex }) => formatHexCoords(hex.q, hex.r));
+};
+
+/**
+ * Describes how fair a set of starting locations is.
+ * Works on any map, including ones edited by hand in the map editor.
+ *
+ * @returns {object} { settings, starts, summary, warnings }
+ */
+const analyzeStartingLocations = (mapData, startingLocations, settings) => {
+  const { startSpacing, startBalanceRadius } = resolveStartSettings(settings);
+  const hexIndex = indexMapData(mapData);
+  const warnings = [];
+
+  const starts = (startingLocations || []).map(location => {
+    const hex = hexIndex.get(location);
+    const others = startingLocations.filter(other => other !== location);
+    const nearestStart = others.length > 0 ? Math.min(...others.map(other => hexKeyDistance(location, other))) : null;
+
+    if (!hex) {
+      warnings.push(`${location} is not on the map.`);
+      return { location, valid: false, nearestStart };
+    }
+    const valid = isPassableHex(hex);
+    if (!valid) warnings.push(`${location} is on impassable ${hex.terrain}.`);
+    if (nearestStart !== null && nearestStart < startSpacing) {
+      warnings.push(`${location} is only ${nearestStart} hexes from another start (minimum ${startSpacing}).`);
+    }
+    return { location, terrain: hex.terrain, valid, nearestStart, ...surveyStart(parseHexCoords(location), hexIndex, startBalanceRadius) };
+  });
+
+  const surveyed = starts.filter(start => start.valid);
+  const range = (key) => surveyed.length > 0
+    ? { min: Math.min(...surveyed.map(s => s[key])), max: Math.max(...surveyed.map(s => s[key])) }
+    : { min: 0, max: 0 };
+  const food = range('food');
+  const scrap = range('scrap');
+  if (food.max - food.min > MAX_RESOURCE_SPREAD) warnings.push(`Nearby food sources range from ${food.min} to ${food.max} between starts.`);
+  if (scrap.max - scrap.min > MAX_RESOURCE_SPREAD) warnings.push(`Nearby scrap sources range from ${scrap.min} to ${scrap.max} between starts.`);
+  surveyed
+    .filter(start => start.landShare < MIN_LAND_SHARE)
+    .forEach(start => warnings.push(`${start.location} is hemmed in: only ${Math.round(start.landShare * 100)}% of nearby hexes are passable.`));
+
+  const spacings = starts.map(start => start.nearestStart).filter(distance => distance !== null);
+  return {
+    settings: { startSpacing, startBalanceRadius },
+    starts,
+    summary: {
+      count: starts.length,
+      food,
+      scrap,
+      minSpacing: spacings.length > 0 ? Math.min(...spacings) : null,
+      balanced: warnings.length === 0,
+    },
+    warnings,
+  };
+};
+
+/**
+ * First starting location a new tribe can take: on the map, passable and
+ * not already holding anyone's garrison. Returns undefined if none are left.
+ */
+const findAvailableStart = (state) => {
+  const hexIndex = indexMapData(state.mapData);
+  const occupied = new Set(state.tribes.flatMap(t => [t.location, ...Object.keys(t.garrisons || {})]));
+  return state.startingLocations.find(loc => !occupied.has(loc) && isPassableHex(hexIndex.get(loc)));
+};
+
+module.exports = {
+  pickStartingLocations,
+  analyzeStartingLocations,
+  findAvailableStart
+};
@@ -0,0 +1,194 @@
+/**
+ * lib/backend/stateView.js
+ *
+ * Builds the slice of game state each user is allowed to see. Players only
+ * get the hexes they've explored, other tribes' garrisons and journeys that
+ * are currently in sight (a journey only by owner, type and position), territory only over explored hexes, the chat messages they are
+ * party to, and nothing of other tribes' resources, research or orders.
+ * Admins get the full state.
+ */
+const { CHAT_CHANNELS } = require('../../shared/constants.js');
+const { isAdmin } = require('./permissions');
+const { getVisibilityRange } = require('./turnProcessor');
+const { formatHexCoords, indexMapData, parseHexCoords, getVisibleHexes } = require('./mapUtils');
+const { computeTerritory } = require('./territory');
+const { getVisibleMessages, getUnreadCounts } = require('./chat');
+
+// Stand-ins for what other players can't see, so clients still receive a complete Tribe shape
+const hiddenTribeFields = () => ({
+  stats: { charisma: 0, intelligence: 0, leadership: 0, strength: 0 },
+  globalResources: { food: 0, scrap: 0, morale: 0 },
+  actions: [],
+  lastTurnResults: [],
+  exploredHexes: [],
+  completedTechs: [],
+  currentResearch: null,
+  journeyResponses: [],
+  rationLevel: 'Normal',
+});
+
+// Stand-ins for what can't be made out of another tribe's journey from a distance
+const hiddenJourneyFields = () => ({
+  path: [],
+  force: { troops: 0, weapons: 0, chiefs: [] },
+  payload: { food: 0, scrap: 0, weapons: 0 },
+  arrivalTurn: 0,
+  status: 'en_route',
+});
+
+// The seed would let a player regenerate the whole map, fog and all
+const hiddenMapFields = { mapSeed: undefined, mapSettings: undefined };
+
+// Everything the tribe's garrisons and forces on the road can see right now
+const getCurrentVision = (tribe, hexIndex, journeys) => {
+  const visible = new Set();
+  const lookouts = [
+    ...Object.keys(tribe.garrisons || {}),
+    ...journeys.filter(j => j.ownerTribeId === tribe.id).map(j => j.currentLocation),
+  ];
+  lookouts.forEach(location => {
+    getVisibleHexes(parseHexCoords(location), getVisibilityRange(tribe), hexIndex).forEach(hex => visible.add(hex));
+  });
+  return visible;
+};
+
+// What a viewer knows about another tribe
+const redactTribe = (other, viewer, explored, visible) => ({
+  ...hiddenTribeFields(),
+  id: other.id,
+  playerId: other.playerId,
+  isAI: other.isAI,
+  playerName: other.playerName,
+  tribeName: other.tribeName,
+  icon: other.icon,
+  color: other.color,
+  assets: other.assets || [],
+  turnSubmitted: other.turnSubmitted,
+  // Everyone can see who keeps their word
+  reputation: other.reputation,
+  treatyBreaches: other.treatyBreaches || [],
+  // A home base stays known once it has been found
+  location: explored.has(other.location) ? other.location : null,
+  garrisons: Object.fromEntries(Object.entries(other.garrisons || {}).filter(([location]) => visible.has(location))),
+  diplomacy: other.diplomacy && other.diplomacy[viewer.id] ? { [viewer.id]: other.diplomacy[viewer.id] } : {},
+});
+
+// What a viewer can tell of another tribe's journey in sight, unless it is a trade offer waiting on the viewer
+const redactJourney = (journey, viewer) => {
+  if (journey.targetTribeId === viewer.id && journey.status === 'awaiting_response') return journey;
+  return {
+    ...hiddenJourneyFields(),
+    id: journey.id,
+    ownerTribeId: journey.ownerTribeId,
+    type: journey.type,
+    currentLocation: journey.currentLocation,
+    origin: journey.currentLocation,
+    destination: journey.currentLocation,
+  };
+};
+
+// Requests are public so everyone knows which chiefs and assets are taken, but wallet snippets are not
+const redactRequests = (requests, viewerTribeId) => (requests || []).map(req =>
+  req.tribeId === viewerTribeId ? req : { ...req, radixAddressSnippet: undefined });
+
+// Everyone can follow the score race; the rest of a history record is only for the tribe it describes
+const redactHistory = (history, viewerTribeId) => (history || []).map(record => ({
+  turn: record.turn,
+  tribeRecords: record.tribeRecords.map(entry =>
+    (entry.tribeId === viewerTribeId ? entry : { tribeId: entry.tribeId, score: entry.score })),
+  diff: (record.diff || []).filter(changes => changes.tribeId === viewerTribeId),
+}));
+
+/**
+ * View for sockets that are logged out or haven't founded a tribe yet: enough
+ * to pick a starting location, nothing about where anyone is.
+ */
+const buildPublicView = (state) => {
+  const occupied = new Set(state.tribes.map(t => t.location));
+  return {
+    ...state,
+    mapData: [],
+    tribes: state.tribes.map(t => ({
+      ...hiddenTribeFields(),
+      id: t.id,
+      playerId: t.playerId,
+      isAI: t.isAI,
+      playerName: t.playerName,
+      tribeName: t.tribeName,
+      icon: t.icon,
+      color: t.color,
+      assets: t.assets || [],
+      turnSubmitted: t.turnSubmitted,
+      reputation: t.reputation,
+      treatyBreaches: t.treatyBreaches || [],
+      location: null,
+      garrisons: {},
+      diplomacy: {},
+    })),
+    startingLocations: state.startingLocations.filter(loc => !occupied.has(loc)),
+    chiefRequests: redactRequests(state.chiefRequests, null),
+    assetRequests: redactRequests(state.assetRequests, null),
+    journeys: [],
+    diplomaticProposals: [],
+    tradeOffers: [],
+    treaties: [],
+    chatMessages: (state.chatMessages || []).filter(m => m.channel === CHAT_CHANNELS.Announcement),
+    chatUnread: {},
+    territory: {},
+    history: redactHistory(state.history, null),
+    ...hiddenMapFields,
+  };
+};
+
+/**
+ * The game state as a particular user should see it.
+ * @param {object} state Full game state
+ * @param {object|undefined} user Logged-in user, if any
+ */
+const buildStateView = (state, user) => {
+  const hexIndex = indexMapData(state.mapData);
+  if (isAdmin(user)) return { ...state, territory: computeTerritory(state.tribes, hexIndex) };
+
+  const tribe = user && state.tribes.find(t => t.playerId === user.id);
+  if (!tribe) return buildPublicView(state);
+
+  const explored = new Set(tribe.exploredHexes || []);
+  const visible = getCurrentVision(tribe, hexIndex, state.journeys || []);
+  const territory = computeTerritory(state.tribes, hexIndex);
+
+  return {
+    ...state,
+    mapData: state.mapData.filter(hex => explored.has(formatHexCoords(hex.q, hex.r))),
+    tribes: state.tribes.map(t => (t.id === tribe.id ? t : redactTribe(t, tribe, explored, visible))),
+    startingLocations: [],
+    chiefRequests: redactRequests(state.chiefRequests, tribe.id),
+    assetRequests: redactRequests(state.assetRequests, tribe.id),
+    journeys: (state.journeys || [])
+      .filter(j => j.ownerTribeId === tribe.id || visible.has(j.currentLocation))
+      .map(j => (j.ownerTribeId === tribe.id ? j : redactJourney(j, tribe))),
+    diplomaticProposals: (state.diplomaticProposals || []).filter(p => p.fromTribeId === tribe.id || p.toTribeId === tribe.id),
+    tradeOffers: (state.tradeOffers || []).filter(t => t.fromTribeId === tribe.id || t.toTribeId === tribe.id),
+    treaties: (state.treaties || []).filter(t => t.tribeIds.includes(tribe.id)),
+    chatMessages: getVisibleMessages(state, tribe.id),
+    chatUnread: getUnreadCounts(state, tribe),
+    territory: Object.fromEntries(Object.entries(territory).filter(([location]) => explored.has(location))),
+    history: redactHistory(state.history, tribe.id),
+    ...hiddenMapFields,
+  };
+};
+
+/**
+ * The turn history as a particular user should see it.
+ * @param {object} state Full game state
+ * @param {object|undefined} user Logged-in user, if any
+ */
+const buildHistoryView = (state, user) => {
+  if (isAdmin(user)) return state.history || [];
+  const tribe = user && state.tribes.find(t => t.playerId === user.id);
+  return redactHistory(state.history, tribe ? tribe.id : null);
+};
+
+module.exports = {
+  buildStateView,
+  buildHistoryView
+};
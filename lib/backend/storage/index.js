@@ -0,0 +1,63 @@
+/**
+ * lib/backend/storage/index.js
+ *
+ * Picks where the game is saved. Every backend has the same shape:
+ *
+ *   load()        -> { gameState, users } | null when nothing has been saved yet
+ *   save(data)    -> true on success
+ *   close()
+ *
+ * STORAGE_BACKEND selects "json" (default, a single game-data.json file) or
+ * "sqlite" (an embedded database file).
+ *
+ * Each game has its own save (see lib/backend/games.js). The default game uses
+ * the locations below and also holds the user accounts; every other game is
+ * saved with the same backend in its own directory, with an empty user list.
+ */
+const path = require('path');
+const { createJsonStorage } = require('./jsonStorage');
+const { createSqliteStorage } = require('./sqliteStorage');
+
+const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+/**
+ * Resolves backend and file locations from environment variables.
+ * @param {object} [env] Defaults to process.env
+ */
+const getStorageConfig = (env = process.env) => {
+  const dataDir = env.DATA_DIR || path.join(__dirname, '..', '..', '..', 'data');
+  return {
+    backend: (env.STORAGE_BACKEND || 'json').toLowerCase(),
+    dataDir,
+    dataFile: env.DATABASE_FILE || path.join(dataDir, 'game-data.json'),
+    backupFile: env.BACKUP_FILE || path.join(dataDir, 'game-data.backup.json'),
+    sqliteFile: env.SQLITE_FILE || path.join(dataDir, 'game-data.sqlite'),
+  };
+};
+
+// The same backend, with every file inside `dir`
+const getGameStorageConfig = (config, dir) => ({
+  ...config,
+  dataDir: dir,
+  dataFile: path.join(dir, 'game-data.json'),
+  backupFile: path.join(dir, 'game-data.backup.json'),
+  sqliteFile: path.join(dir, 'game-data.sqlite'),
+});
+
+const createStorage = (config, backend = config.backend) => {
+  switch (backend) {
+    case 'json':
+      return createJsonStorage({ dataFile: config.dataFile, backupFile: config.backupFile });
+    case 'sqlite':
+      return createSqliteStorage({ dbFile: config.sqliteFile });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+  }
+};
+
+module.exports = {
+  STORAGE_BACKENDS,
+  getStorageConfig,
+  getGameStorageConfig,
+  createStorage
+};
@@ -0,0 +1,90 @@
+/**
+ * lib/backend/storage/jsonStorage.js
+ *
+ * Keeps the whole save ({ gameState, users }) in one JSON file. Every save
+ * first copies the previous file to a backup, and loading falls back to that
+ * backup if the main file is unreadable.
+ */
+const fs = require('fs');
+const logger = require('../logger');
+
+// Atomic file write to prevent corruption
+const writeFileSafely = (filePath, data) => {
+  const tempPath = `${filePath}.tmp`;
+  try {
+    // Write to temporary file first
+    fs.writeFileSync(tempPath, data, 'utf8');
+    // Rename temp file to target file (atomic operation)
+    fs.renameSync(tempPath, filePath);
+    return true;
+  } catch (err) {
+    logger.error(`Failed to write file safely to ${filePath}`, err);
+    // Clean up temp file if it exists
+    try {
+      if (fs.existsSync(tempPath)) {
+        fs.unlinkSync(tempPath);
+      }
+    } catch (cleanupErr) {
+      logger.error(`Failed to clean up temp file ${tempPath}`, cleanupErr);
+    }
+    return false;
+  }
+};
+
+const readSaveFile = (filePath) => {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  // Validate data structure
+  if (!data.gameState || !data.users) {
+    throw new Error(`Invalid data structure in ${filePath}`);
+  }
+  return data;
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.dataFile    Path of the save file
+ * @param {string} [options.backupFile] Where the previous save is kept
+ */
+const createJsonStorage = ({ dataFile, backupFile }) => {
+  const load = () => {
+    if (!fs.existsSync(dataFile)) return null;
+    try {
+      logger.info(`Loading game data from ${dataFile}`);
+      return readSaveFile(dataFile);
+    } catch (err) {
+      logger.error(`Failed to load existing data file, checking for backup`, err);
+      if (!backupFile || !fs.existsSync(backupFile)) {
+        throw new Error(`No usable backup file for ${dataFile}`);
+      }
+      const data = readSaveFile(backupFile);
+      logger.info(`Loaded from backup file successfully`);
+      return data;
+    }
+  };
+
+  const save = ({ gameState, users }) => {
+    // Create backup of current file if it exists
+    if (backupFile && fs.existsSync(dataFile)) {
+      try {
+        fs.copyFileSync(dataFile, backupFile);
+        logger.debug(`Backup created at ${backupFile}`);
+      } catch (backupErr) {
+        logger.error(`Failed to create backup file`, backupErr);
+        // Continue with save even if backup fails
+      }
+    }
+    return writeFileSafely(dataFile, JSON.stringify({ gameState, users }, null, 2));
+  };
+
+  return {
+    type: 'json',
+    location: dataFile,
+    load,
+    save,
+    close: () => {},
+  };
+};
+
+module.exports = {
+  createJsonStorage
+};
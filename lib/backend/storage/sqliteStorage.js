@@ -0,0 +1,208 @@
+/**
+ * lib/backend/storage/sqliteStorage.js
+ *
+ * Keeps the save in an embedded SQLite database. Users, tribes, map hexes and
+ * turn history each get a table with one row per record; everything else in
+ * the game state lives in a key/value `game` table. Each row carries its full
+ * JSON in `data`, plus a few plain columns for querying by hand.
+ *
+ * Saves run in a single transaction and only touch rows whose contents changed
+ * since the last load or save, so an unchanged 5000-hex map costs nothing.
+ */
+const logger = require('../logger');
+const { formatHexCoords } = require('../mapUtils');
+
+// --- CONFIGURATION ---
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS game (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    username TEXT,
+    role TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS tribes (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    player_id TEXT,
+    tribe_name TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS map_hexes (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    q INTEGER,
+    r INTEGER,
+    terrain TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS history (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    turn INTEGER,
+    data TEXT NOT NULL
+  );
+`;
+
+// Tables holding one row per record. `columns` are copied out of the record for querying.
+const RECORD_TABLES = [
+  {
+    table: 'users',
+    read: (save) => save.users,
+    idOf: (user) => user.id,
+    columns: { username: (user) => user.username, role: (user) => user.role },
+  },
+  {
+    table: 'tribes',
+    read: (save) => save.gameState.tribes,
+    idOf: (tribe) => tribe.id,
+    columns: { player_id: (tribe) => tribe.playerId, tribe_name: (tribe) => tribe.tribeName },
+  },
+  {
+    table: 'map_hexes',
+    read: (save) => save.gameState.mapData,
+    idOf: (hex) => formatHexCoords(hex.q, hex.r),
+    columns: { q: (hex) => hex.q, r: (hex) => hex.r, terrain: (hex) => hex.terrain },
+  },
+  {
+    table: 'history',
+    read: (save) => save.gameState.history,
+    idOf: (record) => String(record.turn),
+    columns: { turn: (record) => record.turn },
+  },
+];
+
+// Game state fields stored in their own tables rather than in `game`
+const TABLE_FIELDS = ['tribes', 'mapData', 'history'];
+
+/**
+ * @param {object} options
+ * @param {string} options.dbFile Path of the SQLite database
+ */
+const createSqliteStorage = ({ dbFile }) => {
+  // Required here so the JSON backend keeps working where the native module isn't built
+  const Database = require('better-sqlite3');
+  const db = new Database(dbFile);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(SCHEMA);
+  db.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+  // What each row held at the last load or save, so saves can skip unchanged rows
+  const written = new Map([['game', new Map()], ...RECORD_TABLES.map(spec => [spec.table, new Map()])]);
+
+  const statements = Object.fromEntries(RECORD_TABLES.map(spec => {
+    const columns = Object.keys(spec.columns);
+    return [spec.table, {
+      upsert: db.prepare(
+        `INSERT OR REPLACE INTO ${spec.table} (id, position, ${columns.join(', ')}, data) ` +
+        `VALUES (?, ?, ${columns.map(() => '?').join(', ')}, ?)`),
+      remove: db.prepare(`DELETE FROM ${spec.table} WHERE id = ?`),
+      selectAll: db.prepare(`SELECT id, position, data FROM ${spec.table} ORDER BY position`),
+    }];
+  }));
+  const upsertGameField = db.prepare('INSERT OR REPLACE INTO game (key, value) VALUES (?, ?)');
+  const removeGameField = db.prepare('DELETE FROM game WHERE key = ?');
+  const selectGameFields = db.prepare('SELECT key, value FROM game');
+
+  // Writes the rows that changed and deletes the ones that are gone
+  const syncRows = (table, rows, upsert, remove) => {
+    const previous = written.get(table);
+    const current = new Map();
+    rows.forEach(({ id, serialized, values }) => {
+      current.set(id, serialized);
+      if (previous.get(id) !== serialized) upsert(values);
+    });
+    previous.forEach((_, id) => {
+      if (!current.has(id)) remove(id);
+    });
+    written.set(table, current);
+  };
+
+  const toRows = (spec, records) => {
+    const seen = new Set();
+    return (records || []).map((record, position) => {
+      let id = String(spec.idOf(record));
+      if (seen.has(id)) {
+        logger.warn(`Duplicate id ${id} in ${spec.table}; storing it under a suffixed id`);
+        id = `${id}#${position}`;
+      }
+      seen.add(id);
+      const data = JSON.stringify(record);
+      const columns = Object.values(spec.columns).map(read => read(record) ?? null);
+      return { id, serialized: `${position}:${data}`, values: [id, position, ...columns, data] };
+    });
+  };
+
+  const writeSave = db.transaction((save) => {
+    RECORD_TABLES.forEach(spec => {
+      const { upsert, remove } = statements[spec.table];
+      syncRows(spec.table, toRows(spec, spec.read(save)), values => upsert.run(...values), id => remove.run(id));
+    });
+
+    const fields = Object.entries(save.gameState)
+      .filter(([key, value]) => !TABLE_FIELDS.includes(key) && value !== undefined)
+      .map(([key, value]) => {
+        const serialized = JSON.stringify(value);
+        return { id: key, serialized, values: [key, serialized] };
+      });
+    syncRows('game', fields, values => upsertGameField.run(...values), key => removeGameField.run(key));
+  });
+
+  const load = () => {
+    const fields = selectGameFields.all();
+    if (fields.length === 0) return null;
+    logger.info(`Loading game data from ${dbFile}`);
+
+    const gameState = {};
+    written.set('game', new Map(fields.map(({ key, value }) => [key, value])));
+    fields.forEach(({ key, value }) => { gameState[key] = JSON.parse(value); });
+
+    const records = {};
+    RECORD_TABLES.forEach(spec => {
+      const rows = statements[spec.table].selectAll.all();
+      written.set(spec.table, new Map(rows.map(row => [row.id, `${row.position}:${row.data}`])));
+      records[spec.table] = rows.map(row => JSON.parse(row.data));
+    });
+
+    gameState.tribes = records.tribes;
+    gameState.mapData = records.map_hexes;
+    gameState.history = records.history;
+    return { gameState, users: records.users };
+  };
+
+  const save = (data) => {
+    try {
+      writeSave(data);
+      return true;
+    } catch (err) {
+      // The transaction rolled back, so the next save has to compare against the database again
+      logger.error(`Failed to save game data to ${dbFile}`, err);
+      try {
+        load();
+      } catch (reloadErr) {
+        logger.error(`Failed to re-read ${dbFile} after a failed save`, reloadErr);
+        written.forEach((_, table) => written.set(table, new Map()));
+      }
+      return false;
+    }
+  };
+
+  return {
+    type: 'sqlite',
+    location: dbFile,
+    load,
+    save,
+    close: () => db.close(),
+  };
+};
+
+module.exports = {
+  createSqliteStorage
+};
@@ -0,0 +1,85 @@
+/**
+ * lib/backend/territory.js
+ *
+ * Which tribe controls which hexes. Every garrison projects influence over the
+ * hexes around it, strongest close by and growing with the troops stationed
+ * there; each hex goes to the tribe with the most influence over it. A hex
+ * holding a garrison always belongs to that garrison's tribe.
+ *
+ * Territory is derived from garrisons rather than stored, so it is always
+ * current. Supply lines run through a tribe's own territory.
+ */
+const { TERRAIN_TYPES } = require('../../shared/constants.js');
+const { formatHexCoords, parseHexCoords, getNeighbors, getHexesInRange, hexKeyDistance } = require('./mapUtils');
+
+// --- CONFIGURATION ---
+const HOME_INFLUENCE_RADIUS = 2;
+const OUTPOST_INFLUENCE_RADIUS = 1;
+const LARGE_GARRISON_TROOPS = 30; // Garrisons this size reach one hex further
+const BASE_INFLUENCE = 5; // Even an empty outpost holds some sway
+
+const getInfluenceRadius = (tribe, location, garrison) =>
+  (location === tribe.location ? HOME_INFLUENCE_RADIUS : OUTPOST_INFLUENCE_RADIUS) +
+  (garrison.troops >= LARGE_GARRISON_TROOPS ? 1 : 0);
+
+/**
+ * Works out who controls each hex on the map. Water is never claimed, and a
+ * hex two tribes influence equally is left unclaimed.
+ * @param {object[]} tribes
+ * @param {Map} hexIndex From indexMapData
+ * @returns {Object<string, string>} Hex key to the id of the tribe controlling it
+ */
+const computeTerritory = (tribes, hexIndex) => {
+  const influence = new Map(); // hex key -> Map(tribeId -> strength)
+  tribes.forEach(tribe => {
+    Object.entries(tribe.garrisons || {}).forEach(([location, garrison]) => {
+      const radius = getInfluenceRadius(tribe, location, garrison);
+      getHexesInRange(parseHexCoords(location), radius).forEach(key => {
+        const hex = hexIndex.get(key);
+        if (!hex || hex.terrain === TERRAIN_TYPES.Water) return;
+        const strength = (garrison.troops + BASE_INFLUENCE) / (hexKeyDistance(location, key) + 1);
+        if (!influence.has(key)) influence.set(key, new Map());
+        const byTribe = influence.get(key);
+        byTribe.set(tribe.id, (byTribe.get(tribe.id) || 0) + strength);
+      });
+    });
+  });
+
+  const territory = {};
+  influence.forEach((byTribe, key) => {
+    const ranked = Array.from(byTribe.entries()).sort((a, b) => b[1] - a[1]);
+    if (ranked.length > 1 && ranked[0][1] === ranked[1][1]) return;
+    territory[key] = ranked[0][0];
+  });
+  tribes.forEach(tribe => {
+    Object.keys(tribe.garrisons || {}).forEach(location => { territory[location] = tribe.id; });
+  });
+  return territory;
+};
+
+/**
+ * Whether two hexes are joined by an unbroken run of the tribe's own territory.
+ * @param {Object<string, string>} territory From computeTerritory
+ */
+const isSupplyConnected = (territory, tribeId, from, to) => {
+  if (territory[from] !== tribeId || territory[to] !== tribeId) return false;
+  const seen = new Set([from]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === to) return true;
+    getNeighbors(parseHexCoords(current)).forEach(({ q, r }) => {
+      const key = formatHexCoords(q, r);
+      if (!seen.has(key) && territory[key] === tribeId) {
+        seen.add(key);
+        queue.push(key);
+      }
+    });
+  }
+  return false;
+};
+
+module.exports = {
+  computeTerritory,
+  isSupplyConnected
+};
@@ -0,0 +1,222 @@
+/**
+ * lib/backend/tradeOffers.js
+ *
+ * Direct trade offers between tribes, made and answered between turns rather
+ * than by caravan. The offered goods are taken from the proposer as soon as
+ * the offer is made and held in escrow on it, so they can't be spent twice.
+ * Accepting hands them over and collects what was asked for; rejecting,
+ * withdrawing or letting the offer expire returns them.
+ *
+ * Food and scrap are tribe-wide. Troops and weapons leave from one garrison
+ * and arrive at the other side's chosen garrison (home by default); assets
+ * simply change owner. Tribes at war can't trade.
+ */
+const crypto = require('crypto');
+const { DIPLOMATIC_STATUS, ACTION_TYPES } = require('../../shared/constants.js');
+
+// --- CONFIGURATION ---
+const TRADE_OFFER_TURNS = 3; // Offers stay open this many turns, like diplomatic proposals
+const MAX_OPEN_OFFERS = 5; // Per proposing tribe
+
+const toCount = (value) => Math.max(0, Math.floor(Number(value) || 0));
+
+// Fills in missing amounts so every offer carries the same shape
+const normalizeGoods = (goods = {}) => ({
+  food: toCount(goods.food),
+  scrap: toCount(goods.scrap),
+  weapons: toCount(goods.weapons),
+  troops: toCount(goods.troops),
+  assets: Array.from(new Set(goods.assets || [])),
+});
+
+const isEmpty = (goods) => !goods.food && !goods.scrap && !goods.weapons && !goods.troops && goods.assets.length === 0;
+
+const describeGoods = (goods) => [
+  ...[[goods.food, 'food'], [goods.scrap, 'scrap'], [goods.weapons, 'weapons'], [goods.troops, 'troops']]
+    .filter(([amount]) => amount > 0)
+    .map(([amount, label]) => `${amount} ${label}`),
+  ...goods.assets,
+].join(', ') || 'nothing';
+
+const atWar = (tribe, other) => (tribe.diplomacy[other.id] || {}).status === DIPLOMATIC_STATUS.War;
+
+const findTribe = (state, tribeId) => state.tribes.find(t => t.id === tribeId);
+
+// Where troops and weapons land: the chosen garrison if it still stands, else home, else any garrison
+const getDeliveryLocation = (tribe, preferred) => {
+  if (preferred && tribe.garrisons[preferred]) return preferred;
+  if (tribe.garrisons[tribe.location]) return tribe.location;
+  return Object.keys(tribe.garrisons || {})[0] || tribe.location;
+};
+
+/**
+ * Checks whether a tribe can hand over the goods, with troops and weapons taken from `location`.
+ * @returns {string|null} What it is short of, or null if it can pay
+ */
+const getShortfall = (tribe, location, goods) => {
+  const garrison = tribe.garrisons[location];
+  if (tribe.globalResources.food < goods.food) return `${tribe.tribeName} has only ${tribe.globalResources.food} food.`;
+  if (tribe.globalResources.scrap < goods.scrap) return `${tribe.tribeName} has only ${tribe.globalResources.scrap} scrap.`;
+  if ((goods.troops > 0 || goods.weapons > 0) && !garrison) return `${tribe.tribeName} has no garrison at ${location}.`;
+  if (goods.troops > 0 && garrison.troops < goods.troops) return `Only ${garrison.troops} troops are stationed at ${location}.`;
+  if (goods.weapons > 0 && garrison.weapons < goods.weapons) return `Only ${garrison.weapons} weapons are stored at ${location}.`;
+  const missing = goods.assets.filter(asset => !(tribe.assets || []).includes(asset));
+  if (missing.length > 0) return `${tribe.tribeName} doesn't own ${missing.join(', ')}.`;
+  return null;
+};
+
+const takeGoods = (tribe, location, goods) => {
+  tribe.globalResources.food -= goods.food;
+  tribe.globalResources.scrap -= goods.scrap;
+  if (goods.troops > 0 || goods.weapons > 0) {
+    tribe.garrisons[location].troops -= goods.troops;
+    tribe.garrisons[location].weapons -= goods.weapons;
+  }
+  tribe.assets = (tribe.assets || []).filter(asset => !goods.assets.includes(asset));
+};
+
+const giveGoods = (tribe, location, goods) => {
+  tribe.globalResources.food += goods.food;
+  tribe.globalResources.scrap += goods.scrap;
+  if (goods.troops > 0 || goods.weapons > 0) {
+    const destination = getDeliveryLocation(tribe, location);
+    if (!tribe.garrisons[destination]) tribe.garrisons[destination] = { troops: 0, weapons: 0, chiefs: [] };
+    tribe.garrisons[destination].troops += goods.troops;
+    tribe.garrisons[destination].weapons += goods.weapons;
+  }
+  tribe.assets = [...(tribe.assets || []), ...goods.assets];
+};
+
+// Hands escrowed goods back to the proposer, if it's still in the game
+const refundOffer = (state, trade) => {
+  const proposer = findTribe(state, trade.fromTribeId);
+  if (proposer) giveGoods(proposer, trade.fromLocation, trade.offer);
+};
+
+const removeOffer = (state, tradeId) => {
+  state.tradeOffers = (state.tradeOffers || []).filter(t => t.id !== tradeId);
+};
+
+/**
+ * Opens a trade offer, moving the offered goods into escrow.
+ * @param {object} payload { fromTribeId, toTribeId, location, offer, request }; location is the
+ *   garrison offered troops and weapons leave from and requested ones arrive at (home by default)
+ * @returns {{ trade: object } | { error: string }}
+ */
+const createTradeOffer = (state, { fromTribeId, toTribeId, location, offer, request }) => {
+  const proposer = findTribe(state, fromTribeId);
+  const recipient = findTribe(state, toTribeId);
+  if (!proposer || !recipient || proposer.id === recipient.id) return { error: `That trade partner could not be found.` };
+  if (atWar(proposer, recipient)) return { error: `You can't trade with ${recipient.tribeName} while you are at war.` };
+
+  const goods = { offer: normalizeGoods(offer), request: normalizeGoods(request) };
+  if (isEmpty(goods.offer) && isEmpty(goods.request)) return { error: `A trade needs something on the table.` };
+  const openOffers = (state.tradeOffers || []).filter(t => t.fromTribeId === proposer.id).length;
+  if (openOffers >= MAX_OPEN_OFFERS) return { error: `You already have ${MAX_OPEN_OFFERS} trade offers open.` };
+  const unowned = goods.request.assets.filter(asset => !(recipient.assets || []).includes(asset));
+  if (unowned.length > 0) return { error: `${recipient.tribeName} doesn't own ${unowned.join(', ')}.` };
+
+  const fromLocation = location || proposer.location;
+  const shortfall = getShortfall(proposer, fromLocation, goods.offer);
+  if (shortfall) return { error: shortfall };
+
+  takeGoods(proposer, fromLocation, goods.offer);
+  const trade = {
+    id: `trade-${state.turn}-${crypto.randomUUID()}`,
+    fromTribeId: proposer.id,
+    toTribeId: recipient.id,
+    fromTribeName: proposer.tribeName,
+    fromLocation,
+    ...goods,
+    expiresOnTurn: state.turn + TRADE_OFFER_TURNS,
+  };
+  state.tradeOffers = [...(state.tradeOffers || []), trade];
+  return { trade };
+};
+
+/**
+ * Completes a trade: the recipient pays what was asked and receives the escrowed goods.
+ * If the recipient can't pay, the offer stays open.
+ * @param {object} payload { tribeId, tradeId, location }; location is where the recipient's
+ *   troops and weapons leave from and the offered ones arrive (home by default)
+ * @returns {{ trade: object } | { error: string }}
+ */
+const acceptTradeOffer = (state, { tribeId, tradeId, location }) => {
+  const trade = (state.tradeOffers || []).find(t => t.id === tradeId);
+  if (!trade || trade.toTribeId !== tribeId) return { error: `That trade offer is no longer open.` };
+  const proposer = findTribe(state, trade.fromTribeId);
+  const recipient = findTribe(state, trade.toTribeId);
+  if (!proposer) {
+    removeOffer(state, trade.id);
+    return { error: `The tribe that made this offer is gone.` };
+  }
+  if (atWar(recipient, proposer)) {
+    refundOffer(state, trade);
+    removeOffer(state, trade.id);
+    return { error: `You are at war with ${proposer.tribeName}; the trade was called off.` };
+  }
+
+  const toLocation = location || recipient.location;
+  const shortfall = getShortfall(recipient, toLocation, trade.request);
+  if (shortfall) return { error: shortfall };
+
+  takeGoods(recipient, toLocation, trade.request);
+  giveGoods(recipient, toLocation, trade.offer);
+  giveGoods(proposer, trade.fromLocation, trade.request);
+  removeOffer(state, trade.id);
+  return { trade };
+};
+
+/**
+ * Closes an offer without a deal: the recipient turns it down or the proposer
+ * withdraws it. The escrowed goods go back to the proposer.
+ * @returns {{ trade: object } | { error: string }}
+ */
+const cancelTradeOffer = (state, { tribeId, tradeId }) => {
+  const trade = (state.tradeOffers || []).find(t => t.id === tradeId);
+  if (!trade || (trade.toTribeId !== tribeId && trade.fromTribeId !== tribeId)) return { error: `That trade offer is no longer open.` };
+  refundOffer(state, trade);
+  removeOffer(state, trade.id);
+  return { trade };
+};
+
+/**
+ * Closes offers that have run out, or whose tribes have since gone to war or
+ * left the game, refunding the escrow.
+ * @param {number} turn The turn about to start
+ * @returns {{ tribeId: string, result: object }[]} Notices for the tribes involved
+ */
+const expireTradeOffers = (state, turn) => {
+  const notices = [];
+  (state.tradeOffers || []).forEach(trade => {
+    const proposer = findTribe(state, trade.fromTribeId);
+    const recipient = findTribe(state, trade.toTribeId);
+    const hostile = proposer && recipient && atWar(proposer, recipient);
+    if (proposer && recipient && !hostile && trade.expiresOnTurn >= turn) return;
+
+    refundOffer(state, trade);
+    removeOffer(state, trade.id);
+    const notice = (tribe, result) => {
+      if (tribe) notices.push({ tribeId: tribe.id, result: { id: `trade-expired-${trade.id}`, actionType: ACTION_TYPES.Trade, actionData: { tradeId: trade.id }, result } });
+    };
+    if (!recipient) {
+      notice(proposer, `Your trade offer was withdrawn: its recipient has left the game. The goods were returned.`);
+    } else if (hostile) {
+      notice(proposer, `Your trade offer to ${recipient.tribeName} was called off by the war. The goods were returned.`);
+      notice(recipient, `The trade offer from ${proposer.tribeName} was called off by the war.`);
+    } else if (proposer) {
+      notice(proposer, `Your trade offer to ${recipient.tribeName} expired. The goods were returned.`);
+      notice(recipient, `The trade offer from ${proposer.tribeName} expired.`);
+    }
+  });
+  return notices;
+};
+
+module.exports = {
+  TRADE_OFFER_TURNS,
+  describeGoods,
+  createTradeOffer,
+  acceptTradeOffer,
+  cancelTradeOffer,
+  expireTradeOffers
+};
@@ -0,0 +1,453 @@
+/**
+ * lib/backend/treaties.js
+ *
+ * Diplomatic proposals and the treaties they turn into. Two tribes can hold
+ * several treaties at once, one of each type:
+ *
+ * - Peace ends a war. It can carry reparations, paid in full the moment it is
+ *   accepted, and a tribute paid every turn for a number of turns after that.
+ * - Alliance: allies see what the other explores, may march through each
+ *   other's garrisoned hexes, and send troops to defend each other.
+ * - Non-Aggression Pact: a promise not to declare war for a number of turns.
+ * - Vassalage: the vassal pays its overlord a share of its stores every turn;
+ *   the overlord sees what the vassal explores and comes to its defense.
+ * - Shared Vision and Military Access give just that part of an alliance.
+ *
+ * Peace treaties and alliances start with a truce during which neither side
+ * may declare war. Once it is over a treaty can still be broken, by declaring
+ * war on the partner or renouncing it, but that costs the breaker reputation
+ * and morale, and every tribe can see the record.
+ *
+ * A tribe that can't pay its tribute defaults: the payments stop and its
+ * truce protection ends with them.
+ */
+const crypto = require('crypto');
+const { DIPLOMATIC_STATUS, TREATY_TYPES, ACTION_TYPES } = require('../../shared/constants.js');
+const { adjustMorale } = require('./upkeep');
+
+// --- CONFIGURATION ---
+const PROPOSAL_TURNS = 3; // Proposals stay open this many turns
+const TRUCE_TURNS = {
+  [TREATY_TYPES.Peace]: 5,
+  [TREATY_TYPES.Alliance]: 3,
+};
+const NON_AGGRESSION_TURNS = 10; // How long a pact binds
+const VASSAL_TRIBUTE_SHARE = 0.1; // Of the vassal's food and scrap, every turn
+
+// Reputation lost for breaking each kind of treaty by declaring war on the partner;
+// renouncing one costs half. The breaker's own tribe loses morale too, once per betrayal.
+const BREACH_REPUTATION = {
+  [TREATY_TYPES.Peace]: 0,
+  [TREATY_TYPES.Alliance]: 30,
+  [TREATY_TYPES.NonAggression]: 25,
+  [TREATY_TYPES.Vassalage]: 30,
+  [TREATY_TYPES.SharedVision]: 5,
+  [TREATY_TYPES.MilitaryAccess]: 5,
+};
+const BREACH_MORALE = 10;
+const MAX_REPUTATION = 100;
+const REPUTATION_RECOVERY = 1; // Per turn
+const MAX_BREACH_RECORDS = 10; // Per tribe, most recent first
+
+// What each treaty type grants; vassalage runs one way, from the vassal to its overlord
+const SHARES_VISION = [TREATY_TYPES.Alliance, TREATY_TYPES.SharedVision];
+const GRANTS_PASSAGE = [TREATY_TYPES.Alliance, TREATY_TYPES.MilitaryAccess];
+const FORBIDS_FIGHTING = [TREATY_TYPES.Alliance, TREATY_TYPES.NonAggression, TREATY_TYPES.Vassalage];
+
+const TREATY_NAMES = {
+  [TREATY_TYPES.Peace]: 'peace treaty',
+  [TREATY_TYPES.Alliance]: 'alliance',
+  [TREATY_TYPES.NonAggression]: 'non-aggression pact',
+  [TREATY_TYPES.Vassalage]: 'vassalage',
+  [TREATY_TYPES.SharedVision]: 'shared vision treaty',
+  [TREATY_TYPES.MilitaryAccess]: 'military access treaty',
+};
+
+const findTribe = (state, tribeId) => state.tribes.find(t => t.id === tribeId);
+
+const getStatus = (tribe, other) => (tribe.diplomacy[other.id] || {}).status || DIPLOMATIC_STATUS.Neutral;
+
+const between = (a, b) => (entry) =>
+  (entry.fromTribeId === a && entry.toTribeId === b) ||
+  (entry.fromTribeId === b && entry.toTribeId === a) ||
+  (Array.isArray(entry.tribeIds) && entry.tribeIds.includes(a) && entry.tribeIds.includes(b));
+
+const getTreaties = (state, a, b) => (state.treaties || []).filter(between(a, b));
+
+const hasTreaty = (state, a, b, types) => getTreaties(state, a, b).some(treaty => types.includes(treaty.type));
+
+// Proposals from before treaty types existed only carry the status they lead to
+const getProposalType = (proposal) => proposal.treatyType ||
+  (proposal.statusChangeTo === DIPLOMATIC_STATUS.Alliance ? TREATY_TYPES.Alliance : TREATY_TYPES.Peace);
+
+const getReputation = (tribe) => (typeof tribe.reputation === 'number' ? tribe.reputation : MAX_REPUTATION);
+
+// The tribe whose vassal this one is, if any
+const getOverlordId = (state, tribeId) => {
+  const treaty = (state.treaties || []).find(t => t.type === TREATY_TYPES.Vassalage && t.vassalTribeId === tribeId);
+  return treaty ? treaty.tribeIds.find(id => id !== tribeId) : null;
+};
+
+/**
+ * Whether `tribeId` may march through hexes garrisoned by `hostId`.
+ */
+const grantsPassage = (state, hostId, tribeId) => hasTreaty(state, hostId, tribeId, GRANTS_PASSAGE);
+
+/**
+ * Tribes bound to come to a tribe's defense: its allies and its overlord.
+ * One that is itself allied with the attacker, or has promised not to fight
+ * it, stays out.
+ * @returns {object[]} The defending tribes
+ */
+const getDefenders = (state, tribe, attacker) => state.tribes.filter(other =>
+  other.id !== tribe.id && other.id !== attacker.id &&
+  (hasTreaty(state, tribe.id, other.id, [TREATY_TYPES.Alliance]) || getOverlordId(state, tribe.id) === other.id) &&
+  !hasTreaty(state, other.id, attacker.id, FORBIDS_FIGHTING));
+
+const normalizeAmounts = (goods = {}) => ({
+  food: goods.food || 0,
+  scrap: goods.scrap || 0,
+  weapons: goods.weapons || 0,
+});
+
+const describeAmounts = (goods) => [['food', goods.food], ['scrap', goods.scrap], ['weapons', goods.weapons]]
+  .filter(([, amount]) => amount > 0)
+  .map(([label, amount]) => `${amount} ${label}`)
+  .join(', ') || 'nothing';
+
+const totalWeapons = (tribe) => Object.values(tribe.garrisons || {}).reduce((sum, g) => sum + g.weapons, 0);
+
+const canPay = (tribe, goods) =>
+  tribe.globalResources.food >= goods.food &&
+  tribe.globalResources.scrap >= goods.scrap &&
+  totalWeapons(tribe) >= goods.weapons;
+
+/**
+ * Moves goods from one tribe to another. Weapons are drawn from the payer's
+ * home garrison first and delivered to the payee's home. Callers check
+ * canPay first so the transfer happens in full or not at all.
+ */
+const transfer = (from, to, goods) => {
+  from.globalResources.food -= goods.food;
+  from.globalResources.scrap -= goods.scrap;
+  to.globalResources.food += goods.food;
+  to.globalResources.scrap += goods.scrap;
+  if (goods.weapons <= 0) return;
+
+  let remaining = goods.weapons;
+  const sources = [from.location, ...Object.keys(from.garrisons).filter(loc => loc !== from.location)];
+  sources.filter(loc => from.garrisons[loc]).forEach(loc => {
+    const taken = Math.min(remaining, from.garrisons[loc].weapons);
+    from.garrisons[loc].weapons -= taken;
+    remaining -= taken;
+  });
+  const destination = to.garrisons[to.location] ? to.location : Object.keys(to.garrisons)[0];
+  if (destination) to.garrisons[destination].weapons += goods.weapons;
+};
+
+// Why two tribes can't sign a treaty of this type right now, or null if they can
+const getProposalBlocker = (state, fromTribe, toTribe, treatyType, vassalTribeId) => {
+  const status = getStatus(fromTribe, toTribe);
+  const atWar = status === DIPLOMATIC_STATUS.War;
+  if (treatyType === TREATY_TYPES.Peace) return atWar ? null : `You are not at war with ${toTribe.tribeName}.`;
+  if (treatyType === TREATY_TYPES.Alliance && status !== DIPLOMATIC_STATUS.Neutral) {
+    return `You can only propose an alliance to a tribe you are at peace with.`;
+  }
+  if (hasTreaty(state, fromTribe.id, toTribe.id, [treatyType])) return `You already have a ${TREATY_NAMES[treatyType]} with ${toTribe.tribeName}.`;
+  if (treatyType === TREATY_TYPES.Vassalage) {
+    // Surrendering as a vassal is a way out of a war
+    const overlordId = vassalTribeId === fromTribe.id ? toTribe.id : fromTribe.id;
+    if (getOverlordId(state, vassalTribeId)) return `A vassal can only serve one overlord.`;
+    if (getOverlordId(state, overlordId) === vassalTribeId) return `A tribe can't become its own vassal's vassal.`;
+    return null;
+  }
+  if (atWar) return `You are at war with ${toTribe.tribeName}.`;
+  if ((treatyType === TREATY_TYPES.SharedVision || treatyType === TREATY_TYPES.MilitaryAccess) &&
+      hasTreaty(state, fromTribe.id, toTribe.id, [TREATY_TYPES.Alliance])) {
+    return `Your alliance with ${toTribe.tribeName} already includes that.`;
+  }
+  return null;
+};
+
+/**
+ * Opens a diplomatic proposal. Two tribes can have one proposal of each type open between them.
+ * @param {object} terms { fromTribeId, toTribeId, treatyType, vassalTribeId, reparations, tribute };
+ *   vassalTribeId names which side becomes the vassal, reparations and tribute only go with peace
+ * @returns {{ proposal: object } | { error: string }}
+ */
+const createProposal = (state, { fromTribeId, toTribeId, treatyType, vassalTribeId, reparations, tribute }) => {
+  const fromTribe = findTribe(state, fromTribeId);
+  const toTribe = findTribe(state, toTribeId);
+  if (!fromTribe || !toTribe) return { error: `That tribe could not be found.` };
+
+  const blocker = getProposalBlocker(state, fromTribe, toTribe, treatyType, vassalTribeId);
+  if (blocker) return { error: blocker };
+  if ((state.diplomaticProposals || []).some(p => between(fromTribeId, toTribeId)(p) && getProposalType(p) === treatyType)) {
+    return { error: `There is already a ${TREATY_NAMES[treatyType]} proposal open between you and ${toTribe.tribeName}.` };
+  }
+
+  const proposal = {
+    id: `proposal-${state.turn}-${crypto.randomUUID()}`,
+    fromTribeId,
+    toTribeId,
+    treatyType,
+    expiresOnTurn: state.turn + PROPOSAL_TURNS,
+    fromTribeName: fromTribe.tribeName,
+    ...(treatyType === TREATY_TYPES.Vassalage ? { vassalTribeId } : {}),
+    ...(reparations ? { reparations: normalizeAmounts(reparations) } : {}),
+    ...(tribute ? { tribute: { ...normalizeAmounts(tribute), turns: tribute.turns } } : {}),
+  };
+  state.diplomaticProposals = [...(state.diplomaticProposals || []), proposal];
+  return { proposal };
+};
+
+/**
+ * Accepts a proposal on behalf of its recipient: pays any reparations, sets
+ * both tribes' status and records the treaty with its truce and tribute.
+ * If the proposer can no longer pay the reparations the proposal is void.
+ * @returns {{ treaty: object } | { error: string }}
+ */
+const acceptProposal = (state, proposalId) => {
+  const proposal = (state.diplomaticProposals || []).find(p => p.id === proposalId);
+  if (!proposal || proposal.expiresOnTurn < state.turn) return { error: `That proposal is no longer open.` };
+  const removeProposal = () => {
+    state.diplomaticProposals = state.diplomaticProposals.filter(p => p.id !== proposal.id);
+  };
+  const fromTribe = findTribe(state, proposal.fromTribeId);
+  const toTribe = findTribe(state, proposal.toTribeId);
+  if (!fromTribe || !toTribe) {
+    removeProposal();
+    return { error: `The tribe that made this proposal is gone.` };
+  }
+  const treatyType = getProposalType(proposal);
+  const blocker = getProposalBlocker(state, fromTribe, toTribe, treatyType, proposal.vassalTribeId);
+  if (blocker) {
+    removeProposal();
+    return { error: `${blocker} The proposal is void.` };
+  }
+
+  const reparations = normalizeAmounts(proposal.reparations);
+  if (!canPay(fromTribe, reparations)) {
+    removeProposal();
+    return { error: `${fromTribe.tribeName} can no longer pay the reparations they offered (${describeAmounts(reparations)}); the proposal is void.` };
+  }
+  transfer(fromTribe, toTribe, reparations);
+
+  // A new treaty never shortens a truce already running
+  const currentTruce = (fromTribe.diplomacy[toTribe.id] || {}).truceUntilTurn || 0;
+  const truceUntilTurn = Math.max(currentTruce, state.turn + (TRUCE_TURNS[treatyType] || 0));
+  // Every treaty but an alliance leaves relations as they are at signing, except that it takes peace to sign one mid-war
+  const currentStatus = getStatus(fromTribe, toTribe);
+  const status = treatyType === TREATY_TYPES.Alliance
+    ? DIPLOMATIC_STATUS.Alliance
+    : (currentStatus === DIPLOMATIC_STATUS.War ? DIPLOMATIC_STATUS.Neutral : currentStatus);
+  const relation = { status, ...(truceUntilTurn > state.turn ? { truceUntilTurn } : {}) };
+  fromTribe.diplomacy[toTribe.id] = { ...relation };
+  toTribe.diplomacy[fromTribe.id] = { ...relation };
+
+  const treaty = {
+    id: `treaty-${state.turn}-${crypto.randomUUID()}`,
+    type: treatyType,
+    tribeIds: [fromTribe.id, toTribe.id],
+    signedOnTurn: state.turn,
+    truceUntilTurn,
+    ...(treatyType === TREATY_TYPES.NonAggression ? { expiresOnTurn: state.turn + NON_AGGRESSION_TURNS } : {}),
+    ...(treatyType === TREATY_TYPES.Vassalage ? { vassalTribeId: proposal.vassalTribeId } : {}),
+    ...(proposal.tribute && proposal.tribute.turns > 0 ? {
+      tribute: {
+        fromTribeId: fromTribe.id,
+        toTribeId: toTribe.id,
+        ...normalizeAmounts(proposal.tribute),
+        turnsLeft: proposal.tribute.turns,
+      },
+    } : {}),
+  };
+  state.treaties = [...(state.treaties || []).filter(t => !(between(fromTribe.id, toTribe.id)(t) && t.type === treatyType)), treaty];
+  removeProposal();
+  return { treaty };
+};
+
+/**
+ * Marks a tribe as having broken treaties with another: it loses reputation
+ * and morale, and each breach goes on its public record.
+ * @param {number} share Fraction of the full penalty
+ * @returns {boolean} Whether any penalty applied
+ */
+const recordBreach = (state, tribe, treaties, victim, share = 1) => {
+  const breached = treaties.filter(treaty => (BREACH_REPUTATION[treaty.type] || 0) > 0);
+  if (breached.length === 0) return false;
+  const penalty = breached.reduce((sum, treaty) => sum + Math.round(BREACH_REPUTATION[treaty.type] * share), 0);
+  tribe.reputation = Math.max(0, getReputation(tribe) - penalty);
+  adjustMorale(tribe, -BREACH_MORALE);
+  tribe.treatyBreaches = [
+    ...breached.map(treaty => ({ turn: state.turn, treatyType: treaty.type, againstTribeId: victim.id, againstTribeName: victim.tribeName })),
+    ...(tribe.treatyBreaches || []),
+  ].slice(0, MAX_BREACH_RECORDS);
+  return true;
+};
+
+/**
+ * Whether a tribe may declare war on another right now.
+ * @returns {string|null} Why not, or null if it may
+ */
+const getWarBlocker = (state, fromTribe, toTribe) => {
+  const relation = fromTribe.diplomacy[toTribe.id] || {};
+  if (relation.status === DIPLOMATIC_STATUS.War) return `You are already at war with ${toTribe.tribeName}.`;
+  if (relation.truceUntilTurn && relation.truceUntilTurn > state.turn) {
+    return `Your truce with ${toTribe.tribeName} holds until turn ${relation.truceUntilTurn}; you can't declare war before then.`;
+  }
+  return null;
+};
+
+/**
+ * Puts two tribes at war, tearing up every treaty and open proposal between
+ * them. The aggressor pays the penalty for each treaty it breaks.
+ * Callers check getWarBlocker first.
+ * @returns {object[]} The treaties broken
+ */
+const declareWar = (state, fromTribe, toTribe) => {
+  fromTribe.diplomacy[toTribe.id] = { status: DIPLOMATIC_STATUS.War };
+  toTribe.diplomacy[fromTribe.id] = { status: DIPLOMATIC_STATUS.War };
+  const broken = getTreaties(state, fromTribe.id, toTribe.id);
+  recordBreach(state, fromTribe, broken, toTribe);
+  const unrelated = (entry) => !between(fromTribe.id, toTribe.id)(entry);
+  state.treaties = (state.treaties || []).filter(unrelated);
+  state.diplomaticProposals = (state.diplomaticProposals || []).filter(unrelated);
+  return broken;
+};
+
+/**
+ * Renounces a treaty. Leaving an alliance returns both tribes to neutral. It
+ * costs half the penalty for breaking it, except that an overlord may release
+ * its vassal freely. Peace can only be ended by declaring war.
+ * @returns {{ treaty: object, penalized: boolean } | { error: string }}
+ */
+const cancelTreaty = (state, { tribeId, treatyId }) => {
+  const treaty = (state.treaties || []).find(t => t.id === treatyId);
+  if (!treaty || !treaty.tribeIds.includes(tribeId)) return { error: `That treaty is no longer in force.` };
+  if (treaty.type === TREATY_TYPES.Peace) return { error: `A peace treaty can only be ended by declaring war.` };
+  const tribe = findTribe(state, tribeId);
+  const partner = findTribe(state, treaty.tribeIds.find(id => id !== tribeId));
+
+  state.treaties = state.treaties.filter(t => t.id !== treaty.id);
+  if (treaty.type === TREATY_TYPES.Alliance && partner) {
+    const relation = { ...tribe.diplomacy[partner.id], status: DIPLOMATIC_STATUS.Neutral };
+    tribe.diplomacy[partner.id] = relation;
+    partner.diplomacy[tribe.id] = { ...relation };
+  }
+  const releasesVassal = treaty.type === TREATY_TYPES.Vassalage && treaty.vassalTribeId !== tribeId;
+  const penalized = Boolean(partner) && !releasesVassal && recordBreach(state, tribe, [treaty], partner, 0.5);
+  return { treaty, penalized };
+};
+
+const notify = (notices, tribe, id, result) => notices.push({
+  tribeId: tribe.id,
+  result: { id, actionType: ACTION_TYPES.Upkeep, actionData: {}, result },
+});
+
+// Pays this turn's instalment of a peace treaty's tribute; a tribe that can't pay in full defaults
+const payTribute = (state, treaty, notices) => {
+  const tribute = treaty.tribute;
+  const payer = findTribe(state, tribute.fromTribeId);
+  const payee = findTribe(state, tribute.toTribeId);
+  if (!payer || !payee) {
+    delete treaty.tribute;
+    return;
+  }
+  const id = `tribute-${state.turn}-${treaty.id}`;
+  const name = TREATY_NAMES[treaty.type];
+
+  if (!canPay(payer, tribute)) {
+    delete treaty.tribute;
+    treaty.truceUntilTurn = state.turn;
+    [payer.diplomacy[payee.id], payee.diplomacy[payer.id]].forEach(relation => {
+      if (relation) relation.truceUntilTurn = state.turn;
+    });
+    notify(notices, payer, id, `You could not pay the tribute owed to ${payee.tribeName} under your ${name}. The tribute is cancelled and your truce is over.`);
+    notify(notices, payee, id, `${payer.tribeName} failed to pay their tribute under your ${name}. The truce is over; you are free to declare war.`);
+    return;
+  }
+
+  transfer(payer, payee, tribute);
+  tribute.turnsLeft -= 1;
+  const remaining = tribute.turnsLeft > 0 ? ` ${tribute.turnsLeft} payment(s) left.` : ` That was the final payment.`;
+  notify(notices, payer, id, `You paid ${describeAmounts(tribute)} in tribute to ${payee.tribeName}.${remaining}`);
+  notify(notices, payee, id, `${payer.tribeName} paid you ${describeAmounts(tribute)} in tribute.${remaining}`);
+  if (tribute.turnsLeft <= 0) delete treaty.tribute;
+};
+
+// A vassal hands over a share of its food and scrap every turn
+const payVassalTribute = (state, treaty, notices) => {
+  const vassal = findTribe(state, treaty.vassalTribeId);
+  const overlord = findTribe(state, treaty.tribeIds.find(id => id !== treaty.vassalTribeId));
+  const share = normalizeAmounts({
+    food: Math.floor(vassal.globalResources.food * VASSAL_TRIBUTE_SHARE),
+    scrap: Math.floor(vassal.globalResources.scrap * VASSAL_TRIBUTE_SHARE),
+  });
+  if (share.food + share.scrap <= 0) return;
+  transfer(vassal, overlord, share);
+  const id = `vassal-tribute-${state.turn}-${treaty.id}`;
+  notify(notices, vassal, id, `As vassal of ${overlord.tribeName}, you paid them ${describeAmounts(share)}.`);
+  notify(notices, overlord, id, `Your vassal ${vassal.tribeName} paid you ${describeAmounts(share)}.`);
+};
+
+// Partners pool what they have explored; a vassal's discoveries go to its overlord but not back
+const shareVision = (state, treaty) => {
+  const [a, b] = treaty.tribeIds.map(id => findTribe(state, id));
+  const pool = (from, to) => {
+    to.exploredHexes = Array.from(new Set([...(to.exploredHexes || []), ...(from.exploredHexes || [])]));
+  };
+  if (treaty.type === TREATY_TYPES.Vassalage) {
+    const [vassal, overlord] = a.id === treaty.vassalTribeId ? [a, b] : [b, a];
+    pool(vassal, overlord);
+  } else if (SHARES_VISION.includes(treaty.type)) {
+    pool(a, b);
+    pool(b, a);
+  }
+};
+
+/**
+ * End-of-turn treaty upkeep: tribute is paid, vision is shared, pacts that
+ * have run their course lapse, and every tribe regains a little reputation.
+ * @returns {{ tribeId: string, result: object }[]} Notices for the tribes involved
+ */
+const processTreaties = (state) => {
+  const notices = [];
+  // Treaties whose tribes have left the game go with them
+  state.treaties = (state.treaties || []).filter(treaty => treaty.tribeIds.every(id => findTribe(state, id)));
+
+  state.treaties.forEach(treaty => {
+    if (treaty.tribute && treaty.tribute.turnsLeft > 0) payTribute(state, treaty, notices);
+    if (treaty.type === TREATY_TYPES.Vassalage) payVassalTribute(state, treaty, notices);
+    shareVision(state, treaty);
+  });
+
+  state.treaties = state.treaties.filter(treaty => {
+    if (!treaty.expiresOnTurn || treaty.expiresOnTurn > state.turn) return true;
+    const [a, b] = treaty.tribeIds.map(id => findTribe(state, id));
+    const id = `treaty-expired-${treaty.id}`;
+    notify(notices, a, id, `Your ${TREATY_NAMES[treaty.type]} with ${b.tribeName} has run its course.`);
+    notify(notices, b, id, `Your ${TREATY_NAMES[treaty.type]} with ${a.tribeName} has run its course.`);
+    return false;
+  });
+
+  state.tribes.forEach(tribe => {
+    tribe.reputation = Math.min(MAX_REPUTATION, getReputation(tribe) + REPUTATION_RECOVERY);
+  });
+  return notices;
+};
+
+module.exports = {
+  PROPOSAL_TURNS,
+  TRUCE_TURNS,
+  TREATY_NAMES,
+  getReputation,
+  grantsPassage,
+  getDefenders,
+  createProposal,
+  acceptProposal,
+  getWarBlocker,
+  declareWar,
+  cancelTreaty,
+  processTreaties
+};
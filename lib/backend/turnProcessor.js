@@ -0,0 +1,1114 @@
+/**
+ * lib/backend/turnProcessor.js
+ *
+ * Server-side resolution of the actions tribes submit each turn.
+ * Moves, attacks, scouting and trade send forces out on journeys (see
+ * journeys.js) that may take several turns to arrive; everything else
+ * resolves on the spot. All randomness is seeded from the map seed, the turn number, the tribe and
+ * the action, so re-processing the same state always gives the same outcome.
+ */
+const {
+  TERRAIN_TYPES,
+  POI_TYPES,
+  DIPLOMATIC_STATUS,
+  ACTION_TYPES,
+  RATION_LEVELS,
+  JOURNEY_TYPES
+} = require('../../shared/constants.js');
+const logger = require('./logger');
+const { createRng } = require('./random');
+const {
+  parseHexCoords,
+  indexMapData,
+  hexKeyDistance,
+  getVisibleHexes
+} = require('./mapUtils');
+const { resolveBattle } = require('./combat');
+const { summarizeTribe, buildTurnRecord } = require('./history');
+const {
+  getTechEffects,
+  getCombatBonus,
+  getActiveResearchers,
+  startResearch,
+  advanceResearch,
+  applyPassiveIncome
+} = require('./research');
+const {
+  VICTORY_MORALE,
+  DEFEAT_MORALE,
+  adjustMorale,
+  getMoraleCombatBonus,
+  getMoraleRecruitFactor,
+  applyUpkeep
+} = require('./upkeep');
+const {
+  getMarchRange,
+  getJourneySpeed,
+  planRoute,
+  createJourney,
+  haltJourney,
+  resumeJourney,
+  sendHome,
+  marchJourney,
+  getTravellingTroops
+} = require('./journeys');
+const { expireTradeOffers } = require('./tradeOffers');
+const { getDefenders, processTreaties } = require('./treaties');
+const {
+  getPOISite,
+  harvestPOI,
+  createBanditForce,
+  getBanditStash,
+  lootVault,
+  collectGarrisonYields
+} = require('./poi');
+const { computeTerritory, isSupplyConnected } = require('./territory');
+
+// --- CONFIGURATION ---
+const VISIBILITY_RANGE = 2;
+const MAX_SCOUT_DISTANCE = 8;
+const SCOUT_REVEAL_RANGE = 1;
+const OUTPOST_SCRAP_COST = 25;
+const OUTPOST_MIN_BUILDERS = 5;
+const INTERCEPT_RANGE = 1; // Hostile garrisons this close to a journey's hex may sally out against it
+const INTERCEPT_SHARE = 0.5; // Share of the garrison's troops and weapons that sally out
+const TRADE_RESPONSE_TURNS = 2; // Turns a caravan waits for an answer before heading home
+const MAX_LEGS_PER_TURN = 3; // A journey can arrive, turn back and keep going, but not forever
+const ALLY_DEFENSE_RANGE = 2; // Allied garrisons this close to an attacked hex march to its defense
+const ALLY_DEFENSE_SHARE = 0.5; // Share of an allied garrison's troops and weapons that march
+
+// Actions resolve in phases so that, e.g., every tribe's defensive posture is
+// set before any attack lands, regardless of the order tribes were created in.
+const ACTION_PHASES = [
+  [ACTION_TYPES.SetRations],
+  [ACTION_TYPES.Defend],
+  [ACTION_TYPES.Recruit, ACTION_TYPES.BuildWeapons, ACTION_TYPES.Rest, ACTION_TYPES.StartResearch],
+  [ACTION_TYPES.Move, ACTION_TYPES.BuildOutpost, ACTION_TYPES.SupplyOutpost],
+  [ACTION_TYPES.Scout, ACTION_TYPES.Scavenge],
+  [ACTION_TYPES.Attack],
+  [ACTION_TYPES.Trade],
+];
+
+const getActionPhase = (actionType) => {
+  const phase = ACTION_PHASES.findIndex(types => types.includes(actionType));
+  return phase === -1 ? ACTION_PHASES.length : phase;
+};
+
+// --- HELPERS ---
+
+const toCount = (value) => Math.max(0, Math.floor(Number(value) || 0));
+
+const withResult = (action, result) => ({ ...action, result });
+
+// How far a tribe's garrisons can see, including tech bonuses
+const getVisibilityRange = (tribe) => VISIBILITY_RANGE + getTechEffects(tribe).visibilityBonus;
+
+// Adds every hex in sight of `location` to the tribe's explored hexes; returns how many were new
+const revealAround = (ctx, tribe, location, range) => {
+  const revealed = getVisibleHexes(parseHexCoords(location), range, ctx.hexIndex);
+  const explored = new Set(tribe.exploredHexes || []);
+  const before = explored.size;
+  revealed.forEach(hex => explored.add(hex));
+  tribe.exploredHexes = Array.from(explored);
+  return explored.size - before;
+};
+
+const findOccupant = (state, location, excludeTribeId) =>
+  state.tribes.find(t => t.id !== excludeTribeId && t.garrisons && t.garrisons[location]);
+
+const isPassable = (hex) => hex && hex.terrain !== TERRAIN_TYPES.Water;
+
+const atWar = (tribe, other) => (tribe.diplomacy[other.id] || {}).status === DIPLOMATIC_STATUS.War;
+
+// Cheapest route a force can march in one turn, or null if the destination can't be reached this turn
+const findMarchRoute = (ctx, tribe, from, to) =>
+  planRoute(ctx.state, ctx.hexIndex, tribe.id, from, to, getMarchRange(tribe));
+
+/**
+ * Removes the requested troops, weapons and chiefs from a start garrison.
+ * Researchers stay behind. Returns { force } on success or { error } if the
+ * garrison can't supply them.
+ */
+const detachForce = (start, actionData, minTroops = 1) => {
+  const { garrison, researchers } = start;
+  const troops = toCount(actionData.troops);
+  const weapons = toCount(actionData.weapons);
+  const chiefNames = Array.isArray(actionData.chiefsToMove) ? actionData.chiefsToMove : [];
+  const available = garrison.troops - researchers;
+
+  if (troops < minTroops) return { error: `At least ${minTroops} troop(s) are required.` };
+  if (troops > available) {
+    return { error: researchers > 0
+      ? `Only ${available} troops are available; ${researchers} are busy with research.`
+      : `Only ${available} troops are available.` };
+  }
+  if (weapons > garrison.weapons) return { error: `Only ${garrison.weapons} weapons are available.` };
+
+  const chiefs = (garrison.chiefs || []).filter(c => chiefNames.includes(c.name));
+  garrison.troops -= troops;
+  garrison.weapons -= weapons;
+  garrison.chiefs = (garrison.chiefs || []).filter(c => !chiefNames.includes(c.name));
+  return { force: { troops, weapons, chiefs } };
+};
+
+const mergeForce = (garrisons, location, force) => {
+  if (!garrisons[location]) {
+    garrisons[location] = { troops: 0, weapons: 0, chiefs: [] };
+  }
+  const garrison = garrisons[location];
+  garrison.troops += force.troops;
+  garrison.weapons += force.weapons;
+  garrison.chiefs = [...(garrison.chiefs || []), ...force.chiefs];
+  return garrison;
+};
+
+// Looks up the start garrison for an action and how many of its troops are researching,
+// returning an error message if it's missing
+const getStartGarrison = (tribe, action) => {
+  const location = action.actionData.start_location;
+  const garrison = location && tribe.garrisons[location];
+  if (!garrison) return { error: `You have no garrison at ${location || 'the chosen location'}.` };
+  const project = tribe.currentResearch;
+  const researchers = project && project.location === location ? getActiveResearchers(tribe, project) : 0;
+  return { location, garrison, researchers };
+};
+
+// --- STATIONARY ACTIONS ---
+
+const resolveSetRations = (ctx, tribe, action) => {
+  const { ration_level } = action.actionData;
+  if (!RATION_LEVELS.includes(ration_level)) {
+    return withResult(action, `Invalid ration level specified.`);
+  }
+  tribe.rationLevel = ration_level;
+  return withResult(action, `Food rations have been set to ${ration_level}.`);
+};
+
+const resolveDefend = (ctx, tribe, action) => {
+  const start = getStartGarrison(tribe, action);
+  if (start.error) return withResult(action, start.error);
+
+  const troops = Math.min(toCount(action.actionData.troops), start.garrison.troops);
+  if (troops === 0) return withResult(action, `No troops at ${start.location} were available to defend.`);
+
+  ctx.defending[`${tribe.id}:${start.location}`] = troops;
+  return withResult(action, `${troops} troops at ${start.location} assumed a defensive stance.`);
+};
+
+const resolveRecruit = (ctx, tribe, action) => {
+  const start = getStartGarrison(tribe, action);
+  if (start.error) return withResult(action, start.error);
+
+  const foodOffered = toCount(action.actionData.food_offered);
+  if (foodOffered === 0) return withResult(action, `No food was offered for recruitment.`);
+  if (foodOffered > tribe.globalResources.food) return withResult(action, `Not enough food. You have ${tribe.globalResources.food}.`);
+
+  const recruits = Math.floor(foodOffered * 0.3 * (1 + tribe.stats.charisma * 0.05) * getMoraleRecruitFactor(tribe));
+  tribe.globalResources.food -= foodOffered;
+  start.garrison.troops += recruits;
+  return withResult(action, `Your recruitment drive at ${start.location} attracted ${recruits} new followers to your cause.`);
+};
+
+const resolveBuildWeapons = (ctx, tribe, action) => {
+  const start = getStartGarrison(tribe, action);
+  if (start.error) return withResult(action, start.error);
+
+  const scrapUsed = toCount(action.actionData.scrap);
+  if (scrapUsed === 0) return withResult(action, `No scrap was assigned to the smiths.`);
+  if (scrapUsed > tribe.globalResources.scrap) return withResult(action, `Not enough scrap. You have ${tribe.globalResources.scrap}.`);
+
+  const weaponsBuilt = Math.floor(scrapUsed * 0.4 * (1 + tribe.stats.intelligence * 0.02));
+  tribe.globalResources.scrap -= scrapUsed;
+  start.garrison.weapons += weaponsBuilt;
+  return withResult(action, `Your weapon smiths at ${start.location} converted ${scrapUsed} scrap into ${weaponsBuilt} new weapons.`);
+};
+
+const resolveStartResearch = (ctx, tribe, action) => {
+  const { techId, location } = action.actionData;
+  return withResult(action, startResearch(tribe, { techId, location, assignedTroops: toCount(action.actionData.assignedTroops) }));
+};
+
+const resolveRest = (ctx, tribe, action) => {
+  const start = getStartGarrison(tribe, action);
+  if (start.error) return withResult(action, start.error);
+
+  const rng = ctx.rngFor(tribe, action);
+  const moraleGained = adjustMorale(tribe, Math.floor(rng.between(15, 25) * (1 + tribe.stats.leadership * 0.01)));
+  return withResult(action, `Troops resting at ${start.location} feel rejuvenated, boosting tribe morale by ${moraleGained}.`);
+};
+
+// --- MOVEMENT ACTIONS ---
+
+const resolveMove = (ctx, tribe, action) => {
+  const start = getStartGarrison(tribe, action);
+  if (start.error) return withResult(action, start.error);
+
+  const destination = action.actionData.finish_location;
+  const hex = ctx.hexIndex.get(destination);
+  if (!isPassable(hex)) return withResult(action, `${destination} cannot be reached.`);
+  const occupant = findOccupant(ctx.state, destination, tribe.id);
+  if (occupant) return withResult(action, `${destination} is held by ${occupant.tribeName}. Use an Attack to take it.`);
+  const route = planRoute(ctx.state, ctx.hexIndex, tribe.id, start.location, destination);
+  if (!route) return withResult(action, `There is no route from ${start.location} to ${destination}.`);
+
+  const { force, error } = detachForce(start, action.actionData);
+  if (error) return withResult(action, error);
+
+  return dispatchJourney(ctx, tribe, action, { type: JOURNEY_TYPES.Move, origin: start.location, destination, route, force });
+};
+
+const resolveBuildOutpost = (ctx, tribe, action) => {
+  const start = getStartGarrison(tribe, action);
+  if (start.error) return withResult(action, start.error);
+
+  const target = action.actionData.target_location;
+  const hex = ctx.hexIndex.get(target);
+  if (!isPassable(hex)) return withResult(action, `An outpost cannot be built at ${target}.`);
+  if (!findMarchRoute(ctx, tribe, start.location, target)) {
+    return withResult(action, `${target} is too far away for the builders to reach.`);
+  }
+  if (tribe.garrisons[target] || findOccupant(ctx.state, target, tribe.id)) {
+    return withResult(action, `${target} is already occupied.`);
+  }
+  const controller = computeTerritory(ctx.state.tribes, ctx.hexIndex)[target];
+  if (controller && controller !== tribe.id) {
+    const rival = ctx.state.tribes.find(t => t.id === controller);
+    return withResult(action, `${target} lies in ${rival ? rival.tribeName : 'another tribe'}'s territory.`);
+  }
+  if (tribe.globalResources.scrap < OUTPOST_SCRAP_COST) {
+    return withResult(action, `Building an outpost costs ${OUTPOST_SCRAP_COST} scrap. You have ${tribe.globalResources.scrap}.`);
+  }
+
+  const { force, error } = detachForce(start, action.actionData, OUTPOST_MIN_BUILDERS);
+  if (error) return withResult(action, error);
+
+  tribe.globalResources.scrap -= OUTPOST_SCRAP_COST;
+  mergeForce(tribe.garrisons, target, force);
+  revealAround(ctx, tribe, target, getVisibilityRange(tribe));
+  return withResult(action, `${force.troops} builders established a new outpost at ${target} for ${OUTPOST_SCRAP_COST} scrap.`);
+};
+
+/**
+ * Sends troops, weapons and chiefs to another of the tribe's garrisons along a
+ * supply line: any distance, as long as the route stays inside the tribe's territory.
+ */
+const resolveSupplyOutpost = (ctx, tribe, action) => {
+  const start = getStartGarrison(tribe, action);
+  if (start.error) return withResult(action, start.error);
+
+  const destination = action.actionData.finish_location;
+  if (!destination || destination === start.location || !tribe.garrisons[destination]) {
+    return withResult(action, `Supplies can only be sent to another of your garrisons.`);
+  }
+  if (!isSupplyConnected(computeTerritory(ctx.state.tribes, ctx.hexIndex), tribe.id, start.location, destination)) {
+    return withResult(action, `There is no supply line from ${start.location} to ${destination} through your territory.`);
+  }
+
+  const { force, error } = detachForce(start, action.actionData, 0);
+  if (error) return withResult(action, error);
+  if (force.troops === 0 && force.weapons === 0 && force.chiefs.length === 0) {
+    return withResult(action, `No troops, weapons or chiefs were assigned to the supply run.`);
+  }
+
+  mergeForce(tribe.garrisons, destination, force);
+  return withResult(action, `A supply run delivered ${force.troops} troops, ${force.weapons} weapons and ${force.chiefs.length} chiefs from ${start.location} to ${destination}.`);
+};
+
+const resolveScout = (ctx, tribe, action) => {
+  const start = getStartGarrison(tribe, action);
+  if (start.error) return withResult(action, start.error);
+
+  const target = action.actionData.target_location;
+  if (!ctx.hexIndex.has(target)) return withResult(action, `${target} is not on the map.`);
+  if (hexKeyDistance(start.location, target) > MAX_SCOUT_DISTANCE) {
+    return withResult(action, `${target} is beyond the reach of your scouts.`);
+  }
+  const route = planRoute(ctx.state, ctx.hexIndex, tribe.id, start.location, target);
+  if (!route) return withResult(action, `Your scouts can find no way to ${target}.`);
+
+  const { force, error } = detachForce(start, action.actionData);
+  if (error) return withResult(action, error);
+
+  return dispatchJourney(ctx, tribe, action, { type: JOURNEY_TYPES.Scout, origin: start.location, destination: target, route, force });
+};
+
+// Scavengers at a Bandit Camp have to fight for it; clearing the camp wins its stash
+const raidBanditCamp = (ctx, tribe, action, hex, force) => {
+  const target = action.actionData.target_location;
+  const bandits = createBanditForce(hex.poi);
+  const report = resolveBattle({
+    attacker: { tribe, troops: force.troops, weapons: force.weapons, chiefs: force.chiefs, bonus: getCombatBonus(tribe, 'attack', hex.terrain) + getMoraleCombatBonus(tribe) },
+    defender: bandits,
+    terrain: hex.terrain,
+  }, ctx.rngFor(tribe, action));
+  force.troops = report.attacker.survivors;
+  force.weapons = report.attacker.weaponsRemaining + report.capturedWeapons;
+
+  if (report.outcome !== 'attacker_victory') {
+    adjustMorale(tribe, DEFEAT_MORALE);
+    return `The Bandit Camp at ${target} drove off your scavengers. ${describeBattle(report)}`;
+  }
+  const stash = getBanditStash(hex.poi);
+  delete hex.poi;
+  tribe.globalResources.scrap += stash;
+  adjustMorale(tribe, VICTORY_MORALE);
+  return `Your scavengers cleared the Bandit Camp at ${target}, taking ${stash} scrap and ${report.capturedWeapons} weapons. ${describeBattle(report)}`;
+};
+
+const openVault = (ctx, tribe, action, hex, force) => {
+  const target = action.actionData.target_location;
+  const loot = lootVault(ctx.state, hex, ctx.rngFor(tribe, action));
+  tribe.globalResources.scrap += loot.scrap;
+  force.weapons += loot.weapons;
+  if (loot.asset) tribe.assets = [...(tribe.assets || []), loot.asset];
+  return `Your scavengers breached the Vault at ${target}, recovering ${loot.scrap} scrap and ${loot.weapons} weapons` +
+    (loot.asset ? ` and the ${loot.asset}!` : '. Whatever else it held was taken long ago.');
+};
+
+const resolveScavenge = (ctx, tribe, action) => {
+  const start = getStartGarrison(tribe, action);
+  if (start.error) return withResult(action, start.error);
+
+  const target = action.actionData.target_location;
+  const hex = ctx.hexIndex.get(target);
+  if (!isPassable(hex)) return withResult(action, `${target} cannot be scavenged.`);
+  // A resource site decides what is found there, whatever the party went looking for
+  const site = getPOISite(hex.poi);
+  const resourceType = site ? site.resource : action.actionData.resource_type;
+  if (!['Food', 'Scrap', 'Weapons'].includes(resourceType)) return withResult(action, `Unknown resource type '${resourceType}'.`);
+  if (!findMarchRoute(ctx, tribe, start.location, target)) {
+    return withResult(action, `${target} is too far away to scavenge.`);
+  }
+
+  const { force, error } = detachForce(start, action.actionData);
+  if (error) return withResult(action, error);
+
+  const rng = ctx.rngFor(tribe, action);
+  const narrative = [];
+  if (hex.terrain === TERRAIN_TYPES.Radiation) {
+    const losses = Math.ceil(force.troops * 0.1);
+    force.troops -= losses;
+    narrative.push(`The radiation claimed ${losses} scavengers.`);
+  }
+
+  const poiType = hex.poi && hex.poi.type;
+  if (poiType === POI_TYPES.BanditCamp || poiType === POI_TYPES.Vault) {
+    narrative.push(poiType === POI_TYPES.BanditCamp
+      ? raidBanditCamp(ctx, tribe, action, hex, force)
+      : openVault(ctx, tribe, action, hex, force));
+    mergeForce(tribe.garrisons, start.location, force);
+    return withResult(action, narrative.join(' '));
+  }
+
+  let food = 0;
+  let scrap = 0;
+  let weapons = 0;
+  if (resourceType === 'Food') {
+    const multiplier = site ? site.scavengeMultiplier
+      : (hex.terrain === TERRAIN_TYPES.Forest || hex.terrain === TERRAIN_TYPES.Swamp) ? 1.5 : 0.5;
+    food = Math.floor(1.5 * force.troops * multiplier * rng.between(0.8, 1.2));
+  } else if (resourceType === 'Scrap') {
+    const multiplier = site ? site.scavengeMultiplier
+      : (hex.terrain === TERRAIN_TYPES.Ruins || hex.terrain === TERRAIN_TYPES.Wasteland) ? 2 : 1.2;
+    scrap = Math.floor(force.troops * multiplier * rng.between(0.8, 1.2));
+  } else {
+    const multiplier = site ? site.scavengeMultiplier : 1;
+    weapons = Math.floor(rng.next() * (force.troops / 5) * (1 + force.weapons * 0.02) * multiplier);
+  }
+
+  const { scavengeBonuses } = getTechEffects(tribe);
+  food = Math.floor(food * (1 + scavengeBonuses.Food));
+  scrap = Math.floor(scrap * (1 + scavengeBonuses.Scrap));
+  weapons = Math.floor(weapons * (1 + scavengeBonuses.Weapons));
+
+  let exhausted = false;
+  if (site) {
+    const harvest = harvestPOI(hex, food + scrap + weapons);
+    exhausted = harvest.exhausted;
+    food = Math.min(food, harvest.taken);
+    scrap = Math.min(scrap, harvest.taken);
+    weapons = Math.min(weapons, harvest.taken);
+  }
+
+  tribe.globalResources.food += food;
+  tribe.globalResources.scrap += scrap;
+  force.weapons += weapons;
+  mergeForce(tribe.garrisons, start.location, force);
+
+  const gathered = [[food, 'food'], [scrap, 'scrap'], [weapons, 'weapons']]
+    .filter(([amount]) => amount > 0)
+    .map(([amount, label]) => `${amount} ${label}`);
+  const place = site ? `the ${poiType} at ${target}` : target;
+  narrative.push(gathered.length > 0
+    ? `Scavengers searched ${place} and brought back ${gathered.join(', ')}.`
+    : `Scavengers searched ${place} but found nothing of value.`);
+  if (exhausted) narrative.push(`The ${poiType} has been picked clean.`);
+  return withResult(action, narrative.join(' '));
+};
+
+// --- CONFLICT ---
+
+// Where a garrison's survivors fall back to after losing their hex: home first, then the nearest other garrison
+const findRetreatLocation = (tribe, lostLocation) => {
+  if (tribe.location !== lostLocation && tribe.garrisons[tribe.location]) return tribe.location;
+  const fallbacks = Object.keys(tribe.garrisons)
+    .filter(location => location !== lostLocation)
+    .sort((a, b) => hexKeyDistance(lostLocation, a) - hexKeyDistance(lostLocation, b));
+  return fallbacks[0] || null;
+};
+
+const describeBattle = (report) =>
+  `${report.attacker.tribeName} (${report.attacker.troops} troops) vs ${report.defender.tribeName} (${report.defender.troops} troops) ` +
+  `on ${report.terrain} over ${report.rounds.length} round(s). ` +
+  `Losses: ${report.attacker.losses} attackers, ${report.defender.losses} defenders.`;
+
+const resolveAttack = (ctx, tribe, action) => {
+  const start = getStartGarrison(tribe, action);
+  if (start.error) return withResult(action, start.error);
+
+  const target = action.actionData.target_location;
+  const defender = findOccupant(ctx.state, target, tribe.id);
+  if (!defender) return withResult(action, `There is no enemy garrison at ${target} to attack.`);
+  if (!atWar(tribe, defender)) {
+    return withResult(action, `You are not at war with ${defender.tribeName}. The attack on ${target} was called off.`);
+  }
+  const route = planRoute(ctx.state, ctx.hexIndex, tribe.id, start.location, target);
+  if (!route) return withResult(action, `There is no route from ${start.location} to ${target}.`);
+
+  const { force, error } = detachForce(start, action.actionData);
+  if (error) return withResult(action, error);
+
+  return dispatchJourney(ctx, tribe, action, {
+    type: JOURNEY_TYPES.Attack, origin: start.location, destination: target, route, force, targetTribeId: defender.id,
+  });
+};
+
+// --- TRADE ---
+
+const getTradeTerms = (actionData) => ({
+  offer: { food: toCount(actionData.offer_food), scrap: toCount(actionData.offer_scrap), weapons: toCount(actionData.offer_weapons) },
+  request: { food: toCount(actionData.request_food), scrap: toCount(actionData.request_scrap), weapons: toCount(actionData.request_weapons) },
+});
+
+const canAfford = (tribe, garrison, goods) =>
+  tribe.globalResources.food >= goods.food &&
+  tribe.globalResources.scrap >= goods.scrap &&
+  (garrison ? garrison.weapons : 0) >= goods.weapons;
+
+const describeGoods = (goods) => [[goods.food, 'food'], [goods.scrap, 'scrap'], [goods.weapons, 'weapons']]
+  .filter(([amount]) => amount > 0)
+  .map(([amount, label]) => `${amount} ${label}`)
+  .join(', ');
+
+/**
+ * Sends a guarded caravan carrying the offered goods to the partner's garrison
+ * (their home unless another garrison is named). The partner answers once it
+ * arrives; the caravan then brings home what was asked for, or its own goods.
+ */
+const resolveTrade = (ctx, tribe, action) => {
+  const start = getStartGarrison(tribe, action);
+  if (start.error) return withResult(action, start.error);
+
+  const partner = ctx.state.tribes.find(t => t.id === action.actionData.target_tribe_id);
+  if (!partner || partner.id === tribe.id) return withResult(action, `The trade partner could not be found.`);
+  if (atWar(tribe, partner)) return withResult(action, `${partner.tribeName} will not trade with a tribe they are at war with.`);
+  const named = action.actionData.target_location;
+  const destination = named && partner.garrisons[named] ? named : partner.location;
+  if (!partner.garrisons[destination]) return withResult(action, `${partner.tribeName} has no garrison to receive your caravan.`);
+
+  const { offer, request } = getTradeTerms(action.actionData);
+  if (!describeGoods(offer) && !describeGoods(request)) return withResult(action, `Your caravan had nothing to trade.`);
+  // The guards' own weapons come out of the same garrison as the goods
+  if (!canAfford(tribe, { weapons: start.garrison.weapons - toCount(action.actionData.weapons) }, offer)) {
+    return withResult(action, `You don't have the goods you offered.`);
+  }
+  const route = planRoute(ctx.state, ctx.hexIndex, tribe.id, start.location, destination);
+  if (!route) return withResult(action, `There is no route to ${partner.tribeName}'s garrison at ${destination}.`);
+
+  const { force, error } = detachForce(start, action.actionData);
+  if (error) return withResult(action, error);
+
+  tribe.globalResources.food -= offer.food;
+  tribe.globalResources.scrap -= offer.scrap;
+  start.garrison.weapons -= offer.weapons;
+  return dispatchJourney(ctx, tribe, action, {
+    type: JOURNEY_TYPES.Trade,
+    origin: start.location,
+    destination,
+    route,
+    force,
+    payload: offer,
+    targetTribeId: partner.id,
+    tradeOffer: { request, fromTribeName: tribe.tribeName },
+  });
+};
+
+// --- JOURNEYS ---
+
+const JOURNEY_LABELS = {
+  [JOURNEY_TYPES.Move]: 'marching column',
+  [JOURNEY_TYPES.Attack]: 'war party',
+  [JOURNEY_TYPES.Scout]: 'scouting party',
+  [JOURNEY_TYPES.Trade]: 'trade caravan',
+};
+
+const isOnTheMove = (journey) => journey.status === 'en_route' || journey.status === 'returning';
+
+// A journey's own entry in lastTurnResults, for turns when something happens to it away from its action
+const journeyResult = (ctx, journey, lines, actionData = {}) => ({
+  id: `journey-${ctx.state.turn}-${journey.id}`,
+  actionType: journey.type,
+  actionData: { journeyId: journey.id, ...actionData },
+  result: lines.join(' '),
+});
+
+// Folds a journey's force and cargo into the tribe's garrison at `location`, ending the journey
+const disbandInto = (tribe, journey, location) => {
+  const garrison = mergeForce(tribe.garrisons, location, journey.force);
+  tribe.globalResources.food += journey.payload.food;
+  tribe.globalResources.scrap += journey.payload.scrap;
+  garrison.weapons += journey.payload.weapons;
+  journey.status = 'finished';
+};
+
+// Heads a journey for home; with nowhere to go, the party scatters and is lost
+const turnBack = (ctx, tribe, journey, log, reason) => {
+  if (reason) log.lines.push(reason);
+  if (sendHome(ctx.state, ctx.hexIndex, tribe, journey)) return;
+  journey.status = 'finished';
+  log.lines.push(`With no way home, your ${JOURNEY_LABELS[journey.type]} scattered.`);
+};
+
+// A War-hostile garrison close enough to strike at the journey's current hex, if any
+const findInterceptor = (ctx, tribe, journey) => {
+  for (const other of ctx.state.tribes) {
+    if (other.id === tribe.id || !atWar(tribe, other)) continue;
+    const location = Object.keys(other.garrisons || {}).find(loc =>
+      hexKeyDistance(loc, journey.currentLocation) <= INTERCEPT_RANGE &&
+      // The garrison a war party is marching on waits for the assault
+      !(journey.type === JOURNEY_TYPES.Attack && journey.status === 'en_route' && loc === journey.destination) &&
+      !journey.interceptedBy.includes(loc) &&
+      Math.floor(other.garrisons[loc].troops * INTERCEPT_SHARE) > 0);
+    if (location) return { interceptor: other, location };
+  }
+  return null;
+};
+
+/**
+ * Part of a hostile garrison near the route sallies out against a passing
+ * journey. Beaten or not, the journey halts and waits for orders; if the
+ * raiders win they make off with its cargo. Each garrison strikes a journey once.
+ * @returns {boolean} True if the journey was stopped
+ */
+const interceptJourney = (ctx, tribe, journey, log) => {
+  const found = findInterceptor(ctx, tribe, journey);
+  if (!found) return false;
+  const { interceptor, location } = found;
+  journey.interceptedBy = [...journey.interceptedBy, location];
+
+  const garrison = interceptor.garrisons[location];
+  const raiders = { troops: Math.floor(garrison.troops * INTERCEPT_SHARE), weapons: Math.floor(garrison.weapons * INTERCEPT_SHARE) };
+  const { force } = journey;
+  const hex = ctx.hexIndex.get(journey.currentLocation);
+  const terrain = hex ? hex.terrain : TERRAIN_TYPES.Plains;
+  const report = resolveBattle({
+    attacker: { tribe: interceptor, troops: raiders.troops, weapons: raiders.weapons, chiefs: [], bonus: getCombatBonus(interceptor, 'attack', terrain) + getMoraleCombatBonus(interceptor) },
+    defender: { tribe, troops: force.troops, weapons: force.weapons, chiefs: force.chiefs, bonus: getCombatBonus(tribe, 'defense', terrain) + getMoraleCombatBonus(tribe) },
+    terrain,
+  }, createRng(ctx.state.mapSeed, ctx.state.turn, tribe.id, journey.id, location));
+  const battleReport = { id: `ambush-${ctx.state.turn}-${journey.id}`, turn: ctx.state.turn, location: journey.currentLocation, ...report };
+
+  garrison.troops -= report.attacker.losses;
+  garrison.weapons -= raiders.weapons - report.attacker.weaponsRemaining;
+  force.troops = report.defender.survivors;
+  force.weapons = report.defender.weaponsRemaining;
+
+  const label = JOURNEY_LABELS[journey.type];
+  let ownText;
+  let theirText;
+  if (report.outcome === 'attacker_victory') {
+    force.weapons -= report.capturedWeapons;
+    const seized = describeGoods(journey.payload);
+    interceptor.globalResources.food += journey.payload.food;
+    interceptor.globalResources.scrap += journey.payload.scrap;
+    garrison.weapons += report.capturedWeapons + journey.payload.weapons;
+    journey.payload = { food: 0, scrap: 0, weapons: 0 };
+    adjustMorale(interceptor, VICTORY_MORALE);
+    adjustMorale(tribe, DEFEAT_MORALE);
+    ownText = `Your ${label} was ambushed near ${location} by ${interceptor.tribeName} and beaten${seized ? `, losing ${seized}` : ''}.`;
+    theirText = `Your garrison at ${location} ambushed a ${tribe.tribeName} ${label}${seized ? ` and seized ${seized}` : ''}.`;
+  } else {
+    adjustMorale(tribe, VICTORY_MORALE);
+    adjustMorale(interceptor, DEFEAT_MORALE);
+    ownText = `Your ${label} fought off an ambush by ${interceptor.tribeName} from ${location}.`;
+    theirText = `Your garrison at ${location} ambushed a ${tribe.tribeName} ${label} but was driven off.`;
+  }
+
+  const summary = describeBattle(report);
+  ctx.resultsByTribe[interceptor.id].push({
+    id: `ambush-${journey.id}-${location}`,
+    actionType: ACTION_TYPES.Attack,
+    actionData: { target_location: journey.currentLocation, battleReport },
+    result: `${theirText} ${summary}`,
+  });
+  log.actionData.battleReport = battleReport;
+  log.lines.push(`${ownText} ${summary}`);
+
+  if (force.troops === 0 && force.chiefs.length === 0) {
+    journey.status = 'finished';
+    log.lines.push(`None of them survived.`);
+  } else {
+    haltJourney(journey, `Intercepted by ${interceptor.tribeName} near ${location}.`);
+    log.lines.push(`It has halted at ${journey.currentLocation} and awaits your orders to continue or retreat.`);
+  }
+  return true;
+};
+
+// --- ARRIVALS ---
+
+const arriveMove = (ctx, tribe, journey, log) => {
+  const occupant = findOccupant(ctx.state, journey.destination, tribe.id);
+  if (occupant) {
+    turnBack(ctx, tribe, journey, log, `${journey.destination} is now held by ${occupant.tribeName}; your column turned back.`);
+    return;
+  }
+  const { troops, chiefs } = journey.force;
+  disbandInto(tribe, journey, journey.destination);
+  revealAround(ctx, tribe, journey.destination, getVisibilityRange(tribe));
+  log.lines.push(`A force of ${troops} troops and ${chiefs.length} chiefs arrived at ${journey.destination}.`);
+};
+
+/**
+ * Allies and overlords of an attacked tribe send part of their nearest garrison
+ * to help hold the hex. The troops leave their garrisons for the battle and
+ * whoever survives goes back afterwards.
+ * @returns {{ ally: object, location: string, troops: number, weapons: number }[]}
+ */
+const gatherReinforcements = (ctx, defender, attacker, target) => getDefenders(ctx.state, defender, attacker)
+  .map(ally => {
+    const location = Object.keys(ally.garrisons || {})
+      .filter(loc => hexKeyDistance(loc, target) <= ALLY_DEFENSE_RANGE)
+      .sort((a, b) => hexKeyDistance(a, target) - hexKeyDistance(b, target))[0];
+    const garrison = location && ally.garrisons[location];
+    const troops = garrison ? Math.floor(garrison.troops * ALLY_DEFENSE_SHARE) : 0;
+    if (troops <= 0) return null;
+    const weapons = Math.floor(garrison.weapons * ALLY_DEFENSE_SHARE);
+    garrison.troops -= troops;
+    garrison.weapons -= weapons;
+    return { ally, location, troops, weapons };
+  })
+  .filter(Boolean);
+
+// Divides what is left of a combined force between its contingents, in proportion to what each
+// brought; rounding leftovers go to the first contingent
+const splitSurvivors = (contingents, troopsLeft, weaponsLeft) => {
+  const totalTroops = contingents.reduce((sum, c) => sum + c.troops, 0);
+  const totalWeapons = contingents.reduce((sum, c) => sum + c.weapons, 0);
+  const shares = contingents.map(c => ({
+    troops: totalTroops > 0 ? Math.floor(troopsLeft * c.troops / totalTroops) : 0,
+    weapons: totalWeapons > 0 ? Math.floor(weaponsLeft * c.weapons / totalWeapons) : 0,
+  }));
+  shares[0].troops += troopsLeft - shares.reduce((sum, s) => sum + s.troops, 0);
+  shares[0].weapons += Math.max(0, weaponsLeft) - shares.reduce((sum, s) => sum + s.weapons, 0);
+  return shares;
+};
+
+const arriveAttack = (ctx, tribe, journey, log) => {
+  const target = journey.destination;
+  const defender = findOccupant(ctx.state, target, tribe.id);
+  if (!defender) {
+    // The defenders fell or left while the war party was on its way
+    disbandInto(tribe, journey, target);
+    revealAround(ctx, tribe, target, getVisibilityRange(tribe));
+    log.lines.push(`Your war party found ${target} undefended and occupied it.`);
+    return;
+  }
+  if (!atWar(tribe, defender)) {
+    turnBack(ctx, tribe, journey, log, `You are no longer at war with ${defender.tribeName}. The attack on ${target} was called off.`);
+    return;
+  }
+
+  const { force } = journey;
+  const defenderGarrison = defender.garrisons[target];
+  const reinforcements = gatherReinforcements(ctx, defender, tribe, target);
+  const terrain = ctx.hexIndex.get(target) ? ctx.hexIndex.get(target).terrain : TERRAIN_TYPES.Plains;
+  const report = resolveBattle({
+    attacker: { tribe, troops: force.troops, weapons: force.weapons, chiefs: force.chiefs, bonus: getCombatBonus(tribe, 'attack', terrain) + getMoraleCombatBonus(tribe) },
+    defender: {
+      tribe: defender,
+      troops: defenderGarrison.troops + reinforcements.reduce((sum, r) => sum + r.troops, 0),
+      weapons: defenderGarrison.weapons + reinforcements.reduce((sum, r) => sum + r.weapons, 0),
+      chiefs: defenderGarrison.chiefs,
+      bonus: getCombatBonus(defender, 'defense', terrain) + getMoraleCombatBonus(defender),
+    },
+    terrain,
+    defendingTroops: ctx.defending[`${defender.id}:${target}`] || 0,
+  }, createRng(ctx.state.mapSeed, ctx.state.turn, tribe.id, journey.id));
+  const battleReport = { id: `battle-${ctx.state.turn}-${journey.id}`, turn: ctx.state.turn, location: target, ...report };
+
+  force.troops = report.attacker.survivors;
+  force.weapons = report.attacker.weaponsRemaining;
+
+  const [winner, loser] = report.outcome === 'attacker_victory' ? [tribe, defender] : [defender, tribe];
+  adjustMorale(winner, VICTORY_MORALE);
+  adjustMorale(loser, DEFEAT_MORALE);
+
+  const summary = describeBattle(report);
+  const captured = report.outcome === 'attacker_victory' ? report.capturedWeapons : 0;
+  const [own, ...helped] = splitSurvivors(
+    [defenderGarrison, ...reinforcements],
+    report.defender.survivors,
+    report.defender.weaponsRemaining - captured);
+  reinforcements.forEach(({ ally, location, troops }, i) => {
+    mergeForce(ally.garrisons, location, { ...helped[i], chiefs: [] });
+    ctx.resultsByTribe[ally.id].push({
+      id: `battle-ally-${journey.id}-${ally.id}`,
+      actionType: ACTION_TYPES.Defend,
+      actionData: { target_location: target, battleReport },
+      result: `${troops} troops from your garrison at ${location} marched to defend ${defender.tribeName} at ${target} against ${tribe.tribeName}; ` +
+        `${report.outcome === 'attacker_victory' ? 'the hex fell' : 'the attack was repelled'}. ${helped[i].troops} came back. ${summary}`,
+    });
+  });
+  const allyNames = reinforcements.map(r => r.ally.tribeName);
+  if (allyNames.length > 0) log.lines.push(`${allyNames.join(', ')} sent troops to help defend ${target}.`);
+
+  let defenderText;
+  if (report.outcome === 'attacker_victory') {
+    delete defender.garrisons[target];
+    const retreatTo = findRetreatLocation(defender, target);
+    if (retreatTo) {
+      mergeForce(defender.garrisons, retreatTo, {
+        troops: own.troops,
+        weapons: own.weapons,
+        chiefs: defenderGarrison.chiefs || [],
+      });
+      if (defender.location === target) defender.location = retreatTo;
+    }
+    force.weapons += report.capturedWeapons;
+    disbandInto(tribe, journey, target);
+    revealAround(ctx, tribe, target, getVisibilityRange(tribe));
+
+    log.lines.push(`Victory! You captured ${defender.tribeName}'s garrison at ${target} and seized ${report.capturedWeapons} weapons. ${summary}`);
+    defenderText = retreatTo
+      ? `Your garrison at ${target} fell to ${tribe.tribeName}. ${own.troops} survivors fell back to ${retreatTo}.`
+      : `Your garrison at ${target} fell to ${tribe.tribeName}. With nowhere to retreat, the survivors scattered.`;
+  } else {
+    defenderGarrison.troops = own.troops;
+    defenderGarrison.weapons = own.weapons;
+    turnBack(ctx, tribe, journey, log, `Your assault on ${defender.tribeName} at ${target} was repelled. ${summary}`);
+    defenderText = `Your garrison at ${target} repelled an attack by ${tribe.tribeName}.`;
+  }
+  if (allyNames.length > 0) defenderText += ` ${allyNames.join(', ')} came to your aid.`;
+
+  log.actionData.battleReport = battleReport;
+  ctx.resultsByTribe[defender.id].push({
+    id: `battle-defense-${journey.id}`,
+    actionType: ACTION_TYPES.Attack,
+    actionData: { target_location: target, battleReport },
+    result: `${defenderText} ${summary}`,
+  });
+};
+
+const arriveScout = (ctx, tribe, journey, log) => {
+  const target = journey.destination;
+  const { force } = journey;
+  // Risk grows with distance from home; clever chiefs keep the party out of trouble
+  const rng = createRng(ctx.state.mapSeed, ctx.state.turn, tribe.id, journey.id);
+  const bestIntelligence = Math.max(0, ...force.chiefs.map(c => c.stats.intelligence));
+  const risk = Math.max(0, hexKeyDistance(journey.origin, target) * 0.04 - bestIntelligence * 0.02);
+  let casualties = 0;
+  if (rng.chance(risk)) {
+    casualties = Math.min(force.troops, Math.max(1, Math.floor(force.troops * rng.between(0.1, 0.3))));
+    force.troops -= casualties;
+  }
+
+  const revealedCount = revealAround(ctx, tribe, target, SCOUT_REVEAL_RANGE);
+  const sighted = ctx.state.tribes
+    .filter(t => t.id !== tribe.id)
+    .filter(t => Object.keys(t.garrisons || {}).some(loc => hexKeyDistance(target, loc) <= SCOUT_REVEAL_RANGE))
+    .map(t => t.tribeName);
+
+  log.lines.push(revealedCount > 0
+    ? `Scouts surveyed ${target}, revealing ${revealedCount} new hexes.`
+    : `Scouts surveyed ${target}, but found no new territory.`);
+  if (sighted.length > 0) log.lines.push(`They spotted garrisons belonging to ${sighted.join(', ')}.`);
+  if (casualties > 0) log.lines.push(`${casualties} scouts were lost along the way.`);
+  turnBack(ctx, tribe, journey, log);
+};
+
+// The caravan waits at the partner's garrison until they answer or the offer runs out
+const arriveTrade = (ctx, tribe, journey, log) => {
+  const partner = ctx.state.tribes.find(t => t.id === journey.targetTribeId);
+  if (!partner || !partner.garrisons[journey.destination]) {
+    turnBack(ctx, tribe, journey, log, `Your trade caravan found no one to trade with at ${journey.destination}.`);
+    return;
+  }
+  if (atWar(tribe, partner)) {
+    turnBack(ctx, tribe, journey, log, `${partner.tribeName} turned your trade caravan away: you are at war.`);
+    return;
+  }
+  journey.status = 'awaiting_response';
+  journey.responseDeadline = ctx.state.turn + TRADE_RESPONSE_TURNS;
+  log.lines.push(`Your trade caravan reached ${partner.tribeName} at ${journey.destination} and awaits their answer.`);
+  ctx.resultsByTribe[partner.id].push({
+    id: `trade-offer-${journey.id}`,
+    actionType: ACTION_TYPES.RespondToTrade,
+    actionData: { journeyId: journey.id },
+    result: `A trade caravan from ${tribe.tribeName} arrived at ${journey.destination}. You have ${TRADE_RESPONSE_TURNS} turns to answer its offer.`,
+  });
+};
+
+const arriveHome = (ctx, tribe, journey, log) => {
+  const home = journey.destination;
+  const occupant = findOccupant(ctx.state, home, tribe.id);
+  if (occupant) {
+    turnBack(ctx, tribe, journey, log, `${home} has fallen to ${occupant.tribeName}; your ${JOURNEY_LABELS[journey.type]} is looking for another way home.`);
+    return;
+  }
+  const cargo = describeGoods(journey.payload);
+  const { troops } = journey.force;
+  disbandInto(tribe, journey, home);
+  log.lines.push(`Your ${JOURNEY_LABELS[journey.type]} returned to ${home} with ${troops} troops${cargo ? ` and ${cargo}` : ''}.`);
+};
+
+const ARRIVAL_HANDLERS = {
+  [JOURNEY_TYPES.Move]: arriveMove,
+  [JOURNEY_TYPES.Attack]: arriveAttack,
+  [JOURNEY_TYPES.Scout]: arriveScout,
+  [JOURNEY_TYPES.Trade]: arriveTrade,
+};
+
+/**
+ * Marches a journey for the turn, fighting off interceptions on the way and
+ * handling its arrival. A journey that turns for home with movement to spare
+ * keeps going. Whatever it sees along the way is revealed to its owner.
+ * @returns {{ lines: string[], actionData: object }} What happened, for the owner's results
+ */
+const advanceJourney = (ctx, tribe, journey) => {
+  const log = { lines: [], actionData: {} };
+  let points = getJourneySpeed(tribe, journey);
+  for (let leg = 0; leg < MAX_LEGS_PER_TURN && points > 0 && isOnTheMove(journey); leg++) {
+    const { arrived, movementLeft } = marchJourney(ctx, tribe, journey, points,
+      (j) => interceptJourney(ctx, tribe, j, log), leg === 0);
+    if (!arrived) break;
+    (journey.status === 'returning' ? arriveHome : ARRIVAL_HANDLERS[journey.type])(ctx, tribe, journey, log);
+    points = movementLeft;
+  }
+  if (journey.status !== 'finished') {
+    revealAround(ctx, tribe, journey.currentLocation, getVisibilityRange(tribe));
+  }
+  return log;
+};
+
+// Sends a force off on a new journey and marches its first leg straight away
+const dispatchJourney = (ctx, tribe, action, fields) => {
+  const journey = createJourney({ id: `journey-${ctx.state.turn}-${tribe.id}-${action.id}`, tribe, ...fields });
+  ctx.state.journeys.push(journey);
+  const log = advanceJourney(ctx, tribe, journey);
+  const lines = journey.status === 'en_route'
+    ? [`Your ${JOURNEY_LABELS[journey.type]} set out from ${journey.origin} for ${journey.destination} and should arrive in ${journey.arrivalTurn} turn(s).`, ...log.lines]
+    : log.lines;
+  return { ...action, actionData: { ...action.actionData, journeyId: journey.id, ...log.actionData }, result: lines.join(' ') };
+};
+
+// Moves on every journey that was already on the road when the turn began
+const advanceJourneys = (ctx, journeys) => {
+  journeys.filter(isOnTheMove).forEach(journey => {
+    const tribe = ctx.state.tribes.find(t => t.id === journey.ownerTribeId);
+    if (!tribe) return;
+    const log = advanceJourney(ctx, tribe, journey);
+    if (log.lines.length > 0) ctx.resultsByTribe[tribe.id].push(journeyResult(ctx, journey, log.lines, log.actionData));
+  });
+};
+
+// Settles a caravan waiting on its partner: accepted, rejected, or given up on at the deadline
+const settleTrade = (ctx, owner, journey, response) => {
+  const partner = ctx.state.tribes.find(t => t.id === journey.targetTribeId);
+  const log = { lines: [] };
+  const notifyPartner = (result) => ctx.resultsByTribe[partner.id].push({
+    id: `trade-reply-${journey.id}`, actionType: ACTION_TYPES.RespondToTrade, actionData: { journeyId: journey.id }, result,
+  });
+  const { request } = journey.tradeOffer;
+  const garrison = partner && partner.garrisons[journey.destination];
+
+  if (!garrison) {
+    turnBack(ctx, owner, journey, log, `Your trade caravan found no one left to trade with at ${journey.destination}.`);
+  } else if (atWar(owner, partner)) {
+    turnBack(ctx, owner, journey, log, `${partner.tribeName} will not trade while you are at war. Your caravan is heading home.`);
+  } else if (response === 'accept' && !canAfford(partner, garrison, request)) {
+    turnBack(ctx, owner, journey, log, `${partner.tribeName} accepted your offer but could not deliver. Your caravan is heading home.`);
+    notifyPartner(`You could not deliver the ${describeGoods(request)} ${owner.tribeName}'s caravan asked for.`);
+  } else if (response === 'accept') {
+    partner.globalResources.food += journey.payload.food - request.food;
+    partner.globalResources.scrap += journey.payload.scrap - request.scrap;
+    garrison.weapons += journey.payload.weapons - request.weapons;
+    notifyPartner(`You traded ${describeGoods(request) || 'nothing'} to ${owner.tribeName} for ${describeGoods(journey.payload) || 'nothing'}.`);
+    journey.payload = { ...request };
+    turnBack(ctx, owner, journey, log, `${partner.tribeName} accepted your trade. Your caravan is bringing home ${describeGoods(request) || 'their thanks'}.`);
+  } else if (response === 'reject') {
+    turnBack(ctx, owner, journey, log, `${partner.tribeName} rejected your trade offer. Your caravan is heading home.`);
+    notifyPartner(`You turned away the trade caravan from ${owner.tribeName}.`);
+  } else if (ctx.state.turn >= journey.responseDeadline) {
+    turnBack(ctx, owner, journey, log, `${partner.tribeName} never answered your trade offer. Your caravan is heading home.`);
+    notifyPartner(`The trade offer from ${owner.tribeName} expired.`);
+  } else {
+    return;
+  }
+  delete journey.tradeOffer;
+  delete journey.responseDeadline;
+  ctx.resultsByTribe[owner.id].push(journeyResult(ctx, journey, log.lines));
+};
+
+/**
+ * Applies the journeyResponses tribes submitted: orders for their halted
+ * journeys, and answers to caravans waiting at their garrisons. Halted journeys
+ * without orders press on.
+ */
+const applyJourneyResponses = (ctx) => {
+  const responseFrom = (tribe, journey) => {
+    const found = ((tribe && tribe.journeyResponses) || []).find(r => r.journeyId === journey.id);
+    return found ? found.response : null;
+  };
+  ctx.state.journeys.forEach(journey => {
+    const owner = ctx.state.tribes.find(t => t.id === journey.ownerTribeId);
+    if (!owner) {
+      journey.status = 'finished';
+    } else if (journey.status === 'halted') {
+      if (responseFrom(owner, journey) !== 'retreat') {
+        resumeJourney(journey);
+        return;
+      }
+      const log = { lines: [] };
+      turnBack(ctx, owner, journey, log, `Your ${JOURNEY_LABELS[journey.type]} at ${journey.currentLocation} is falling back.`);
+      ctx.resultsByTribe[owner.id].push(journeyResult(ctx, journey, log.lines));
+    } else if (journey.status === 'awaiting_response') {
+      const partner = ctx.state.tribes.find(t => t.id === journey.targetTribeId);
+      settleTrade(ctx, owner, journey, responseFrom(partner, journey));
+    }
+  });
+};
+
+const ACTION_RESOLVERS = {
+  [ACTION_TYPES.SetRations]: resolveSetRations,
+  [ACTION_TYPES.Defend]: resolveDefend,
+  [ACTION_TYPES.Recruit]: resolveRecruit,
+  [ACTION_TYPES.BuildWeapons]: resolveBuildWeapons,
+  [ACTION_TYPES.Rest]: resolveRest,
+  [ACTION_TYPES.StartResearch]: resolveStartResearch,
+  [ACTION_TYPES.Move]: resolveMove,
+  [ACTION_TYPES.BuildOutpost]: resolveBuildOutpost,
+  [ACTION_TYPES.SupplyOutpost]: resolveSupplyOutpost,
+  [ACTION_TYPES.Scout]: resolveScout,
+  [ACTION_TYPES.Scavenge]: resolveScavenge,
+  [ACTION_TYPES.Attack]: resolveAttack,
+  [ACTION_TYPES.Trade]: resolveTrade,
+};
+
+// --- MAIN PROCESSOR ---
+
+/**
+ * Resolves every submitted action and advances the game by one turn.
+ * Returns a new state object; the input state is left untouched.
+ */
+const processGlobalTurn = (gameState) => {
+  try {
+    logger.info(`Processing turn ${gameState.turn}`);
+    const state = JSON.parse(JSON.stringify(gameState));
+    const ctx = {
+      state,
+      hexIndex: indexMapData(state.mapData),
+      resultsByTribe: Object.fromEntries(state.tribes.map(t => [t.id, []])),
+      defending: {},
+      rngFor: (tribe, action) => createRng(state.mapSeed, state.turn, tribe.id, action.id),
+    };
+    const recordsBefore = state.tribes.map(summarizeTribe);
+
+    // Gather every submitted action, tagged with its owner, in resolution order
+    const queued = state.tribes
+      .filter(tribe => tribe.turnSubmitted)
+      .flatMap(tribe => (tribe.actions || []).map((action, index) => ({ tribe, action, index })))
+      .filter(({ action }) => action && action.actionType)
+      .map(entry => ({ ...entry, action: { ...entry.action, actionData: entry.action.actionData || {} } }))
+      .sort((a, b) => getActionPhase(a.action.actionType) - getActionPhase(b.action.actionType));
+
+    const resolveQueued = ({ tribe, action }) => {
+      const resolver = ACTION_RESOLVERS[action.actionType];
+      const result = resolver
+        ? resolver(ctx, tribe, action)
+        : withResult(action, `Action '${action.actionType}' is not supported by the server yet.`);
+      ctx.resultsByTribe[tribe.id].push(result);
+    };
+
+    // Orders for journeys already on the road come first; those journeys then march
+    // once every tribe's defenses are set, before this turn's new journeys set out
+    state.journeys = state.journeys || [];
+    applyJourneyResponses(ctx);
+    const underway = state.journeys.slice();
+    const marchPhase = getActionPhase(ACTION_TYPES.Move);
+    queued.filter(({ action }) => getActionPhase(action.actionType) < marchPhase).forEach(resolveQueued);
+    advanceJourneys(ctx, underway);
+    queued.filter(({ action }) => getActionPhase(action.actionType) >= marchPhase).forEach(resolveQueued);
+    state.journeys = state.journeys.filter(journey => journey.status !== 'finished');
+
+    // Clean up garrisons that were emptied out this turn (the home base always stays)
+    state.tribes.forEach(tribe => {
+      Object.entries(tribe.garrisons || {}).forEach(([location, garrison]) => {
+        if (location !== tribe.location && garrison.troops <= 0 && garrison.weapons <= 0 && (garrison.chiefs || []).length === 0) {
+          delete tribe.garrisons[location];
+        }
+      });
+    });
+
+    // Treaties take effect (tribute, shared vision, lapsing pacts), and trade offers left
+    // unanswered past their deadline, or overtaken by war, go back to their proposers
+    [...processTreaties(state), ...expireTradeOffers(state, state.turn + 1)]
+      .forEach(({ tribeId, result }) => ctx.resultsByTribe[tribeId].push(result));
+
+    // Research, income and feeding the troops come once the turn's actions have played out
+    state.tribes.forEach(tribe => {
+      [
+        advanceResearch(tribe, state.turn),
+        applyPassiveIncome(tribe, state.turn),
+        collectGarrisonYields(tribe, ctx.hexIndex, state.turn),
+        applyUpkeep(tribe, state.turn, getTravellingTroops(state, tribe.id)),
+      ]
+        .filter(Boolean)
+        .forEach(result => ctx.resultsByTribe[tribe.id].push(result));
+    });
+
+    state.history = [...(state.history || []), buildTurnRecord(state.turn, recordsBefore, state.tribes)];
+
+    state.turn += 1;
+    state.tribes = state.tribes.map(tribe => ({
+      ...tribe,
+      turnSubmitted: false,
+      lastTurnResults: ctx.resultsByTribe[tribe.id],
+      actions: [],
+      journeyResponses: []
+    }));
+
+    // Clear expired diplomatic proposals
+    if (state.diplomaticProposals) {
+      state.diplomaticProposals = state.diplomaticProposals.filter(
+        proposal => proposal.expiresOnTurn >= state.turn
+      );
+    }
+
+    logger.debug(`Turn ${state.turn} processing complete`);
+    return state;
+  } catch (err) {
+    logger.error(`Failed to process global turn`, err);
+    // Return original state to avoid corruption
+    return gameState;
+  }
+};
+
+module.exports = {
+  VISIBILITY_RANGE,
+  getVisibilityRange,
+  getMarchRange,
+  MAX_SCOUT_DISTANCE,
+  OUTPOST_SCRAP_COST,
+  OUTPOST_MIN_BUILDERS,
+  processGlobalTurn
+};
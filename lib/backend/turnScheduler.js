@@ -0,0 +1,141 @@
+/**
+ * lib/backend/turnScheduler.js
+ *
+ * Deadlines for asynchronous play. An admin sets a schedule on the game
+ * (gameState.turnSchedule); each turn then gets a deadline
+ * (gameState.turnTimer.deadline) that is the earlier of:
+ *
+ *   - the next `dailyAt` time (HH:MM in `timeZone`) after the turn started
+ *   - `graceMinutes` after every human tribe has submitted
+ *
+ * The server checks the timer periodically, sends reminders to players who
+ * haven't submitted as the deadline approaches, and processes the turn once
+ * it passes.
+ */
+
+// --- CONFIGURATION ---
+const DEFAULT_TURN_SCHEDULE = {
+  enabled: false,
+  dailyAt: null, // "HH:MM", or null for no fixed daily deadline
+  timeZone: 'UTC',
+  graceMinutes: null, // Minutes after everyone has submitted, or null to wait for the daily deadline
+  reminderMinutes: [60], // Remind players this many minutes before the deadline
+};
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const getSchedule = (state) => ({ ...DEFAULT_TURN_SCHEDULE, ...(state.turnSchedule || {}) });
+
+// How far ahead of UTC the time zone's wall clock is at a given instant
+const getTimeZoneOffset = (timeMs, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(new Date(timeMs)).map(part => [part.type, Number(part.value)]));
+  const wallClockMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockMs - Math.floor(timeMs / 1000) * 1000;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// The first time the wall clock in `timeZone` reads `dailyAt` after `afterMs`
+const nextDailyTime = (afterMs, dailyAt, timeZone) => {
+  const [hours, minutes] = dailyAt.split(':').map(Number);
+  const local = new Date(afterMs + getTimeZoneOffset(afterMs, timeZone));
+  for (let day = 0; day <= 2; day++) {
+    const wallClockMs = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + day, hours, minutes);
+    const instant = wallClockMs - getTimeZoneOffset(wallClockMs, timeZone);
+    if (instant > afterMs) return instant;
+  }
+  return afterMs + DAY_MS;
+};
+
+const newTimer = (now) => ({
+  startedAt: new Date(now).toISOString(),
+  deadline: null,
+  reason: null, // 'daily' or 'all_submitted'
+  allSubmittedAt: null,
+  remindersSent: [], // reminderMinutes thresholds already announced this turn
+});
+
+const pendingHumanTribes = (state) => state.tribes.filter(tribe => !tribe.isAI && !tribe.turnSubmitted);
+
+// Sets the timer's deadline from the schedule, returning it as { at, reason } or undefined
+const refreshDeadline = (state, timer, now) => {
+  const schedule = getSchedule(state);
+  const humans = state.tribes.filter(tribe => !tribe.isAI);
+  const allSubmitted = humans.length > 0 && pendingHumanTribes(state).length === 0;
+  if (allSubmitted && !timer.allSubmittedAt) timer.allSubmittedAt = new Date(now).toISOString();
+  if (!allSubmitted) timer.allSubmittedAt = null;
+
+  const candidates = [];
+  if (schedule.enabled && schedule.dailyAt) {
+    candidates.push({ at: nextDailyTime(Date.parse(timer.startedAt), schedule.dailyAt, schedule.timeZone), reason: 'daily' });
+  }
+  if (schedule.enabled && schedule.graceMinutes !== null && timer.allSubmittedAt) {
+    candidates.push({ at: Date.parse(timer.allSubmittedAt) + schedule.graceMinutes * MINUTE_MS, reason: 'all_submitted' });
+  }
+  const next = candidates.sort((a, b) => a.at - b.at)[0];
+  timer.deadline = next ? new Date(next.at).toISOString() : null;
+  timer.reason = next ? next.reason : null;
+  return next;
+};
+
+/**
+ * Starts the clock for the current turn. Call whenever the turn changes
+ * (processed, new game, restored) or the schedule is edited.
+ */
+const startTurnTimer = (state, now = Date.now()) => {
+  state.turnTimer = newTimer(now);
+  refreshDeadline(state, state.turnTimer, now);
+};
+
+/**
+ * Brings the deadline up to date and works out what is due.
+ * @returns {{ due: boolean, reminders: { minutesLeft: number, tribeIds: string[] }[], changed: boolean }}
+ *   due: the deadline has passed and the turn should be processed now.
+ *   changed: the timer in the game state was updated and should be saved and broadcast.
+ */
+const updateTurnTimer = (state, now = Date.now()) => {
+  const result = { due: false, reminders: [], changed: false };
+  if (!state.turnTimer) {
+    state.turnTimer = newTimer(now);
+    result.changed = true;
+  }
+  const timer = state.turnTimer;
+  const before = JSON.stringify(timer);
+
+  const next = refreshDeadline(state, timer, now);
+  if (next) {
+    const msLeft = next.at - now;
+    result.due = msLeft <= 0;
+
+    // One reminder covers every threshold crossed since the last check
+    const crossed = getSchedule(state).reminderMinutes
+      .filter(minutes => msLeft > 0 && msLeft <= minutes * MINUTE_MS && !timer.remindersSent.includes(minutes));
+    if (crossed.length > 0) {
+      timer.remindersSent = [...timer.remindersSent, ...crossed];
+      const tribeIds = pendingHumanTribes(state).map(tribe => tribe.id);
+      if (tribeIds.length > 0) result.reminders.push({ minutesLeft: Math.ceil(msLeft / MINUTE_MS), tribeIds });
+    }
+  }
+
+  result.changed = result.changed || JSON.stringify(timer) !== before;
+  return result;
+};
+
+module.exports = {
+  DEFAULT_TURN_SCHEDULE,
+  isValidTimeZone,
+  startTurnTimer,
+  updateTurnTimer
+};
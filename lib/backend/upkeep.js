@@ -0,0 +1,103 @@
+/**
+ * lib/backend/upkeep.js
+ *
+ * Feeding the tribe and keeping it in good spirits. At the end of every turn
+ * each troop eats according to the tribe's ration level; whatever can't be
+ * fed deserts. Morale moves with rations, hunger, battles and rest, and in
+ * turn makes troops fight harder and recruits easier to find.
+ */
+const { ACTION_TYPES } = require('../../shared/constants.js');
+
+// --- CONFIGURATION ---
+const MAX_MORALE = 100;
+const NEUTRAL_MORALE = 50;
+const FOOD_PER_TROOP = { Hard: 0.5, Normal: 1.0, Generous: 1.5 };
+const RATION_MORALE = { Hard: -3, Normal: 0, Generous: 3 };
+const STARVATION_DESERTION_SHARE = 0.5; // Share of unfed troops that walk away each turn
+const MAX_STARVATION_MORALE_LOSS = 20;
+const VICTORY_MORALE = 5;
+const DEFEAT_MORALE = -5;
+const MORALE_COMBAT_FACTOR = 0.004; // +/-20% combat strength at 100/0 morale
+const MORALE_RECRUIT_FACTOR = 0.005; // +/-25% recruits at 100/0 morale
+
+const getMorale = (tribe) => {
+  const morale = tribe.globalResources.morale;
+  return typeof morale === 'number' ? morale : NEUTRAL_MORALE;
+};
+
+/**
+ * Changes a tribe's morale, keeping it between 0 and MAX_MORALE.
+ * @returns {number} The change actually applied
+ */
+const adjustMorale = (tribe, delta) => {
+  const before = getMorale(tribe);
+  tribe.globalResources.morale = Math.max(0, Math.min(MAX_MORALE, before + delta));
+  return tribe.globalResources.morale - before;
+};
+
+// Combat bonus (or penalty) from the tribe's morale, as a fraction
+const getMoraleCombatBonus = (tribe) => (getMorale(tribe) - NEUTRAL_MORALE) * MORALE_COMBAT_FACTOR;
+
+// Multiplier on how many followers a recruitment drive attracts
+const getMoraleRecruitFactor = (tribe) => 1 + (getMorale(tribe) - NEUTRAL_MORALE) * MORALE_RECRUIT_FACTOR;
+
+// Food the tribe's troops will eat at the end of the turn, including those out on journeys
+const getFoodUpkeep = (tribe, travellingTroops = 0) => {
+  const troops = Object.values(tribe.garrisons || {}).reduce((sum, g) => sum + g.troops, travellingTroops);
+  return Math.ceil(troops * (FOOD_PER_TROOP[tribe.rationLevel] || FOOD_PER_TROOP.Normal));
+};
+
+// Takes deserters from garrisons in proportion to their size, largest first
+const removeDeserters = (tribe, deserters) => {
+  const garrisons = Object.values(tribe.garrisons || {}).sort((a, b) => b.troops - a.troops);
+  const total = garrisons.reduce((sum, g) => sum + g.troops, 0);
+  const leaving = Math.min(deserters, total);
+  let remaining = leaving;
+  garrisons.forEach(garrison => {
+    const share = Math.min(garrison.troops, remaining, Math.ceil(leaving * garrison.troops / total));
+    garrison.troops -= share;
+    remaining -= share;
+  });
+  return leaving - remaining;
+};
+
+/**
+ * Feeds the tribe for the turn: eats food at the ration level, applies the
+ * ration's morale effect, and makes unfed troops desert from the garrisons.
+ * @param {number} [travellingTroops] Troops away on journeys, who eat too
+ * @returns {object|null} An Upkeep result for lastTurnResults, or null if the tribe has no troops
+ */
+const applyUpkeep = (tribe, turn, travellingTroops = 0) => {
+  const foodRequired = getFoodUpkeep(tribe, travellingTroops);
+  if (foodRequired === 0) return null;
+
+  const rationLevel = FOOD_PER_TROOP[tribe.rationLevel] ? tribe.rationLevel : 'Normal';
+  const food = tribe.globalResources.food;
+  const eaten = Math.min(food, foodRequired);
+  const shortfall = foodRequired - eaten;
+  tribe.globalResources.food = food - eaten;
+  const lines = [`Your troops ate ${eaten} food on ${rationLevel} rations.`];
+
+  if (shortfall === 0) {
+    const moraleChange = adjustMorale(tribe, RATION_MORALE[rationLevel]);
+    if (moraleChange < 0) lines.push(`Hard rations lowered morale by ${-moraleChange}.`);
+    if (moraleChange > 0) lines.push(`Generous rations raised morale by ${moraleChange}.`);
+  } else {
+    const unfed = Math.ceil(shortfall / FOOD_PER_TROOP[rationLevel]);
+    const deserted = removeDeserters(tribe, Math.ceil(unfed * STARVATION_DESERTION_SHARE));
+    const moraleLost = -adjustMorale(tribe, -Math.min(MAX_STARVATION_MORALE_LOSS, Math.ceil(shortfall / 2)));
+    lines.push(`Starvation! ${shortfall} food short, ${deserted} troops deserted and morale fell by ${moraleLost}.`);
+  }
+
+  return { id: `upkeep-${turn}`, actionType: ACTION_TYPES.Upkeep, actionData: {}, result: lines.join(' ') };
+};
+
+module.exports = {
+  VICTORY_MORALE,
+  DEFEAT_MORALE,
+  adjustMorale,
+  getMoraleCombatBonus,
+  getMoraleRecruitFactor,
+  getFoodUpkeep,
+  applyUpkeep
+};
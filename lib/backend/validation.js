@@ -0,0 +1,411 @@
+/**
+ * lib/backend/validation.js
+ *
+ * Payload validation for socket events. Each event has a schema built from the
+ * small validators below; a validator returns null when the value is fine or
+ * an error message naming the offending field.
+ *
+ * Objects reject keys their schema doesn't list unless `allowUnknown` is set,
+ * so clients can't slip extra fields (resources, ids, ...) into game state.
+ */
+const {
+  MAX_STAT_POINTS,
+  MIN_STAT_VALUE,
+  SECURITY_QUESTIONS,
+  TERRAIN_TYPES,
+  ACTION_TYPES,
+  RATION_LEVELS,
+  AI_TYPES,
+  AI_DIFFICULTIES,
+  TREATY_TYPES,
+  CHAT_CHANNELS,
+  JOURNEY_RESPONSES
+} = require('../../shared/constants.js');
+const { formatHexCoords, indexMapData } = require('./mapUtils');
+const { isValidTimeZone } = require('./turnScheduler');
+
+// --- LIMITS ---
+const MAX_NAME_LENGTH = 40;
+const MAX_TEXT_LENGTH = 500;
+const MAX_COUNT = 1000000;
+const MAX_ACTIONS_PER_TURN = 20;
+const MAX_MAP_HEXES = 20000;
+const HEX_KEY_PATTERN = /^\d{3}\.\d{3}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_SCHEDULE_MINUTES = 7 * 24 * 60;
+const MAX_TRIBUTE_TURNS = 20;
+const CONVERSATION_PATTERN = /^(global|announcement|alliance|direct:.{1,100})$/;
+const GAME_ID_PATTERN = /^(main|game-\d+)$/;
+
+// --- VALIDATORS ---
+// Every validator has the signature (value, path, ctx) => string | null,
+// where ctx carries the current game state and its hex index for lookups.
+
+const describe = (path) => path || 'payload';
+
+const string = ({ min = 0, max = MAX_TEXT_LENGTH, pattern, oneOf } = {}) => (value, path) => {
+  if (typeof value !== 'string') return `${describe(path)} must be a string.`;
+  if (value.length < min) return `${describe(path)} must be at least ${min} characters.`;
+  if (value.length > max) return `${describe(path)} must be at most ${max} characters.`;
+  if (pattern && !pattern.test(value)) return `${describe(path)} is not in the expected format.`;
+  if (oneOf && !oneOf.includes(value)) return `${describe(path)} must be one of: ${oneOf.join(', ')}.`;
+  return null;
+};
+
+const number = ({ min = -Infinity, max = Infinity, integer = false } = {}) => (value, path) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `${describe(path)} must be a number.`;
+  if (integer && !Number.isInteger(value)) return `${describe(path)} must be a whole number.`;
+  if (value < min || value > max) return `${describe(path)} must be between ${min} and ${max}.`;
+  return null;
+};
+
+const count = (max = MAX_COUNT) => number({ min: 0, max, integer: true });
+
+const boolean = () => (value, path) => (typeof value === 'boolean' ? null : `${describe(path)} must be true or false.`);
+
+const optional = (validator) => (value, path, ctx) => (value === undefined ? null : validator(value, path, ctx));
+
+const nullable = (validator) => (value, path, ctx) => (value === null ? null : validator(value, path, ctx));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const object = (shape, { allowUnknown = false } = {}) => (value, path, ctx) => {
+  if (!isPlainObject(value)) return `${describe(path)} must be an object.`;
+  if (!allowUnknown) {
+    const unknown = Object.keys(value).find(key => !(key in shape));
+    if (unknown) return `${path ? `${path}.` : ''}${unknown} is not allowed.`;
+  }
+  for (const [key, validator] of Object.entries(shape)) {
+    const error = validator(value[key], path ? `${path}.${key}` : key, ctx);
+    if (error) return error;
+  }
+  return null;
+};
+
+// An object whose keys aren't known up front, e.g. garrisons keyed by hex
+const record = (keyValidator, valueValidator) => (value, path, ctx) => {
+  if (!isPlainObject(value)) return `${describe(path)} must be an object.`;
+  for (const [key, item] of Object.entries(value)) {
+    const error = keyValidator(key, `${describe(path)} key '${key}'`, ctx) || valueValidator(item, `${describe(path)}.${key}`, ctx);
+    if (error) return error;
+  }
+  return null;
+};
+
+const array = (itemValidator, { max = Infinity } = {}) => (value, path, ctx) => {
+  if (!Array.isArray(value)) return `${describe(path)} must be a list.`;
+  if (value.length > max) return `${describe(path)} can have at most ${max} entries.`;
+  for (let i = 0; i < value.length; i++) {
+    const error = itemValidator(value[i], `${describe(path)}[${i}]`, ctx);
+    if (error) return error;
+  }
+  return null;
+};
+
+// Runs an extra check once the shape is known to be right
+const refine = (validator, check) => (value, path, ctx) => validator(value, path, ctx) || check(value, path, ctx);
+
+const hexKey = string({ pattern: HEX_KEY_PATTERN });
+
+// A hex key that exists on the current map
+const mapHex = () => refine(hexKey, (value, path, ctx) =>
+  (ctx.hexIndex.has(value)
+    ? null
+    : `${describe(path)} (${value}) is not on the map.`));
+
+const existingTribe = () => refine(string({ min: 1, max: 100 }), (value, path, ctx) =>
+  (ctx.state.tribes.some(t => t.id === value) ? null : `${describe(path)} does not match any tribe.`));
+
+const id = () => string({ min: 1, max: 100 });
+
+const openProposal = () => refine(id(), (value, path, ctx) =>
+  ((ctx.state.diplomaticProposals || []).some(p => p.id === value) ? null : `${describe(path)} does not match any open proposal.`));
+
+// --- SHARED SHAPES ---
+
+const tribeStats = refine(
+  object({
+    charisma: number({ min: MIN_STAT_VALUE, max: MAX_STAT_POINTS, integer: true }),
+    intelligence: number({ min: MIN_STAT_VALUE, max: MAX_STAT_POINTS, integer: true }),
+    leadership: number({ min: MIN_STAT_VALUE, max: MAX_STAT_POINTS, integer: true }),
+    strength: number({ min: MIN_STAT_VALUE, max: MAX_STAT_POINTS, integer: true }),
+  }),
+  (stats, path) => {
+    const total = Object.values(stats).reduce((sum, value) => sum + value, 0);
+    return total > MAX_STAT_POINTS ? `${describe(path)} can't add up to more than ${MAX_STAT_POINTS} points.` : null;
+  });
+
+const resources = object({ food: count(), scrap: count(), weapons: optional(count()) });
+
+// Paid every turn for `turns` turns
+const tribute = object({
+  food: optional(count()),
+  scrap: optional(count()),
+  weapons: optional(count()),
+  turns: number({ min: 1, max: MAX_TRIBUTE_TURNS, integer: true }),
+});
+
+// One side of a trade offer; anything left out counts as none
+const tradeGoods = object({
+  food: optional(count()),
+  scrap: optional(count()),
+  weapons: optional(count()),
+  troops: optional(count()),
+  assets: optional(array(string({ min: 1, max: MAX_NAME_LENGTH }), { max: 20 })),
+});
+
+const chief = object({ name: string({ min: 1, max: MAX_NAME_LENGTH }) }, { allowUnknown: true });
+
+const garrison = object({
+  troops: count(),
+  weapons: count(),
+  chiefs: optional(array(chief)),
+}, { allowUnknown: true });
+
+// Action data varies by action type, so check fields by naming convention:
+// locations must be on the map and counts must be whole, non-negative numbers.
+const LOCATION_FIELDS = /(^location$|_location$)/;
+const COUNT_FIELDS = /^(troops|weapons|food|scrap|food_offered|assignedTroops|(offer|request)_(food|scrap|weapons))$/;
+
+const actionData = (value, path, ctx) => {
+  if (!isPlainObject(value)) return `${describe(path)} must be an object.`;
+  for (const [key, item] of Object.entries(value)) {
+    const fieldPath = `${path}.${key}`;
+    if (LOCATION_FIELDS.test(key)) {
+      const error = mapHex()(item, fieldPath, ctx);
+      if (error) return error;
+    } else if (COUNT_FIELDS.test(key)) {
+      const error = count()(item, fieldPath, ctx);
+      if (error) return error;
+    } else if (key === 'ration_level') {
+      const error = string({ oneOf: RATION_LEVELS })(item, fieldPath, ctx);
+      if (error) return error;
+    }
+  }
+  return null;
+};
+
+const action = object({
+  id: id(),
+  actionType: string({ oneOf: Object.values(ACTION_TYPES) }),
+  actionData,
+  result: optional(string({ max: MAX_TEXT_LENGTH * 4 })),
+});
+
+const hexData = object({
+  q: number({ min: -49, max: 49, integer: true }),
+  r: number({ min: -49, max: 49, integer: true }),
+  terrain: string({ oneOf: Object.values(TERRAIN_TYPES) }),
+  poi: optional(object({
+    id: id(),
+    type: string({ max: MAX_NAME_LENGTH }),
+    difficulty: optional(number({ min: 1, max: 10 })),
+    rarity: optional(string({ max: MAX_NAME_LENGTH })),
+    richness: optional(count()),
+  })),
+});
+
+const mapSettings = object({
+  biases: optional(record(string({ oneOf: Object.values(TERRAIN_TYPES) }), number({ min: 0, max: 5 }))),
+  startSpacing: optional(number({ min: 1, max: 30, integer: true })),
+  startBalanceRadius: optional(number({ min: 1, max: 10, integer: true })),
+});
+
+const turnSchedule = refine(
+  object({
+    enabled: boolean(),
+    dailyAt: optional(nullable(string({ pattern: TIME_OF_DAY_PATTERN }))),
+    timeZone: optional(refine(string({ min: 1, max: 64 }), (timeZone, path) =>
+      (isValidTimeZone(timeZone) ? null : `${describe(path)} is not a known time zone.`))),
+    graceMinutes: optional(nullable(number({ min: 0, max: MAX_SCHEDULE_MINUTES, integer: true }))),
+    reminderMinutes: optional(array(number({ min: 1, max: MAX_SCHEDULE_MINUTES, integer: true }), { max: 5 })),
+  }),
+  ({ enabled, dailyAt, graceMinutes }) => (enabled && !dailyAt && (graceMinutes === undefined || graceMinutes === null)
+    ? 'An enabled schedule needs a daily time or a grace period.'
+    : null));
+
+const gameId = string({ pattern: GAME_ID_PATTERN });
+
+const credentials = { username: string({ min: 1, max: MAX_NAME_LENGTH }) };
+
+const differentTribes = (schema) => refine(schema, (value) =>
+  (value.fromTribeId === value.toTribeId ? 'A tribe cannot do that with itself.' : null));
+
+// --- EVENT SCHEMAS ---
+// Events missing from this table take no payload.
+
+const EVENT_SCHEMAS = {
+  login: object({ ...credentials, password: string({ min: 1, max: 200 }) }),
+  register: object({
+    username: string({ min: 3, max: 24, pattern: /^[A-Za-z0-9_\- ]+$/ }),
+    password: string({ min: 4, max: 200 }),
+    securityQuestion: optional(string({ oneOf: SECURITY_QUESTIONS })),
+    securityAnswer: optional(string({ max: 200 })),
+  }),
+  get_security_question: string({ min: 1, max: MAX_NAME_LENGTH }),
+  verify_security_answer: object({ ...credentials, answer: string({ max: 200 }) }),
+  reset_password: object({ ...credentials, newPassword: string({ min: 4, max: 200 }) }),
+
+  create_tribe: object({
+    playerId: optional(id()), // Ignored; the server uses the socket's user
+    playerName: string({ min: 1, max: MAX_NAME_LENGTH }),
+    tribeName: string({ min: 1, max: MAX_NAME_LENGTH }),
+    icon: string({ min: 1, max: MAX_NAME_LENGTH }),
+    color: string({ pattern: COLOR_PATTERN }),
+    stats: tribeStats,
+  }),
+  submit_turn: object({
+    tribeId: existingTribe(),
+    plannedActions: array(action, { max: MAX_ACTIONS_PER_TURN }),
+    journeyResponses: optional(array(object({ journeyId: id(), response: string({ oneOf: JOURNEY_RESPONSES }) }))),
+  }),
+  update_tribe: object({
+    id: existingTribe(),
+    tribeName: optional(string({ min: 1, max: MAX_NAME_LENGTH })),
+    stats: optional(tribeStats),
+    globalResources: optional(object({ food: count(), scrap: count(), morale: number({ min: 0, max: 100 }) })),
+    garrisons: optional(record(mapHex(), garrison)),
+    location: optional(mapHex()),
+    exploredHexes: optional(array(hexKey)),
+    rationLevel: optional(string({ oneOf: RATION_LEVELS })),
+    currentResearch: optional(nullable(object({}, { allowUnknown: true }))),
+    turnSubmitted: optional(boolean()),
+  }, { allowUnknown: true }),
+  remove_player: id(),
+  load_backup: object({
+    gameState: object({
+      mapData: array(object({ q: number({ integer: true }), r: number({ integer: true }), terrain: string() }, { allowUnknown: true }), { max: MAX_MAP_HEXES }),
+      tribes: array(object({ id: id(), tribeName: string() }, { allowUnknown: true })),
+      turn: number({ min: 1, integer: true }),
+      startingLocations: array(hexKey),
+    }, { allowUnknown: true }),
+    users: array(object({
+      id: id(),
+      username: string({ min: 1, max: MAX_NAME_LENGTH }),
+      role: string({ oneOf: ['player', 'admin'] }),
+    }, { allowUnknown: true })),
+  }),
+  update_map: refine(
+    object({
+      newMapData: array(hexData, { max: MAX_MAP_HEXES }),
+      newStartingLocations: array(hexKey),
+    }),
+    ({ newMapData, newStartingLocations }) => {
+      const keys = new Set(newMapData.map(hex => formatHexCoords(hex.q, hex.r)));
+      const missing = newStartingLocations.find(loc => !keys.has(loc));
+      return missing ? `Starting location ${missing} is not on the new map.` : null;
+    }),
+  regenerate_map: optional(object({
+    seed: optional(number({ integer: true })),
+    settings: optional(mapSettings),
+  })),
+
+  add_ai_tribe: optional(object({
+    aiType: optional(string({ oneOf: Object.values(AI_TYPES) })),
+    difficulty: optional(string({ oneOf: AI_DIFFICULTIES })),
+  })),
+
+  set_turn_schedule: turnSchedule,
+  get_history: optional(object({
+    fromTurn: optional(number({ min: 1, integer: true })),
+    toTurn: optional(number({ min: 1, integer: true })),
+  })),
+  restore_snapshot: refine(
+    object({
+      snapshotId: optional(string({ min: 1, max: 100, pattern: /^[\w-]+$/ })),
+      turn: optional(number({ min: 1, integer: true })),
+    }),
+    ({ snapshotId, turn }) => ((snapshotId === undefined) === (turn === undefined) ? 'Choose either a snapshot or a turn to restore.' : null)),
+
+  join_game: gameId,
+  create_game: object({
+    name: refine(string({ min: 1, max: MAX_NAME_LENGTH }), (name, path) =>
+      (name.trim() ? null : `${describe(path)} must not be blank.`)),
+    seed: optional(number({ integer: true })),
+    mapSettings: optional(mapSettings),
+    turnSchedule: optional(turnSchedule),
+  }),
+  archive_game: gameId,
+
+  request_chief: object({
+    tribeId: existingTribe(),
+    chiefName: string({ min: 1, max: MAX_NAME_LENGTH }),
+    radixAddressSnippet: string({ max: 100 }),
+    location: optional(mapHex()), // Garrison the chief should join; home if omitted
+  }),
+  request_asset: object({ tribeId: existingTribe(), assetName: string({ min: 1, max: MAX_NAME_LENGTH }), radixAddressSnippet: string({ max: 100 }) }),
+  approve_chief: id(),
+  deny_chief: id(),
+  approve_asset: id(),
+  deny_asset: id(),
+
+  propose_alliance: differentTribes(object({ fromTribeId: existingTribe(), toTribeId: existingTribe() })),
+  declare_war: differentTribes(object({ fromTribeId: existingTribe(), toTribeId: existingTribe() })),
+  sue_for_peace: differentTribes(object({
+    fromTribeId: existingTribe(),
+    toTribeId: existingTribe(),
+    reparations: optional(resources),
+    tribute: optional(tribute),
+  })),
+  // Peace and alliances have their own events above
+  propose_treaty: differentTribes(refine(object({
+    fromTribeId: existingTribe(),
+    toTribeId: existingTribe(),
+    treatyType: string({ oneOf: [TREATY_TYPES.NonAggression, TREATY_TYPES.Vassalage, TREATY_TYPES.SharedVision, TREATY_TYPES.MilitaryAccess] }),
+    vassalTribeId: optional(string({ min: 1, max: 100 })), // Which side becomes the vassal
+  }), (value) => {
+    if (value.treatyType !== TREATY_TYPES.Vassalage) return value.vassalTribeId ? 'vassalTribeId only applies to vassalage.' : null;
+    return [value.fromTribeId, value.toTribeId].includes(value.vassalTribeId) ? null : 'vassalTribeId must name one of the two tribes.';
+  })),
+  cancel_treaty: object({ tribeId: existingTribe(), treatyId: id() }),
+  accept_proposal: openProposal(),
+  reject_proposal: openProposal(),
+  propose_trade: differentTribes(object({
+    fromTribeId: existingTribe(),
+    toTribeId: existingTribe(),
+    location: optional(mapHex()), // Garrison the goods leave from and arrive at; home if omitted
+    offer: tradeGoods,
+    request: tradeGoods,
+  })),
+  accept_trade: object({ tribeId: existingTribe(), tradeId: id(), location: optional(mapHex()) }),
+  reject_trade: object({ tribeId: existingTribe(), tradeId: id() }),
+
+  send_message: refine(object({
+    tribeId: existingTribe(),
+    channel: string({ oneOf: [CHAT_CHANNELS.Direct, CHAT_CHANNELS.Alliance, CHAT_CHANNELS.Global] }),
+    toTribeId: optional(existingTribe()), // Direct messages only
+    text: string({ min: 1 }),
+  }), (value) => {
+    if (!value.text.trim()) return 'text must not be blank.';
+    if (value.channel === CHAT_CHANNELS.Direct) return value.toTribeId ? null : 'toTribeId is required for direct messages.';
+    return value.toTribeId ? 'toTribeId only applies to direct messages.' : null;
+  }),
+  send_announcement: refine(object({ text: string({ min: 1 }) }), (value) =>
+    (value.text.trim() ? null : 'text must not be blank.')),
+  mark_chat_read: object({ tribeId: existingTribe(), conversation: string({ pattern: CONVERSATION_PATTERN }) }),
+};
+
+/**
+ * Validates an event's payload against its schema.
+ * @returns {{ code: string, message: string } | null} null if valid
+ */
+const validatePayload = (event, payload, state) => {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) return null;
+  let hexIndex;
+  const ctx = {
+    state,
+    // Only built when a schema actually looks up a hex
+    get hexIndex() {
+      hexIndex = hexIndex || indexMapData(state.mapData);
+      return hexIndex;
+    },
+  };
+  const message = schema(payload, '', ctx);
+  return message ? { code: 'invalid_payload', message } : null;
+};
+
+module.exports = {
+  validatePayload
+};
@@ -2,7 +2,7 @@
 // would be API endpoints making requests to a database. For this project,
 // we use localStorage as our persistent data store.
 
-import { GameState, User, FullBackupState, GameAction, Tribe, ChiefRequest, AssetRequest, DiplomaticProposal, DiplomaticStatus, Garrison, DiplomaticRelation, HexData, POIType, MapSettings, TerrainType } from '../types';
+import { GameState, User, FullBackupState, GameAction, Tribe, ChiefRequest, AssetRequest, DiplomaticProposal, DiplomaticStatus, Garrison, TradeGoods, TradeOffer, TributeTerms, Treaty, TreatyType, ChatMessage, ChatChannel, DiplomaticRelation, HexData, POIType, MapSettings, TerrainType } from '../types';
 import * as Auth from './auth';
 import { processGlobalTurn } from './turnProcessor';
 import { getHexesInRange, parseHexCoords } from './mapUtils';
@@ -82,7 +82,7 @@ const getDefaultGameState = (): GameState => {
     const { map, startingLocations } = generateMapData(MAP_RADIUS, mapSeed, mapSettings);
     return {
         mapData: map, tribes: [], turn: 1, startingLocations,
-        chiefRequests: [], assetRequests: [], journeys: [], diplomaticProposals: [],
+        chiefRequests: [], assetRequests: [], journeys: [], diplomaticProposals: [], tradeOffers: [], treaties: [], chatMessages: [],
         history: [], mapSeed, mapSettings,
     };
 };
@@ -123,6 +123,9 @@ function _migrateGameState(rawState: any): GameState {
     if (!loadedState.assetRequests) loadedState.assetRequests = [];
     if (!loadedState.journeys) loadedState.journeys = [];
     if (!loadedState.diplomaticProposals) loadedState.diplomaticProposals = [];
+    if (!loadedState.tradeOffers) loadedState.tradeOffers = [];
+    if (!loadedState.treaties) loadedState.treaties = [];
+    if (!loadedState.chatMessages) loadedState.chatMessages = [];
     if (!loadedState.history) loadedState.history = [];
     if (loadedState.pendingTrades) delete loadedState.pendingTrades;
     if (loadedState.returningCaravans) delete loadedState.returningCaravans;
@@ -242,7 +245,7 @@ export async function processTurn(): Promise<GameState> {
                 return tribe;
             }),
         };
-        const finalState = processGlobalTurn(stateWithAIActions);
+        const finalState = _expireTradeOffers(_collectTribute(processGlobalTurn(stateWithAIActions)));
         _saveGameState(finalState);
         return finalState;
     });
@@ -253,7 +256,7 @@ export const updateTribe = createAction<Tribe>((state, updatedTribe) => ({
     tribes: state.tribes.map(t => t.id === updatedTribe.id ? updatedTribe : t)
 }));
 
-export const requestChief = createAction<{ tribeId: string; chiefName: string; radixAddressSnippet: string }>((state, payload) => ({
+export const requestChief = createAction<{ tribeId: string; chiefName: string; radixAddressSnippet: string; location?: string }>((state, payload) => ({
     ...state, chiefRequests: [...(state.chiefRequests || []), { id: `req-${Date.now()}`, ...payload, status: 'pending' }]
 }));
 
@@ -265,8 +268,8 @@ export const approveChief = createAction<string>((state, requestId) => {
         chiefRequests: state.chiefRequests.map(r => r.id === requestId ? { ...r, status: 'approved' } : r),
         tribes: state.tribes.map(t => {
             if (t.id === request.tribeId) {
-                const homeGarrison = t.garrisons[t.location];
-                if (homeGarrison) homeGarrison.chiefs.push(ALL_CHIEFS.find(c => c.name === request.chiefName)!);
+                const garrison = (request.location && t.garrisons[request.location]) || t.garrisons[t.location];
+                if (garrison) garrison.chiefs.push(ALL_CHIEFS.find(c => c.name === request.chiefName)!);
             }
             return t;
         })
@@ -304,16 +307,26 @@ export const addAITribe = createAction<void>((state, _payload) => {
 export const proposeAlliance = createAction<{ fromTribeId: string; toTribeId: string }>((state, { fromTribeId, toTribeId }) => {
     const fromTribe = state.tribes.find(t => t.id === fromTribeId);
     if (!fromTribe || state.diplomaticProposals.some(p => (p.fromTribeId === fromTribeId && p.toTribeId === toTribeId) || (p.fromTribeId === toTribeId && p.toTribeId === fromTribeId))) return state;
-    const newProposal: DiplomaticProposal = { id: `proposal-${Date.now()}`, fromTribeId, toTribeId, statusChangeTo: DiplomaticStatus.Alliance, expiresOnTurn: state.turn + 3, fromTribeName: fromTribe.tribeName };
+    const newProposal: DiplomaticProposal = { id: `proposal-${Date.now()}`, fromTribeId, toTribeId, treatyType: TreatyType.Alliance, expiresOnTurn: state.turn + 3, fromTribeName: fromTribe.tribeName };
     return { ...state, diplomaticProposals: [...state.diplomaticProposals, newProposal] };
 });
 
-export const sueForPeace = createAction<{ fromTribeId: string; toTribeId: string; reparations: { food: number, scrap: number, weapons: number } }>((state, { fromTribeId, toTribeId, reparations }) => {
+export const sueForPeace = createAction<{ fromTribeId: string; toTribeId: string; reparations: { food: number, scrap: number, weapons: number }; tribute?: TributeTerms }>((state, { fromTribeId, toTribeId, reparations, tribute }) => {
     const fromTribe = state.tribes.find(t => t.id === fromTribeId);
     if (!fromTribe) return state;
     const totalWeapons = Object.values(fromTribe.garrisons).reduce((sum: number, g: Garrison) => sum + g.weapons, 0);
     if (fromTribe.globalResources.food < reparations.food || fromTribe.globalResources.scrap < reparations.scrap || totalWeapons < reparations.weapons || state.diplomaticProposals.some(p => (p.fromTribeId === fromTribeId && p.toTribeId === toTribeId) || (p.fromTribeId === toTribeId && p.toTribeId === fromTribeId))) return state;
-    const newProposal: DiplomaticProposal = { id: `proposal-${Date.now()}`, fromTribeId, toTribeId, statusChangeTo: DiplomaticStatus.Neutral, expiresOnTurn: state.turn + 3, fromTribeName: fromTribe.tribeName, reparations };
+    const newProposal: DiplomaticProposal = { id: `proposal-${Date.now()}`, fromTribeId, toTribeId, treatyType: TreatyType.Peace, expiresOnTurn: state.turn + 3, fromTribeName: fromTribe.tribeName, reparations, ...(tribute ? { tribute } : {}) };
+    return { ...state, diplomaticProposals: [...state.diplomaticProposals, newProposal] };
+});
+
+export const proposeTreaty = createAction<{ fromTribeId: string; toTribeId: string; treatyType: TreatyType; vassalTribeId?: string }>((state, { fromTribeId, toTribeId, treatyType, vassalTribeId }) => {
+    const fromTribe = state.tribes.find(t => t.id === fromTribeId);
+    const status = fromTribe?.diplomacy[toTribeId]?.status || DiplomaticStatus.Neutral;
+    if (!fromTribe || (status === DiplomaticStatus.War && treatyType !== TreatyType.Vassalage)) return state;
+    const between = (ids: { fromTribeId: string; toTribeId: string }) => [ids.fromTribeId, ids.toTribeId].includes(fromTribeId) && [ids.fromTribeId, ids.toTribeId].includes(toTribeId);
+    if (state.diplomaticProposals.some(p => between(p) && p.treatyType === treatyType)) return state;
+    const newProposal: DiplomaticProposal = { id: `proposal-${Date.now()}`, fromTribeId, toTribeId, treatyType, expiresOnTurn: state.turn + 3, fromTribeName: fromTribe.tribeName, ...(treatyType === TreatyType.Vassalage ? { vassalTribeId } : {}) };
     return { ...state, diplomaticProposals: [...state.diplomaticProposals, newProposal] };
 });
 
@@ -325,9 +338,9 @@ export const acceptProposal = createAction<string>((state, proposalId) => {
     
     const tribes: Tribe[] = JSON.parse(JSON.stringify(state.tribes));
     const fromTribe = tribes[fromTribeIdx], toTribe = tribes[toTribeIdx];
-    let truceUntil: number | undefined;
 
-    if (proposal.statusChangeTo === DiplomaticStatus.Neutral && proposal.reparations) {
+    const treatyType = proposal.treatyType || (proposal.statusChangeTo === DiplomaticStatus.Alliance ? TreatyType.Alliance : TreatyType.Peace);
+    if (treatyType === TreatyType.Peace && proposal.reparations) {
         const rep = proposal.reparations;
         const totalW = Object.values(fromTribe.garrisons).reduce((s: number, g: Garrison) => s + g.weapons, 0);
         if (fromTribe.globalResources.food < rep.food || fromTribe.globalResources.scrap < rep.scrap || totalW < rep.weapons) {
@@ -340,11 +353,25 @@ export const acceptProposal = createAction<string>((state, proposalId) => {
         let weaponsToTake = rep.weapons;
         for (const loc in fromTribe.garrisons) { if (weaponsToTake <= 0) break; const taken = Math.min(weaponsToTake, fromTribe.garrisons[loc].weapons); fromTribe.garrisons[loc].weapons -= taken; weaponsToTake -= taken; }
         toTribe.garrisons[toTribe.location].weapons += rep.weapons;
-        truceUntil = state.turn + 5;
     }
-    fromTribe.diplomacy[toTribe.id] = { status: proposal.statusChangeTo, truceUntilTurn: truceUntil };
-    toTribe.diplomacy[fromTribe.id] = { status: proposal.statusChangeTo, truceUntilTurn: truceUntil };
-    return { ...state, tribes, diplomaticProposals: state.diplomaticProposals.filter(p => p.id !== proposalId) };
+    const truceTurns = treatyType === TreatyType.Peace ? 5 : treatyType === TreatyType.Alliance ? 3 : 0;
+    const truceUntil = Math.max(fromTribe.diplomacy[toTribe.id]?.truceUntilTurn || 0, state.turn + truceTurns);
+    // Relations follow from where the two tribes stand now, not when the proposal was made
+    const currentStatus = fromTribe.diplomacy[toTribe.id]?.status || DiplomaticStatus.Neutral;
+    const status = treatyType === TreatyType.Alliance ? DiplomaticStatus.Alliance : (currentStatus === DiplomaticStatus.War ? DiplomaticStatus.Neutral : currentStatus);
+    fromTribe.diplomacy[toTribe.id] = { status, truceUntilTurn: truceUntil };
+    toTribe.diplomacy[fromTribe.id] = { status, truceUntilTurn: truceUntil };
+    const treaty: Treaty = {
+        id: `treaty-${state.turn}-${Date.now()}`, type: treatyType, tribeIds: [fromTribe.id, toTribe.id], signedOnTurn: state.turn, truceUntilTurn: truceUntil,
+        ...(treatyType === TreatyType.NonAggression ? { expiresOnTurn: state.turn + 10 } : {}),
+        ...(treatyType === TreatyType.Vassalage ? { vassalTribeId: proposal.vassalTribeId } : {}),
+    };
+    if (proposal.tribute && proposal.tribute.turns > 0) {
+        const { food, scrap, weapons, turns } = proposal.tribute;
+        treaty.tribute = { fromTribeId: fromTribe.id, toTribeId: toTribe.id, food, scrap, weapons, turnsLeft: turns };
+    }
+    const treaties = [...(state.treaties || []).filter(t => !(t.tribeIds.includes(fromTribe.id) && t.tribeIds.includes(toTribe.id) && t.type === treatyType)), treaty];
+    return { ...state, tribes, treaties, diplomaticProposals: state.diplomaticProposals.filter(p => p.id !== proposalId) };
 });
 
 export const rejectProposal = createAction<string>((state, proposalId) => ({ ...state, diplomaticProposals: state.diplomaticProposals.filter(p => p.id !== proposalId) }));
@@ -360,10 +387,133 @@ export const declareWar = createAction<{ fromTribeId: string; toTribeId: string
         if (t.id === toTribeId) return { ...t, diplomacy: { ...t.diplomacy, [fromTribeId]: { status: DiplomaticStatus.War } } };
         return t;
     });
-    return { ...state, tribes };
+    const treaties = (state.treaties || []).filter(t => !(t.tribeIds.includes(fromTribeId) && t.tribeIds.includes(toTribeId)));
+    return { ...state, tribes, treaties };
+});
+
+// Renouncing is free here; the server charges reputation for it
+export const cancelTreaty = createAction<{ tribeId: string; treatyId: string }>((state, { tribeId, treatyId }) => {
+    const treaty = (state.treaties || []).find(t => t.id === treatyId);
+    if (!treaty || !treaty.tribeIds.includes(tribeId) || treaty.type === TreatyType.Peace) return state;
+    const partnerId = treaty.tribeIds.find(id => id !== tribeId)!;
+    const tribes = treaty.type !== TreatyType.Alliance ? state.tribes : state.tribes.map(t => {
+        if (t.id === tribeId) return { ...t, diplomacy: { ...t.diplomacy, [partnerId]: { ...t.diplomacy[partnerId], status: DiplomaticStatus.Neutral } } };
+        if (t.id === partnerId) return { ...t, diplomacy: { ...t.diplomacy, [tribeId]: { ...t.diplomacy[tribeId], status: DiplomaticStatus.Neutral } } };
+        return t;
+    });
+    return { ...state, tribes, treaties: (state.treaties || []).filter(t => t.id !== treatyId) };
+});
+
+// Pays each treaty's tribute for the turn; a tribe that can't pay defaults and loses its truce
+const _collectTribute = (state: GameState): GameState => {
+    const tribes: Tribe[] = JSON.parse(JSON.stringify(state.tribes));
+    const treaties: Treaty[] = JSON.parse(JSON.stringify(state.treaties || []));
+    treaties.forEach(treaty => {
+        const tribute = treaty.tribute;
+        if (!tribute) return;
+        const payer = tribes.find(t => t.id === tribute.fromTribeId), payee = tribes.find(t => t.id === tribute.toTribeId);
+        if (!payer || !payee) { delete treaty.tribute; return; }
+        const totalW = Object.values(payer.garrisons).reduce((s: number, g: Garrison) => s + g.weapons, 0);
+        if (payer.globalResources.food < tribute.food || payer.globalResources.scrap < tribute.scrap || totalW < tribute.weapons) {
+            delete treaty.tribute;
+            treaty.truceUntilTurn = state.turn;
+            if (payer.diplomacy[payee.id]) payer.diplomacy[payee.id].truceUntilTurn = state.turn;
+            if (payee.diplomacy[payer.id]) payee.diplomacy[payer.id].truceUntilTurn = state.turn;
+            return;
+        }
+        payer.globalResources.food -= tribute.food; payee.globalResources.food += tribute.food;
+        payer.globalResources.scrap -= tribute.scrap; payee.globalResources.scrap += tribute.scrap;
+        let weaponsToTake = tribute.weapons;
+        for (const loc in payer.garrisons) { if (weaponsToTake <= 0) break; const taken = Math.min(weaponsToTake, payer.garrisons[loc].weapons); payer.garrisons[loc].weapons -= taken; weaponsToTake -= taken; }
+        if (payee.garrisons[payee.location]) payee.garrisons[payee.location].weapons += tribute.weapons;
+        tribute.turnsLeft -= 1;
+        if (tribute.turnsLeft <= 0) delete treaty.tribute;
+    });
+    // Non-aggression pacts lapse once their term is up
+    return { ...state, tribes, treaties: treaties.filter(t => !t.expiresOnTurn || t.expiresOnTurn > state.turn) };
+};
+
+// --- Trade offers: the offered goods are held in escrow until the offer is answered or expires ---
+const _canPay = (tribe: Tribe, location: string, goods: TradeGoods) => {
+    const garrison = tribe.garrisons[location];
+    if (tribe.globalResources.food < goods.food || tribe.globalResources.scrap < goods.scrap) return false;
+    if ((goods.troops > 0 || goods.weapons > 0) && (!garrison || garrison.troops < goods.troops || garrison.weapons < goods.weapons)) return false;
+    return goods.assets.every(asset => (tribe.assets || []).includes(asset));
+};
+
+const _moveGoods = (tribe: Tribe, location: string, goods: TradeGoods, sign: 1 | -1) => {
+    tribe.globalResources.food += sign * goods.food;
+    tribe.globalResources.scrap += sign * goods.scrap;
+    if (goods.troops > 0 || goods.weapons > 0) {
+        const target = tribe.garrisons[location] ? location : tribe.location;
+        if (!tribe.garrisons[target]) tribe.garrisons[target] = { troops: 0, weapons: 0, chiefs: [] };
+        tribe.garrisons[target].troops += sign * goods.troops;
+        tribe.garrisons[target].weapons += sign * goods.weapons;
+    }
+    tribe.assets = sign > 0 ? [...(tribe.assets || []), ...goods.assets] : (tribe.assets || []).filter(asset => !goods.assets.includes(asset));
+};
+
+const _closeTradeOffer = (state: GameState, tradeId: string, refund: boolean): GameState => {
+    const trade = (state.tradeOffers || []).find(t => t.id === tradeId);
+    if (!trade) return state;
+    const tribes: Tribe[] = JSON.parse(JSON.stringify(state.tribes));
+    const proposer = tribes.find(t => t.id === trade.fromTribeId);
+    if (refund && proposer) _moveGoods(proposer, trade.fromLocation, trade.offer, 1);
+    return { ...state, tribes, tradeOffers: (state.tradeOffers || []).filter(t => t.id !== tradeId) };
+};
+
+const _expireTradeOffers = (state: GameState): GameState => (state.tradeOffers || [])
+    .filter(trade => trade.expiresOnTurn < state.turn)
+    .reduce((current, trade) => _closeTradeOffer(current, trade.id, true), state);
+
+const _toTradeGoods = (goods: Partial<TradeGoods>): TradeGoods => ({ food: goods.food || 0, scrap: goods.scrap || 0, weapons: goods.weapons || 0, troops: goods.troops || 0, assets: goods.assets || [] });
+
+export const proposeTrade = createAction<{ fromTribeId: string; toTribeId: string; location?: string; offer: Partial<TradeGoods>; request: Partial<TradeGoods> }>((state, { fromTribeId, toTribeId, location, offer, request }) => {
+    const tribes: Tribe[] = JSON.parse(JSON.stringify(state.tribes));
+    const fromTribe = tribes.find(t => t.id === fromTribeId), toTribe = tribes.find(t => t.id === toTribeId);
+    if (!fromTribe || !toTribe || fromTribe.diplomacy[toTribeId]?.status === DiplomaticStatus.War) return state;
+    const fromLocation = location || fromTribe.location;
+    const goods = { offer: _toTradeGoods(offer), request: _toTradeGoods(request) };
+    if (!_canPay(fromTribe, fromLocation, goods.offer) || !goods.request.assets.every(asset => (toTribe.assets || []).includes(asset))) return state;
+    _moveGoods(fromTribe, fromLocation, goods.offer, -1);
+    const newOffer: TradeOffer = { id: `trade-${state.turn}-${Date.now()}`, fromTribeId, toTribeId, fromTribeName: fromTribe.tribeName, fromLocation, ...goods, expiresOnTurn: state.turn + 3 };
+    return { ...state, tribes, tradeOffers: [...(state.tradeOffers || []), newOffer] };
 });
 
-export const startNewGame = createAction<void>((state, _payload) => ({ ...state, tribes: [], chiefRequests: [], assetRequests: [], journeys: [], turn: 1, diplomaticProposals: [], history: [] }));
+export const acceptTrade = createAction<{ tribeId: string; tradeId: string; location?: string }>((state, { tribeId, tradeId, location }) => {
+    const trade = (state.tradeOffers || []).find(t => t.id === tradeId);
+    if (!trade || trade.toTribeId !== tribeId) return state;
+    const tribes: Tribe[] = JSON.parse(JSON.stringify(state.tribes));
+    const fromTribe = tribes.find(t => t.id === trade.fromTribeId), toTribe = tribes.find(t => t.id === trade.toTribeId);
+    if (!fromTribe || !toTribe || toTribe.diplomacy[fromTribe.id]?.status === DiplomaticStatus.War) return _closeTradeOffer(state, tradeId, true);
+    const toLocation = location || toTribe.location;
+    if (!_canPay(toTribe, toLocation, trade.request)) return state;
+    _moveGoods(toTribe, toLocation, trade.request, -1);
+    _moveGoods(toTribe, toLocation, trade.offer, 1);
+    _moveGoods(fromTribe, trade.fromLocation, trade.request, 1);
+    return { ...state, tribes, tradeOffers: (state.tradeOffers || []).filter(t => t.id !== tradeId) };
+});
+
+export const rejectTrade = createAction<{ tribeId: string; tradeId: string }>((state, { tradeId }) => _closeTradeOffer(state, tradeId, true));
+
+// --- Chat: everyone shares one browser here, so every message is visible and nothing counts as unread ---
+const _postMessage = (state: GameState, message: Omit<ChatMessage, 'id' | 'turn' | 'sentAt'>): GameState => ({
+    ...state,
+    chatMessages: [...(state.chatMessages || []), { ...message, id: `msg-${state.turn}-${Date.now()}`, turn: state.turn, sentAt: Date.now() }].slice(-500),
+});
+
+export const sendMessage = createAction<{ tribeId: string; channel: ChatChannel; toTribeId?: string; text: string }>((state, { tribeId, channel, toTribeId, text }) => {
+    const tribe = state.tribes.find(t => t.id === tribeId);
+    if (!tribe || !text.trim()) return state;
+    const recipientTribeIds = channel === ChatChannel.Direct && toTribeId ? [toTribeId]
+        : channel === ChatChannel.Alliance ? Object.keys(tribe.diplomacy).filter(id => tribe.diplomacy[id].status === DiplomaticStatus.Alliance) : [];
+    return _postMessage(state, { channel, fromTribeId: tribe.id, fromName: tribe.tribeName, recipientTribeIds, text: text.trim() });
+});
+
+export const postAnnouncement = createAction<string>((state, text) =>
+    _postMessage(state, { channel: ChatChannel.Announcement, fromTribeId: null, fromName: Auth.getCurrentUser()?.username || 'Admin', recipientTribeIds: [], text: text.trim() }));
+
+export const startNewGame = createAction<void>((state, _payload) => ({ ...state, tribes: [], chiefRequests: [], assetRequests: [], journeys: [], turn: 1, diplomaticProposals: [], tradeOffers: [], treaties: [], chatMessages: [], history: [] }));
 
 export const removePlayer = createAction<string>((state, userIdToRemove) => {
     Auth.removeUser(userIdToRemove);
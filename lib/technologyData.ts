@@ -1,5 +1,6 @@
 import { Technology, TechnologyEffectType } from '../types';
 
+// Mirrored for the server in shared/technologies.js; keep the two in sync
 export const TECHNOLOGY_TREE: { [key: string]: Technology[] } = {
   Farming: [
     {
@@ -132,7 +133,7 @@ export const TECHNOLOGY_TREE: { [key: string]: Technology[] } = {
         researchPoints: 60, // 10 troops * 6 turns
         requiredTroops: 10,
         prerequisites: ['basic-fortifications'],
-        effects: [], // Note: This effect is handled directly in visibility logic, not a simple value.
+        effects: [{ type: TechnologyEffectType.VisibilityRangeBonus, value: 1 }],
         icon: '🗼',
     },
     {
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { Tribe, User, GameState, HexData, GameAction, TribeStats, FullBackupState, DiplomaticProposal } from './types';
+import { Tribe, User, GameState, GameSummary, HexData, GameAction, TribeStats, FullBackupState, DiplomaticProposal } from './types';
 import TribeCreation from './components/TribeCreation';
 import Dashboard from './components/Dashboard';
 import Login from './components/Login';
@@ -9,10 +9,11 @@ import MapEditor from './components/MapEditor';
 import ForgotPassword from './components/ForgotPassword';
 import Leaderboard from './components/Leaderboard';
 import TransitionScreen from './components/TransitionScreen';
+import GameLobby from './components/GameLobby';
 import * as client from './lib/client';
 import { getCurrentUser, logout as localLogout, refreshCurrentUserInSession } from './lib/auth';
 
-type View = 'login' | 'register' | 'game' | 'admin' | 'create_tribe' | 'map_editor' | 'forgot_password' | 'leaderboard' | 'transition';
+type View = 'login' | 'register' | 'game' | 'admin' | 'create_tribe' | 'map_editor' | 'forgot_password' | 'leaderboard' | 'transition' | 'lobby';
 
 type TribeCreationData = {
     playerName: string;
@@ -26,6 +27,7 @@ const App: React.FC = () => {
   const [currentUser, setCurrentUser] = useState<User | null>(null);
   const [gameState, setGameState] = useState<GameState | null>(null);
   const [allUsers, setAllUsers] = useState<User[]>([]);
+  const [games, setGames] = useState<GameSummary[]>([]);
   const [view, setView] = useState<View>('login');
   const [isLoading, setIsLoading] = useState<boolean>(true);
   
@@ -55,7 +57,7 @@ const App: React.FC = () => {
     const userInSession = getCurrentUser();
     if(userInSession) setCurrentUser(userInSession);
     
-    client.initClient(handleStateUpdate, setAllUsers, handleLoginSuccess);
+    client.initClient(handleStateUpdate, setAllUsers, handleLoginSuccess, setGames);
   }, []);
 
   useEffect(() => {
@@ -95,7 +97,13 @@ const App: React.FC = () => {
   const handleRemovePlayer = (userIdToRemove: string) => client.removePlayer(userIdToRemove);
   const handleStartNewGame = () => {
       client.startNewGame();
-      alert('New game started! All tribes and requests have been removed and the turn has been reset to 1.');
+      alert('New game started! All tribes and requests in this game have been removed and the turn has been reset to 1.');
+  };
+
+  // The game view sends players without a tribe in the joined game on to tribe creation
+  const handleJoinGame = (gameId: string) => {
+      client.joinGame(gameId);
+      setView('game');
   };
   const handleLoadBackup = (backup: FullBackupState) => {
       client.loadBackup(backup);
@@ -129,7 +137,19 @@ const App: React.FC = () => {
 
       case 'create_tribe':
         if (!currentUser) { setView('login'); return null; }
-        return <TribeCreation onTribeCreate={handleTribeCreate} user={currentUser} startingLocations={gameState.startingLocations} tribes={gameState.tribes}/>;
+        return <TribeCreation onTribeCreate={handleTribeCreate} user={currentUser} startingLocations={gameState.startingLocations} tribes={gameState.tribes} onChooseAnotherGame={() => setView('lobby')}/>;
+
+      case 'lobby':
+        if (!currentUser) { setView('login'); return null; }
+        return <GameLobby
+            games={games}
+            currentGameId={gameState.gameId}
+            currentUser={currentUser}
+            onJoinGame={handleJoinGame}
+            onCreateGame={(options) => { client.createGame(options); setView('game'); }}
+            onArchiveGame={client.archiveGame}
+            onBack={() => setView('game')}
+        />;
       
       case 'transition':
         return <TransitionScreen message={'Synchronizing World...'} />;
@@ -151,6 +171,7 @@ const App: React.FC = () => {
             onApproveAsset={client.approveAsset}
             onDenyAsset={client.denyAsset}
             onAddAITribe={client.addAITribe}
+            onPostAnnouncement={(text) => client.sendAnnouncement({ text })}
         />;
       
       case 'map_editor':
@@ -189,18 +210,31 @@ const App: React.FC = () => {
             allAssetRequests={gameState.assetRequests || []}
             journeys={gameState.journeys || []}
             diplomaticProposals={gameState.diplomaticProposals || []}
+            tradeOffers={gameState.tradeOffers || []}
+            treaties={gameState.treaties || []}
+            chatMessages={gameState.chatMessages || []}
+            chatUnread={gameState.chatUnread || {}}
             onFinalizeTurn={(actions, journeyResponses) => playerTribe && handleFinalizePlayerTurn(playerTribe.id, actions, journeyResponses)}
-            onRequestChief={(chiefName, address) => playerTribe && client.requestChief({ tribeId: playerTribe.id, chiefName, radixAddressSnippet: address })}
+            onRequestChief={(chiefName, address, location) => playerTribe && client.requestChief({ tribeId: playerTribe.id, chiefName, radixAddressSnippet: address, location })}
             onRequestAsset={(assetName, address) => playerTribe && client.requestAsset({ tribeId: playerTribe.id, assetName, radixAddressSnippet: address })}
             onUpdateTribe={handleUpdateTribe}
             onLogout={handleLogout}
             onNavigateToAdmin={() => setView('admin')}
             onNavigateToLeaderboard={() => setView('leaderboard')}
+            gameName={gameState.gameName}
+            onNavigateToLobby={() => setView('lobby')}
             onProposeAlliance={(toTribeId) => playerTribe && client.proposeAlliance({ fromTribeId: playerTribe.id, toTribeId})}
-            onSueForPeace={(toTribeId, reparations) => playerTribe && client.sueForPeace({ fromTribeId: playerTribe.id, toTribeId, reparations })}
+            onSueForPeace={(toTribeId, reparations, tribute) => playerTribe && client.sueForPeace({ fromTribeId: playerTribe.id, toTribeId, reparations, tribute })}
             onDeclareWar={(toTribeId) => playerTribe && client.declareWar({ fromTribeId: playerTribe.id, toTribeId })}
             onAcceptProposal={client.acceptProposal}
             onRejectProposal={client.rejectProposal}
+            onProposeTrade={(toTribeId, location, offer, request) => playerTribe && client.proposeTrade({ fromTribeId: playerTribe.id, toTribeId, location, offer, request })}
+            onProposeTreaty={(toTribeId, treatyType, vassalTribeId) => playerTribe && client.proposeTreaty({ fromTribeId: playerTribe.id, toTribeId, treatyType, vassalTribeId })}
+            onCancelTreaty={(treatyId) => playerTribe && client.cancelTreaty({ tribeId: playerTribe.id, treatyId })}
+            onSendMessage={(channel, text, toTribeId) => playerTribe && client.sendMessage({ tribeId: playerTribe.id, channel, toTribeId, text })}
+            onMarkChatRead={(conversation) => playerTribe && client.markChatRead({ tribeId: playerTribe.id, conversation })}
+            onAcceptTrade={(tradeId) => playerTribe && client.acceptTrade({ tribeId: playerTribe.id, tradeId })}
+            onRejectTrade={(tradeId) => playerTribe && client.rejectTrade({ tribeId: playerTribe.id, tradeId })}
           />
         );
     }
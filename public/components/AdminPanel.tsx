@@ -1,6 +1,6 @@
 
 import React, { useState, useRef } from 'react';
-import { Tribe, User, GameState, FullBackupState, ChiefRequest, AssetRequest, Garrison } from '../types';
+import { Tribe, User, GameState, FullBackupState, ChiefRequest, AssetRequest, ChatChannel, Garrison, AIType, AIDifficulty } from '../types';
 import Card from './ui/Card';
 import Button from './ui/Button';
 import ConfirmationModal from './ui/ConfirmationModal';
@@ -19,15 +19,19 @@ interface AdminPanelProps {
   onDenyChief: (requestId: string) => void;
   onApproveAsset: (requestId: string) => void;
   onDenyAsset: (requestId: string) => void;
-  onAddAITribe: () => void;
+  onPostAnnouncement: (text: string) => void;
+  onAddAITribe: (options: { aiType?: AIType, difficulty?: AIDifficulty }) => void;
 }
 
 const AdminPanel: React.FC<AdminPanelProps> = (props) => {
-  const { gameState, allUsers, currentUser, onBack, onNavigateToEditor, onProcessTurn, onRemovePlayer, onStartNewGame, onLoadBackup, onApproveChief, onDenyChief, onApproveAsset, onDenyAsset, onAddAITribe } = props;
+  const { gameState, allUsers, currentUser, onBack, onNavigateToEditor, onProcessTurn, onRemovePlayer, onStartNewGame, onLoadBackup, onApproveChief, onDenyChief, onApproveAsset, onDenyAsset, onAddAITribe, onPostAnnouncement } = props;
   const { tribes: allTribes, chiefRequests, assetRequests } = gameState;
   
   const [userToRemove, setUserToRemove] = useState<User | null>(null);
   const [showNewGameConfirm, setShowNewGameConfirm] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
+  const [aiType, setAIType] = useState<AIType | ''>('');
+  const [aiDifficulty, setAIDifficulty] = useState<AIDifficulty>('Normal');
   const fileInputRef = useRef<HTMLInputElement>(null);
 
   if (!currentUser) return null;
@@ -39,6 +43,16 @@ const AdminPanel: React.FC<AdminPanelProps> = (props) => {
     }
   };
 
+  const handlePostAnnouncement = () => {
+    onPostAnnouncement(announcement.trim());
+    setAnnouncement('');
+  };
+
+  const recentAnnouncements = (gameState.chatMessages || [])
+    .filter(m => m.channel === ChatChannel.Announcement)
+    .slice(-3)
+    .reverse();
+
   const handleConfirmNewGame = () => {
     onStartNewGame();
     setShowNewGameConfirm(false);
@@ -265,11 +279,47 @@ a.click();
                 </div>
             </Card>
             
+            <Card title="Announcements">
+                <div className="space-y-3">
+                    <p className="text-sm text-slate-400">Post a message every tribe will see in its Announcements channel.</p>
+                    <textarea
+                        value={announcement}
+                        onChange={e => setAnnouncement(e.target.value)}
+                        maxLength={500}
+                        rows={3}
+                        className="w-full bg-slate-700 border border-slate-600 rounded-md p-2 text-sm"
+                    />
+                    <Button className="w-full" disabled={!announcement.trim()} onClick={handlePostAnnouncement}>
+                      Post Announcement
+                    </Button>
+                    {recentAnnouncements.map(m => (
+                        <p key={m.id} className="text-xs text-slate-400"><span className="text-slate-500">Turn {m.turn}:</span> {m.text}</p>
+                    ))}
+                </div>
+            </Card>
+
             <Card title="AI Management">
               <div className="space-y-4">
                   <p className="text-sm text-slate-400">Add or manage computer-controlled tribes. There are currently {aiTribesCount} AI tribes in the game.</p>
-                  <Button className="w-full" onClick={onAddAITribe}>
-                    Add Wanderer AI Tribe
+                  <div className="grid grid-cols-2 gap-2">
+                    <select
+                      value={aiType}
+                      onChange={(e) => setAIType(e.target.value as AIType | '')}
+                      className="w-full bg-slate-700 border border-slate-600 rounded-md p-2 text-slate-200 focus:ring-amber-500 focus:border-amber-500"
+                    >
+                      <option value="">Random Personality</option>
+                      {Object.values(AIType).map(type => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                    <select
+                      value={aiDifficulty}
+                      onChange={(e) => setAIDifficulty(e.target.value as AIDifficulty)}
+                      className="w-full bg-slate-700 border border-slate-600 rounded-md p-2 text-slate-200 focus:ring-amber-500 focus:border-amber-500"
+                    >
+                      {(['Easy', 'Normal', 'Hard'] as AIDifficulty[]).map(level => <option key={level} value={level}>{level}</option>)}
+                    </select>
+                  </div>
+                  <Button className="w-full" onClick={() => onAddAITribe({ aiType: aiType || undefined, difficulty: aiDifficulty })}>
+                    Add AI Tribe
                   </Button>
               </div>
             </Card>
@@ -327,7 +377,7 @@ a.click();
       {showNewGameConfirm && (
         <ConfirmationModal
             title="Start a New Game?"
-            message="This will remove ALL current tribes and requests, and reset the turn to 1. The map will be preserved. Are you sure?"
+            message="This will remove ALL tribes and requests in this game, and reset its turn to 1. The map and any other games are untouched. Are you sure?"
             onConfirm={handleConfirmNewGame}
             onCancel={() => setShowNewGameConfirm(false)}
         />
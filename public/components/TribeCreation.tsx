@@ -20,6 +20,7 @@ interface TribeCreationProps {
   user: User;
   tribes: Tribe[];
   startingLocations: string[];
+  onChooseAnotherGame?: () => void;
 }
 
 const ColorSelector: React.FC<{ selectedColor: string; onSelect: (color: string) => void; }> = ({ selectedColor, onSelect }) => (
@@ -39,7 +40,7 @@ const ColorSelector: React.FC<{ selectedColor: string; onSelect: (color: string)
     </div>
 );
 
-const TribeCreation: React.FC<TribeCreationProps> = ({ onTribeCreate, user, tribes, startingLocations }) => {
+const TribeCreation: React.FC<TribeCreationProps> = ({ onTribeCreate, user, tribes, startingLocations, onChooseAnotherGame }) => {
   const [playerName, setPlayerName] = useState(user.username);
   const [tribeName, setTribeName] = useState('');
   
@@ -126,6 +127,11 @@ const TribeCreation: React.FC<TribeCreationProps> = ({ onTribeCreate, user, trib
           <Button type="submit" disabled={remainingPoints !== 0 || !playerName || !tribeName || noMoreSlots} className="w-full">
             {noMoreSlots ? "No Available Slots" : "Begin Survival"}
           </Button>
+          {onChooseAnotherGame && (
+            <Button type="button" variant="secondary" onClick={onChooseAnotherGame} className="w-full">
+              Choose Another Game
+            </Button>
+          )}
         </form>
       </Card>
     </div>
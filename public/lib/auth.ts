@@ -11,6 +11,7 @@ export function login(username: string, password: string) {
 
 export function logout(): void {
     sessionStorage.removeItem('radix_user');
+    client.logout();
 }
 
 export function getCurrentUser(): User | null {
@@ -1,8 +1,10 @@
 import { io, Socket } from 'socket.io-client';
-import { GameState, User, FullBackupState, GameAction, Tribe, DiplomaticProposal, HexData } from '../types';
+import { GameState, GameSummary, User, FullBackupState, GameAction, Tribe, DiplomaticProposal, TradeGoods, TributeTerms, TreatyType, ChatChannel, HexData, SnapshotInfo, TurnHistoryRecord, TurnSchedule, MapSettings, AIType, AIDifficulty } from '../types';
 
 let socket: Socket;
 
+const SESSION_TOKEN_KEY = 'radix_session_token';
+
 // Helper function to create a typed emitter
 const createEmitter = <T>(eventName: string) => (payload: T) => {
     if (socket) {
@@ -13,11 +15,18 @@ const createEmitter = <T>(eventName: string) => (payload: T) => {
 export const initClient = (
     onStateUpdate: (newState: GameState) => void,
     onUsersUpdate: (users: User[]) => void,
-    onLoginSuccess: (user: User) => void
+    onLoginSuccess: (user: User) => void,
+    onGamesUpdate: (games: GameSummary[]) => void = () => {}
 ) => {
     socket = io({
         reconnectionAttempts: 5,
         reconnectionDelay: 1000,
+        // Read on every (re)connect so the server always knows who this socket belongs to
+        auth: (cb) => cb({ token: sessionStorage.getItem(SESSION_TOKEN_KEY) }),
+    });
+
+    socket.on('session_token', (token: string) => {
+        sessionStorage.setItem(SESSION_TOKEN_KEY, token);
     });
 
     socket.on('connect', () => {
@@ -25,9 +34,10 @@ export const initClient = (
         socket.emit('get_initial_state');
     });
     
-    socket.on('initial_state', (data: { gameState: GameState, users: User[] }) => {
+    socket.on('initial_state', (data: { gameState: GameState, users: User[], games: GameSummary[] }) => {
         onStateUpdate(data.gameState);
         onUsersUpdate(data.users);
+        onGamesUpdate(data.games);
     });
 
     socket.on('gamestate_updated', (newState: GameState) => {
@@ -37,6 +47,10 @@ export const initClient = (
     socket.on('users_updated', (newUsers: User[]) => {
         onUsersUpdate(newUsers);
     });
+
+    socket.on('games_updated', (games: GameSummary[]) => {
+        onGamesUpdate(games);
+    });
     
     socket.on('login_success', (user: User) => {
         onLoginSuccess(user);
@@ -70,10 +84,19 @@ export const initClient = (
     socket.on('alert', (message: string) => {
         alert(message);
     });
+
+    // The server refused an event, e.g. a player trying to use an admin tool
+    socket.on('action_error', (error: { event: string, code: string, message: string }) => {
+        alert(error.message);
+    });
 };
 
 // Auth emitters
 export const login = createEmitter<{ username: string, password: string }>('login');
+export const logout = () => {
+    sessionStorage.removeItem(SESSION_TOKEN_KEY);
+    if (socket) socket.emit('logout');
+};
 export const register = createEmitter<{ username: string, password: string, securityQuestion: string, securityAnswer: string }>('register');
 export const getUserQuestion = createEmitter<string>('get_security_question');
 export const verifySecurityAnswer = createEmitter<{ username: string, answer: string }>('verify_security_answer');
@@ -83,14 +106,33 @@ export const resetPassword = createEmitter<{ username: string, newPassword: stri
 export const createTribe = createEmitter<any>('create_tribe');
 export const submitTurn = createEmitter<{ tribeId: string; plannedActions: GameAction[]; journeyResponses: Tribe['journeyResponses'] }>('submit_turn');
 export const processTurn = () => socket.emit('process_turn');
+export const setTurnSchedule = createEmitter<Partial<TurnSchedule> & { enabled: boolean }>('set_turn_schedule');
+// Sent to players who haven't submitted as the deadline approaches, in any game they have a tribe in
+export const onTurnReminder = (handler: (reminder: { gameId: string, gameName: string, turn: number, deadline: string, minutesLeft: number }) => void) => socket.on('turn_reminder', handler);
 export const updateTribe = createEmitter<Tribe>('update_tribe');
 export const removePlayer = createEmitter<string>('remove_player');
 export const startNewGame = () => socket.emit('start_new_game');
 export const loadBackup = createEmitter<FullBackupState>('load_backup');
 export const updateMap = createEmitter<{newMapData: HexData[], newStartingLocations: string[]}>('update_map');
+export const getStartBalanceReport = () => socket.emit('get_start_balance_report');
+// The server sends a report after the map or starting locations change, and on request
+export const onStartBalanceReport = (handler: (report: any) => void) => socket.on('start_balance_report', handler);
+// Turn-by-turn records for replays; omit the range to get the whole game
+export const getHistory = (range: { fromTurn?: number, toTurn?: number } = {}) => socket.emit('get_history', range);
+export const onTurnHistory = (handler: (history: TurnHistoryRecord[]) => void) => socket.on('turn_history', handler);
+export const listSnapshots = () => socket.emit('list_snapshots');
+// Restore either a specific snapshot or the newest one taken on a turn
+export const restoreSnapshot = createEmitter<{ snapshotId: string } | { turn: number }>('restore_snapshot');
+export const onSnapshotList = (handler: (snapshots: SnapshotInfo[]) => void) => socket.on('snapshot_list', handler);
+
+// Lobby emitters. Every other event acts on the game this socket has joined (the main campaign at first).
+export const listGames = () => socket.emit('list_games');
+export const joinGame = createEmitter<string>('join_game');
+export const createGame = createEmitter<{ name: string, seed?: number, mapSettings?: Partial<MapSettings>, turnSchedule?: Partial<TurnSchedule> & { enabled: boolean } }>('create_game');
+export const archiveGame = createEmitter<string>('archive_game');
 
 // Chief/Asset emitters
-export const requestChief = createEmitter<{ tribeId: string, chiefName: string, radixAddressSnippet: string }>('request_chief');
+export const requestChief = createEmitter<{ tribeId: string, chiefName: string, radixAddressSnippet: string, location?: string }>('request_chief');
 export const approveChief = createEmitter<string>('approve_chief');
 export const denyChief = createEmitter<string>('deny_chief');
 export const requestAsset = createEmitter<{ tribeId: string, assetName: string, radixAddressSnippet: string }>('request_asset');
@@ -98,11 +140,23 @@ export const approveAsset = createEmitter<string>('approve_asset');
 export const denyAsset = createEmitter<string>('deny_asset');
 
 // AI emitter
-export const addAITribe = () => socket.emit('add_ai_tribe');
+export const addAITribe = (options: { aiType?: AIType, difficulty?: AIDifficulty } = {}) => socket.emit('add_ai_tribe', options);
 
 // Diplomacy emitters
 export const proposeAlliance = createEmitter<{ fromTribeId: string, toTribeId: string }>('propose_alliance');
-export const sueForPeace = createEmitter<{ fromTribeId: string, toTribeId: string, reparations: any }>('sue_for_peace');
+export const sueForPeace = createEmitter<{ fromTribeId: string, toTribeId: string, reparations: any, tribute?: TributeTerms }>('sue_for_peace');
 export const declareWar = createEmitter<{ fromTribeId: string, toTribeId: string }>('declare_war');
 export const acceptProposal = createEmitter<string>('accept_proposal');
 export const rejectProposal = createEmitter<string>('reject_proposal');
+export const proposeTreaty = createEmitter<{ fromTribeId: string, toTribeId: string, treatyType: TreatyType, vassalTribeId?: string }>('propose_treaty');
+export const cancelTreaty = createEmitter<{ tribeId: string, treatyId: string }>('cancel_treaty');
+
+// Trade emitters
+export const proposeTrade = createEmitter<{ fromTribeId: string, toTribeId: string, location?: string, offer: Partial<TradeGoods>, request: Partial<TradeGoods> }>('propose_trade');
+export const acceptTrade = createEmitter<{ tribeId: string, tradeId: string, location?: string }>('accept_trade');
+export const rejectTrade = createEmitter<{ tribeId: string, tradeId: string }>('reject_trade');
+
+// Chat emitters
+export const sendMessage = createEmitter<{ tribeId: string, channel: ChatChannel, toTribeId?: string, text: string }>('send_message');
+export const markChatRead = createEmitter<{ tribeId: string, conversation: string }>('mark_chat_read');
+export const sendAnnouncement = createEmitter<{ text: string }>('send_announcement');
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * scripts/migrate-storage.js
+ *
+ * Copies the saves from one storage backend to another: the main campaign
+ * (with the user accounts) and every game created in the lobby. By default it
+ * moves the existing game-data.json files into SQLite databases:
+ *
+ *   npm run migrate:sqlite
+ *   node scripts/migrate-storage.js --from json --to sqlite [--force]
+ *
+ * File locations come from the same environment variables the server uses
+ * (DATA_DIR, DATABASE_FILE, SQLITE_FILE). The target must be empty unless
+ * --force is given, in which case its contents are replaced.
+ */
+const fs = require('fs');
+const { STORAGE_BACKENDS, getStorageConfig, getGameStorageConfig, createStorage } = require('../lib/backend/storage');
+const { listSavedGameIds, getGameDir } = require('../lib/backend/games');
+
+const parseArgs = (argv) => {
+  const args = { from: 'json', to: 'sqlite', force: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+    else if (argv[i] === '--force') args.force = true;
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  [args.from, args.to].forEach(backend => {
+    if (!STORAGE_BACKENDS.includes(backend)) {
+      throw new Error(`Unknown backend "${backend}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+    }
+  });
+  if (args.from === args.to) throw new Error('--from and --to must be different backends');
+  return args;
+};
+
+// Copies one save; returns false if the source has nothing saved
+const migrateSave = (config, { from, to, force }) => {
+  const source = createStorage(config, from);
+  const target = createStorage(config, to);
+  try {
+    const data = source.load();
+    if (!data) return false;
+    if (target.load() && !force) {
+      throw new Error(`${target.location} already holds a saved game; re-run with --force to replace it`);
+    }
+    if (!target.save(data)) throw new Error(`Failed to write ${target.location}`);
+
+    console.log(`Migrated ${data.users.length} users, ${data.gameState.tribes.length} tribes and ` +
+      `${data.gameState.mapData.length} hexes from ${source.location} to ${target.location}`);
+    return true;
+  } finally {
+    source.close();
+    target.close();
+  }
+};
+
+const migrate = () => {
+  const args = parseArgs(process.argv.slice(2));
+  const config = getStorageConfig();
+  fs.mkdirSync(config.dataDir, { recursive: true });
+
+  if (!migrateSave(config, args)) throw new Error(`No saved game found in ${config.dataDir}`);
+  listSavedGameIds(config.dataDir).forEach(id => {
+    if (!migrateSave(getGameStorageConfig(config, getGameDir(config.dataDir, id)), args)) {
+      console.log(`Skipped game ${id}: nothing saved`);
+    }
+  });
+  console.log(`Set STORAGE_BACKEND=${args.to} to start the server on the new storage.`);
+};
+
+try {
+  migrate();
+} catch (err) {
+  console.error(`Migration failed: ${err.message}`);
+  process.exit(1);
+}
@@ -4,18 +4,40 @@ const http = require('http');
 const { Server: SocketIOServer } = require('socket.io');
 const path = require('path');
 const fs = require('fs');
+const { randomUUID } = require('crypto');
 const cors = require('cors');
 
 // Import shared constants
 const {
   SECURITY_QUESTIONS,
-  TRIBE_COLORS,
   INITIAL_GLOBAL_RESOURCES,
   INITIAL_GARRISON,
   DEFAULT_MAP_SETTINGS,
   TERRAIN_TYPES,
-  DIPLOMATIC_STATUS
+  DIPLOMATIC_STATUS,
+  TREATY_TYPES,
+  AI_TYPES
 } = require('./shared/constants.js');
+const { getAsset } = require('./shared/assets.js');
+
+// Backend modules
+const logger = require('./lib/backend/logger');
+const { HEX_KEY_VERSION, formatHexCoords, parseHexCoords, indexMapData, getVisibleHexes, migrateHexKeys } = require('./lib/backend/mapUtils');
+const { VISIBILITY_RANGE, processGlobalTurn } = require('./lib/backend/turnProcessor');
+const { DEFAULT_MAP_RADIUS, generateMapData } = require('./lib/backend/mapGenerator');
+const { analyzeStartingLocations, findAvailableStart } = require('./lib/backend/startPlacement');
+const { hashSecret, verifySecret, createSessionToken, verifySessionToken } = require('./lib/backend/auth');
+const { isAdmin, authorizeEvent } = require('./lib/backend/permissions');
+const { validatePayload } = require('./lib/backend/validation');
+const { buildStateView, buildHistoryView } = require('./lib/backend/stateView');
+const { getStorageConfig } = require('./lib/backend/storage');
+const { DEFAULT_GAME_ID, DEFAULT_GAME_NAME, summarizeGame, createGameRegistry } = require('./lib/backend/games');
+const { DEFAULT_TURN_SCHEDULE, startTurnTimer, updateTurnTimer } = require('./lib/backend/turnScheduler');
+const { DEFAULT_AI_DIFFICULTY, generateAIActions, planJourneyResponses } = require('./lib/backend/aiPlanner');
+const { createAIIdentity } = require('./lib/backend/aiIdentity');
+const { TREATY_NAMES, createProposal, acceptProposal, getWarBlocker, declareWar, cancelTreaty } = require('./lib/backend/treaties');
+const { describeGoods, createTradeOffer, acceptTradeOffer, cancelTradeOffer } = require('./lib/backend/tradeOffers');
+const { sendMessage, postAnnouncement, markConversationRead } = require('./lib/backend/chat');
 
 // --- LOGGING SETUP ---
 const LOG_DIR = process.env.LOG_DIR || path.join(__dirname, 'logs');
@@ -29,31 +51,6 @@ try {
   // Continue without logging to files
 }
 
-// Custom logger with timestamps
-const logger = {
-  info: (message) => {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] [INFO] ${message}`);
-  },
-  warn: (message) => {
-    const timestamp = new Date().toISOString();
-    console.warn(`[${timestamp}] [WARN] ${message}`);
-  },
-  error: (message, error) => {
-    const timestamp = new Date().toISOString();
-    console.error(`[${timestamp}] [ERROR] ${message}`);
-    if (error && error.stack) {
-      console.error(`[${timestamp}] [STACK] ${error.stack}`);
-    }
-  },
-  debug: (message) => {
-    if (process.env.NODE_ENV === 'development') {
-      const timestamp = new Date().toISOString();
-      console.debug(`[${timestamp}] [DEBUG] ${message}`);
-    }
-  }
-};
-
 // --- SERVER SETUP ---
 const app = express();
 
@@ -85,9 +82,8 @@ const io = new SocketIOServer(server, {
 
 // Use Node.js built-in __dirname (no need for fileURLToPath in CommonJS)
 // This is crucial for platforms like Render.com with persistent disks.
-const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
-const DATA_FILE = process.env.DATABASE_FILE || path.join(DATA_DIR, 'game-data.json');
-const BACKUP_FILE = process.env.BACKUP_FILE || path.join(DATA_DIR, 'game-data.backup.json');
+const storageConfig = getStorageConfig();
+const DATA_DIR = storageConfig.dataDir;
 
 // Ensure the data directory exists
 try {
@@ -101,167 +97,40 @@ try {
   logger.warn('Running with in-memory data only. Data will not persist between restarts!');
 }
 
+// Every game on the server, each saved separately (lib/backend/games.js)
+let games;
+try {
+  games = createGameRegistry({
+    storageConfig,
+    snapshotDir: process.env.SNAPSHOT_DIR || path.join(DATA_DIR, 'snapshots'),
+  });
+  const { storage } = games.getDefault();
+  logger.info(`Using ${storage.type} storage at ${storage.location}`);
+} catch (err) {
+  logger.error(`Failed to open ${storageConfig.backend} storage`, err);
+  process.exit(1);
+}
+
 // --- GAME LOGIC IMPLEMENTATIONS ---
 // Simple implementations for required game functions
 
-// Parse hex coordinates from a string like "050.050"
-const parseHexCoords = (hexString) => {
-  try {
-    const [q, r] = hexString.split('.').map(Number);
-    return { q, r };
-  } catch (err) {
-    logger.error(`Failed to parse hex coordinates: ${hexString}`, err);
-    return { q: 0, r: 0 }; // Default fallback
-  }
-};
+// Hexes a new tribe can see from its starting location
+const getStartingVision = (mapData, startLocation) =>
+  getVisibleHexes(parseHexCoords(startLocation), VISIBILITY_RANGE, indexMapData(mapData));
 
-// Get hexes in range from a center point
-const getHexesInRange = (center, range) => {
+// Generate AI tribe; the personality is random unless one is given
+const generateAITribe = (startLocation, state, { aiType, difficulty = DEFAULT_AI_DIFFICULTY } = {}) => {
   try {
-    const results = [];
-    for (let q = center.q - range; q <= center.q + range; q++) {
-      for (let r = center.r - range; r <= center.r + range; r++) {
-        if (Math.abs(q - center.q) + Math.abs(r - center.r) <= range * 2) {
-          results.push(`${q.toString().padStart(3, '0')}.${r.toString().padStart(3, '0')}`);
-        }
-      }
-    }
-    return results;
-  } catch (err) {
-    logger.error(`Failed to get hexes in range from ${JSON.stringify(center)}, range ${range}`, err);
-    return []; // Return empty array as fallback
-  }
-};
-
-// Generate map data
-const generateMapData = (radius, seed, settings) => {
-  try {
-    logger.info(`Generating map with radius ${radius}, seed ${seed}`);
-    
-    // Simple map generation for server
-    const map = [];
-    const startingLocations = [];
-    
-    // Generate a simple grid of hexes
-    for (let q = -radius; q <= radius; q++) {
-      for (let r = -radius; r <= radius; r++) {
-        if (Math.abs(q) + Math.abs(r) <= radius * 1.5) {
-          // Create a hex with random terrain
-          const terrainTypes = Object.values(TERRAIN_TYPES);
-          const terrain = terrainTypes[Math.floor(Math.random() * terrainTypes.length)];
-          
-          map.push({
-            q,
-            r,
-            terrain
-          });
-          
-          // Add some starting locations near the center
-          if (Math.abs(q) < radius/3 && Math.abs(r) < radius/3 && Math.random() > 0.8) {
-            startingLocations.push(`${q.toString().padStart(3, '0')}.${r.toString().padStart(3, '0')}`);
-          }
-        }
-      }
-    }
-    
-    // Ensure we have at least 5 starting locations
-    while (startingLocations.length < 5) {
-      const q = Math.floor(Math.random() * (radius/2)) * (Math.random() > 0.5 ? 1 : -1);
-      const r = Math.floor(Math.random() * (radius/2)) * (Math.random() > 0.5 ? 1 : -1);
-      const loc = `${q.toString().padStart(3, '0')}.${r.toString().padStart(3, '0')}`;
-      if (!startingLocations.includes(loc)) {
-        startingLocations.push(loc);
-      }
-    }
-    
-    logger.debug(`Map generated with ${map.length} hexes and ${startingLocations.length} starting locations`);
-    return { map, startingLocations };
-  } catch (err) {
-    logger.error(`Failed to generate map data`, err);
-    // Return minimal valid data as fallback
-    return { 
-      map: [{ q: 0, r: 0, terrain: TERRAIN_TYPES.Plains }], 
-      startingLocations: ['000.000'] 
-    };
-  }
-};
-
-// Process global turn
-const processGlobalTurn = (state) => {
-  try {
-    logger.info(`Processing turn ${state.turn}`);
-    
-    // Simple turn processing logic
-    const newState = { ...state };
-    
-    // Increment turn counter
-    newState.turn += 1;
-    
-    // Reset tribe turn submissions
-    newState.tribes = newState.tribes.map(tribe => ({
-      ...tribe,
-      turnSubmitted: false,
-      lastTurnResults: tribe.actions || [],
-      actions: []
-    }));
-    
-    // Process basic resources for each tribe
-    newState.tribes.forEach(tribe => {
-      // Add some basic food each turn
-      if (tribe.globalResources) {
-        tribe.globalResources.food += 5;
-        tribe.globalResources.scrap += 2;
-      }
-    });
-    
-    // Clear expired diplomatic proposals
-    if (newState.diplomaticProposals) {
-      newState.diplomaticProposals = newState.diplomaticProposals.filter(
-        proposal => proposal.expiresOnTurn >= newState.turn
-      );
-    }
-    
-    logger.debug(`Turn ${newState.turn} processing complete`);
-    return newState;
-  } catch (err) {
-    logger.error(`Failed to process global turn`, err);
-    // Return original state to avoid corruption
-    return state;
-  }
-};
-
-// Generate AI tribe
-const generateAITribe = (startLocation, existingNames) => {
-  try {
-    const aiTribeNames = [
-      "Ravagers", "Scrap Hounds", "Dust Devils", "Iron Fists",
-      "Rust Raiders", "Wasteland Wolves", "Toxic Avengers", "Shadow Walkers"
-    ];
-    
-    // Find a name that's not already taken
-    let tribeName;
-    do {
-      tribeName = aiTribeNames[Math.floor(Math.random() * aiTribeNames.length)];
-    } while (existingNames.includes(tribeName));
-    
-    // Generate a random color
-    const color = TRIBE_COLORS[Math.floor(Math.random() * TRIBE_COLORS.length)];
+    const personalities = Object.values(AI_TYPES);
+    const personality = aiType || personalities[Math.floor(Math.random() * personalities.length)];
+    const identity = createAIIdentity(state, personality);
     
     return {
-      id: `ai-tribe-${Date.now()}`,
-      playerId: `ai-${Date.now()}`,
+      ...identity,
       isAI: true,
-      aiType: 'Wanderer',
+      aiType: personality,
+      aiDifficulty: difficulty,
       playerName: 'AI',
-      tribeName,
-      icon: 'skull',
-      color,
-      stats: {
-        charisma: 5,
-        intelligence: 5,
-        leadership: 5,
-        strength: 5
-      },
       globalResources: { ...INITIAL_GLOBAL_RESOURCES },
       garrisons: { 
         [startLocation]: { ...INITIAL_GARRISON } 
@@ -270,7 +139,7 @@ const generateAITribe = (startLocation, existingNames) => {
       turnSubmitted: false,
       actions: [],
       lastTurnResults: [],
-      exploredHexes: getHexesInRange(parseHexCoords(startLocation), 2),
+      exploredHexes: getStartingVision(state.mapData, startLocation),
       rationLevel: 'Normal',
       completedTechs: [],
       assets: [],
@@ -281,11 +150,13 @@ const generateAITribe = (startLocation, existingNames) => {
   } catch (err) {
     logger.error(`Failed to generate AI tribe at ${startLocation}`, err);
     // Return a minimal valid tribe as fallback
+    const uuid = randomUUID();
     return {
-      id: `ai-tribe-${Date.now()}`,
-      playerId: `ai-${Date.now()}`,
+      id: `ai-tribe-${uuid}`,
+      playerId: `ai-${uuid}`,
       isAI: true,
-      aiType: 'Wanderer',
+      aiType: AI_TYPES.Wanderer,
+      aiDifficulty: DEFAULT_AI_DIFFICULTY,
       playerName: 'AI',
       tribeName: 'Error Tribe',
       icon: 'skull',
@@ -308,17 +179,6 @@ const generateAITribe = (startLocation, existingNames) => {
   }
 };
 
-// Generate AI actions
-const generateAIActions = (tribe, allTribes, mapData) => {
-  try {
-    // Simple AI that just generates random actions
-    return [];
-  } catch (err) {
-    logger.error(`Failed to generate AI actions for tribe ${tribe.id}`, err);
-    return []; // Return empty array as fallback
-  }
-};
-
 // Stub for chief data
 const ALL_CHIEFS = [
   {
@@ -335,35 +195,34 @@ const ALL_CHIEFS = [
   }
 ];
 
-// Stub for asset data
-const getAsset = (assetName) => {
-  try {
-    const assets = {
-      "Ancient Codex": { description: "Knowledge from the old world" },
-      "Fusion Cell": { description: "Powerful energy source" },
-      "Satellite Uplink": { description: "Communication device" }
-    };
-    return assets[assetName];
-  } catch (err) {
-    logger.error(`Failed to get asset: ${assetName}`, err);
-    return null; // Return null as fallback
-  }
-};
-
 // --- DATABASE (FILE-BASED) ---
-let gameState;
 let users;
 let isShuttingDown = false; // Flag to prevent multiple shutdown attempts
 let saveInProgress = false; // Flag to prevent concurrent saves
 
 const getDefaultMapSettings = () => DEFAULT_MAP_SETTINGS;
 
-const getDefaultGameState = () => {
+// Fills in whatever map settings an admin left out with the defaults
+const buildMapSettings = (settings = {}) => {
+  const defaults = getDefaultMapSettings();
+  return {
+    biases: { ...defaults.biases, ...(settings.biases || {}) },
+    startSpacing: settings.startSpacing || defaults.startSpacing,
+    startBalanceRadius: settings.startBalanceRadius || defaults.startBalanceRadius,
+  };
+};
+
+/**
+ * A fresh game with a newly generated map.
+ * @param {object} [options] { gameName, seed, mapSettings, turnSchedule }; defaults for anything left out
+ */
+const getDefaultGameState = ({ gameName = DEFAULT_GAME_NAME, seed, mapSettings = getDefaultMapSettings(), turnSchedule } = {}) => {
   try {
-    const mapSeed = Date.now();
-    const mapSettings = getDefaultMapSettings();
-    const { map, startingLocations } = generateMapData(40, mapSeed, mapSettings);
+    const mapSeed = Number.isFinite(seed) ? seed : Date.now();
+    const { map, startingLocations } = generateMapData(DEFAULT_MAP_RADIUS, mapSeed, mapSettings);
     return {
+      gameName,
+      createdAt: new Date().toISOString(),
       mapData: map, 
       tribes: [], 
       turn: 1, 
@@ -372,57 +231,61 @@ const getDefaultGameState = () => {
       assetRequests: [], 
       journeys: [], 
       diplomaticProposals: [],
+      tradeOffers: [],
+      treaties: [],
+      chatMessages: [],
       history: [], 
       mapSeed, 
       mapSettings,
+      hexKeyVersion: HEX_KEY_VERSION,
+      turnSchedule: { ...DEFAULT_TURN_SCHEDULE, ...turnSchedule },
+      turnTimer: null,
     };
   } catch (err) {
     logger.error(`Failed to create default game state`, err);
     // Return minimal valid state as fallback
     return {
+      gameName,
+      createdAt: new Date().toISOString(),
       mapData: [{ q: 0, r: 0, terrain: TERRAIN_TYPES.Plains }],
       tribes: [],
       turn: 1,
-      startingLocations: ['000.000'],
+      startingLocations: [formatHexCoords(0, 0)],
       chiefRequests: [],
       assetRequests: [],
       journeys: [],
       diplomaticProposals: [],
+      tradeOffers: [],
+      treaties: [],
+      chatMessages: [],
       history: [],
       mapSeed: Date.now(),
-      mapSettings: DEFAULT_MAP_SETTINGS
+      mapSettings: DEFAULT_MAP_SETTINGS,
+      hexKeyVersion: HEX_KEY_VERSION,
+      turnSchedule: { ...DEFAULT_TURN_SCHEDULE, ...turnSchedule },
+      turnTimer: null
     };
   }
 };
 
-const mockHash = (data) => `hashed_${data}_salted_v1`;
+// Security answers are compared case- and whitespace-insensitively
+const normalizeAnswer = (answer) => (answer || '').toLowerCase().trim();
 
-// Atomic file write to prevent corruption
-const writeFileSafely = (filePath, data) => {
-  const tempPath = `${filePath}.tmp`;
-  try {
-    // Write to temporary file first
-    fs.writeFileSync(tempPath, data, 'utf8');
-    // Rename temp file to target file (atomic operation)
-    fs.renameSync(tempPath, filePath);
-    return true;
-  } catch (err) {
-    logger.error(`Failed to write file safely to ${filePath}`, err);
-    // Clean up temp file if it exists
-    try {
-      if (fs.existsSync(tempPath)) {
-        fs.unlinkSync(tempPath);
-      }
-    } catch (cleanupErr) {
-      logger.error(`Failed to clean up temp file ${tempPath}`, cleanupErr);
-    }
-    return false;
-  }
-};
+const createDefaultAdmin = () => ({
+  id: 'user-admin', 
+  username: 'Admin', 
+  passwordHash: hashSecret('snoopy'), 
+  role: 'admin', 
+  securityQuestion: SECURITY_QUESTIONS[0], 
+  securityAnswerHash: hashSecret('snoopy') 
+});
 
-// Debounced save to prevent excessive writes
+// Debounced save to prevent excessive writes. Games with changes waiting to be
+// written are collected until then; user accounts are saved with the default game.
 let saveTimeout = null;
-const debouncedSave = (immediate = false) => {
+const pendingSaves = new Set();
+const debouncedSave = (game = games.getDefault(), immediate = false) => {
+  pendingSaves.add(game.id);
   if (saveTimeout) {
     clearTimeout(saveTimeout);
   }
@@ -439,70 +302,25 @@ const debouncedSave = (immediate = false) => {
 };
 
 const loadData = () => {
+  const main = games.getDefault();
   try {
-    if (fs.existsSync(DATA_FILE)) {
-      try {
-        logger.info(`Loading game data from ${DATA_FILE}`);
-        const rawData = fs.readFileSync(DATA_FILE, 'utf-8');
-        const data = JSON.parse(rawData);
-        
-        // Validate data structure
-        if (!data.gameState || !data.users) {
-          throw new Error('Invalid data structure in game data file');
-        }
-        
-        gameState = data.gameState;
-        users = data.users;
-        logger.info(`Game data loaded successfully: ${users.length} users, ${gameState.tribes.length} tribes`);
-      } catch (err) {
-        logger.error(`Failed to load existing data file, checking for backup`, err);
-        
-        // Try to load from backup
-        if (fs.existsSync(BACKUP_FILE)) {
-          try {
-            const backupData = fs.readFileSync(BACKUP_FILE, 'utf-8');
-            const parsedBackup = JSON.parse(backupData);
-            gameState = parsedBackup.gameState;
-            users = parsedBackup.users;
-            logger.info(`Loaded from backup file successfully`);
-          } catch (backupErr) {
-            logger.error(`Failed to load from backup, starting fresh`, backupErr);
-            gameState = getDefaultGameState();
-            users = [];
-          }
-        } else {
-          logger.warn(`No backup file found, starting fresh`);
-          gameState = getDefaultGameState();
-          users = [];
-        }
-      }
+    const savedUsers = games.load();
+    if (savedUsers) {
+      users = savedUsers;
+      logger.info(`Game data loaded successfully: ${users.length} users, ${main.state.tribes.length} tribes, ${games.list().length} games`);
     } else {
       logger.info(`No existing game data found, initializing with defaults`);
-      gameState = getDefaultGameState();
-      users = [{ 
-        id: 'user-admin', 
-        username: 'Admin', 
-        passwordHash: mockHash('snoopy'), 
-        role: 'admin', 
-        securityQuestion: SECURITY_QUESTIONS[0], 
-        securityAnswerHash: mockHash('snoopy') 
-      }];
+      main.state = getDefaultGameState();
+      users = [createDefaultAdmin()];
       
       // Save initial data
-      debouncedSave(true);
+      debouncedSave(main, true);
     }
   } catch (err) {
-    logger.error(`Unexpected error in loadData()`, err);
+    logger.error(`Failed to load game data from ${main.storage.location}, starting fresh`, err);
     // Fallback to defaults
-    gameState = getDefaultGameState();
-    users = [{ 
-      id: 'user-admin', 
-      username: 'Admin', 
-      passwordHash: mockHash('snoopy'), 
-      role: 'admin', 
-      securityQuestion: SECURITY_QUESTIONS[0], 
-      securityAnswerHash: mockHash('snoopy') 
-    }];
+    main.state = getDefaultGameState();
+    users = [createDefaultAdmin()];
   }
 };
 
@@ -522,27 +340,20 @@ const saveData = () => {
   saveInProgress = true;
   
   try {
-    const data = { gameState, users };
-    const jsonData = JSON.stringify(data, null, 2);
-    
-    // Create backup of current file if it exists
-    if (fs.existsSync(DATA_FILE)) {
+    [...pendingSaves].forEach(gameId => {
+      pendingSaves.delete(gameId);
+      const game = games.get(gameId);
+      if (!game) return; // Archived in the meantime
       try {
-        fs.copyFileSync(DATA_FILE, BACKUP_FILE);
-        logger.debug(`Backup created at ${BACKUP_FILE}`);
-      } catch (backupErr) {
-        logger.error(`Failed to create backup file`, backupErr);
-        // Continue with save even if backup fails
+        if (games.save(game, users)) {
+          logger.debug(`Game data saved successfully to ${game.storage.location}`);
+        } else {
+          logger.error(`Failed to save game data to ${game.storage.location}`);
+        }
+      } catch (err) {
+        logger.error(`Error saving game ${gameId}`, err);
       }
-    }
-    
-    // Write new data atomically
-    const success = writeFileSafely(DATA_FILE, jsonData);
-    if (success) {
-      logger.debug(`Game data saved successfully to ${DATA_FILE}`);
-    } else {
-      logger.error(`Failed to save game data to ${DATA_FILE}`);
-    }
+    });
   } catch (err) {
     logger.error(`Error in saveData()`, err);
   } finally {
@@ -559,30 +370,229 @@ try {
 }
 
 // --- API (SOCKET.IO) ---
+
+// Sockets may present a session token in the handshake (`auth.token`). Anonymous
+// sockets are still let in so they can log in or register.
+io.use((socket, next) => {
+  const session = verifySessionToken(socket.handshake.auth && socket.handshake.auth.token);
+  if (session && users.some(u => u.id === session.sub)) {
+    socket.data.userId = session.sub;
+  }
+  next();
+});
+
+// The user a socket is authenticated as, if any
+const getSocketUser = (socket) => users.find(u => u.id === socket.data.userId);
+
+const PASSWORD_RESET_WINDOW_MS = 10 * 60 * 1000;
+
+// A socket watches one game at a time. Each game has a room, and within it one room per
+// logged-in user, so every socket a user has open on that game gets the same view of it.
+// Each user also has a personal room for notices from any of their games (turn reminders).
+const gameRoom = (gameId) => `game:${gameId}`;
+const viewerRoom = (gameId, userId) => `${gameRoom(gameId)}:${userId ? `user:${userId}` : 'anonymous'}`;
+const userRoom = (userId) => `user:${userId}`;
+
+// The game a socket is watching; the default game until it joins another
+const getSocketGame = (socket) => games.get(socket.data.gameId) || games.getDefault();
+
+const setSocketRooms = (socket, gameId, user) => {
+  if (socket.data.gameId) {
+    socket.leave(gameRoom(socket.data.gameId));
+    socket.leave(viewerRoom(socket.data.gameId, socket.data.userId));
+  }
+  if (socket.data.userId) socket.leave(userRoom(socket.data.userId));
+  socket.data.gameId = gameId;
+  socket.data.userId = user ? user.id : undefined;
+  socket.join([gameRoom(gameId), viewerRoom(gameId, socket.data.userId), ...(user ? [userRoom(user.id)] : [])]);
+};
+
+const setSocketUser = (socket, user) => setSocketRooms(socket, getSocketGame(socket).id, user);
+
+// A user's view of a game, tagged with the game it belongs to
+const viewGame = (game, user) => ({ ...buildStateView(game.state, user), gameId: game.id });
+
+// Sends each user watching a game their own fog-of-war view of it
+const emitGameState = (game) => {
+  try {
+    const rooms = io.sockets.adapter.rooms;
+    if (rooms.has(viewerRoom(game.id))) {
+      io.to(viewerRoom(game.id)).emit('gamestate_updated', viewGame(game, undefined));
+    }
+    users
+      .filter(user => rooms.has(viewerRoom(game.id, user.id)))
+      .forEach(user => io.to(viewerRoom(game.id, user.id)).emit('gamestate_updated', viewGame(game, user)));
+  } catch (err) {
+    logger.error(`Failed to emit game state`, err);
+  }
+};
+
+const listGames = () => games.list().map(summarizeGame);
+
+// The lobby: every socket gets the list of games, whichever one it is watching
+const emitGames = () => {
+  try {
+    io.emit('games_updated', listGames());
+  } catch (err) {
+    logger.error(`Failed to emit games`, err);
+  }
+};
+
+const emitUsers = () => {
+  try {
+    io.emit('users_updated', users.map(({ passwordHash, securityAnswerHash, ...rest }) => rest));
+  } catch (err) {
+    logger.error(`Failed to emit users`, err);
+  }
+};
+
+// History records of a game for a range of turns, as the user may see them
+const getTurnHistory = (game, user, { fromTurn = 1, toTurn = Infinity } = {}) =>
+  buildHistoryView(game.state, user).filter(record => record.turn >= fromTurn && record.turn <= toTurn);
+
+// --- TURN PROCESSING ---
+const TURN_CHECK_INTERVAL_MS = parseInt(process.env.TURN_CHECK_INTERVAL_SECONDS, 10) * 1000 || 30 * 1000;
+
+/**
+ * Resolves a game's current turn: AI tribes plan their moves, everything is
+ * processed, and the next turn's clock starts.
+ * @param {string} trigger Who or what ended the turn, for the log
+ */
+const processTurn = (game, trigger) => {
+  takeSnapshot(game, 'process_turn');
+  // Add AI actions
+  game.state.tribes.forEach(tribe => {
+    if (tribe.isAI && !tribe.turnSubmitted) {
+      tribe.actions = generateAIActions(tribe, game.state);
+      tribe.journeyResponses = planJourneyResponses(tribe, game.state);
+      tribe.turnSubmitted = true;
+    }
+  });
+
+  game.state = processGlobalTurn(game.state);
+  startTurnTimer(game.state);
+  debouncedSave(game, true); // Save immediately after turn processing
+  emitGameState(game);
+  emitGames();
+
+  logger.info(`Turn ${game.state.turn} of game ${game.id} processed (${trigger})`);
+};
+
+// Runs periodically and after submissions: moves the deadline, sends reminders, and ends the turn when it's due
+const checkTurnSchedule = (game) => {
+  try {
+    const { due, reminders, changed } = updateTurnTimer(game.state);
+    reminders.forEach(({ minutesLeft, tribeIds }) => {
+      // Sent to the player's own room, as they may be watching another game
+      game.state.tribes
+        .filter(tribe => tribeIds.includes(tribe.id) && tribe.playerId)
+        .forEach(tribe => io.to(userRoom(tribe.playerId)).emit('turn_reminder', {
+          gameId: game.id,
+          gameName: summarizeGame(game).name,
+          turn: game.state.turn,
+          deadline: game.state.turnTimer.deadline,
+          minutesLeft,
+        }));
+      logger.info(`Reminded ${tribeIds.length} tribes: turn ${game.state.turn} of game ${game.id} ends in ${minutesLeft} minutes`);
+    });
+
+    if (due) {
+      processTurn(game, `${game.state.turnTimer.reason} deadline`);
+    } else if (changed) {
+      debouncedSave(game);
+      emitGameState(game);
+      emitGames();
+    }
+  } catch (err) {
+    logger.error(`Error checking the turn schedule of game ${game.id}`, err);
+  }
+};
+
+const turnScheduleInterval = setInterval(() => games.list().forEach(checkTurnSchedule), TURN_CHECK_INTERVAL_MS);
+
+const takeSnapshot = (game, reason) => games.takeSnapshot(game, users, reason);
+
+/**
+ * Swaps a saved game (a snapshot or an uploaded backup) in for a game's state.
+ * The game keeps its name. User accounts are shared by every game, so they are
+ * never rolled back: the only ones taken from the save are those leading a
+ * restored tribe that the server no longer has.
+ * @returns {number} How many accounts were added back
+ */
+const replaceGameData = (game, data) => {
+  const { gameName, createdAt } = game.state;
+  game.state = { ...migrateHexKeys(data.gameState), gameName, createdAt };
+  const playerIds = new Set(game.state.tribes.map(t => t.playerId));
+  const missing = (data.users || []).filter(u => playerIds.has(u.id) && !users.some(known => known.id === u.id || known.username === u.username));
+  users = [...users, ...missing];
+  startTurnTimer(game.state);
+  return missing.length;
+};
+
+// What the admin is told about accounts after a restore
+const describeAccountsKept = (added) => (added > 0
+  ? `User accounts were left as they are; ${added} deleted ${added === 1 ? 'account' : 'accounts'} leading a restored tribe ${added === 1 ? 'was' : 'were'} added back.`
+  : 'User accounts were left as they are.');
+
+/**
+ * Rolls a game back to one of its snapshots, chosen by id or as the newest one of a turn.
+ * The current game is snapshotted first so the restore itself can be undone.
+ * @returns {{ snapshot: object, accountsAdded: number }|null} The restored snapshot's listing entry, or null if there is none
+ */
+const restoreSnapshot = (game, which) => {
+  const found = game.snapshots.read(which);
+  if (!found) return null;
+  takeSnapshot(game, 'restore');
+  const accountsAdded = replaceGameData(game, found.data);
+  debouncedSave(game, true);
+  emitGameState(game);
+  emitUsers();
+  emitGames();
+  logger.info(`Restored snapshot ${found.snapshot.id} of game ${game.id} (turn ${found.snapshot.turn})`);
+  return { snapshot: found.snapshot, accountsAdded };
+};
+
 io.on('connection', (socket) => {
   logger.info(`User connected: ${socket.id}`);
 
-  const emitGameState = () => {
-    try {
-      io.emit('gamestate_updated', gameState);
-    } catch (err) {
-      logger.error(`Failed to emit game state`, err);
-    }
+  const sendSession = (user) => {
+    const { passwordHash, securityAnswerHash, ...userToSend } = user;
+    setSocketUser(socket, user);
+    socket.emit('session_token', createSessionToken(user));
+    socket.emit('login_success', userToSend);
+    socket.emit('gamestate_updated', viewGame(getSocketGame(socket), user));
   };
-  
-  const emitUsers = () => {
-    try {
-      io.emit('users_updated', users.map(({ passwordHash, securityAnswerHash, ...rest }) => rest));
-    } catch (err) {
-      logger.error(`Failed to emit users`, err);
+
+  // Every client event passes through here: the payload is checked against its schema
+  // (lib/backend/validation.js), then the sender's role and ownership (lib/backend/permissions.js),
+  // both against the game the socket is watching
+  const guarded = (event, handler) => (payload) => {
+    const user = getSocketUser(socket);
+    const { state } = getSocketGame(socket);
+    const rejection = validatePayload(event, payload, state) || authorizeEvent(user, event, payload, state);
+    if (rejection) {
+      logger.warn(`Rejected '${event}' from ${user ? user.username : 'anonymous'} (${socket.id}): ${rejection.message}`);
+      socket.emit('action_error', { event, ...rejection });
+      return;
     }
+    handler(payload);
   };
 
+  // Resume the session the handshake token belongs to
+  const sessionUser = getSocketUser(socket);
+  setSocketUser(socket, sessionUser);
+  if (sessionUser) {
+    const { passwordHash, securityAnswerHash, ...userToSend } = sessionUser;
+    socket.emit('login_success', userToSend);
+    logger.info(`Session resumed for ${sessionUser.username} on ${socket.id}`);
+  }
+
   socket.on('get_initial_state', () => {
     try {
       socket.emit('initial_state', {
-        gameState,
-        users: users.map(({ passwordHash, securityAnswerHash, ...rest }) => rest)
+        gameState: viewGame(getSocketGame(socket), getSocketUser(socket)),
+        users: users.map(({ passwordHash, securityAnswerHash, ...rest }) => rest),
+        games: listGames()
       });
     } catch (err) {
       logger.error(`Failed to send initial state to client ${socket.id}`, err);
@@ -591,12 +601,17 @@ io.on('connection', (socket) => {
   });
 
   // Auth
-  socket.on('login', ({ username, password }) => {
+  socket.on('login', guarded('login', ({ username, password }) => {
     try {
       const user = users.find(u => u.username.toLowerCase() === username.toLowerCase());
-      if (user && user.passwordHash === mockHash(password)) {
-        const { passwordHash, securityAnswerHash, ...userToSend } = user;
-        socket.emit('login_success', userToSend);
+      const { valid, needsRehash } = user ? verifySecret(password, user.passwordHash) : { valid: false };
+      if (valid) {
+        if (needsRehash) {
+          user.passwordHash = hashSecret(password);
+          debouncedSave();
+          logger.info(`Upgraded password hash for ${username}`);
+        }
+        sendSession(user);
         logger.info(`User logged in: ${username}`);
       } else {
         socket.emit('login_fail', 'Invalid username or password.');
@@ -606,9 +621,9 @@ io.on('connection', (socket) => {
       logger.error(`Error during login for ${username}`, err);
       socket.emit('login_fail', 'An error occurred during login.');
     }
-  });
+  }));
 
-  socket.on('register', (data) => {
+  socket.on('register', guarded('register', (data) => {
     try {
       if (!data || !data.username || !data.password) {
         return socket.emit('register_fail', 'Invalid registration data.');
@@ -621,17 +636,16 @@ io.on('connection', (socket) => {
       const newUser = {
         id: `user-${Date.now()}`,
         username: data.username,
-        passwordHash: mockHash(data.password),
+        passwordHash: hashSecret(data.password),
         role: 'player',
         securityQuestion: data.securityQuestion || SECURITY_QUESTIONS[0],
-        securityAnswerHash: mockHash((data.securityAnswer || '').toLowerCase().trim()),
+        securityAnswerHash: hashSecret(normalizeAnswer(data.securityAnswer)),
       };
       
       users.push(newUser);
       debouncedSave();
       
-      const { passwordHash, securityAnswerHash, ...userToSend } = newUser;
-      socket.emit('login_success', userToSend); // Auto-login
+      sendSession(newUser); // Auto-login
       emitUsers();
       
       logger.info(`New user registered: ${data.username}`);
@@ -639,10 +653,10 @@ io.on('connection', (socket) => {
       logger.error(`Error during registration for ${data?.username || 'unknown'}`, err);
       socket.emit('register_fail', 'An error occurred during registration.');
     }
-  });
+  }));
   
   // Simple password recovery stubs
-  socket.on('get_security_question', (username) => {
+  socket.on('get_security_question', guarded('get_security_question', (username) => {
     try {
       const user = users.find(u => u.username.toLowerCase() === username.toLowerCase());
       socket.emit('security_question', user ? user.securityQuestion : null);
@@ -650,24 +664,37 @@ io.on('connection', (socket) => {
       logger.error(`Error getting security question for ${username}`, err);
       socket.emit('security_question', null);
     }
-  });
+  }));
   
-  socket.on('verify_security_answer', ({username, answer}) => {
+  socket.on('verify_security_answer', guarded('verify_security_answer', ({username, answer}) => {
     try {
       const user = users.find(u => u.username.toLowerCase() === username.toLowerCase());
-      const isCorrect = user ? user.securityAnswerHash === mockHash((answer || '').toLowerCase().trim()) : false;
-      socket.emit('answer_verified', isCorrect);
+      const { valid, needsRehash } = user ? verifySecret(normalizeAnswer(answer), user.securityAnswerHash) : { valid: false };
+      if (valid) {
+        if (needsRehash) {
+          user.securityAnswerHash = hashSecret(normalizeAnswer(answer));
+          debouncedSave();
+        }
+        // Only this socket may reset this user's password, and only for a short while
+        socket.data.passwordReset = { userId: user.id, expires: Date.now() + PASSWORD_RESET_WINDOW_MS };
+      }
+      socket.emit('answer_verified', valid);
     } catch (err) {
       logger.error(`Error verifying security answer for ${username}`, err);
       socket.emit('answer_verified', false);
     }
-  });
+  }));
   
-  socket.on('reset_password', ({username, newPassword}) => {
+  socket.on('reset_password', guarded('reset_password', ({username, newPassword}) => {
     try {
       const userIndex = users.findIndex(u => u.username.toLowerCase() === username.toLowerCase());
-      if (userIndex !== -1) {
-        users[userIndex].passwordHash = mockHash(newPassword);
+      const grant = socket.data.passwordReset;
+      if (userIndex !== -1 && (!grant || grant.userId !== users[userIndex].id || grant.expires < Date.now())) {
+        socket.emit('reset_password_fail', 'Answer your security question before resetting the password.');
+        logger.warn(`Password reset for ${username} refused: security answer not verified on ${socket.id}`);
+      } else if (userIndex !== -1) {
+        delete socket.data.passwordReset;
+        users[userIndex].passwordHash = hashSecret(newPassword);
         debouncedSave();
         socket.emit('reset_password_success', 'Password reset successfully! You can now log in.');
         logger.info(`Password reset for user: ${username}`);
@@ -679,26 +706,119 @@ io.on('connection', (socket) => {
       logger.error(`Error resetting password for ${username}`, err);
       socket.emit('reset_password_fail', 'An error occurred.');
     }
+  }));
+
+  socket.on('logout', () => {
+    const user = getSocketUser(socket);
+    setSocketUser(socket, null);
+    socket.emit('gamestate_updated', viewGame(getSocketGame(socket), undefined));
+    if (user) logger.info(`User logged out: ${user.username}`);
+  });
+
+  // Lobby
+  socket.on('list_games', () => {
+    socket.emit('games_updated', listGames());
   });
 
+  // Switches the game this socket watches and plays in
+  socket.on('join_game', guarded('join_game', (gameId) => {
+    try {
+      const game = games.get(gameId);
+      if (!game) {
+        socket.emit('alert', "That game could not be found.");
+        return;
+      }
+      const user = getSocketUser(socket);
+      setSocketRooms(socket, game.id, user);
+      socket.emit('gamestate_updated', viewGame(game, user));
+      logger.info(`${user ? user.username : 'Anonymous'} (${socket.id}) joined game ${game.id}`);
+    } catch (err) {
+      logger.error(`Error joining game ${gameId}`, err);
+      socket.emit('alert', "Failed to join the game.");
+    }
+  }));
+
+  socket.on('create_game', guarded('create_game', ({ name, seed, mapSettings, turnSchedule }) => {
+    try {
+      const gameName = name.trim();
+      if (listGames().some(g => g.name.toLowerCase() === gameName.toLowerCase())) {
+        socket.emit('alert', "A game with that name already exists.");
+        return;
+      }
+      const state = getDefaultGameState({ gameName, seed, mapSettings: buildMapSettings(mapSettings), turnSchedule });
+      startTurnTimer(state);
+      const game = games.create(state);
+
+      // The admin goes straight to the new game to set it up
+      const user = getSocketUser(socket);
+      setSocketRooms(socket, game.id, user);
+      socket.emit('gamestate_updated', viewGame(game, user));
+      emitGames();
+      logger.info(`Game created: ${gameName} (${game.id}) by ${user.username}`);
+    } catch (err) {
+      logger.error(`Error creating game ${name}`, err);
+      socket.emit('alert', "Failed to create the game.");
+    }
+  }));
+
+  socket.on('archive_game', guarded('archive_game', (gameId) => {
+    try {
+      const game = games.get(gameId);
+      if (!game) {
+        socket.emit('alert', "That game could not be found.");
+        return;
+      }
+      if (game.id === DEFAULT_GAME_ID) {
+        socket.emit('alert', "The main campaign can't be archived.");
+        return;
+      }
+      const { name } = summarizeGame(game);
+      takeSnapshot(game, 'archive_game');
+      games.save(game, users);
+      const archivedDir = games.archive(game.id);
+
+      // Everyone still watching it is sent back to the default game
+      const main = games.getDefault();
+      const watching = io.sockets.adapter.rooms.get(gameRoom(game.id)) || new Set();
+      [...watching].map(id => io.sockets.sockets.get(id)).filter(Boolean).forEach(watcher => {
+        const watcherUser = getSocketUser(watcher);
+        setSocketRooms(watcher, main.id, watcherUser);
+        watcher.emit('gamestate_updated', viewGame(main, watcherUser));
+        watcher.emit('alert', `The game "${name}" has been archived.`);
+      });
+      emitGames();
+      logger.info(`Game archived: ${name} (${game.id}), files moved to ${archivedDir}`);
+    } catch (err) {
+      logger.error(`Error archiving game ${gameId}`, err);
+      socket.emit('alert', "Failed to archive the game.");
+    }
+  }));
+
   // Game Actions
-  socket.on('create_tribe', (newTribeData) => {
+  socket.on('create_tribe', guarded('create_tribe', (newTribeData) => {
     try {
-      const occupiedLocations = new Set(gameState.tribes.map(t => t.location));
-      const availableStart = gameState.startingLocations.find(loc => !occupiedLocations.has(loc));
+      const user = getSocketUser(socket);
+      const game = getSocketGame(socket);
+      const gameState = game.state;
+      if (gameState.tribes.some(t => t.playerId === user.id)) {
+        socket.emit('alert', "You already lead a tribe in this game.");
+        return;
+      }
+
+      const availableStart = findAvailableStart(gameState);
       if (!availableStart) {
         socket.emit('alert', "No available starting locations.");
         return;
       }
 
-      const startCoords = parseHexCoords(availableStart);
-      const initialExplored = getHexesInRange(startCoords, 2);
+      const initialExplored = getStartingVision(gameState.mapData, availableStart);
 
       const newTribe = {
         ...newTribeData,
         id: `tribe-${Date.now()}`,
+        playerId: user.id,
         location: availableStart,
-        globalResources: INITIAL_GLOBAL_RESOURCES,
+        globalResources: { ...INITIAL_GLOBAL_RESOURCES },
         garrisons: { [availableStart]: { ...INITIAL_GARRISON } },
         actions: [],
         turnSubmitted: false,
@@ -719,26 +839,30 @@ io.on('connection', (socket) => {
       });
 
       gameState.tribes.push(newTribe);
-      debouncedSave();
-      emitGameState();
+      debouncedSave(game);
+      emitGameState(game);
+      emitGames();
       
-      logger.info(`New tribe created: ${newTribe.tribeName} at ${newTribe.location}`);
+      logger.info(`New tribe created in game ${game.id}: ${newTribe.tribeName} at ${newTribe.location}`);
     } catch (err) {
       logger.error(`Error creating tribe`, err);
       socket.emit('alert', "Failed to create tribe. Please try again.");
     }
-  });
+  }));
 
-  socket.on('submit_turn', ({ tribeId, plannedActions, journeyResponses }) => {
+  socket.on('submit_turn', guarded('submit_turn', ({ tribeId, plannedActions, journeyResponses }) => {
     try {
-      const tribe = gameState.tribes.find(t => t.id === tribeId);
+      const game = getSocketGame(socket);
+      const tribe = game.state.tribes.find(t => t.id === tribeId);
       if (tribe) {
         tribe.actions = plannedActions;
         tribe.turnSubmitted = true;
         tribe.journeyResponses = journeyResponses;
-        debouncedSave();
-        emitGameState();
+        debouncedSave(game);
+        emitGameState(game);
         logger.info(`Turn submitted for tribe: ${tribe.tribeName}`);
+        // The last submission may start the grace period
+        checkTurnSchedule(game);
       } else {
         logger.warn(`Turn submission attempted for non-existent tribe: ${tribeId}`);
       }
@@ -746,36 +870,85 @@ io.on('connection', (socket) => {
       logger.error(`Error submitting turn for tribe ${tribeId}`, err);
       socket.emit('alert', "Failed to submit turn. Please try again.");
     }
-  });
+  }));
 
-  socket.on('process_turn', () => {
+  socket.on('get_start_balance_report', guarded('get_start_balance_report', () => {
     try {
-      // Add AI actions
-      gameState.tribes.forEach(tribe => {
-        if (tribe.isAI && !tribe.turnSubmitted) {
-          tribe.actions = generateAIActions(tribe, gameState.tribes, gameState.mapData);
-          tribe.turnSubmitted = true;
-        }
-      });
-      
-      gameState = processGlobalTurn(gameState);
-      debouncedSave(true); // Save immediately after turn processing
-      emitGameState();
-      
-      logger.info(`Turn ${gameState.turn} processed`);
+      const { state } = getSocketGame(socket);
+      socket.emit('start_balance_report', analyzeStartingLocations(state.mapData, state.startingLocations, state.mapSettings));
+    } catch (err) {
+      logger.error(`Error building start balance report`, err);
+      socket.emit('alert', "Failed to analyze starting locations.");
+    }
+  }));
+
+  socket.on('get_history', guarded('get_history', (range) => {
+    try {
+      socket.emit('turn_history', getTurnHistory(getSocketGame(socket), getSocketUser(socket), range));
+    } catch (err) {
+      logger.error(`Error sending turn history`, err);
+      socket.emit('alert', "Failed to load turn history.");
+    }
+  }));
+
+  socket.on('set_turn_schedule', guarded('set_turn_schedule', (schedule) => {
+    try {
+      const game = getSocketGame(socket);
+      game.state.turnSchedule = { ...DEFAULT_TURN_SCHEDULE, ...schedule };
+      // The new schedule counts from now, so a daily time that already passed this turn doesn't end it at once
+      startTurnTimer(game.state);
+      debouncedSave(game);
+      emitGameState(game);
+      emitGames();
+      logger.info(`Turn schedule of game ${game.id} updated: ${JSON.stringify(game.state.turnSchedule)}`);
+    } catch (err) {
+      logger.error(`Error updating turn schedule`, err);
+      socket.emit('alert', "Failed to update the turn schedule.");
+    }
+  }));
+
+  socket.on('list_snapshots', guarded('list_snapshots', () => {
+    try {
+      socket.emit('snapshot_list', getSocketGame(socket).snapshots.list());
+    } catch (err) {
+      logger.error(`Error listing snapshots`, err);
+      socket.emit('alert', "Failed to list snapshots.");
+    }
+  }));
+
+  socket.on('restore_snapshot', guarded('restore_snapshot', (which) => {
+    try {
+      const game = getSocketGame(socket);
+      const restored = restoreSnapshot(game, which);
+      socket.emit('alert', restored
+        ? `Game restored to turn ${restored.snapshot.turn} (snapshot taken ${restored.snapshot.takenAt}). ${describeAccountsKept(restored.accountsAdded)}`
+        : "No matching snapshot found.");
+      socket.emit('snapshot_list', game.snapshots.list());
+    } catch (err) {
+      logger.error(`Error restoring snapshot`, err);
+      socket.emit('alert', "Failed to restore snapshot.");
+    }
+  }));
+
+  socket.on('process_turn', guarded('process_turn', () => {
+    try {
+      processTurn(getSocketGame(socket), `by ${getSocketUser(socket).username}`);
     } catch (err) {
       logger.error(`Error processing turn`, err);
       socket.emit('alert', "Failed to process turn. Please try again.");
     }
-  });
+  }));
   
   // All other actions follow this pattern: find data, update, save, broadcast.
+  // They act on the game the socket is watching.
   const createGenericHandler = (updateLogic) => (payload) => {
+    const game = getSocketGame(socket);
     try {
-      updateLogic(gameState, users, payload);
-      debouncedSave();
-      emitGameState();
+      updateLogic(game.state, users, payload);
+      debouncedSave(game);
+      emitGameState(game);
       emitUsers();
+      emitGames();
     } catch (err) {
       logger.error(`Error in generic handler for ${updateLogic.name || 'unknown action'}`, err);
       socket.emit('alert', "An error occurred. Please try again.");
@@ -784,33 +957,67 @@ io.on('connection', (socket) => {
 
   const actionHandlers = {
     'update_tribe': (state, users, updatedTribe) => { 
-      state.tribes = state.tribes.map(t => t.id === updatedTribe.id ? updatedTribe : t);
-      logger.debug(`Tribe updated: ${updatedTribe.tribeName}`);
+      if (isAdmin(getSocketUser(socket))) {
+        state.tribes = state.tribes.map(t => t.id === updatedTribe.id ? updatedTribe : t);
+        logger.debug(`Tribe updated: ${updatedTribe.tribeName}`);
+        return;
+      }
+      // Players can only cancel their research here; everything else changes through turn actions
+      const tribe = state.tribes.find(t => t.id === updatedTribe.id);
+      if (updatedTribe.currentResearch === null && tribe.currentResearch) {
+        tribe.currentResearch = null;
+        logger.debug(`Research cancelled by ${tribe.tribeName}`);
+      }
     },
     'remove_player': (state, users, userId) => { 
       state.tribes = state.tribes.filter(t => t.playerId !== userId);
       users = users.filter(u => u.id !== userId);
       logger.info(`Player removed: ${userId}`);
     },
+    // Starts the watched game over; other games carry on
     'start_new_game': (state) => {
+      takeSnapshot(getSocketGame(socket), 'start_new_game');
       state.tribes = []; 
       state.chiefRequests = []; 
       state.assetRequests = [];
       state.journeys = []; 
       state.turn = 1; 
       state.diplomaticProposals = []; 
+      state.tradeOffers = [];
+      state.treaties = [];
+      state.chatMessages = [];
       state.history = [];
-      logger.info(`New game started`);
+      startTurnTimer(state);
+      logger.info(`New game started in ${getSocketGame(socket).id}`);
     },
     'load_backup': (state, users, backup) => { 
-      gameState = backup.gameState; 
-      users = backup.users;
-      logger.info(`Backup loaded: ${users.length} users, ${gameState.tribes.length} tribes`);
+      const game = getSocketGame(socket);
+      takeSnapshot(game, 'load_backup');
+      const accountsAdded = replaceGameData(game, backup);
+      logger.info(`Backup loaded into game ${game.id}: ${game.state.tribes.length} tribes`);
+      socket.emit('alert', `Backup loaded. ${describeAccountsKept(accountsAdded)}`);
     },
     'update_map': (state, users, {newMapData, newStartingLocations}) => {
+      takeSnapshot(getSocketGame(socket), 'update_map');
       state.mapData = newMapData;
       state.startingLocations = newStartingLocations;
       logger.info(`Map updated: ${newMapData.length} hexes, ${newStartingLocations.length} starting locations`);
+      socket.emit('start_balance_report', analyzeStartingLocations(state.mapData, state.startingLocations, state.mapSettings));
+    },
+    'regenerate_map': (state, users, { seed, settings } = {}) => {
+      if (state.tribes.length > 0) {
+        socket.emit('alert', "Start a new game before regenerating the map.");
+        return;
+      }
+      const mapSeed = Number.isFinite(seed) ? seed : Date.now();
+      const mapSettings = buildMapSettings(settings);
+      const { map, startingLocations } = generateMapData(DEFAULT_MAP_RADIUS, mapSeed, mapSettings);
+      state.mapData = map;
+      state.startingLocations = startingLocations;
+      state.mapSeed = mapSeed;
+      state.mapSettings = mapSettings;
+      logger.info(`Map regenerated from seed ${mapSeed}: ${map.length} hexes`);
+      socket.emit('start_balance_report', analyzeStartingLocations(map, startingLocations, mapSettings));
     },
     'request_chief': (state, users, payload) => { 
       state.chiefRequests.push({ id: `req-${Date.now()}`, ...payload, status: 'pending' });
@@ -823,14 +1030,16 @@ io.on('connection', (socket) => {
         const tribe = state.tribes.find(t => t.id === req.tribeId);
         const chiefData = ALL_CHIEFS.find(c => c.name === req.chiefName);
         if(tribe && chiefData) {
-          if (!tribe.garrisons[tribe.location]) {
-            tribe.garrisons[tribe.location] = { ...INITIAL_GARRISON };
+          // The requested garrison may have been lost since; the chief then reports home
+          const location = req.location && tribe.garrisons[req.location] ? req.location : tribe.location;
+          if (!tribe.garrisons[location]) {
+            tribe.garrisons[location] = { ...INITIAL_GARRISON };
           }
-          if (!tribe.garrisons[tribe.location].chiefs) {
-            tribe.garrisons[tribe.location].chiefs = [];
+          if (!tribe.garrisons[location].chiefs) {
+            tribe.garrisons[location].chiefs = [];
           }
-          tribe.garrisons[tribe.location].chiefs.push(chiefData);
-          logger.info(`Chief approved: ${req.chiefName} for tribe ${tribe.tribeName}`);
+          tribe.garrisons[location].chiefs.push(chiefData);
+          logger.info(`Chief approved: ${req.chiefName} for tribe ${tribe.tribeName} at ${location}`);
         } else {
           logger.warn(`Failed to add chief: tribe or chief data not found`);
         }
@@ -870,80 +1079,124 @@ io.on('connection', (socket) => {
         logger.info(`Asset request denied: ${reqId}`);
       }
     },
-    'add_ai_tribe': (state) => {
-      const occupied = new Set(state.tribes.map(t => t.location));
-      const start = state.startingLocations.find(loc => !occupied.has(loc));
+    'add_ai_tribe': (state, users, options = {}) => {
+      const start = findAvailableStart(state);
       if (start) {
-        const aiTribe = generateAITribe(start, state.tribes.map(t => t.tribeName));
+        const aiTribe = generateAITribe(start, state, options);
         state.tribes.forEach(t => {
-          aiTribe.diplomacy[t.id] = { status: DIPLOMATIC_STATUS.War };
-          t.diplomacy[aiTribe.id] = { status: DIPLOMATIC_STATUS.War };
+          // Traders keep the peace; every other personality starts at war with everyone
+          const status = aiTribe.aiType === AI_TYPES.Trader || t.aiType === AI_TYPES.Trader
+            ? DIPLOMATIC_STATUS.Neutral
+            : DIPLOMATIC_STATUS.War;
+          aiTribe.diplomacy[t.id] = { status };
+          t.diplomacy[aiTribe.id] = { status };
         });
         state.tribes.push(aiTribe);
-        logger.info(`AI tribe added: ${aiTribe.tribeName} at ${aiTribe.location}`);
+        logger.info(`AI tribe added: ${aiTribe.tribeName} (${aiTribe.aiType}, ${aiTribe.aiDifficulty}) at ${aiTribe.location}`);
       } else {
         logger.warn(`Failed to add AI tribe: no available starting locations`);
       }
     },
     'propose_alliance': (state, users, { fromTribeId, toTribeId }) => {
-      const fromTribe = state.tribes.find(t => t.id === fromTribeId);
-      if(fromTribe) {
-        state.diplomaticProposals.push({ 
-          id: `proposal-${Date.now()}`, 
-          fromTribeId, 
-          toTribeId, 
-          statusChangeTo: DIPLOMATIC_STATUS.Alliance, 
-          expiresOnTurn: state.turn + 3, 
-          fromTribeName: fromTribe.tribeName 
-        });
-        logger.info(`Alliance proposed: from ${fromTribe.tribeName} to tribe ${toTribeId}`);
+      const { proposal, error } = createProposal(state, { fromTribeId, toTribeId, treatyType: TREATY_TYPES.Alliance });
+      if (error) {
+        socket.emit('alert', error);
+        return;
       }
+      logger.info(`Alliance proposed: from ${proposal.fromTribeName} to tribe ${toTribeId}`);
     },
-    'sue_for_peace': (state, users, { fromTribeId, toTribeId, reparations }) => {
-      const fromTribe = state.tribes.find(t => t.id === fromTribeId);
-      if(fromTribe) {
-        state.diplomaticProposals.push({ 
-          id: `proposal-${Date.now()}`, 
-          fromTribeId, 
-          toTribeId, 
-          statusChangeTo: DIPLOMATIC_STATUS.Neutral, 
-          expiresOnTurn: state.turn + 3, 
-          fromTribeName: fromTribe.tribeName, 
-          reparations 
-        });
-        logger.info(`Peace proposal: from ${fromTribe.tribeName} to tribe ${toTribeId}`);
+    'sue_for_peace': (state, users, { fromTribeId, toTribeId, reparations, tribute }) => {
+      const { proposal, error } = createProposal(state, { fromTribeId, toTribeId, treatyType: TREATY_TYPES.Peace, reparations, tribute });
+      if (error) {
+        socket.emit('alert', error);
+        return;
+      }
+      logger.info(`Peace proposal: from ${proposal.fromTribeName} to tribe ${toTribeId}`);
+    },
+    'propose_treaty': (state, users, payload) => {
+      const { proposal, error } = createProposal(state, payload);
+      if (error) {
+        socket.emit('alert', error);
+        return;
       }
+      logger.info(`${TREATY_NAMES[proposal.treatyType]} proposed: from ${proposal.fromTribeName} to tribe ${proposal.toTribeId}`);
+    },
+    'cancel_treaty': (state, users, payload) => {
+      const { treaty, penalized, error } = cancelTreaty(state, payload);
+      if (error) {
+        socket.emit('alert', error);
+        return;
+      }
+      logger.info(`Treaty renounced: ${treaty.id} (${treaty.type}) by tribe ${payload.tribeId}${penalized ? ', breach recorded' : ''}`);
     },
     'declare_war': (state, users, { fromTribeId, toTribeId }) => {
       const fromTribe = state.tribes.find(t => t.id === fromTribeId);
       const toTribe = state.tribes.find(t => t.id === toTribeId);
-      if(fromTribe && toTribe) {
-        fromTribe.diplomacy[toTribeId] = { status: DIPLOMATIC_STATUS.War };
-        toTribe.diplomacy[fromTribeId] = { status: DIPLOMATIC_STATUS.War };
-        logger.info(`War declared: ${fromTribe.tribeName} against ${toTribe.tribeName}`);
+      const blocker = getWarBlocker(state, fromTribe, toTribe);
+      if (blocker) {
+        socket.emit('alert', blocker);
+        return;
       }
+      const broken = declareWar(state, fromTribe, toTribe);
+      logger.info(`War declared: ${fromTribe.tribeName} against ${toTribe.tribeName}` +
+        (broken.length > 0 ? `, breaking ${broken.map(t => TREATY_NAMES[t.type]).join(', ')}` : ''));
     },
     'accept_proposal': (state, users, proposalId) => {
-      const proposal = state.diplomaticProposals.find(p => p.id === proposalId);
-      if (!proposal) return;
-      const fromTribe = state.tribes.find(t => t.id === proposal.fromTribeId);
-      const toTribe = state.tribes.find(t => t.id === proposal.toTribeId);
-      if (!fromTribe || !toTribe) return;
-      
-      // Simplified logic for acceptance
-      fromTribe.diplomacy[toTribe.id] = { status: proposal.statusChangeTo };
-      toTribe.diplomacy[fromTribe.id] = { status: proposal.statusChangeTo };
-      state.diplomaticProposals = state.diplomaticProposals.filter(p => p.id !== proposalId);
-      logger.info(`Proposal accepted: ${proposal.id} from ${fromTribe.tribeName} to ${toTribe.tribeName}`);
+      const { treaty, error } = acceptProposal(state, proposalId);
+      if (error) {
+        socket.emit('alert', error);
+        return;
+      }
+      logger.info(`Proposal accepted: ${proposalId}, ${treaty.type} treaty between ${treaty.tribeIds.join(' and ')}`);
     },
     'reject_proposal': (state, users, proposalId) => {
       state.diplomaticProposals = state.diplomaticProposals.filter(p => p.id !== proposalId);
       logger.info(`Proposal rejected: ${proposalId}`);
+    },
+    'propose_trade': (state, users, payload) => {
+      const { trade, error } = createTradeOffer(state, payload);
+      if (error) {
+        socket.emit('alert', error);
+        return;
+      }
+      logger.info(`Trade offered: ${trade.fromTribeName} to tribe ${trade.toTribeId}, ${describeGoods(trade.offer)} for ${describeGoods(trade.request)}`);
+    },
+    'accept_trade': (state, users, payload) => {
+      const { trade, error } = acceptTradeOffer(state, payload);
+      if (error) {
+        socket.emit('alert', error);
+        return;
+      }
+      logger.info(`Trade accepted: ${trade.id} from ${trade.fromTribeName} to tribe ${trade.toTribeId}`);
+    },
+    'reject_trade': (state, users, payload) => {
+      const { trade, error } = cancelTradeOffer(state, payload);
+      if (error) {
+        socket.emit('alert', error);
+        return;
+      }
+      logger.info(`Trade ${payload.tribeId === trade.fromTribeId ? 'withdrawn' : 'rejected'}: ${trade.id}`);
+    },
+    'send_message': (state, users, payload) => {
+      const { message, error } = sendMessage(state, payload);
+      if (error) {
+        socket.emit('alert', error);
+        return;
+      }
+      logger.debug(`Chat message on ${message.channel} from ${message.fromName}`);
+    },
+    'send_announcement': (state, users, { text }) => {
+      const { message } = postAnnouncement(state, { fromName: getSocketUser(socket).username, text });
+      logger.info(`Announcement posted by ${message.fromName}`);
+    },
+    'mark_chat_read': (state, users, payload) => {
+      const { error } = markConversationRead(state, payload);
+      if (error) socket.emit('alert', error);
     }
   };
   
   for (const [action, handler] of Object.entries(actionHandlers)) {
-    socket.on(action, createGenericHandler(handler));
+    socket.on(action, guarded(action, createGenericHandler(handler)));
   }
 
   socket.on('disconnect', () => {
@@ -951,6 +1204,73 @@ io.on('connection', (socket) => {
   });
 });
 
+// --- REST API ---
+// Same session tokens as the socket handshake, sent as "Authorization: Bearer <token>"
+const requireUser = (req, res, next) => {
+  const header = req.get('authorization') || '';
+  const session = verifySessionToken(header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null);
+  req.user = session && users.find(u => u.id === session.sub);
+  if (!req.user) return res.status(401).json({ code: 'unauthenticated', message: 'You must be logged in to do that.' });
+  next();
+};
+
+const requireAdmin = [requireUser, (req, res, next) => {
+  if (!isAdmin(req.user)) return res.status(403).json({ code: 'forbidden', message: 'Only an admin can do that.' });
+  next();
+}];
+
+// Requests act on the default game unless they name another with ?game=<id>
+const requireGame = (req, res, next) => {
+  req.game = games.get(req.query.game || DEFAULT_GAME_ID);
+  if (!req.game) return res.status(404).json({ code: 'not_found', message: 'That game could not be found.' });
+  next();
+};
+
+const parseTurnParam = (value) => (value === undefined ? undefined : Number(value));
+
+app.get('/api/games', (req, res) => {
+  res.json(listGames());
+});
+
+// Turn history for the growth chart and replays: /api/history?from=3&to=8, or one turn with /api/history/5
+app.get('/api/history', requireUser, requireGame, (req, res) => {
+  const range = { fromTurn: parseTurnParam(req.query.from), toTurn: parseTurnParam(req.query.to) };
+  const rejection = validatePayload('get_history', range, req.game.state);
+  if (rejection) return res.status(400).json(rejection);
+  res.json({ turn: req.game.state.turn, history: getTurnHistory(req.game, req.user, range) });
+});
+
+app.get('/api/history/:turn', requireUser, requireGame, (req, res) => {
+  const turn = parseTurnParam(req.params.turn);
+  const rejection = validatePayload('get_history', { fromTurn: turn, toTurn: turn }, req.game.state);
+  if (rejection) return res.status(400).json(rejection);
+  const [record] = getTurnHistory(req.game, req.user, { fromTurn: turn, toTurn: turn });
+  if (!record) return res.status(404).json({ code: 'not_found', message: `Turn ${turn} has no history yet.` });
+  res.json(record);
+});
+
+app.get('/api/admin/snapshots', requireAdmin, requireGame, (req, res) => {
+  try {
+    res.json(req.game.snapshots.list());
+  } catch (err) {
+    logger.error(`Error listing snapshots`, err);
+    res.status(500).json({ code: 'server_error', message: 'Failed to list snapshots.' });
+  }
+});
+
+app.post('/api/admin/snapshots/restore', express.json(), requireAdmin, requireGame, (req, res) => {
+  const rejection = validatePayload('restore_snapshot', req.body, req.game.state);
+  if (rejection) return res.status(400).json(rejection);
+  try {
+    const restored = restoreSnapshot(req.game, req.body);
+    if (!restored) return res.status(404).json({ code: 'not_found', message: 'No matching snapshot found.' });
+    res.json({ ...restored.snapshot, accountsAdded: restored.accountsAdded });
+  } catch (err) {
+    logger.error(`Error restoring snapshot`, err);
+    res.status(500).json({ code: 'server_error', message: 'Failed to restore snapshot.' });
+  }
+});
+
 // --- STATIC FILE SERVING ---
 app.use(express.static(path.join(__dirname, 'public')));
 app.get('*', (req, res) => {
@@ -986,6 +1306,7 @@ const gracefulShutdown = (signal) => {
   
   isShuttingDown = true;
   logger.info(`${signal} received. Shutting down gracefully...`);
+  clearInterval(turnScheduleInterval);
   
   try {
     // Save data one last time
@@ -1001,6 +1322,11 @@ const gracefulShutdown = (signal) => {
     io.close(() => {
       server.close(() => {
         logger.info('Closed out remaining connections.');
+        try {
+          games.close();
+        } catch (closeErr) {
+          logger.error(`Error closing storage`, closeErr);
+        }
         
         // In development with nodemon, exit with code 0 to prevent restart
         if (process.env.NODE_ENV === 'development') {
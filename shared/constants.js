@@ -91,6 +91,24 @@ const DIPLOMATIC_STATUS = {
   Alliance: 'Alliance',
 };
 
+// Kinds of treaty two tribes can sign (mirrors TreatyType in types.ts)
+const TREATY_TYPES = {
+  Peace: 'Peace',
+  Alliance: 'Alliance',
+  NonAggression: 'Non-Aggression Pact',
+  Vassalage: 'Vassalage',
+  SharedVision: 'Shared Vision',
+  MilitaryAccess: 'Military Access',
+};
+
+// Chat channels (mirrors ChatChannel in types.ts)
+const CHAT_CHANNELS = {
+  Direct: 'direct',
+  Alliance: 'alliance',
+  Global: 'global',
+  Announcement: 'announcement',
+};
+
 // POI symbols for map display
 const POI_SYMBOLS = {
   [POI_TYPES.Scrapyard]: 'S',
@@ -109,6 +127,74 @@ const POI_SYMBOLS = {
   [POI_TYPES.Radiation]: '☣',
 };
 
+// POI rarity, used to weight how often each POI type appears on generated maps
+const POI_RARITY_MAP = {
+  [POI_TYPES.FoodSource]: 'Common',
+  [POI_TYPES.Scrapyard]: 'Common',
+  [POI_TYPES.Ruins]: 'Common',
+  [POI_TYPES.Outpost]: 'Uncommon',
+  [POI_TYPES.WeaponsCache]: 'Uncommon',
+  [POI_TYPES.BanditCamp]: 'Uncommon',
+  [POI_TYPES.Settlement]: 'Rare',
+  [POI_TYPES.ResearchLab]: 'Rare',
+  [POI_TYPES.Mine]: 'Rare',
+  [POI_TYPES.Factory]: 'Rare',
+  [POI_TYPES.Battlefield]: 'Rare',
+  [POI_TYPES.Vault]: 'Very Rare',
+  [POI_TYPES.Crater]: 'Rare',
+  [POI_TYPES.Radiation]: 'Very Rare',
+};
+
+// Action types (enum equivalent, mirrors ActionType in types.ts)
+const ACTION_TYPES = {
+  Move: 'Move',
+  Scout: 'Scout',
+  Scavenge: 'Scavenge',
+  Recruit: 'Recruit',
+  Attack: 'Attack',
+  Rest: 'Rest',
+  Explore: 'Explore',
+  StartResearch: 'Start Research',
+  BuildWeapons: 'Build Weapons',
+  BuildOutpost: 'Build Outpost',
+  SupplyOutpost: 'Supply Outpost',
+  Trade: 'Trade',
+  Defend: 'Defend',
+  SetRations: 'Set Rations',
+  Return: 'Return',
+  Upkeep: 'Upkeep',
+  Technology: 'Technology',
+  RespondToTrade: 'Respond to Trade',
+};
+
+// Journey types (mirrors JourneyType in types.ts)
+const JOURNEY_TYPES = {
+  Move: 'Move',
+  Attack: 'Attack',
+  Scavenge: 'Scavenge',
+  Trade: 'Trade',
+  Return: 'Return',
+  Scout: 'Scout',
+  BuildOutpost: 'Build Outpost',
+};
+
+// Answers a player can give to a journey waiting on them (mirrors JourneyResponse in types.ts)
+const JOURNEY_RESPONSES = ['accept', 'reject', 'continue', 'retreat'];
+
+// AI personalities (mirrors AIType in types.ts)
+const AI_TYPES = {
+  Wanderer: 'Wanderer', // Explores and scavenges, fights only easy battles
+  Aggressor: 'Aggressor', // Arms up and attacks weaker neighbours
+  Turtle: 'Turtle', // Digs in, defends and builds weapons
+  Trader: 'Trader', // Expands, gathers and trades; starts at peace
+};
+
+// AI difficulty levels
+const AI_DIFFICULTIES = ['Easy', 'Normal', 'Hard'];
+
+// Ration levels a tribe can choose from
+const RATION_LEVELS = ['Hard', 'Normal', 'Generous'];
+
 // Default map settings
 const DEFAULT_MAP_SETTINGS = {
   biases: {
@@ -122,7 +208,9 @@ const DEFAULT_MAP_SETTINGS = {
     [TERRAIN_TYPES.Radiation]: 0.5,
     [TERRAIN_TYPES.Crater]: 0.7,
     [TERRAIN_TYPES.Swamp]: 0.9
-  }
+  },
+  startSpacing: 6, // Minimum hex distance between starting locations
+  startBalanceRadius: 4 // Radius checked for nearby food and scrap when balancing starts
 };
 
 // Export all constants
@@ -136,6 +224,15 @@ module.exports = {
   TERRAIN_TYPES,
   POI_TYPES,
   DIPLOMATIC_STATUS,
+  TREATY_TYPES,
+  CHAT_CHANNELS,
   POI_SYMBOLS,
+  POI_RARITY_MAP,
+  ACTION_TYPES,
+  JOURNEY_TYPES,
+  JOURNEY_RESPONSES,
+  AI_TYPES,
+  AI_DIFFICULTIES,
+  RATION_LEVELS,
   DEFAULT_MAP_SETTINGS
 };
@@ -39,9 +39,15 @@ export interface Journey {
         request: { food: number, scrap: number, weapons: number };
         fromTribeName: string;
     };
-    status: 'en_route' | 'awaiting_response' | 'returning';
+    status: 'en_route' | 'awaiting_response' | 'returning' | 'halted';
+    haltReason?: string; // Why a halted journey stopped
+    resumeStatus?: 'en_route' | 'returning'; // What a halted journey goes back to if told to continue
+    interceptedBy?: string[]; // Hostile garrisons that have already struck at this journey
+    targetTribeId?: string; // The tribe an Attack or Trade journey is headed for
 }
 
+export type JourneyResponse = 'accept' | 'reject' | 'continue' | 'retreat';
+
 
 export interface TribeStats {
   charisma: number;
@@ -78,6 +84,7 @@ export interface ChiefRequest {
     tribeId: string;
     chiefName: string;
     radixAddressSnippet: string;
+    location?: string; // Garrison the chief joins once approved; home if unset
     status: ChiefRequestStatus;
 }
 
@@ -98,6 +105,7 @@ export enum TechnologyEffectType {
   CombatBonusAttack = 'COMBAT_BONUS_ATTACK',
   CombatBonusDefense = 'COMBAT_BONUS_DEFENSE',
   MovementSpeedBonus = 'MOVEMENT_SPEED_BONUS',
+  VisibilityRangeBonus = 'VISIBILITY_RANGE_BONUS',
 }
 
 export interface TechnologyEffect {
@@ -135,14 +143,28 @@ export interface ResearchProject {
 
 export enum AIType {
   Wanderer = 'Wanderer',
+  Aggressor = 'Aggressor',
+  Turtle = 'Turtle',
+  Trader = 'Trader',
 }
 
+export type AIDifficulty = 'Easy' | 'Normal' | 'Hard';
+
 export enum DiplomaticStatus {
     War = 'War',
     Neutral = 'Neutral',
     Alliance = 'Alliance',
 }
 
+export enum TreatyType {
+    Peace = 'Peace',
+    Alliance = 'Alliance',
+    NonAggression = 'Non-Aggression Pact',
+    Vassalage = 'Vassalage',
+    SharedVision = 'Shared Vision',
+    MilitaryAccess = 'Military Access',
+}
+
 export interface DiplomaticRelation {
     status: DiplomaticStatus;
     truceUntilTurn?: number; // Turn number until which war cannot be declared
@@ -152,7 +174,9 @@ export interface DiplomaticProposal {
     id:string;
     fromTribeId: string;
     toTribeId: string;
-    statusChangeTo: DiplomaticStatus.Alliance | DiplomaticStatus.Neutral; // Alliance or Peace
+    statusChangeTo?: DiplomaticStatus.Alliance | DiplomaticStatus.Neutral; // Only on older proposals, which lack treatyType
+    treatyType?: TreatyType; // Missing on older proposals: Alliance or Peace, going by statusChangeTo
+    vassalTribeId?: string; // For vassalage, which of the two tribes becomes the vassal
     expiresOnTurn: number;
     fromTribeName: string;
     reparations?: {
@@ -160,6 +184,79 @@ export interface DiplomaticProposal {
         scrap: number;
         weapons: number;
     };
+    tribute?: TributeTerms; // Paid by the proposer every turn once accepted
+}
+
+export interface TributeTerms {
+    food: number;
+    scrap: number;
+    weapons: number;
+    turns: number;
+}
+
+// Recorded when a proposal is accepted; torn up by war, or renounced by either side
+export interface Treaty {
+    id: string;
+    type: TreatyType;
+    tribeIds: [string, string];
+    signedOnTurn: number;
+    truceUntilTurn: number; // Neither side may declare war before this turn
+    expiresOnTurn?: number; // Non-aggression pacts lapse after this turn
+    vassalTribeId?: string;
+    tribute?: {
+        fromTribeId: string;
+        toTribeId: string;
+        food: number;
+        scrap: number;
+        weapons: number;
+        turnsLeft: number;
+    };
+}
+
+// A broken treaty, on the breaker's public record
+export interface TreatyBreach {
+    turn: number;
+    treatyType: TreatyType;
+    againstTribeId: string;
+    againstTribeName: string;
+}
+
+export enum ChatChannel {
+    Direct = 'direct',
+    Alliance = 'alliance',
+    Global = 'global',
+    Announcement = 'announcement',
+}
+
+export interface ChatMessage {
+    id: string;
+    channel: ChatChannel;
+    fromTribeId: string | null; // null for admin announcements
+    fromName: string;
+    recipientTribeIds: string[]; // The other tribe for direct messages, the sender's allies for alliance ones
+    text: string;
+    turn: number;
+    sentAt: number; // Epoch milliseconds
+}
+
+// One side of a trade offer between tribes
+export interface TradeGoods {
+    food: number;
+    scrap: number;
+    weapons: number;
+    troops: number;
+    assets: string[];
+}
+
+export interface TradeOffer {
+    id: string;
+    fromTribeId: string;
+    toTribeId: string;
+    fromTribeName: string;
+    fromLocation: string; // Garrison the offered troops and weapons left from, and the requested ones go to
+    offer: TradeGoods; // Held in escrow until the offer is answered
+    request: TradeGoods;
+    expiresOnTurn: number;
 }
 
 export interface Tribe {
@@ -167,6 +264,7 @@ export interface Tribe {
   playerId: string; // The ID of the user who owns this tribe
   isAI?: boolean;
   aiType?: AIType | null;
+  aiDifficulty?: AIDifficulty;
   playerName: string;
   tribeName: string;
   icon: string;
@@ -183,8 +281,11 @@ export interface Tribe {
   completedTechs: string[];
   assets: string[]; // List of owned asset names
   currentResearch: ResearchProject | null;
-  journeyResponses: { journeyId: string; response: 'accept' | 'reject' }[];
+  journeyResponses: { journeyId: string; response: JourneyResponse }[];
   diplomacy: Record<string, DiplomaticRelation>; // Key is other tribe's ID
+  reputation?: number; // 0-100, lowered by breaking treaties; 100 if missing
+  treatyBreaches?: TreatyBreach[]; // Most recent first
+  chatReadUpTo?: Record<string, number>; // Per conversation key ("global", "alliance", "direct:<tribe id>", ...), sentAt of the last message read
 }
 
 export enum ActionType {
@@ -257,6 +358,7 @@ export interface POI {
     type: POIType;
     difficulty: number; // 1-10
     rarity: POIRarity;
+    richness?: number; // Resources left before the site is exhausted; absent until first harvested on older maps
 }
 
 export interface HexData {
@@ -281,21 +383,99 @@ export type TerrainBiases = {
 
 export interface MapSettings {
     biases: TerrainBiases;
+    startSpacing?: number; // Minimum hex distance between starting locations
+    startBalanceRadius?: number; // Radius checked for nearby food and scrap POIs
+}
+
+export interface StartBalanceEntry {
+    location: string;
+    valid: boolean;
+    terrain?: TerrainType;
+    nearestStart: number | null;
+    food?: number;
+    scrap?: number;
+    landShare?: number;
+}
+
+export interface StartBalanceReport {
+    settings: { startSpacing: number; startBalanceRadius: number };
+    starts: StartBalanceEntry[];
+    summary: {
+        count: number;
+        food: { min: number; max: number };
+        scrap: { min: number; max: number };
+        minSpacing: number | null;
+        balanced: boolean;
+    };
+    warnings: string[];
+}
+
+export interface SnapshotInfo {
+    id: string;
+    takenAt: string; // ISO timestamp
+    turn: number;
+    reason: 'process_turn' | 'start_new_game' | 'update_map' | 'load_backup' | 'restore' | 'archive_game';
+    size: number; // Bytes on disk (gzipped)
 }
 
+// Other tribes' records only carry tribeId and score; the rest is visible to the tribe itself (and admins)
 export interface TribeHistoryRecord {
     tribeId: string;
     score: number;
-    troops: number;
-    garrisons: number;
+    troops?: number;
+    weapons?: number;
+    garrisons?: number;
+    food?: number;
+    scrap?: number;
+    morale?: number;
+    territory?: string[]; // Hexes holding a garrison
+    techs?: string[];
+    hexCount?: number; // Explored hexes
+}
+
+// What changed for a tribe while a turn resolved. Numeric fields are deltas; unchanged fields are omitted.
+export interface TribeTurnDiff {
+    tribeId: string;
+    joined?: boolean;
+    eliminated?: boolean;
+    score?: number;
+    troops?: number;
+    weapons?: number;
+    food?: number;
+    scrap?: number;
+    morale?: number;
+    hexCount?: number;
+    territoryGained?: string[];
+    territoryLost?: string[];
+    techsGained?: string[];
 }
 
 export interface TurnHistoryRecord {
     turn: number;
     tribeRecords: TribeHistoryRecord[];
+    diff?: TribeTurnDiff[];
+}
+
+export interface TurnSchedule {
+    enabled: boolean;
+    dailyAt: string | null; // "HH:MM" in timeZone
+    timeZone: string; // IANA name, e.g. "Europe/Berlin"
+    graceMinutes: number | null; // Process this long after every human tribe has submitted
+    reminderMinutes: number[]; // Remind players who haven't submitted this many minutes before the deadline
+}
+
+export interface TurnTimer {
+    startedAt: string; // ISO timestamp
+    deadline: string | null; // ISO timestamp; null when the turn only advances manually
+    reason: 'daily' | 'all_submitted' | null;
+    allSubmittedAt: string | null;
+    remindersSent: number[];
 }
 
 export interface GameState {
+    gameId?: string; // Which of the server's games this is, sent by the server
+    gameName?: string;
+    createdAt?: string; // ISO timestamp
     mapData: HexData[];
     tribes: Tribe[];
     turn: number;
@@ -304,19 +484,37 @@ export interface GameState {
     assetRequests: AssetRequest[];
     journeys: Journey[];
     diplomaticProposals: DiplomaticProposal[];
+    tradeOffers?: TradeOffer[];
+    treaties?: Treaty[];
+    chatMessages?: ChatMessage[]; // Players only receive the messages they are party to
+    chatUnread?: Record<string, number>; // Unread messages per conversation key, sent by the server
     history?: TurnHistoryRecord[];
+    turnSchedule?: TurnSchedule;
+    turnTimer?: TurnTimer | null;
+    territory?: { [hexKey: string]: string }; // Tribe id controlling each hex, sent by the server
     // These are now primarily for use within the map editor for generating new base maps
     mapSeed?: number; 
     mapSettings?: MapSettings;
 }
 
+// What the lobby shows of each game on the server
+export interface GameSummary {
+    id: string;
+    name: string;
+    turn: number;
+    tribeCount: number;
+    playerIds: string[]; // Users leading a tribe in the game
+    deadline: string | null; // When the current turn ends, if scheduled
+    createdAt: string | null;
+}
+
 export interface FullBackupState {
     gameState: GameState;
     users: User[];
 }
 
 // App view types
-export type View = 'login' | 'register' | 'game' | 'admin' | 'create_tribe' | 'map_editor' | 'forgot_password' | 'leaderboard' | 'transition';
+export type View = 'login' | 'register' | 'game' | 'admin' | 'create_tribe' | 'map_editor' | 'forgot_password' | 'leaderboard' | 'transition' | 'lobby';
 
 export type TribeCreationData = {
     playerName: string;